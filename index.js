@@ -60,6 +60,28 @@ async function initialize() {
         // Initialize thread management system
         const { ThreadManager } = await import('./src/utils/ThreadManager.js');
         ThreadManager.initialize();
+        // Initialize PvP challenge expiry, turn timers, wager refunds, tournament brackets and matchmaking
+        const { PvPHandler } = await import('./src/handlers/pvp/PvPHandler.js');
+        PvPHandler.initialize();
+        const { TournamentHandler } = await import('./src/handlers/pvp/TournamentHandler.js');
+        TournamentHandler.initialize();
+        const { MatchmakingHandler } = await import('./src/handlers/pvp/MatchmakingHandler.js');
+        MatchmakingHandler.initialize();
+        // Initialize trade offer expiry and escrow refunds
+        const { P2PTradeHandler } = await import('./src/handlers/trading/P2PTradeHandler.js');
+        P2PTradeHandler.initialize();
+        // Initialize auction settlement
+        const { AuctionHandler } = await import('./src/handlers/marketplace/AuctionHandler.js');
+        AuctionHandler.initialize();
+        // Initialize player listing expiry
+        const { PlayerMarketHandler } = await import('./src/handlers/marketplace/PlayerMarketHandler.js');
+        PlayerMarketHandler.initialize();
+        // Initialize buy order expiry
+        const { BuyOrderHandler } = await import('./src/handlers/marketplace/BuyOrderHandler.js');
+        BuyOrderHandler.initialize();
+        // Initialize high-low idle cash-outs
+        const { CasinoHandler } = await import('./src/handlers/marketplace/CasinoHandler.js');
+        CasinoHandler.initialize();
         logger.info('Database connection established successfully');
 
         // Login to Discord unless running in test mode (no token provided)
@@ -0,0 +1,127 @@
+/**
+ * Balance Simulator CLI
+ * Runs heroes against monsters at chosen floors and prints win rates, average
+ * turns and damage per turn. Needs no Discord token or database, so it can run in CI.
+ *
+ *   node scripts/simulateBalance.js --floors 1,20,100,500 --battles 500 --strategy cautious --format csv
+ *
+ * Options:
+ *   --floors      Comma-separated floors (default 1,20,100,500)
+ *   --battles     Battles per hero/monster/floor (default 200)
+ *   --heroes      Comma-separated hero ids (default all)
+ *   --monsters    Comma-separated monster ids (default all)
+ *   --strategy    random, aggressive, cautious, or a path to a module whose default
+ *                 export is a strategy function (default random)
+ *   --seed        Base seed; the same seed reproduces the same run (default 1)
+ *   --max-turns   Turns before a battle counts as a timeout (default 100)
+ *   --format      table or csv (default table)
+ *   --verbose     Keep combat debug logging on
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../src/utils/logger.js';
+import { heroesData } from '../src/data/heroesData.js';
+import { monstersData } from '../src/data/monstersData.js';
+import {
+    SIMULATION_STRATEGIES,
+    DEFAULT_MAX_TURNS,
+    runSimulation,
+    formatTable,
+    formatCsv
+} from '../src/utils/balanceSimulator.js';
+
+/**
+ * Parse --key value and --flag arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        const key = argv[i].slice(2);
+        if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+    return args;
+}
+
+/**
+ * Pick entries by comma-separated ids, or all of them
+ */
+function selectById(list, ids, kind) {
+    if (!ids) return list;
+
+    return ids.split(',').map(id => {
+        const entry = list.find(item => item.id === id.trim());
+        if (!entry) {
+            throw new Error(`Unknown ${kind}: ${id}`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Positive whole number option
+ */
+function parseCount(value, name, fallback) {
+    if (value === undefined) return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`--${name} must be a positive whole number`);
+    }
+    return number;
+}
+
+/**
+ * Built-in strategy by name, or a strategy module's default export
+ */
+async function loadStrategy(name = 'random') {
+    if (SIMULATION_STRATEGIES[name]) {
+        return SIMULATION_STRATEGIES[name];
+    }
+
+    const module = await import(pathToFileURL(path.resolve(name)).href);
+    if (typeof module.default !== 'function') {
+        throw new Error(`Strategy ${name} must be one of ${Object.keys(SIMULATION_STRATEGIES).join(', ')} or a module with a default export function`);
+    }
+    return module.default;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.verbose) {
+        // Combat logs every action, which would drown the results and slow the run
+        logger.baseLogger.silent = true;
+    }
+
+    const floors = (args.floors || '1,20,100,500').split(',').map(floor => parseCount(floor.trim(), 'floors'));
+    const format = args.format || 'table';
+    if (!['table', 'csv'].includes(format)) {
+        throw new Error('--format must be table or csv');
+    }
+
+    const rows = runSimulation({
+        heroes: selectById(heroesData, args.heroes, 'hero'),
+        monsters: selectById(monstersData, args.monsters, 'monster'),
+        floors,
+        battles: parseCount(args.battles, 'battles', 200),
+        strategy: await loadStrategy(args.strategy),
+        seed: args.seed === undefined ? 1 : Number(args.seed),
+        maxTurns: parseCount(args['max-turns'], 'max-turns', DEFAULT_MAX_TURNS)
+    });
+
+    console.log(format === 'csv' ? formatCsv(rows) : formatTable(rows));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
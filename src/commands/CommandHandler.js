@@ -995,6 +995,39 @@ export class CommandHandler {
                     }
                     break;
 
+                case 'coinflip_fairness':
+                case 'coinflip_rotate_seed':
+                case 'coinflip_client_seed':
+                case 'coinflip_verify':
+                    try {
+                        await MarketplaceHandler.handleCoinflipFairnessButton(interaction, customId);
+                    } catch (error) {
+                        logger.error('Error handling coinflip fairness:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred loading fairness details.');
+                    }
+                    break;
+
+                // Handle casino game controls
+                case 'casino_hilo_higher':
+                case 'casino_hilo_lower':
+                case 'casino_hilo_cashout': {
+                    const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                    await CasinoHandler.handleHighLowButton(interaction, customId);
+                    break;
+                }
+
+                case 'casino_back': {
+                    const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                    await CasinoHandler.handleControlButton(interaction, customId);
+                    break;
+                }
+
+                case 'casino_settings_toggle': {
+                    const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                    await CasinoHandler.handleSettingsToggle(interaction, interaction.values[0]);
+                    break;
+                }
+
                 // Permanent Embed Button handlers - Updated to use PersistentEmbedManager
                 case 'permanent_start_game':
                     try {
@@ -1056,6 +1089,45 @@ export class CommandHandler {
                     }
                     break;
 
+                case 'permanent_dice_games':
+                case 'permanent_card_games':
+                case 'permanent_slots':
+                    try {
+                        const { PermanentEmbedHandler } = await import('../handlers/ui/PermanentEmbedHandler.js');
+                        const games = { permanent_dice_games: 'dice', permanent_card_games: 'highlow', permanent_slots: 'slots' };
+                        await PermanentEmbedHandler.handleCasino(interaction, games[customId]);
+                    } catch (error) {
+                        logger.error('Error handling permanent casino game:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
+                case 'permanent_casino_settings':
+                    try {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        await CasinoHandler.showGameSettings(interaction);
+                    } catch (error) {
+                        logger.error('Error handling casino settings:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred loading casino settings.');
+                    }
+                    break;
+
+                case 'permanent_marketplace_treasury':
+                    try {
+                        const { TreasuryHandler } = await import('../handlers/marketplace/TreasuryHandler.js');
+                        await TreasuryHandler.showTreasury(interaction);
+                    } catch (error) {
+                        logger.error('Error handling marketplace treasury:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred loading the treasury.');
+                    }
+                    break;
+
+                case 'treasury_split_edit': {
+                    const { TreasuryHandler } = await import('../handlers/marketplace/TreasuryHandler.js');
+                    await TreasuryHandler.showSplitModal(interaction);
+                    break;
+                }
+
                 // Marketplace permanent embed handlers - Now using PersistentEmbedManager
                 case 'permanent_store':
                 case 'permanent_player_market':
@@ -1673,22 +1745,14 @@ export class CommandHandler {
                     }
                     break;
 
-                // Coin flip wager handler (Phase 2)
+                // Menus left over from the retired store coin flip open the provably fair coinflip
                 case 'coin_flip_wager':
+                case 'coin_flip_choice':
+                case 'coin_flip_result':
                     try {
-                        const division = customId.replace('coinflip_wager_', '');
-                        const wagerAmount = interaction.values[0];
-                        const { MarketplaceHandler } = await import('../handlers/marketplace/MarketplaceHandler.js');
-                        
-                        if (wagerAmount === 'back_to_division_select') {
-                            await MarketplaceHandler.handleCoinflipStart(interaction);
-                        } else if (wagerAmount === 'custom_wager') {
-                            await MarketplaceHandler.showCustomWagerModal(interaction, division);
-                        } else {
-                            await MarketplaceHandler.processCoinflip(interaction, division, parseInt(wagerAmount));
-                        }
+                        await MarketplaceHandler.handleCoinflipStart(interaction);
                     } catch (error) {
-                        logger.error('Error handling coinflip wager:', error);
+                        logger.error('Error opening coinflip:', error);
                         await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
                     }
                     break;
@@ -1703,26 +1767,6 @@ export class CommandHandler {
                     }
                     break;
 
-                // Coin flip choice handler (Phase 2)
-                case 'coin_flip_choice':
-                    try {
-                        await MarketplaceHandler.handleCoinFlipChoice(interaction, selectedValue);
-                    } catch (error) {
-                        logger.error('Error handling coin flip choice:', error);
-                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
-                    }
-                    break;
-
-                // Coin flip result handler (Phase 2)
-                case 'coin_flip_result':
-                    try {
-                        await MarketplaceHandler.handleCoinFlipResult(interaction, selectedValue);
-                    } catch (error) {
-                        logger.error('Error handling coin flip result:', error);
-                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
-                    }
-                    break;
-
                 // Player chests menu handler
                 case 'player_chests_menu':
                     try {
@@ -1783,6 +1827,18 @@ export class CommandHandler {
                     try {
                         if (selectedValue === 'back_to_main') {
                             await MarketplaceHandler.handleBackToMain(interaction);
+                        } else if (selectedValue === 'auctions') {
+                            const { AuctionHandler } = await import('../handlers/marketplace/AuctionHandler.js');
+                            await AuctionHandler.showAuctionHouse(interaction);
+                        } else if (selectedValue === 'create_trade') {
+                            const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                            await P2PTradeHandler.showCreateTradeModal(interaction);
+                        } else if (selectedValue === 'browse_trades') {
+                            const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                            await P2PTradeHandler.showBrowseTrades(interaction);
+                        } else if (selectedValue === 'my_trades') {
+                            const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                            await P2PTradeHandler.showMyTrades(interaction);
                         } else {
                             // Handle trading post actions (will be implemented in Phase 4)
                             await interaction.followUp({
@@ -1796,22 +1852,66 @@ export class CommandHandler {
                     }
                     break;
 
+                case 'auction_house_menu':
+                    try {
+                        const { AuctionHandler } = await import('../handlers/marketplace/AuctionHandler.js');
+                        await AuctionHandler.handleAuctionHouseSelection(interaction, selectedValue);
+                    } catch (error) {
+                        logger.error('Error handling auction house menu:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
+                case 'player_market_main':
+                    try {
+                        const { PlayerMarketHandler } = await import('../handlers/marketplace/PlayerMarketHandler.js');
+                        await PlayerMarketHandler.handlePlayerMarketSelection(interaction, selectedValue);
+                    } catch (error) {
+                        logger.error('Error handling player market menu:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
+                case 'buy_order_menu':
+                    try {
+                        const { BuyOrderHandler } = await import('../handlers/marketplace/BuyOrderHandler.js');
+                        await BuyOrderHandler.handleBuyOrderSelection(interaction, selectedValue);
+                    } catch (error) {
+                        logger.error('Error handling buy order menu:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
+                case 'player_market_listing':
+                    try {
+                        const { PlayerMarketHandler } = await import('../handlers/marketplace/PlayerMarketHandler.js');
+                        await PlayerMarketHandler.showListing(interaction, parseInt(selectedValue, 10));
+                    } catch (error) {
+                        logger.error('Error handling player listing selection:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
                 case 'crafting_menu':
                     try {
-                        if (selectedValue === 'back_to_main') {
-                            await MarketplaceHandler.handleBackToMain(interaction);
-                        } else {
-                            await interaction.followUp({
-                                content: '🔨 Crafting system is under development!',
-                                ephemeral: true
-                            });
-                        }
+                        const { CraftingHandler } = await import('../handlers/marketplace/CraftingHandler.js');
+                        await CraftingHandler.handleCraftingSelection(interaction, selectedValue);
                     } catch (error) {
                         logger.error('Error handling crafting menu:', error);
                         await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
                     }
                     break;
 
+                case 'crafting_action':
+                    try {
+                        const { CraftingHandler } = await import('../handlers/marketplace/CraftingHandler.js');
+                        await CraftingHandler.handleCraftingAction(interaction, selectedValue);
+                    } catch (error) {
+                        logger.error('Error handling crafting action:', error);
+                        await this.safeInteractionResponse(interaction, 'An error occurred. Please try again.');
+                    }
+                    break;
+
                 // Portal system handlers
                 case 'portal_menu':
                     try {
@@ -2104,7 +2204,6 @@ export class CommandHandler {
                 case 'store_division_select':
                 case 'store_category_select':
                 case 'my_chests_main':
-                case 'player_market_main':
                     try {
                         const { MarketplaceHandler } = await import('../handlers/marketplace/MarketplaceHandler.js');
                         await MarketplaceHandler.handleSelectMenu(interaction);
@@ -2142,7 +2241,8 @@ export class CommandHandler {
                                 components: []
                             });
                         } else {
-                            await this.safeInteractionResponse(interaction, 'This game is coming soon! Please try Coin Flip.');
+                            const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                            await CasinoHandler.showDivisionSelect(interaction, selectedValue);
                         }
         } catch (error) {
                         logger.error('Error handling casino game selection:', error);
@@ -2172,6 +2272,113 @@ export class CommandHandler {
                         return;
     }
 
+                    // Handle auction bid and cancel buttons
+                    if (customId.startsWith('auction_bid_') || customId.startsWith('auction_cancel_')) {
+                        const { AuctionHandler } = await import('../handlers/marketplace/AuctionHandler.js');
+                        await AuctionHandler.handleAuctionButton(interaction, customId);
+                        return;
+                    }
+
+                    // Handle player listing buy and cancel buttons
+                    if (customId.startsWith('player_listing_buy_') || customId.startsWith('player_listing_cancel_')) {
+                        const { PlayerMarketHandler } = await import('../handlers/marketplace/PlayerMarketHandler.js');
+                        await PlayerMarketHandler.handleListingButton(interaction, customId);
+                        return;
+                    }
+
+                    // Handle buy order sell and cancel buttons
+                    if (customId.startsWith('buy_order_sell_') || customId.startsWith('buy_order_cancel_')) {
+                        const { BuyOrderHandler } = await import('../handlers/marketplace/BuyOrderHandler.js');
+                        await BuyOrderHandler.handleBuyOrderButton(interaction, customId);
+                        return;
+                    }
+
+                    // Handle trade confirm, counter-offer and cancel buttons
+                    if (customId.startsWith('trade_confirm_') || customId.startsWith('trade_counter_') || customId.startsWith('trade_cancel_')) {
+                        const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                        await P2PTradeHandler.handleNegotiationButton(interaction, customId);
+                        return;
+                    }
+
+                    // Handle trade lists - picking a trade opens its negotiation thread
+                    if (customId === 'browse_trades_select' || customId === 'my_trades_select') {
+                        const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                        await P2PTradeHandler.handleTradeListSelection(interaction, interaction.values[0]);
+                        return;
+                    }
+
+                    // Handle PvP menu and battle action menus
+                    if (customId === 'pvp_menu') {
+                        const { PvPHandler } = await import('../handlers/pvp/PvPHandler.js');
+                        await PvPHandler.handlePvPMenuSelection(interaction, interaction.values[0]);
+                        return;
+                    }
+
+                    if (customId.startsWith('pvp_battle_action_')) {
+                        const { PvPHandler } = await import('../handlers/pvp/PvPHandler.js');
+                        await PvPHandler.handleBattleAction(interaction, customId.replace('pvp_battle_action_', ''), interaction.values[0]);
+                        return;
+                    }
+
+                    if (customId === 'pvp_tournament_menu') {
+                        const { TournamentHandler } = await import('../handlers/pvp/TournamentHandler.js');
+                        await TournamentHandler.handleTournamentSelection(interaction, interaction.values[0]);
+                        return;
+                    }
+
+                    if (customId === 'pvp_matchmaking_menu') {
+                        const { MatchmakingHandler } = await import('../handlers/pvp/MatchmakingHandler.js');
+                        await MatchmakingHandler.handleMatchmakingSelection(interaction, interaction.values[0]);
+                        return;
+                    }
+
+                    // Handle match history paging and replay buttons and menus
+                    if (customId.startsWith('pvp_history_') || customId.startsWith('pvp_replay_')) {
+                        const { PvPHandler } = await import('../handlers/pvp/PvPHandler.js');
+                        await PvPHandler.handleHistoryInteraction(interaction, customId, interaction.values?.[0]);
+                        return;
+                    }
+
+                    // Handle casino game menus and buttons
+                    if (customId.startsWith('casino_division_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        await CasinoHandler.handleDivisionSelect(interaction, customId.replace('casino_division_', ''), interaction.values[0]);
+                        return;
+                    }
+
+                    if (customId.startsWith('casino_wager_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        const [game, division] = customId.replace('casino_wager_', '').split('_');
+                        await CasinoHandler.handleWagerSelect(interaction, game, division, interaction.values[0]);
+                        return;
+                    }
+
+                    if (customId.startsWith('casino_dice_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        const [division, wagerAmount] = customId.replace('casino_dice_', '').split('_');
+                        await CasinoHandler.playDice(interaction, division, parseInt(wagerAmount, 10), parseInt(interaction.values[0], 10));
+                        return;
+                    }
+
+                    if (customId.startsWith('casino_slots_spin_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        await CasinoHandler.handleSlotsSpin(interaction, customId);
+                        return;
+                    }
+
+                    if (customId.startsWith('casino_change_wager_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        await CasinoHandler.handleControlButton(interaction, customId);
+                        return;
+                    }
+
+                    // Handle player listing filters
+                    if (customId.startsWith('player_market_filter_')) {
+                        const { PlayerMarketHandler } = await import('../handlers/marketplace/PlayerMarketHandler.js');
+                        await PlayerMarketHandler.handleFilterSelection(interaction, customId, interaction.values[0]);
+                        return;
+                    }
+
                     // Handle coinflip call (heads/tails)
                     if (customId.startsWith('coinflip_call_')) {
                         try {
@@ -2368,7 +2575,65 @@ export class CommandHandler {
                     }
                     break;
                     
+                case 'coinflip_client_seed_modal':
+                    await MarketplaceHandler.handleClientSeedModal(interaction);
+                    break;
+
+                case 'coinflip_verify_modal':
+                    await MarketplaceHandler.handleVerifyModal(interaction);
+                    break;
+
+                case 'auction_create_modal':
+                    const { AuctionHandler } = await import('../handlers/marketplace/AuctionHandler.js');
+                    await AuctionHandler.handleCreateAuctionModal(interaction);
+                    break;
+
+                case 'player_listing_create_modal':
+                    const { PlayerMarketHandler } = await import('../handlers/marketplace/PlayerMarketHandler.js');
+                    await PlayerMarketHandler.handleCreateListingModal(interaction);
+                    break;
+
+                case 'buy_order_create_modal':
+                    const { BuyOrderHandler } = await import('../handlers/marketplace/BuyOrderHandler.js');
+                    await BuyOrderHandler.handleCreateBuyOrderModal(interaction);
+                    break;
+
+                case 'treasury_split_modal':
+                    const { TreasuryHandler } = await import('../handlers/marketplace/TreasuryHandler.js');
+                    await TreasuryHandler.handleSplitModal(interaction);
+                    break;
+
+                case 'pvp_tournament_create_modal':
+                    const { TournamentHandler } = await import('../handlers/pvp/TournamentHandler.js');
+                    await TournamentHandler.handleCreateTournamentModal(interaction);
+                    break;
+
                 default:
+                    if (customId.startsWith('auction_bid_modal_')) {
+                        const { AuctionHandler: BidAuctionHandler } = await import('../handlers/marketplace/AuctionHandler.js');
+                        await BidAuctionHandler.handleBidModal(interaction, parseInt(customId.replace('auction_bid_modal_', ''), 10));
+                        break;
+                    }
+
+                    if (customId.startsWith('casino_wager_modal_')) {
+                        const { CasinoHandler } = await import('../handlers/marketplace/CasinoHandler.js');
+                        const [game, division] = customId.replace('casino_wager_modal_', '').split('_');
+                        await CasinoHandler.handleWagerModal(interaction, game, division);
+                        break;
+                    }
+
+                    if (customId === 'trade_create_modal') {
+                        const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                        await P2PTradeHandler.handleCreateTradeModal(interaction);
+                        break;
+                    }
+
+                    if (customId.startsWith('trade_counter_modal_')) {
+                        const { P2PTradeHandler } = await import('../handlers/trading/P2PTradeHandler.js');
+                        await P2PTradeHandler.handleCounterOfferModal(interaction, customId.replace('trade_counter_modal_', ''));
+                        break;
+                    }
+
                     logger.warn(`Unknown modal submission: ${customId}`);
                     await interaction.reply({
                         content: '❌ Unknown modal submission. Please try again.',
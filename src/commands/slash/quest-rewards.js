@@ -52,8 +52,23 @@ const data = new SlashCommandBuilder()
         .addStringOption(opt => opt.setName('reason').setDescription('Refund reason').setRequired(true)))
     .addSubcommand(sub => sub
         .setName('treasury')
-        .setDescription('View quest treasury and financial status')
-        .addStringOption(opt => opt.setName('password').setDescription('Admin password').setRequired(true)))
+        .setDescription('View quest treasury and financial status, or fund a quest from marketplace fees')
+        .addStringOption(opt => opt.setName('password').setDescription('Admin password').setRequired(true))
+        .addIntegerOption(opt => opt.setName('draw_amount').setDescription('Amount to draw from the marketplace treasury into a quest').setRequired(false).setMinValue(1))
+        .addStringOption(opt => opt.setName('draw_currency').setDescription('Currency to draw (default gold)').setRequired(false)
+            .addChoices(
+                { name: 'Gold', value: 'gold' },
+                { name: 'Tokens', value: 'tokens' },
+                { name: 'DNG', value: 'dng' },
+                { name: 'HERO', value: 'hero' },
+                { name: 'ETH', value: 'eth' }
+            ))
+        .addStringOption(opt => opt.setName('draw_bucket').setDescription('Where to draw from (default prize pool)').setRequired(false)
+            .addChoices(
+                { name: 'Prize Pool', value: 'prize_pool' },
+                { name: 'Server Treasury', value: 'treasury' }
+            ))
+        .addStringOption(opt => opt.setName('quest_id').setDescription('Quest to fund with the draw').setRequired(false)))
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
 
 export { data };
@@ -144,6 +159,14 @@ function calculateRewardDistribution(quest) {
             }
         }
 
+        // Currency drawn from the marketplace treasury is shared evenly on top of the quest's own rewards
+        if (quest.treasuryPool) {
+            reward.treasuryShare = {};
+            for (const [currency, amount] of Object.entries(quest.treasuryPool)) {
+                reward.treasuryShare[currency] = Math.floor(amount / eligible.length);
+            }
+        }
+
         return {
             userId: participant.userId,
             reward,
@@ -154,6 +177,28 @@ function calculateRewardDistribution(quest) {
     return { eligible, distribution };
 }
 
+/**
+ * Format currency amounts as "100 GOLD, 5 ETH"
+ */
+function formatCurrencyAmounts(amounts) {
+    return Object.entries(amounts).map(([currency, amount]) => `${amount} ${currency.toUpperCase()}`).join(', ');
+}
+
+/**
+ * Format marketplace treasury balances for an embed field
+ */
+function formatTreasuryBalances(balances) {
+    const currencies = Object.keys(balances);
+    if (currencies.length === 0) {
+        return '*No marketplace fees collected yet*';
+    }
+
+    return currencies.map(currency => {
+        const { treasury, prize_pool, burn } = balances[currency];
+        return `**${currency.toUpperCase()}:** 🏦 ${treasury} • 🏆 ${prize_pool} • 🔥 ${burn}`;
+    }).join('\n');
+}
+
 /**
  * Generate payment QR code or instructions
  */
@@ -313,6 +358,14 @@ export async function execute(interaction) {
                 }
             }
 
+            if (userReward.reward.treasuryShare) {
+                embed.addFields({
+                    name: '🏦 Treasury Bonus',
+                    value: formatCurrencyAmounts(userReward.reward.treasuryShare),
+                    inline: false
+                });
+            }
+
             const actionRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
@@ -457,7 +510,24 @@ export async function execute(interaction) {
                     });
                 }
 
+                if (quest.treasuryPool) {
+                    embed.addFields({
+                        name: '🏦 Treasury Pool',
+                        value: `**Total Pool:** ${formatCurrencyAmounts(quest.treasuryPool)}\n**Per Participant:** ${formatCurrencyAmounts(distribution[0].reward.treasuryShare)}`,
+                        inline: false
+                    });
+                }
+
                 if (autoDistribute) {
+                    // Mark the quest first so a second distribution can't pay the treasury shares again
+                    if (!await DatabaseManager.markQuestRewardsDistributed(questId, userId)) {
+                        await interaction.reply({ 
+                            content: '❌ Rewards for this quest have already been distributed.', 
+                            flags: MessageFlags.Ephemeral 
+                        });
+                        return;
+                    }
+
                     // Auto-distribute rewards
                     for (const reward of distribution) {
                         // Update participant with reward claimed status
@@ -467,13 +537,12 @@ export async function execute(interaction) {
                             quest.participants.find(p => p.userId === reward.userId)?.progress || 0, 
                             true
                         );
-                    }
 
-                    await DatabaseManager.updateQuest(questId, { 
-                        rewardsDistributed: true,
-                        distributedAt: new Date(),
-                        distributedBy: userId
-                    });
+                        const treasuryShare = Object.fromEntries(Object.entries(reward.reward.treasuryShare || {}).filter(([, amount]) => amount > 0));
+                        if (Object.keys(treasuryShare).length > 0) {
+                            await DatabaseManager.creditPlayerEconomy(reward.userId, treasuryShare);
+                        }
+                    }
 
                     embed.addFields({
                         name: '✅ Distribution Complete',
@@ -660,6 +729,69 @@ export async function execute(interaction) {
             }
 
             case 'treasury': {
+                const { TreasuryService } = await import('../../services/TreasuryService.js');
+                const drawAmount = interaction.options.getInteger('draw_amount');
+                let drawNotice = null;
+
+                if (drawAmount !== null) {
+                    const questId = interaction.options.getString('quest_id');
+                    const quest = questId ? await DatabaseManager.getQuestById(questId) : null;
+
+                    if (!quest || quest.serverId !== serverId) {
+                        await interaction.reply({ 
+                            content: '❌ Drawing from the treasury needs a `quest_id` for a quest on this server.', 
+                            flags: MessageFlags.Ephemeral 
+                        });
+                        return;
+                    }
+
+                    const currency = interaction.options.getString('draw_currency') || 'gold';
+                    const bucket = interaction.options.getString('draw_bucket') || 'prize_pool';
+                    try {
+                        await TreasuryService.draw(serverId, bucket, currency, drawAmount, {
+                            drawnBy: userId,
+                            reason: 'quest_funding',
+                            referenceId: questId
+                        });
+                    } catch (error) {
+                        await interaction.reply({ 
+                            content: `❌ ${error.message}`, 
+                            flags: MessageFlags.Ephemeral 
+                        });
+                        return;
+                    }
+
+                    // Put the draw back if the quest can't hold it, or the currency is lost
+                    let funded = false;
+                    try {
+                        funded = await DatabaseManager.addQuestTreasuryFunding(questId, {
+                            bucket,
+                            currency,
+                            amount: drawAmount,
+                            drawnBy: userId,
+                            drawnAt: new Date()
+                        });
+                    } catch (error) {
+                        logger.error(`Error funding quest ${questId} from the treasury:`, error);
+                    }
+
+                    if (!funded) {
+                        await TreasuryService.returnDraw(serverId, bucket, currency, drawAmount, {
+                            returnedBy: userId,
+                            reason: 'quest_funding_failed',
+                            referenceId: questId
+                        });
+                        await interaction.reply({ 
+                            content: '❌ Could not add the draw to the quest - it may be closed or have already paid out its rewards. The draw has been returned to the treasury.', 
+                            flags: MessageFlags.Ephemeral 
+                        });
+                        return;
+                    }
+
+                    drawNotice = `✅ Drew ${drawAmount} ${currency.toUpperCase()} from the ${bucket === 'prize_pool' ? 'prize pool' : 'server treasury'} into "${quest.title}"`;
+                    auditLogger.log('QUEST', `Quest ${questId} funded with ${drawAmount} ${currency} from the ${bucket} by ${userId} on server ${serverId}`, 'quest_treasury_funded');
+                }
+
                 const quests = await DatabaseManager.getServerQuests(serverId);
                 const specialQuests = quests.filter(q => q.type === 'special');
                 
@@ -686,7 +818,7 @@ export async function execute(interaction) {
 
                 const embed = new EmbedBuilder()
                     .setTitle('🏦 **QUEST TREASURY STATUS**')
-                    .setDescription(`Financial overview for ${interaction.guild.name}`)
+                    .setDescription(`${drawNotice ? `${drawNotice}\n\n` : ''}Financial overview for ${interaction.guild.name}`)
                     .addFields([
                         {
                             name: '💰 Revenue',
@@ -702,6 +834,11 @@ export async function execute(interaction) {
                             name: '📊 Quest Stats',
                             value: `**Total Special Quests:** ${specialQuests.length}\n**Active:** ${specialQuests.filter(q => q.status === 'active').length}\n**Completed:** ${specialQuests.filter(q => q.status === 'completed').length}`,
                             inline: true
+                        },
+                        {
+                            name: '🏪 Marketplace Fees',
+                            value: formatTreasuryBalances(await TreasuryService.getBalances(serverId)),
+                            inline: false
                         }
                     ])
                     .setColor(0x00CED1)
@@ -10,6 +10,7 @@ export const abilitiesData = [
         name: 'Silence',
         type: 'ability',
         manaCost: 1,
+        damageType: 'physical',
         description: 'Negates magic damage and deals 3 damage to caster if successful.',
         effect: 'Counters magic attacks, deals 3 damage if used against magic',
         emoji: '🤫',
@@ -20,6 +21,7 @@ export const abilitiesData = [
         name: 'Counter',
         type: 'ability',
         manaCost: 1,
+        damageType: 'physical',
         description: 'Negates melee damage and deals 2 damage back to attacker.',
         effect: 'Negates melee damage and deals 2 damage back',
         emoji: '🛡️',
@@ -30,6 +32,7 @@ export const abilitiesData = [
         name: 'Dodge',
         type: 'ability',
         manaCost: 1,
+        damageType: 'physical',
         description: 'Avoids physical attacks and heals 2 vs melee, 3 vs ranged.',
         effect: 'Avoids physical attacks and provides healing',
         emoji: '💨',
@@ -40,6 +43,7 @@ export const abilitiesData = [
         name: 'Accepting Fate',
         type: 'ability',
         manaCost: 4,
+        damageType: 'physical',
         description: 'Prevents death, restores 4 health and 4 mana.',
         effect: 'Prevents death once per battle, heals 4 HP and restores 4 mana',
         emoji: '🕊️',
@@ -50,6 +54,7 @@ export const abilitiesData = [
         name: 'Pound',
         type: 'ability',
         manaCost: 3,
+        damageType: 'physical',
         damage: 3,
         description: 'Deals 3 damage with stun effect.',
         effect: 'Deals 3 damage and stuns enemy',
@@ -61,6 +66,7 @@ export const abilitiesData = [
         name: 'Rage Toss',
         type: 'ability',
         manaCost: 3,
+        damageType: 'physical',
         damage: 3,
         description: 'Deals 3 damage and breaks armor.',
         effect: 'Deals 3 damage and breaks enemy armor',
@@ -72,6 +78,7 @@ export const abilitiesData = [
         name: 'Dual Shot',
         type: 'ability',
         manaCost: 4,
+        damageType: 'physical',
         damage: 4,
         description: 'Deals 4 damage that pierces armor.',
         effect: 'Deals 4 damage that ignores armor',
@@ -83,6 +90,7 @@ export const abilitiesData = [
         name: 'Lucky Guy',
         type: 'ability',
         manaCost: 2,
+        damageType: 'physical',
         description: 'Grants invisibility for the turn.',
         effect: 'Becomes invisible, cannot be targeted',
         emoji: '🍀',
@@ -93,6 +101,7 @@ export const abilitiesData = [
         name: 'Heal',
         type: 'ability',
         manaCost: 1,
+        damageType: 'holy',
         healAmount: 2,
         description: 'Restores 2 health.',
         effect: 'Heals 2 health',
@@ -104,6 +113,7 @@ export const abilitiesData = [
         name: 'Healing Rain',
         type: 'ability',
         manaCost: 4,
+        damageType: 'holy',
         description: 'Creates healing rain for multiple turns.',
         effect: 'Applies healing rain for multiple turns',
         emoji: '🌦️',
@@ -114,6 +124,7 @@ export const abilitiesData = [
         name: 'Poison Arrow',
         type: 'ability',
         manaCost: 3,
+        damageType: 'poison',
         description: 'Poisons enemy for 3 turns.',
         effect: 'Applies poison for 3 turns',
         emoji: '🏹',
@@ -124,6 +135,7 @@ export const abilitiesData = [
         name: 'Shadow Step',
         type: 'ability',
         manaCost: 4,
+        damageType: 'shadow',
         description: 'Becomes invisible for 1 turn.',
         effect: 'Grants invisibility for 1 turn',
         emoji: '👤',
@@ -134,6 +146,7 @@ export const abilitiesData = [
         name: 'Life Drain',
         type: 'ability',
         manaCost: 4,
+        damageType: 'shadow',
         damage: 3,
         healAmount: 3,
         description: 'Deals 3 damage and heals for the same amount.',
@@ -146,6 +159,7 @@ export const abilitiesData = [
         name: 'Mana Surge',
         type: 'ability',
         manaCost: 3,
+        damageType: 'physical',
         description: 'Restores 5 mana immediately.',
         effect: 'Restores 5 mana',
         emoji: '💙',
@@ -156,6 +170,7 @@ export const abilitiesData = [
         name: 'Elemental Fury',
         type: 'ability',
         manaCost: 3,
+        damageType: 'random',
         damage: 4,
         description: 'Deals 4 damage of a random element.',
         effect: 'Deals 4 elemental damage',
@@ -167,6 +182,7 @@ export const abilitiesData = [
         name: 'Stoneheart',
         type: 'ability',
         manaCost: 4,
+        damageType: 'physical',
         description: 'Reduces incoming damage by 1 for 3 turns.',
         effect: 'Damage reduction for 3 turns',
         emoji: '🪨',
@@ -177,6 +193,7 @@ export const abilitiesData = [
         name: 'Fortunate',
         type: 'ability',
         manaCost: 0,
+        damageType: 'physical',
         description: '50% chance to find extra loot for next 2 floors.',
         effect: 'Increases loot chance for 2 floors',
         emoji: '🍀',
@@ -187,6 +204,7 @@ export const abilitiesData = [
         name: 'Immortal',
         type: 'ability',
         manaCost: 0,
+        damageType: 'physical',
         description: 'Once per battle, survives with 1 health when killed.',
         effect: 'Prevents death once per battle',
         emoji: '👑',
@@ -197,6 +215,7 @@ export const abilitiesData = [
         name: 'Spellmaster',
         type: 'ability',
         manaCost: 0,
+        damageType: 'physical',
         description: 'All spell costs reduced by 1 for the battle.',
         effect: 'Reduces all spell mana costs by 1',
         emoji: '🔮',
@@ -207,6 +226,7 @@ export const abilitiesData = [
         name: 'Forestborn',
         type: 'ability',
         manaCost: 6,
+        damageType: 'physical',
         description: 'Starts with +2 max health and +1 max mana.',
         effect: 'Permanent stat increase',
         emoji: '🌲',
@@ -217,6 +237,7 @@ export const abilitiesData = [
         name: 'Roar',
         type: 'ability',
         manaCost: 4,
+        damageType: 'physical',
         description: 'Intimidates enemies, reducing damage by 25% for 2 turns.',
         effect: 'Reduces enemy damage by 25% for 2 turns',
         emoji: '🦁',
@@ -227,6 +248,7 @@ export const abilitiesData = [
         name: 'Wing Buffet',
         type: 'ability',
         manaCost: 5,
+        damageType: 'physical',
         damage: 3,
         description: 'Applies weakened status and deals 3 damage.',
         effect: 'Deals 3 damage and weakens enemy',
@@ -240,6 +262,7 @@ export const abilitiesData = [
         name: 'Blizzard',
         type: 'ability',
         manaCost: 4,
+        damageType: 'frost',
         description: 'Freezes enemy with ice magic.',
         effect: 'Applies frozen status to enemy',
         emoji: '❄️',
@@ -250,6 +273,7 @@ export const abilitiesData = [
         name: 'Firestorm',
         type: 'ability',
         manaCost: 4,
+        damageType: 'fire',
         description: 'Burns enemy with fire magic.',
         effect: 'Applies burning status to enemy',
         emoji: '🔥',
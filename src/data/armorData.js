@@ -0,0 +1,301 @@
+/**
+ * Armor Data for Dungeonites Heroes Challenge
+ * One piece per slot (helmet, chest, legs, boots), organized by rarity
+ */
+
+export const ARMOR_SLOTS = ['helmet', 'chest', 'legs', 'boots'];
+
+/**
+ * Armor sets - wearing matching pieces grants the bonus armor of the highest
+ * tier reached. Bonus armor stacks with the pieces' own armor.
+ */
+export const ARMOR_SETS = {
+    leather: {
+        name: 'Leather',
+        tiers: [{ pieces: 2, armor: 1 }, { pieces: 4, armor: 2 }]
+    },
+    chainmail: {
+        name: 'Chainmail',
+        tiers: [{ pieces: 2, armor: 1 }, { pieces: 4, armor: 3 }]
+    },
+    steel: {
+        name: 'Steel',
+        tiers: [{ pieces: 2, armor: 2 }, { pieces: 4, armor: 4 }]
+    },
+    dragon_scale: {
+        name: 'Dragon Scale',
+        tiers: [{ pieces: 2, armor: 2 }, { pieces: 4, armor: 6 }]
+    }
+};
+
+export const armorData = [
+    // COMMON ARMOR (Armor: 1)
+    {
+        id: 'leather_cap',
+        name: 'Leather Cap',
+        type: 'armor',
+        slot: 'helmet',
+        setId: 'leather',
+        rarity: 'common',
+        armor: 1,
+        description: 'A snug cap of boiled leather.',
+        emoji: '🧢',
+        goldValue: 6
+    },
+    {
+        id: 'leather_armor',
+        name: 'Leather Armor',
+        type: 'armor',
+        slot: 'chest',
+        setId: 'leather',
+        rarity: 'common',
+        armor: 1,
+        weaknesses: ['fire'],
+        description: 'Basic leather protection.',
+        emoji: '🦺',
+        goldValue: 10
+    },
+    {
+        id: 'leather_leggings',
+        name: 'Leather Leggings',
+        type: 'armor',
+        slot: 'legs',
+        setId: 'leather',
+        rarity: 'common',
+        armor: 1,
+        description: 'Light leggings that don\'t slow you down.',
+        emoji: '👖',
+        goldValue: 8
+    },
+    {
+        id: 'leather_boots',
+        name: 'Leather Boots',
+        type: 'armor',
+        slot: 'boots',
+        setId: 'leather',
+        rarity: 'common',
+        armor: 1,
+        description: 'Worn boots with plenty of miles left.',
+        emoji: '🥾',
+        goldValue: 6
+    },
+
+    // UNCOMMON ARMOR (Armor: 2, chest 3)
+    {
+        id: 'chainmail_coif',
+        name: 'Chainmail Coif',
+        type: 'armor',
+        slot: 'helmet',
+        setId: 'chainmail',
+        rarity: 'uncommon',
+        armor: 2,
+        description: 'Linked rings guarding head and neck.',
+        emoji: '⛑️',
+        goldValue: 22
+    },
+    {
+        id: 'chainmail_armor',
+        name: 'Chainmail Armor',
+        type: 'armor',
+        slot: 'chest',
+        setId: 'chainmail',
+        rarity: 'uncommon',
+        armor: 3,
+        description: 'Flexible chain protection.',
+        emoji: '🛡️',
+        goldValue: 35
+    },
+    {
+        id: 'chainmail_leggings',
+        name: 'Chainmail Leggings',
+        type: 'armor',
+        slot: 'legs',
+        setId: 'chainmail',
+        rarity: 'uncommon',
+        armor: 2,
+        description: 'Chain leggings that turn aside glancing blows.',
+        emoji: '👖',
+        goldValue: 28
+    },
+    {
+        id: 'chainmail_boots',
+        name: 'Chainmail Boots',
+        type: 'armor',
+        slot: 'boots',
+        setId: 'chainmail',
+        rarity: 'uncommon',
+        armor: 2,
+        description: 'Heavy boots wrapped in chain.',
+        emoji: '🥾',
+        goldValue: 22
+    },
+
+    // RARE ARMOR (Armor: 3, chest 4)
+    {
+        id: 'steel_helm',
+        name: 'Steel Helm',
+        type: 'armor',
+        slot: 'helmet',
+        setId: 'steel',
+        rarity: 'rare',
+        armor: 3,
+        description: 'A full helm of polished steel.',
+        emoji: '⛑️',
+        goldValue: 80
+    },
+    {
+        id: 'plate_armor',
+        name: 'Plate Armor',
+        type: 'armor',
+        slot: 'chest',
+        setId: 'steel',
+        rarity: 'rare',
+        armor: 4,
+        description: 'Heavy plate protection.',
+        emoji: '🛡️',
+        goldValue: 120
+    },
+    {
+        id: 'enchanted_robe',
+        name: 'Enchanted Robe',
+        type: 'armor',
+        slot: 'chest',
+        rarity: 'rare',
+        armor: 3,
+        resistances: ['shadow'],
+        description: 'Silk woven with protective wards.',
+        emoji: '🥻',
+        goldValue: 100
+    },
+    {
+        id: 'steel_greaves',
+        name: 'Steel Greaves',
+        type: 'armor',
+        slot: 'legs',
+        setId: 'steel',
+        rarity: 'rare',
+        armor: 3,
+        description: 'Plated greaves for the front line.',
+        emoji: '👖',
+        goldValue: 95
+    },
+    {
+        id: 'steel_sabatons',
+        name: 'Steel Sabatons',
+        type: 'armor',
+        slot: 'boots',
+        setId: 'steel',
+        rarity: 'rare',
+        armor: 3,
+        description: 'Armored footwear that rings on stone.',
+        emoji: '🥾',
+        goldValue: 80
+    },
+
+    // LEGENDARY ARMOR (Armor: 4, chest 5)
+    {
+        id: 'dragon_scale_helm',
+        name: 'Dragon Scale Helm',
+        type: 'armor',
+        slot: 'helmet',
+        setId: 'dragon_scale',
+        rarity: 'legendary',
+        armor: 4,
+        resistances: ['fire'],
+        description: 'Still warm from the dragon it came from.',
+        emoji: '🐉',
+        goldValue: 450
+    },
+    {
+        id: 'dragon_scale_armor',
+        name: 'Dragon Scale Armor',
+        type: 'armor',
+        slot: 'chest',
+        setId: 'dragon_scale',
+        rarity: 'legendary',
+        armor: 5,
+        resistances: ['fire'],
+        description: 'Armor made from dragon scales.',
+        emoji: '🐉',
+        goldValue: 600
+    },
+    {
+        id: 'dragon_scale_leggings',
+        name: 'Dragon Scale Leggings',
+        type: 'armor',
+        slot: 'legs',
+        setId: 'dragon_scale',
+        rarity: 'legendary',
+        armor: 4,
+        resistances: ['fire'],
+        description: 'Overlapping scales that shrug off fire.',
+        emoji: '🐉',
+        goldValue: 500
+    },
+    {
+        id: 'dragon_scale_boots',
+        name: 'Dragon Scale Boots',
+        type: 'armor',
+        slot: 'boots',
+        setId: 'dragon_scale',
+        rarity: 'legendary',
+        armor: 4,
+        resistances: ['fire'],
+        description: 'Clawed boots cut from a wyrm\'s hide.',
+        emoji: '🐉',
+        goldValue: 450
+    },
+
+    // MYTHICAL ARMOR (Armor: 6, chest 7)
+    {
+        id: 'crown_of_the_titans',
+        name: 'Crown of the Titans',
+        type: 'armor',
+        slot: 'helmet',
+        rarity: 'mythical',
+        armor: 6,
+        resistances: ['holy'],
+        description: 'Forged for heads larger than mountains.',
+        emoji: '👑',
+        goldValue: 2000
+    },
+    {
+        id: 'godlike_armor',
+        name: 'Godlike Armor',
+        type: 'armor',
+        slot: 'chest',
+        rarity: 'mythical',
+        armor: 7,
+        resistances: ['shadow', 'holy'],
+        description: 'Divine protection from the gods.',
+        emoji: '✨',
+        goldValue: 2500
+    }
+];
+
+/**
+ * Get armor by ID
+ */
+function getArmorById(armorId) {
+    return armorData.find(armor => armor.id === armorId);
+}
+
+/**
+ * Get armor by rarity
+ */
+function getArmorByRarity(rarity) {
+    return armorData.filter(armor => armor.rarity === rarity);
+}
+
+/**
+ * Get armor by slot
+ */
+function getArmorBySlot(slot) {
+    return armorData.filter(armor => armor.slot === slot);
+}
+
+export {
+    getArmorById,
+    getArmorByRarity,
+    getArmorBySlot
+};
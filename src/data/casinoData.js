@@ -0,0 +1,164 @@
+/**
+ * Casino Data for Dungeonites Heroes Challenge
+ * Game definitions, paytables and payout math
+ * Every payout is derived from the house edge so each game returns (100 - edge)% of wagers on average
+ */
+
+export const CASINO_GAMES = {
+    coinflip: { id: 'coinflip', name: 'Coin Flip', emoji: '🪙', description: 'Heads or tails - double or nothing' },
+    dice: { id: 'dice', name: 'Dice', emoji: '🎲', description: 'Roll under your target - lower odds pay more' },
+    highlow: { id: 'highlow', name: 'High-Low', emoji: '🃏', description: 'Call the next card and cash out your streak' },
+    slots: { id: 'slots', name: 'Slots', emoji: '🎰', description: 'Spin three reels for a matching line' }
+};
+
+export const CASINO_DIVISIONS = {
+    gold: { name: 'Gold Division', currency: 'gold', emoji: '🟨' },
+    tokens: { name: 'Token Division', currency: 'tokens', emoji: '🎫' },
+    dng: { name: 'DNG Division', currency: 'dng', emoji: '🔸' },
+    hero: { name: 'Hero Division', currency: 'hero', emoji: '🦸' },
+    eth: { name: 'ETH Division', currency: 'eth', emoji: '💎' }
+};
+
+// House edge in percent - overridden per division by the casino_house_edge_<division> setting
+export const DEFAULT_HOUSE_EDGE = {
+    gold: 2,
+    tokens: 2,
+    dng: 2,
+    hero: 2,
+    eth: 1
+};
+
+// Win chances (in percent) offered for roll-under dice
+export const DICE_CHANCES = [10, 25, 50, 75, 90];
+
+export const CARD_RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+// Reel symbols; `three` is the relative payout for three of a kind before the house edge is applied
+export const SLOT_SYMBOLS = [
+    { id: 'cherry', emoji: '🍒', weight: 30, three: 2 },
+    { id: 'lemon', emoji: '🍋', weight: 25, three: 4 },
+    { id: 'bell', emoji: '🔔', weight: 20, three: 8 },
+    { id: 'diamond', emoji: '💎', weight: 15, three: 20 },
+    { id: 'seven', emoji: '7️⃣', weight: 10, three: 60 }
+];
+
+// Relative payout for exactly two matching symbols
+export const SLOT_PAIR_PAYOUT = 1;
+
+export const SLOT_REELS = 3;
+
+/**
+ * Multiplier paid on a win of the given probability
+ * Rounded down to 4 decimals so rounding never favours the player
+ */
+function applyHouseEdge(probability, houseEdge) {
+    return Math.floor((1 - houseEdge / 100) / probability * 10000) / 10000;
+}
+
+/**
+ * Dice roll from a float - 0.00 to 99.99 in 10,000 equal steps
+ */
+function rollDice(float) {
+    return Math.floor(float * 10000) / 100;
+}
+
+/**
+ * Multiplier for rolling under the chosen chance
+ */
+function getDiceMultiplier(chance, houseEdge) {
+    return applyHouseEdge(chance / 100, houseEdge);
+}
+
+/**
+ * Card rank (1 = Ace ... 13 = King) from a float; every draw comes from a fresh deck
+ */
+function drawCard(float) {
+    return Math.floor(float * CARD_RANKS.length) + 1;
+}
+
+/**
+ * Chance that the next card is strictly higher or lower than the current rank - ties lose
+ */
+function getHighLowChance(rank, guess) {
+    const winning = guess === 'higher' ? CARD_RANKS.length - rank : rank - 1;
+    return winning / CARD_RANKS.length;
+}
+
+/**
+ * Multiplier for a correct high-low guess, or null when the guess can't win
+ */
+function getHighLowMultiplier(rank, guess, houseEdge) {
+    const chance = getHighLowChance(rank, guess);
+    return chance > 0 ? applyHouseEdge(chance, houseEdge) : null;
+}
+
+/**
+ * Scale the relative slot payouts so the machine returns (100 - edge)% of wagers
+ */
+function getSlotsPaytable(houseEdge) {
+    const totalWeight = SLOT_SYMBOLS.reduce((sum, symbol) => sum + symbol.weight, 0);
+
+    let relativeReturn = 0;
+    for (const symbol of SLOT_SYMBOLS) {
+        const p = symbol.weight / totalWeight;
+        relativeReturn += Math.pow(p, 3) * symbol.three;
+        relativeReturn += 3 * Math.pow(p, 2) * (1 - p) * SLOT_PAIR_PAYOUT;
+    }
+
+    const scale = (1 - houseEdge / 100) / relativeReturn;
+    const round = multiplier => Math.floor(multiplier * 10000) / 10000;
+
+    return {
+        three: Object.fromEntries(SLOT_SYMBOLS.map(symbol => [symbol.id, round(symbol.three * scale)])),
+        pair: round(SLOT_PAIR_PAYOUT * scale)
+    };
+}
+
+/**
+ * Map one float per reel onto weighted symbols
+ */
+function spinReels(floats) {
+    const totalWeight = SLOT_SYMBOLS.reduce((sum, symbol) => sum + symbol.weight, 0);
+
+    return floats.slice(0, SLOT_REELS).map(float => {
+        let target = float * totalWeight;
+        for (const symbol of SLOT_SYMBOLS) {
+            target -= symbol.weight;
+            if (target < 0) return symbol;
+        }
+        return SLOT_SYMBOLS[SLOT_SYMBOLS.length - 1];
+    });
+}
+
+/**
+ * Multiplier paid for a spin, 0 when nothing matches
+ */
+function getSlotsMultiplier(reels, paytable) {
+    const counts = new Map();
+    reels.forEach(symbol => counts.set(symbol.id, (counts.get(symbol.id) || 0) + 1));
+
+    const [id, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (count === 3) return paytable.three[id];
+    if (count === 2) return paytable.pair;
+    return 0;
+}
+
+/**
+ * Payout for a wager at a multiplier, rounded down to whole currency
+ */
+function getPayout(wager, multiplier) {
+    return Math.floor(wager * multiplier);
+}
+
+export {
+    applyHouseEdge,
+    rollDice,
+    getDiceMultiplier,
+    drawCard,
+    getHighLowChance,
+    getHighLowMultiplier,
+    getSlotsPaytable,
+    spinReels,
+    getSlotsMultiplier,
+    getPayout
+};
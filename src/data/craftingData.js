@@ -0,0 +1,249 @@
+/**
+ * Crafting Data for Dungeonites Heroes Challenge
+ * Materials, salvage yields, recipes and rarity upgrades
+ * Add new recipes here - the crafting handler reads everything from this file
+ */
+
+import { weaponsData, getWeaponById } from './weaponsData.js';
+import { armorData, getArmorById } from './armorData.js';
+
+export const RARITY_ORDER = ['common', 'uncommon', 'rare', 'legendary', 'mythical'];
+
+// Materials come from salvaging; shards and scrolls are catalysts found in dungeons and sold in the store at goldValue
+export const craftingMaterials = [
+    {
+        id: 'scrap_metal',
+        name: 'Scrap Metal',
+        category: 'materials',
+        rarity: 'common',
+        emoji: '🔩',
+        description: 'Bent nails and broken blades, ready for the forge.'
+    },
+    {
+        id: 'tempered_ingot',
+        name: 'Tempered Ingot',
+        category: 'materials',
+        rarity: 'uncommon',
+        emoji: '🧱',
+        description: 'A bar of well-worked steel.'
+    },
+    {
+        id: 'arcane_dust',
+        name: 'Arcane Dust',
+        category: 'materials',
+        rarity: 'rare',
+        emoji: '✨',
+        description: 'Glittering residue left when enchanted gear is broken down.'
+    },
+    {
+        id: 'mythril_core',
+        name: 'Mythril Core',
+        category: 'materials',
+        rarity: 'legendary',
+        emoji: '💠',
+        description: 'The unbreakable heart of a legendary item.'
+    },
+    {
+        id: 'void_essence',
+        name: 'Void Essence',
+        category: 'materials',
+        rarity: 'mythical',
+        emoji: '🌌',
+        description: 'A sliver of something that should not exist.'
+    },
+    {
+        id: 'health_shard',
+        name: 'Health Shard',
+        category: 'shards',
+        rarity: 'uncommon',
+        emoji: '💎',
+        description: 'A crystal pulsing with vitality.',
+        goldValue: 40
+    },
+    {
+        id: 'mana_shard',
+        name: 'Mana Shard',
+        category: 'shards',
+        rarity: 'uncommon',
+        emoji: '💎',
+        description: 'A crystal humming with magic.',
+        goldValue: 40
+    },
+    {
+        id: 'scroll_of_fire',
+        name: 'Scroll of Fire',
+        category: 'scrolls',
+        rarity: 'uncommon',
+        emoji: '📜',
+        description: 'Binds the fury of flame into a crafted item.',
+        goldValue: 60
+    },
+    {
+        id: 'scroll_of_frost',
+        name: 'Scroll of Frost',
+        category: 'scrolls',
+        rarity: 'uncommon',
+        emoji: '📜',
+        description: 'Binds the bite of winter into a crafted item.',
+        goldValue: 60
+    },
+    {
+        id: 'enchantment_scroll',
+        name: 'Enchantment Scroll',
+        category: 'scrolls',
+        rarity: 'rare',
+        emoji: '📜',
+        description: 'Steadies the hand during a risky upgrade.',
+        goldValue: 150
+    }
+];
+
+// Materials returned when salvaging a weapon or armor piece of each rarity
+export const salvageYields = {
+    common: [{ id: 'scrap_metal', quantity: 2 }],
+    uncommon: [{ id: 'scrap_metal', quantity: 3 }, { id: 'tempered_ingot', quantity: 1 }],
+    rare: [{ id: 'tempered_ingot', quantity: 2 }, { id: 'arcane_dust', quantity: 1 }],
+    legendary: [{ id: 'arcane_dust', quantity: 3 }, { id: 'mythril_core', quantity: 1 }],
+    mythical: [{ id: 'mythril_core', quantity: 2 }, { id: 'void_essence', quantity: 1 }]
+};
+
+export const craftingRecipes = [
+    // Material refinement
+    {
+        id: 'refine_tempered_ingot',
+        name: 'Refine Tempered Ingot',
+        inputs: [{ id: 'scrap_metal', quantity: 5 }],
+        gold: 0,
+        output: { id: 'tempered_ingot', quantity: 1 }
+    },
+    {
+        id: 'refine_arcane_dust',
+        name: 'Distill Arcane Dust',
+        inputs: [{ id: 'tempered_ingot', quantity: 3 }, { id: 'mana_shard', quantity: 1 }],
+        gold: 25,
+        output: { id: 'arcane_dust', quantity: 1 }
+    },
+
+    // Weapons
+    {
+        id: 'craft_iron_sword',
+        name: 'Forge Iron Sword',
+        inputs: [{ id: 'scrap_metal', quantity: 4 }, { id: 'tempered_ingot', quantity: 1 }],
+        gold: 10,
+        output: { id: 'iron_sword', quantity: 1 }
+    },
+    {
+        id: 'craft_longbow',
+        name: 'String Longbow',
+        inputs: [{ id: 'scrap_metal', quantity: 3 }, { id: 'tempered_ingot', quantity: 2 }],
+        gold: 15,
+        output: { id: 'longbow', quantity: 1 }
+    },
+    {
+        id: 'craft_steel_sword',
+        name: 'Forge Steel Sword',
+        inputs: [{ id: 'tempered_ingot', quantity: 4 }, { id: 'health_shard', quantity: 1 }],
+        gold: 40,
+        output: { id: 'steel_sword', quantity: 1 }
+    },
+    {
+        id: 'craft_elven_bow',
+        name: 'Craft Elven Bow',
+        inputs: [{ id: 'tempered_ingot', quantity: 3 }, { id: 'arcane_dust', quantity: 1 }, { id: 'scroll_of_frost', quantity: 1 }],
+        gold: 50,
+        output: { id: 'elven_bow', quantity: 1 }
+    },
+    {
+        id: 'craft_adept_staff',
+        name: 'Carve Adept Staff',
+        inputs: [{ id: 'arcane_dust', quantity: 2 }, { id: 'mana_shard', quantity: 1 }],
+        gold: 50,
+        output: { id: 'adept_staff', quantity: 1 }
+    },
+    {
+        id: 'craft_dragon_slayer_sword',
+        name: 'Forge Dragon Slayer Sword',
+        inputs: [{ id: 'mythril_core', quantity: 2 }, { id: 'arcane_dust', quantity: 4 }, { id: 'scroll_of_fire', quantity: 1 }],
+        gold: 250,
+        output: { id: 'dragon_slayer_sword', quantity: 1 }
+    }
+];
+
+// Cost and odds of raising an item from each rarity to the next
+// On failure the materials and gold are spent but the item is kept
+export const upgradePaths = {
+    common: { next: 'uncommon', successChance: 0.8, inputs: [{ id: 'scrap_metal', quantity: 3 }], gold: 10 },
+    uncommon: { next: 'rare', successChance: 0.6, inputs: [{ id: 'tempered_ingot', quantity: 2 }], gold: 40 },
+    rare: { next: 'legendary', successChance: 0.35, inputs: [{ id: 'arcane_dust', quantity: 3 }, { id: 'enchantment_scroll', quantity: 1 }], gold: 150 },
+    legendary: { next: 'mythical', successChance: 0.15, inputs: [{ id: 'mythril_core', quantity: 2 }, { id: 'void_essence', quantity: 1 }], gold: 500 }
+};
+
+/**
+ * Get a crafting material, shard or scroll by ID
+ */
+function getMaterialById(materialId) {
+    return craftingMaterials.find(material => material.id === materialId);
+}
+
+/**
+ * Get a recipe by ID
+ */
+function getRecipeById(recipeId) {
+    return craftingRecipes.find(recipe => recipe.id === recipeId);
+}
+
+/**
+ * Get the display name of any craftable or consumable item ID
+ */
+function getCraftingItemName(itemId) {
+    return getMaterialById(itemId)?.name || getWeaponById(itemId)?.name || itemId;
+}
+
+/**
+ * Build a fresh inventory entry for a recipe output
+ * Returns { category, item } or null for unknown IDs
+ */
+function createCraftedItem(itemId) {
+    const material = getMaterialById(itemId);
+    if (material) {
+        const { category, ...item } = material;
+        return { category, item: { ...item, type: 'material' } };
+    }
+
+    const weapon = getWeaponById(itemId);
+    if (weapon) {
+        return { category: 'weapons', item: { ...weapon } };
+    }
+
+    return null;
+}
+
+/**
+ * Pick the weapon an upgraded weapon becomes
+ * Prefers the same weapon type; monster attacks and tester items (no gold value) are never rolled
+ */
+function getUpgradeWeapon(weapon, nextRarity, random = Math.random) {
+    const candidates = weaponsData.filter(candidate => candidate.rarity === nextRarity && candidate.goldValue > 0);
+    const sameType = candidates.filter(candidate => candidate.weaponType === weapon.weaponType);
+    const pool = sameType.length > 0 ? sameType : candidates;
+    return pool.length > 0 ? pool[Math.floor(random() * pool.length)] : null;
+}
+
+/**
+ * Pick the armor piece an upgraded armor piece becomes
+ * Always a piece for the same slot; tester items (no gold value) are never rolled
+ */
+function getUpgradeArmor(armor, nextRarity, random = Math.random) {
+    const slot = armor.slot || getArmorById(armor.id)?.slot;
+    const pool = armorData.filter(candidate => candidate.rarity === nextRarity && candidate.slot === slot && candidate.goldValue > 0);
+    return pool.length > 0 ? pool[Math.floor(random() * pool.length)] : null;
+}
+
+export {
+    getMaterialById,
+    getRecipeById,
+    getCraftingItemName,
+    createCraftedItem,
+    getUpgradeWeapon,
+    getUpgradeArmor
+};
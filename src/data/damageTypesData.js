@@ -0,0 +1,24 @@
+/**
+ * Damage Types Data for Dungeonites Heroes Challenge
+ * Every weapon, ability and spell deals one damage type; monsters and armor
+ * declare which types they resist or are weak to
+ */
+
+export const DAMAGE_TYPES = {
+    physical: { name: 'Physical', emoji: '⚔️' },
+    fire: { name: 'Fire', emoji: '🔥' },
+    frost: { name: 'Frost', emoji: '❄️' },
+    poison: { name: 'Poison', emoji: '🧪' },
+    shadow: { name: 'Shadow', emoji: '🌑' },
+    holy: { name: 'Holy', emoji: '✨' }
+};
+
+// Used by anything that doesn't declare a damage type
+export const DEFAULT_DAMAGE_TYPE = 'physical';
+
+// Damage type an ability rolls at cast time (e.g. Elemental Fury)
+export const RANDOM_DAMAGE_TYPE = 'random';
+export const ELEMENTAL_DAMAGE_TYPES = ['fire', 'frost', 'poison', 'shadow', 'holy'];
+
+export const WEAKNESS_MULTIPLIER = 1.5;
+export const RESISTANCE_MULTIPLIER = 0.5;
@@ -16,6 +16,9 @@ export const monstersData = [
         abilities: [],
         spells: [],
         specialMoves: [],
+        behavior: 'aggressive',
+        resistances: [],
+        weaknesses: ['fire'],
         emoji: '🐀',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697027209367562/Screenshot_2025-03-19_092009.png?ex=67e291b4&is=67e14034&hm=b75f87b1f3ba5b82ad0ced8e517feab69078e7d3934db18a59217fe25cac613d&=&format=webp&quality=lossless&width=819&height=517'
     },
@@ -31,6 +34,9 @@ export const monstersData = [
         abilities: [],
         spells: [],
         specialMoves: [],
+        behavior: 'aggressive',
+        resistances: [],
+        weaknesses: ['holy'],
         emoji: '🦇',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697027603501076/Screenshot_2025-03-19_092133.png?ex=67e291b4&is=67e14034&hm=c0ab61d2a33d734a947448116adc64b6dd454b4cea441705f59085c718b2ea30&=&format=webp&quality=lossless&width=820&height=609'
     },
@@ -45,7 +51,10 @@ export const monstersData = [
         weapons: ['bone_club', 'rusted_sword'],
         abilities: [],
         spells: [],
-        specialMoves: [],
+        specialMoves: ['bone_crush'],
+        behavior: 'aggressive',
+        resistances: ['poison', 'shadow'],
+        weaknesses: ['holy'],
         emoji: '💀',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697027943235614/Screenshot_2025-03-19_092232.png?ex=67e291b4&is=67e14034&hm=f9007c2afca485cebcabbf0612e1d2b8f22f8bb30440e6ee730ebe77ea975e88&=&format=webp&quality=lossless&width=737&height=580'
     },
@@ -61,6 +70,9 @@ export const monstersData = [
         abilities: [],
         spells: ['ancient_curse'],
         specialMoves: [],
+        behavior: 'caster',
+        resistances: ['poison', 'shadow'],
+        weaknesses: ['fire'],
         emoji: '🧟',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697028299620392/Screenshot_2025-03-19_092357.png?ex=67e291b4&is=67e14034&hm=189d266464778afbf91dbe088e0b66cdc88e8cd223fee730c25538ca34dd1b70&=&format=webp&quality=lossless&width=722&height=573'
     },
@@ -76,6 +88,9 @@ export const monstersData = [
         abilities: ['accepting_fate'],
         spells: ['soul_drain', 'death_bolt'],
         specialMoves: [],
+        behavior: 'caster',
+        resistances: ['shadow'],
+        weaknesses: ['holy'],
         emoji: '🧙‍♂️',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697030744899595/Screenshot_2025-03-19_093101.png?ex=67e291b5&is=67e14035&hm=49e41bfa346ded8b3b1477babbfa97f293b929498aacbfdc523b919cb92eacbb&=&format=webp&quality=lossless&width=741&height=604'
     },
@@ -91,6 +106,9 @@ export const monstersData = [
         abilities: ['dodge'],
         spells: [],
         specialMoves: ['dirty_trick'],
+        behavior: 'aggressive',
+        resistances: [],
+        weaknesses: ['fire'],
         emoji: '👺',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697029151330406/Screenshot_2025-03-19_092629.png?ex=67e291b5&is=67e14035&hm=fbba36ea7a03d3a7f01bfd0bb743d58ad74bea8a4d7ac220e1bdf67a517ee580&=&format=webp&quality=lossless&width=804&height=593'
     },
@@ -105,7 +123,10 @@ export const monstersData = [
         weapons: ['orc_sword', 'orc_longbow'],
         abilities: ['dodge', 'counter', 'rage_toss'],
         spells: ['war_cry'],
-        specialMoves: [],
+        specialMoves: ['brutal_slam'],
+        behavior: 'berserker',
+        resistances: ['poison'],
+        weaknesses: ['frost'],
         emoji: '👹',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697030023741520/Screenshot_2025-03-19_092900.png?ex=67e291b5&is=67e14035&hm=390514a91a493c4262b1181c64bb19d8cdeadde1f1635dcc1d193f5f48f2922e&=&format=webp&quality=lossless&width=805&height=592'
     },
@@ -121,6 +142,9 @@ export const monstersData = [
         abilities: ['dodge', 'counter', 'silence', 'accepting_fate'],
         spells: [],
         specialMoves: ['blood_drain'],
+        behavior: 'berserker',
+        resistances: ['shadow'],
+        weaknesses: ['holy', 'fire'],
         emoji: '🧛',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697030367416350/Screenshot_2025-03-19_092952.png?ex=67e291b5&is=67e14035&hm=90035dce76f49be080806228770d65ab9adcde98767ed430d24e4115699255b2&=&format=webp&quality=lossless&width=804&height=598'
     },
@@ -136,6 +160,9 @@ export const monstersData = [
         abilities: ['dodge', 'silence'],
         spells: ['soul_harvest', 'heal'],
         specialMoves: [],
+        behavior: 'healer',
+        resistances: ['shadow', 'frost'],
+        weaknesses: ['holy'],
         emoji: '🧙‍♀️',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697136193900585/Screenshot_2025-03-19_093121.png?ex=67e291ce&is=67e1404e&hm=b457aab3abd7a38b36d1e2f3b636ccb48f1ef44d1a5ab0c071cf1184aa49c66f&=&format=webp&quality=lossless&width=798&height=595'
     },
@@ -150,7 +177,10 @@ export const monstersData = [
         weapons: ['tail_sweep', 'poison_breath'],
         abilities: ['dodge', 'counter', 'silence'],
         spells: ['heal', 'wyverns_breath'],
-        specialMoves: [],
+        specialMoves: ['fire_spit'],
+        behavior: 'aggressive',
+        resistances: ['fire', 'poison'],
+        weaknesses: ['frost'],
         emoji: '🐉',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697136613326889/Screenshot_2025-03-19_093233.png?ex=67e291ce&is=67e1404e&hm=2b90b1579c79d7c68b1603ac893681dc26c7831dafd1d1e39bac7adb02faab7f&=&format=webp&quality=lossless&width=780&height=573'
     },
@@ -166,6 +196,9 @@ export const monstersData = [
         abilities: ['silence'],
         spells: ['heal'],
         specialMoves: [],
+        behavior: 'healer',
+        resistances: ['physical', 'poison'],
+        weaknesses: ['fire'],
         emoji: '🟢',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697137649319986/Screenshot_2025-03-19_093442.png?ex=67e291ce&is=67e1404e&hm=3dde36ccc48a96edc3c5b41e50f8aa4d37fa3191b25a1cd7873d3f30756e8c8d&=&format=webp&quality=lossless&width=677&height=567'
     },
@@ -180,7 +213,10 @@ export const monstersData = [
         weapons: ['stone_strike', 'wing_slash'],
         abilities: ['dodge', 'silence'],
         spells: ['heal'],
-        specialMoves: [],
+        specialMoves: ['bone_crush'],
+        behavior: 'defensive',
+        resistances: ['physical', 'shadow'],
+        weaknesses: ['holy'],
         emoji: '🗿',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697138060365916/Screenshot_2025-03-19_093559.png?ex=67e291cf&is=67e1404f&hm=ec64c6d43f3a62134a963e3fd9382775d7d59c1b03f2182efd9a405c0d554a46&=&format=webp&quality=lossless&width=760&height=616'
     },
@@ -196,6 +232,9 @@ export const monstersData = [
         abilities: ['dodge', 'counter', 'silence'],
         spells: ['heal'],
         specialMoves: ['talon_dive'],
+        behavior: 'aggressive',
+        resistances: [],
+        weaknesses: ['fire'],
         emoji: '🦅',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697138450432010/Screenshot_2025-03-19_093724.png?ex=67e291cf&is=67e1404f&hm=b77fc35b23068bc12d8f9dfaf047d369f1d4cd5a01dad2189164ddbb17782bae&=&format=webp&quality=lossless&width=818&height=589'
     },
@@ -211,6 +250,9 @@ export const monstersData = [
         abilities: ['dodge', 'counter', 'silence', 'accepting_fate'],
         spells: ['rising_flames'],
         specialMoves: ['infernal_dive'],
+        behavior: 'caster',
+        resistances: ['fire', 'holy'],
+        weaknesses: ['frost'],
         emoji: '🔥',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697138903683142/Screenshot_2025-03-19_093829.png?ex=67e291cf&is=67e1404f&hm=ccf46fd8f9d07a8c4740c5d27946792936e625eea34a206a75d65d57df2b79d9&=&format=webp&quality=lossless&width=809&height=585'
     },
@@ -226,6 +268,9 @@ export const monstersData = [
         abilities: ['dodge', 'counter', 'silence', 'accepting_fate'],
         spells: [],
         specialMoves: ['shadow_strike'],
+        behavior: 'defensive',
+        resistances: ['shadow'],
+        weaknesses: ['holy'],
         emoji: '🧝‍♀️',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697139499139202/Screenshot_2025-03-19_094034.png?ex=67e291cf&is=67e1404f&hm=4d95658cc0024d1e43de16a89a279b12b1e7e08e5473b5512a84309cb826b37d&=&format=webp&quality=lossless&width=807&height=587'
     },
@@ -241,6 +286,9 @@ export const monstersData = [
         abilities: [],
         spells: ['heal'],
         specialMoves: ['seismic_slam'],
+        behavior: 'berserker',
+        resistances: ['physical', 'poison'],
+        weaknesses: ['frost'],
         emoji: '🪨',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697140107186289/Screenshot_2025-03-19_094129.png?ex=67e291cf&is=67e1404f&hm=e208e41fb5ea58e6cc03c7c2c0014f73dad84cd2eb12aa0f9de1a2f35827164e&=&format=webp&quality=lossless&width=799&height=590'
     },
@@ -255,7 +303,10 @@ export const monstersData = [
         weapons: ['tornado_spin'],
         abilities: ['dodge', 'counter'],
         spells: ['lightning_strike'],
-        specialMoves: [],
+        specialMoves: ['sonic_shriek'],
+        behavior: 'defensive',
+        resistances: ['physical', 'poison'],
+        weaknesses: ['frost'],
         emoji: '💨',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697140656898140/Screenshot_2025-03-19_094226.png?ex=67e291cf&is=67e1404f&hm=6429e781c3e94ad7b2820ce4ec75d637c36739fa88f32acf5123c81644782069&=&format=webp&quality=lossless&width=778&height=604'
     },
@@ -271,6 +322,9 @@ export const monstersData = [
         abilities: ['silence'],
         spells: ['death_ray', 'mind_blast', 'heal', 'frost_touch'],
         specialMoves: [],
+        behavior: 'caster',
+        resistances: ['shadow'],
+        weaknesses: ['holy'],
         emoji: '👁️',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1353837987837902878/image.png?ex=67e31b61&is=67e1c9e1&hm=3d273c5460713710606995e8124ecf0cd7171fa00ceb4f6db7da3b43ae053442&=&format=webp&quality=lossless&width=829&height=583'
     },
@@ -286,6 +340,9 @@ export const monstersData = [
         abilities: [],
         spells: [],
         specialMoves: [],
+        behavior: 'aggressive',
+        resistances: [],
+        weaknesses: [],
         emoji: '🐰',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697185900597371/Screenshot_2025-03-19_094623.png?ex=67e291da&is=67e1405a&hm=9e31748f011e07aae9413f9cd7aa2e9fb19089f85458c197ed622ee85f5e9a08&=&format=webp&quality=lossless&width=709&height=556'
     },
@@ -300,7 +357,10 @@ export const monstersData = [
         weapons: ['bite', 'claw', 'tail_crush'],
         abilities: ['roar', 'wing_buffet'],
         spells: ['fire_breath', 'inferno', 'meteor_strike'],
-        specialMoves: [],
+        specialMoves: ['fire_spit'],
+        behavior: 'berserker',
+        resistances: ['fire', 'shadow'],
+        weaknesses: ['frost'],
         emoji: '🐲',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1351697186798305320/Screenshot_2025-03-19_094803.png?ex=67e291da&is=67e1405a&hm=818f099bdf84cda823f94fd94a9748e65f347be031596de7adfcc05b07191158&=&format=webp&quality=lossless&width=816&height=592',
         rewards: {
@@ -319,7 +379,10 @@ export const monstersData = [
         weapons: ['venomous_bite', 'tornado_spin'],
         abilities: ['dodge', 'counter', 'silence', 'lucky_guy'],
         spells: ['death_bolt'],
-        specialMoves: [],
+        specialMoves: ['venom_arrow'],
+        behavior: 'defensive',
+        resistances: ['physical'],
+        weaknesses: ['fire'],
         emoji: '📦',
         imageUrl: 'https://media.discordapp.net/attachments/1351696887165616169/1354339210370220042/image.png?ex=67e4ee2e&is=67e39cae&hm=97cb02a715f7793c551160f522a4999662531d2c10fd02e93152ff89be3978b8&=&format=webp&quality=lossless&width=808&height=581',
         rewards: {
@@ -328,6 +391,38 @@ export const monstersData = [
     }
 ];
 
+/**
+ * Monster behavior profiles
+ * Weights are per action category and shared between the actions in it, so a
+ * monster with four abilities doesn't use them four times as often. Below
+ * lowHealth.below (fraction of max health) the lowHealth weights take over.
+ * Healing spells are only considered below healBelow.
+ */
+export const MONSTER_BEHAVIORS = {
+    aggressive: {
+        weights: { weapon: 6, special: 3, ability: 1, spell: 2 },
+        healBelow: 0.3
+    },
+    defensive: {
+        weights: { weapon: 3, special: 1, ability: 5, spell: 2 },
+        healBelow: 0.5
+    },
+    caster: {
+        weights: { weapon: 1, special: 2, ability: 2, spell: 6 },
+        healBelow: 0.5
+    },
+    healer: {
+        weights: { weapon: 3, special: 1, ability: 2, spell: 3 },
+        healBelow: 0.75,
+        lowHealth: { below: 0.4, weights: { weapon: 1, special: 1, ability: 2, spell: 8 } }
+    },
+    berserker: {
+        weights: { weapon: 5, special: 2, ability: 2, spell: 2 },
+        healBelow: 0,
+        lowHealth: { below: 0.35, weights: { weapon: 6, special: 8, ability: 0, spell: 3 } }
+    }
+};
+
 /**
  * Get monster by ID
  */
@@ -0,0 +1,269 @@
+/**
+ * Spells Data for Dungeonites Heroes Challenge
+ * Based on RULES.txt specifications, keyed by spell id
+ */
+
+export const spellsData = {
+    // Common Spells
+    'heal': { 
+        damage: 0, 
+        damageType: 'holy', 
+        manaCost: 1, 
+        healing: 2, 
+        rarity: 'common',
+        description: 'Heals 2 health'
+    },
+    
+    // Uncommon Spells
+    'ancient_curse': { 
+        damage: 2, 
+        damageType: 'shadow', 
+        manaCost: 2, 
+        rarity: 'uncommon',
+        effects: [{ type: 'decay', chance: 30 }],
+        description: '30% chance of decay'
+    },
+    'frost_touch': { 
+        damage: 2, 
+        damageType: 'frost', 
+        manaCost: 2, 
+        rarity: 'uncommon',
+        effects: [{ type: 'frozen', chance: 100 }],
+        description: 'Freezes enemy'
+    },
+    'blizzard': { 
+        damage: 2, 
+        damageType: 'frost', 
+        manaCost: 4, 
+        rarity: 'uncommon',
+        effects: [{ type: 'frozen', chance: 100 }],
+        description: 'Freezes enemy'
+    },
+    
+    // Rare Spells
+    'soul_drain': { 
+        damage: 3, 
+        damageType: 'shadow', 
+        manaCost: 2, 
+        rarity: 'rare',
+        effects: [{ type: 'health_drain', chance: 50 }],
+        description: '50% chance of health drain'
+    },
+    'death_bolt': { 
+        damage: 3, 
+        damageType: 'shadow', 
+        manaCost: 2, 
+        rarity: 'rare',
+        description: 'Pure damage spell'
+    },
+    'war_cry': { 
+        damage: 3, 
+        damageType: 'physical', 
+        manaCost: 2, 
+        rarity: 'rare',
+        effects: [{ type: 'enraged', chance: 100 }],
+        description: 'Enrages caster'
+    },
+    'wyverns_breath': { 
+        damage: 3, 
+        damageType: 'fire', 
+        manaCost: 3, 
+        rarity: 'rare',
+        effects: [{ type: 'burning', chance: 100 }],
+        description: 'Burning effect'
+    },
+    'ground_stomp': { 
+        damage: 3, 
+        damageType: 'physical', 
+        manaCost: 3, 
+        rarity: 'rare',
+        effects: [{ type: 'stunned', chance: 50 }],
+        description: '50% chance to stun'
+    },
+    'rage': { 
+        damage: 3, 
+        damageType: 'physical', 
+        manaCost: 2, 
+        rarity: 'rare',
+        effects: [{ type: 'enraged', chance: 100 }],
+        description: 'Enrages caster'
+    },
+    
+    // Epic Spells
+    'firestorm': { 
+        damage: 4, 
+        damageType: 'fire', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'burning', chance: 100 }],
+        description: 'Burns enemy'
+    },
+    'healing_rain': { 
+        damage: 0, 
+        damageType: 'holy', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'healing_rain', chance: 100 }],
+        description: 'Healing rain effect'
+    },
+    'mana_rain': { 
+        damage: 0, 
+        damageType: 'holy', 
+        manaCost: 0, 
+        rarity: 'epic',
+        effects: [{ type: 'mana_rain', chance: 100 }],
+        description: 'Single use mana rain effect'
+    },
+    'sacrificial_unholiness': { 
+        damage: 3, 
+        damageType: 'shadow', 
+        manaCost: 0, 
+        healthCost: 3, 
+        rarity: 'epic',
+        description: 'Deals 3 damage to both caster and target'
+    },
+    'soul_harvest': { 
+        damage: 4, 
+        damageType: 'shadow', 
+        manaCost: 3, 
+        rarity: 'epic',
+        effects: [{ type: 'health_drain', chance: 60 }],
+        description: '60% chance of health drain'
+    },
+    'rising_flames': { 
+        damage: 4, 
+        damageType: 'fire', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'burning', chance: 60 }],
+        description: '60% chance to burn'
+    },
+    'lightning_strike': { 
+        damage: 4, 
+        damageType: 'holy', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'paralyzed', chance: 70 }],
+        description: '70% chance to paralyze'
+    },
+    'death_ray': { 
+        damage: 5, 
+        damageType: 'shadow', 
+        manaCost: 5, 
+        rarity: 'epic',
+        description: 'Pure damage spell'
+    },
+    'mind_blast': { 
+        damage: 4, 
+        damageType: 'shadow', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'stunned', chance: 60 }],
+        description: '60% chance to stun'
+    },
+    'poison_cloud': { 
+        damage: 4, 
+        damageType: 'poison', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'poison', chance: 100 }],
+        description: 'Poisons enemy'
+    },
+    'acid_breath': { 
+        damage: 4, 
+        damageType: 'poison', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'poison', chance: 60 }],
+        description: '60% chance to poison'
+    },
+    'regeneration': { 
+        damage: 0, 
+        damageType: 'holy', 
+        manaCost: 3, 
+        rarity: 'epic',
+        effects: [{ type: 'regeneration', chance: 100 }],
+        description: 'Healing effect'
+    },
+    'stone_gaze': { 
+        damage: 5, 
+        damageType: 'physical', 
+        manaCost: 5, 
+        rarity: 'epic',
+        effects: [{ type: 'petrified', chance: 40 }],
+        description: '40% chance to petrify'
+    },
+    'petrifying_scream': { 
+        damage: 4, 
+        damageType: 'physical', 
+        manaCost: 4, 
+        rarity: 'epic',
+        effects: [{ type: 'petrified', chance: 70 }],
+        description: '70% chance to petrify'
+    },
+    
+    // Legendary Spells
+    'black_dragons_breath': { 
+        damage: 5, 
+        damageType: 'fire', 
+        manaCost: 10, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 100 }],
+        description: 'Burns enemy'
+    },
+    'infernal_breath': { 
+        damage: 5, 
+        damageType: 'fire', 
+        manaCost: 7, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 80 }],
+        description: '80% chance to burn'
+    },
+    'whirlpool': { 
+        damage: 5, 
+        damageType: 'frost', 
+        manaCost: 7, 
+        rarity: 'legendary',
+        effects: [{ type: 'paralyzed', chance: 40 }],
+        description: '40% chance to paralyze'
+    },
+    'ancient_flame': { 
+        damage: 5, 
+        damageType: 'fire', 
+        manaCost: 8, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 70 }],
+        description: '70% chance to burn'
+    },
+    'dragons_roar': { 
+        damage: 5, 
+        damageType: 'fire', 
+        manaCost: 7, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 60 }],
+        description: '60% chance to burn'
+    },
+    'fire_breath': { 
+        damage: 5, 
+        damageType: 'fire', 
+        manaCost: 8, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 70 }],
+        description: '70% chance to burn'
+    },
+    'inferno': { 
+        damage: 8, 
+        damageType: 'fire', 
+        manaCost: 9, 
+        rarity: 'legendary',
+        effects: [{ type: 'burning', chance: 80 }],
+        description: 'Deals 8 damage with 80% chance to burn'
+    },
+    'meteor_strike': { 
+        damage: 10, 
+        damageType: 'fire', 
+        manaCost: 10, 
+        rarity: 'legendary',
+        description: 'Deals 10 damage to all enemies'
+    }
+};
@@ -0,0 +1,171 @@
+/**
+ * Store Data for Dungeonites Heroes Challenge
+ * Daily store slots drawn from the real weapon, armor and crafting data
+ * Prices are item goldValues before the division multiplier is applied
+ */
+
+import { weaponsData, getWeaponById } from './weaponsData.js';
+import { armorData, getArmorById } from './armorData.js';
+import { craftingMaterials, getMaterialById } from './craftingData.js';
+import { generateScaledPotion } from '../utils/potionScaling.js';
+
+// Floor used to scale store potions - 41 is the first medium floor
+const STORE_POTION_FLOOR = 41;
+
+// Potions stocked every day in every division
+export const STAPLE_POTIONS = [
+    { type: 'HEALTH', goldValue: 25 },
+    { type: 'MANA', goldValue: 30 }
+];
+
+// Rotating slots filled each day after the staple potions
+export const ROTATING_SLOTS = [
+    { pool: 'catalysts', count: 2 },
+    { pool: 'weapons', count: 3 },
+    { pool: 'armor', count: 2 }
+];
+
+// Relative chance of each rarity appearing in a division's rotation
+export const DIVISION_RARITY_WEIGHTS = {
+    gold: { common: 55, uncommon: 30, rare: 15 },
+    tokens: { common: 35, uncommon: 40, rare: 20, legendary: 5 },
+    dng: { common: 15, uncommon: 35, rare: 35, legendary: 15 },
+    hero: { uncommon: 25, rare: 40, legendary: 30, mythical: 5 },
+    eth: { rare: 40, legendary: 45, mythical: 15 }
+};
+
+// Daily stock and per-player cap of a rotating slot by rarity - staple potions are unlimited
+export const STORE_SLOT_LIMITS = {
+    common: { stock: 20, perPlayer: 5 },
+    uncommon: { stock: 12, perPlayer: 3 },
+    rare: { stock: 6, perPlayer: 2 },
+    legendary: { stock: 3, perPlayer: 1 },
+    mythical: { stock: 1, perPlayer: 1 }
+};
+
+export const STORE_POTIONS = STAPLE_POTIONS.map(({ type, goldValue }) => {
+    const { use, ...potion } = generateScaledPotion(type, STORE_POTION_FLOOR);
+    return { ...potion, rarity: 'common', goldValue };
+});
+
+// Every candidate carries the inventory category it is delivered into
+const STORE_POOLS = {
+    catalysts: craftingMaterials
+        .filter(material => material.goldValue > 0)
+        .map(material => ({ itemType: material.category, item: material })),
+    weapons: weaponsData
+        .filter(weapon => weapon.goldValue > 0)
+        .map(weapon => ({ itemType: 'weapons', item: weapon })),
+    armor: armorData.map(armor => ({ itemType: 'armor', item: armor }))
+};
+
+/**
+ * Store day (YYYY-MM-DD) - the store refreshes at 0 UTC
+ */
+function getRefreshDate(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Division price for an item, never less than 1
+ */
+function getStorePrice(goldValue, multiplier = 1) {
+    return Math.max(1, Math.ceil(goldValue * multiplier));
+}
+
+/**
+ * Pick one candidate - each rarity keeps its configured odds however many items share it.
+ * Falls back to an even pick when the pool has nothing in the division's rarities.
+ */
+function pickByRarity(candidates, weights, random) {
+    const weighted = candidates.filter(candidate => weights[candidate.item.rarity]);
+    const pool = weighted.length > 0 ? weighted : candidates;
+
+    const rarityCounts = {};
+    pool.forEach(candidate => {
+        rarityCounts[candidate.item.rarity] = (rarityCounts[candidate.item.rarity] || 0) + 1;
+    });
+
+    const weightOf = candidate => weighted.length > 0
+        ? weights[candidate.item.rarity] / rarityCounts[candidate.item.rarity]
+        : 1;
+
+    const totalWeight = pool.reduce((sum, candidate) => sum + weightOf(candidate), 0);
+    let target = random() * totalWeight;
+    for (const candidate of pool) {
+        target -= weightOf(candidate);
+        if (target < 0) return candidate;
+    }
+    return pool[pool.length - 1];
+}
+
+/**
+ * Roll a division's slots for one day: staple potions first, then the rotation.
+ * Returns { slotNumber, itemType, itemId, itemName, rarity, goldValue, stock, perPlayerLimit } per slot,
+ * where a null stock or limit means unlimited.
+ */
+function rollStoreSlots(division, random = Math.random) {
+    const weights = DIVISION_RARITY_WEIGHTS[division] || DIVISION_RARITY_WEIGHTS.gold;
+    const picks = STORE_POTIONS.map(potion => ({ itemType: 'consumables', item: potion }));
+
+    for (const { pool, count } of ROTATING_SLOTS) {
+        const candidates = [...STORE_POOLS[pool]];
+        for (let i = 0; i < count && candidates.length > 0; i++) {
+            const pick = pickByRarity(candidates, weights, random);
+            candidates.splice(candidates.indexOf(pick), 1);
+            picks.push(pick);
+        }
+    }
+
+    return picks.map(({ itemType, item }, index) => {
+        const limits = itemType === 'consumables' ? null : STORE_SLOT_LIMITS[item.rarity];
+        return {
+            slotNumber: index + 1,
+            itemType,
+            itemId: item.id,
+            itemName: item.name,
+            rarity: item.rarity,
+            goldValue: item.goldValue,
+            stock: limits?.stock ?? null,
+            perPlayerLimit: limits?.perPlayer ?? null
+        };
+    });
+}
+
+/**
+ * Build the exact item granted for a store slot
+ * Returns { category, item } or null when the item no longer exists
+ */
+function createStoreItem(itemType, itemId) {
+    let definition = null;
+
+    switch (itemType) {
+        case 'consumables':
+            definition = STORE_POTIONS.find(potion => potion.id === itemId);
+            break;
+        case 'weapons':
+            definition = getWeaponById(itemId);
+            break;
+        case 'armor':
+            definition = getArmorById(itemId);
+            break;
+        case 'shards':
+        case 'scrolls': {
+            const material = getMaterialById(itemId);
+            if (material?.category === itemType) {
+                const { category, ...item } = material;
+                definition = { ...item, type: 'material' };
+            }
+            break;
+        }
+    }
+
+    return definition ? { category: itemType, item: { ...definition } } : null;
+}
+
+export {
+    getRefreshDate,
+    getStorePrice,
+    rollStoreSlots,
+    createStoreItem
+};
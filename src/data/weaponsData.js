@@ -13,6 +13,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'holy',
         effects: [{ type: 'bleeding', chance: 100 }],
         description: 'A surprisingly valuable holy weapon that causes bleeding.',
         emoji: '✨',
@@ -25,6 +26,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'A basic sword for combat.',
         emoji: '⚔️',
@@ -37,6 +39,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'A sturdy hammer for crushing enemies.',
         emoji: '🔨',
@@ -49,6 +52,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Natural bite attack.',
         emoji: '🦷',
@@ -61,6 +65,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Sharp claws for slashing.',
         emoji: '🪶',
@@ -73,6 +78,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'An old, forgotten blade.',
         emoji: '⚔️',
@@ -85,6 +91,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Persistent gnawing attack.',
         emoji: '🦷',
@@ -97,6 +104,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Sharp wing attack.',
         emoji: '🪶',
@@ -109,6 +117,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Adorable but surprisingly effective hop attack.',
         emoji: '🐰',
@@ -121,6 +130,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'poison',
         effects: [{ type: 'poison', chance: 10 }],
         description: 'A dirty bite that can poison enemies.',
         emoji: '🦷',
@@ -133,6 +143,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'A club made of old bones.',
         emoji: '🦴',
@@ -145,6 +156,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [{ type: 'bleeding', chance: 5 }],
         description: 'A keen-edged dagger.',
         emoji: '🗡️',
@@ -159,6 +171,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'A simple wooden bow.',
         emoji: '🏹',
@@ -171,6 +184,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'common',
         damage: 1,
+        damageType: 'shadow',
         effects: [],
         description: 'A crossbow with a dark aura.',
         emoji: '🏹',
@@ -183,6 +197,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'A standard hunting bow.',
         emoji: '🏹',
@@ -195,6 +210,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         manaCost: 1,
         effects: [],
         description: 'Piercing sonic attack that uses magical energy.',
@@ -208,6 +224,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Surprisingly effective vegetable projectile.',
         emoji: '🥕',
@@ -220,6 +237,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         effects: [],
         description: 'Simple stone-throwing sling.',
         emoji: '🪨',
@@ -234,6 +252,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         manaCost: 1,
         effects: [],
         description: 'A basic magical staff.',
@@ -247,6 +266,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         manaCost: 1,
         effects: [],
         description: 'A staff used by village healers.',
@@ -260,6 +280,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'common',
         damage: 1,
+        damageType: 'physical',
         manaCost: 1,
         effects: [],
         description: 'An entry-level magical focus.',
@@ -276,6 +297,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 1, // Special: 1 extra damage per floor descended
+        damageType: 'physical',
         effects: [{ type: 'regenerating' }],
         description: 'Secret weapon with floor-based scaling damage.',
         emoji: '🗡️',
@@ -289,6 +311,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'bleeding', chance: 1 }],
         description: 'A well-forged iron blade.',
         emoji: '⚔️',
@@ -301,6 +324,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'poison', chance: 1 }],
         description: 'A crude but effective goblin weapon.',
         emoji: '⚔️',
@@ -313,6 +337,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'shadow',
         effects: [{ type: 'health_drain', chance: 1 }],
         description: 'Claws wreathed in shadow energy.',
         emoji: '🪶',
@@ -325,6 +350,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'stunned', chance: 1 }],
         description: 'Devastating bone-crushing attack.',
         emoji: '🦴',
@@ -337,6 +363,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'stunned', chance: 1 }],
         description: 'Heavy stone-based attack.',
         emoji: '🪨',
@@ -349,6 +376,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'stunned', chance: 1 }],
         description: 'A devastating slamming attack.',
         emoji: '👊',
@@ -361,6 +389,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'paralyzed', chance: 2 }],
         description: 'Constricting bandage attack.',
         emoji: '🧻',
@@ -373,6 +402,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'stunned', chance: 1 }],
         description: 'A massive, stunning hammer.',
         emoji: '🔨',
@@ -385,6 +415,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'paralyzed', chance: 3 }],
         description: 'Underhanded combat technique.',
@@ -400,6 +431,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'pierce', chance: 1 }],
         description: 'A powerful long-range bow.',
         emoji: '🏹',
@@ -412,6 +444,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         effects: [{ type: 'poison', chance: 1 }],
         description: 'Crude but poisoned goblin bow.',
         emoji: '🏹',
@@ -424,6 +457,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'fire',
         effects: [{ type: 'burning', chance: 2 }],
         description: 'Bow that shoots flaming arrows.',
         emoji: '🏹',
@@ -438,6 +472,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'stunned', chance: 1 }],
         description: 'A solid wooden magical focus.',
@@ -451,6 +486,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'paralyzed', chance: 1 }],
         description: 'Staff used by magic apprentices.',
@@ -464,6 +500,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'uncommon',
         damage: 2,
+        damageType: 'holy',
         manaCost: 1,
         effects: [{ type: 'regenerating' }],
         description: 'A staff that brings joy and healing.',
@@ -480,6 +517,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'bleeding', chance: 2 }],
         description: 'A sharp steel blade.',
         emoji: '⚔️',
@@ -492,6 +530,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'broken_armor', chance: 2 }],
         description: 'Heavy orcish weapon that breaks armor.',
         emoji: '⚔️',
@@ -504,6 +543,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'shadow',
         effects: [{ type: 'health_drain', chance: 5 }],
         description: 'Vampiric attack that drains life.',
         emoji: '🩸',
@@ -516,11 +556,51 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'bleeding', chance: 2 }],
         description: 'Diving attack with sharp talons.',
         emoji: '🦅',
         goldValue: 85
     },
+    {
+        id: 'infernal_dive',
+        name: 'Infernal Dive',
+        type: 'weapon',
+        weaponType: 'melee',
+        rarity: 'rare',
+        damage: 3,
+        damageType: 'fire',
+        effects: [{ type: 'burning', chance: 20 }],
+        description: 'Blazing plunge from above.',
+        emoji: '🔥',
+        goldValue: 90
+    },
+    {
+        id: 'shadow_strike',
+        name: 'Shadow Strike',
+        type: 'weapon',
+        weaponType: 'melee',
+        rarity: 'rare',
+        damage: 3,
+        damageType: 'shadow',
+        effects: [{ type: 'bleeding', chance: 10 }],
+        description: 'Strike from the shadows that opens deep wounds.',
+        emoji: '🗡️',
+        goldValue: 90
+    },
+    {
+        id: 'seismic_slam',
+        name: 'Seismic Slam',
+        type: 'weapon',
+        weaponType: 'melee',
+        rarity: 'rare',
+        damage: 3,
+        damageType: 'physical',
+        effects: [{ type: 'stunned', chance: 10 }],
+        description: 'Earth-shaking blow that staggers the target.',
+        emoji: '🌋',
+        goldValue: 90
+    },
     {
         id: 'axe_strike',
         name: 'Axe Strike',
@@ -528,6 +608,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 2,
         effects: [{ type: 'stunned', chance: 2 }],
         description: 'Powerful axe attack.',
@@ -541,6 +622,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'poison',
         manaCost: 1,
         effects: [{ type: 'poison', chance: 5 }],
         description: 'Venomous snake-like attack.',
@@ -554,6 +636,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'rare',
         damage: 3,
+        damageType: 'poison',
         effects: [{ type: 'poison', chance: 50 }],
         description: 'Massive poisoned hammer.',
         emoji: '🔨',
@@ -568,6 +651,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'pierce', chance: 2 }],
         description: 'A masterfully crafted composite bow.',
         emoji: '🏹',
@@ -580,6 +664,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'broken_armor', chance: 2 }],
         description: 'Heavy orcish longbow that breaks armor.',
         emoji: '🏹',
@@ -592,6 +677,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         effects: [{ type: 'pierce', chance: 2 }],
         description: 'Elegant elven bow with perfect balance.',
         emoji: '🏹',
@@ -604,6 +690,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'poison',
         manaCost: 2,
         effects: [{ type: 'poison', chance: 4 }],
         description: 'Toxic breath attack.',
@@ -617,6 +704,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'poison',
         manaCost: 2,
         effects: [{ type: 'poison', chance: 5 }],
         description: 'Corrosive acid attack.',
@@ -630,6 +718,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 2,
         effects: [{ type: 'stunned', chance: 4 }],
         description: 'Piercing shriek that stuns enemies.',
@@ -643,6 +732,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 2,
         effects: [{ type: 'stunned', chance: 2 }],
         description: 'Barrage of stone projectiles.',
@@ -656,6 +746,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'fire',
         manaCost: 1,
         effects: [{ type: 'burning', chance: 30 }],
         description: 'Spits fire at enemies.',
@@ -669,6 +760,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         healthCost: 2,
         effects: [{ type: 'stunned', chance: 2 }],
         description: 'Hurls body like a boulder, damaging self.',
@@ -682,6 +774,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'rare',
         damage: 3,
+        damageType: 'poison',
         manaCost: 2,
         effects: [{ type: 'poison', chance: 60 }],
         description: 'Arrow coated with deadly venom.',
@@ -697,6 +790,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'stunned', chance: 2 }],
         description: 'Staff carved from ancient oak.',
@@ -710,6 +804,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'rare',
         damage: 3,
+        damageType: 'shadow',
         manaCost: 1,
         effects: [{ type: 'decay', chance: 2 }],
         description: 'Staff imbued with dark magic.',
@@ -723,6 +818,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'paralyzed', chance: 2 }],
         description: 'Staff for skilled magic users.',
@@ -736,6 +832,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'rare',
         damage: 3,
+        damageType: 'physical',
         manaCost: 1,
         effects: [{ type: 'empowered', chance: 2 }],
         description: 'Staff that empowers its wielder.',
@@ -751,6 +848,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'legendary',
         damage: 5,
+        damageType: 'frost',
         effects: [{ type: 'burning', chance: 10 }],
         description: 'A legendary blade forged to slay dragons.',
         emoji: '⚔️',
@@ -763,6 +861,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'legendary',
         damage: 5,
+        damageType: 'fire',
         effects: [{ type: 'burning', chance: 10 }],
         description: 'Forged from the essence of black dragons.',
         emoji: '⚔️',
@@ -777,6 +876,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'mythical',
         damage: 10,
+        damageType: 'holy',
         effects: [{ type: 'healing', chance: 15 }],
         description: 'A sword blessed by the gods themselves.',
         emoji: '⚔️',
@@ -789,6 +889,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'mythical',
         damage: 10,
+        damageType: 'physical',
         effects: [{ type: 'broken_armor', chance: 15 }],
         description: 'Forged by ancient titans.',
         emoji: '⚔️',
@@ -803,6 +904,7 @@ export const weaponsData = [
         weaponType: 'melee',
         rarity: 'legendary',
         damage: 4,
+        damageType: 'physical',
         effects: [
             { type: 'bleeding', chance: 5 },
             { type: 'regenerating', healPerTurn: 1 }
@@ -821,6 +923,7 @@ export const weaponsData = [
         weaponType: 'magic',
         rarity: 'legendary',
         damage: 4,
+        damageType: 'physical',
         manaCost: 1,
         effects: [
             { type: 'burning', chance: 5 },
@@ -840,6 +943,7 @@ export const weaponsData = [
         weaponType: 'ranged',
         rarity: 'legendary',
         damage: 4,
+        damageType: 'physical',
         effects: [
             { type: 'pierce', chance: 5 },
             { type: 'bleeding', chance: 10 }
@@ -23,7 +23,15 @@ class DatabaseManagerClass {
             globalQuests: null,
             masterProfiles: null,
             adminProfiles: null,
-            userProfiles: null
+            userProfiles: null,
+            escrows: null,
+            pvpSeasons: null,
+            pvpSeasonHistory: null,
+            tournaments: null,
+            pvpQueue: null,
+            pvpChallenges: null,
+            pvpBattles: null,
+            trades: null
         };
     }
 
@@ -59,6 +67,14 @@ class DatabaseManagerClass {
             this.collections.masterProfiles = this.db.collection('masterProfiles');
             this.collections.adminProfiles = this.db.collection('adminProfiles');
             this.collections.userProfiles = this.db.collection('userProfiles');
+            this.collections.escrows = this.db.collection('escrows');
+            this.collections.pvpSeasons = this.db.collection('pvpSeasons');
+            this.collections.pvpSeasonHistory = this.db.collection('pvpSeasonHistory');
+            this.collections.tournaments = this.db.collection('tournaments');
+            this.collections.pvpQueue = this.db.collection('pvpQueue');
+            this.collections.pvpChallenges = this.db.collection('pvpChallenges');
+            this.collections.pvpBattles = this.db.collection('pvpBattles');
+            this.collections.trades = this.db.collection('trade_offers');
 
             // Create indexes for better performance
             await this._createIndexes();
@@ -84,7 +100,15 @@ class DatabaseManagerClass {
                 globalQuests: new Map(),
                 masterProfiles: new Map(),
                 adminProfiles: new Map(),
-                userProfiles: new Map()
+                userProfiles: new Map(),
+                escrows: new Map(),
+                pvpSeasons: new Map(),
+                pvpSeasonHistory: new Map(),
+                tournaments: new Map(),
+                pvpQueue: new Map(),
+                pvpChallenges: new Map(),
+                pvpBattles: new Map(),
+                trades: new Map()
             };
             
             logger.info('Demo mode initialized - data will not persist between restarts');
@@ -134,6 +158,44 @@ class DatabaseManagerClass {
 
             // User profile indexes
             await this.collections.userProfiles.createIndex({ userId: 1 }, { unique: true });
+
+            // Escrow indexes
+            await this.collections.escrows.createIndex({ escrowId: 1 }, { unique: true });
+            await this.collections.escrows.createIndex({ referenceId: 1, status: 1 });
+            await this.collections.escrows.createIndex({ ownerId: 1, status: 1 });
+
+            // PvP season indexes
+            await this.collections.pvpSeasons.createIndex({ seasonId: 1 }, { unique: true });
+            await this.collections.pvpSeasons.createIndex({ status: 1 });
+            await this.collections.pvpSeasonHistory.createIndex({ playerId: 1, seasonNumber: -1 });
+            await this.collections.pvpSeasonHistory.createIndex({ seasonId: 1, playerId: 1 }, { unique: true });
+
+            // Tournament indexes
+            await this.collections.tournaments.createIndex({ id: 1 }, { unique: true });
+            await this.collections.tournaments.createIndex({ status: 1, registrationClosesAt: 1 });
+
+            // Matchmaking queue indexes
+            await this.collections.pvpQueue.createIndex({ playerId: 1 }, { unique: true });
+            await this.collections.pvpQueue.createIndex({ matchType: 1, status: 1, joinedAt: 1 });
+
+            // PvP challenge indexes
+            await this.collections.pvpChallenges.createIndex({ id: 1 }, { unique: true });
+            await this.collections.pvpChallenges.createIndex({ status: 1, expiresAt: 1 });
+            await this.collections.pvpChallenges.createIndex({ challengerId: 1, status: 1 });
+            await this.collections.pvpChallenges.createIndex({ opponentId: 1, status: 1 });
+
+            // PvP battle indexes
+            await this.collections.pvpBattles.createIndex({ id: 1 }, { unique: true });
+            await this.collections.pvpBattles.createIndex({ status: 1 });
+            await this.collections.pvpBattles.createIndex({ 'player1.id': 1, status: 1, completedAt: -1 });
+            await this.collections.pvpBattles.createIndex({ 'player2.id': 1, status: 1, completedAt: -1 });
+
+            // Trade offer indexes
+            await this.collections.trades.createIndex({ id: 1 }, { unique: true });
+            await this.collections.trades.createIndex({ status: 1, expiresAt: 1 });
+            await this.collections.trades.createIndex({ status: 1, isPublic: 1, createdAt: -1 });
+            await this.collections.trades.createIndex({ creatorId: 1, status: 1 });
+            await this.collections.trades.createIndex({ counterpartyId: 1, status: 1 });
             
             logger.info('Database indexes created successfully');
         } catch (error) {
@@ -1192,6 +1254,75 @@ class DatabaseManagerClass {
         }
     }
 
+    /**
+     * Add a treasury draw to a quest's pool without overwriting concurrent draws
+     * Only quests that are still open and have not paid out their rewards can be funded
+     */
+    async addQuestTreasuryFunding(questId, funding) {
+        try {
+            const fundableStatuses = ['active', 'pending_payment', 'completed'];
+
+            if (!this.connected) {
+                const quest = this.memoryStore.globalQuests.get(questId);
+                if (!quest || quest.rewardsDistributed || !fundableStatuses.includes(quest.status)) {
+                    return false;
+                }
+                quest.treasuryPool = { ...quest.treasuryPool };
+                quest.treasuryPool[funding.currency] = (quest.treasuryPool[funding.currency] || 0) + funding.amount;
+                quest.treasuryFunding = [...(quest.treasuryFunding || []), funding];
+                quest.lastUpdated = new Date();
+                return true;
+            }
+
+            const result = await this.collections.globalQuests.updateOne(
+                { id: questId, rewardsDistributed: { $ne: true }, status: { $in: fundableStatuses } },
+                {
+                    $inc: { [`treasuryPool.${funding.currency}`]: funding.amount },
+                    $push: { treasuryFunding: funding },
+                    $set: { lastUpdated: new Date() }
+                }
+            );
+            logger.debug(`Quest treasury funding added: ${questId}`, { modified: result.modifiedCount });
+            return result.modifiedCount > 0;
+        } catch (error) {
+            logger.error(`Failed to add treasury funding to quest ${questId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a quest's rewards as distributed
+     * Returns false if they already were, so rewards are only paid once
+     */
+    async markQuestRewardsDistributed(questId, distributedBy) {
+        try {
+            const updateData = {
+                rewardsDistributed: true,
+                distributedAt: new Date(),
+                distributedBy
+            };
+
+            if (!this.connected) {
+                const quest = this.memoryStore.globalQuests.get(questId);
+                if (!quest || quest.rewardsDistributed) {
+                    return false;
+                }
+                Object.assign(quest, updateData, { lastUpdated: new Date() });
+                return true;
+            }
+
+            const result = await this.collections.globalQuests.updateOne(
+                { id: questId, rewardsDistributed: { $ne: true } },
+                { $set: { ...updateData, lastUpdated: new Date() } }
+            );
+            logger.debug(`Quest rewards marked distributed: ${questId}`, { modified: result.modifiedCount });
+            return result.modifiedCount > 0;
+        } catch (error) {
+            logger.error(`Failed to mark quest rewards distributed ${questId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Update player achievements
      */
@@ -1270,6 +1401,1425 @@ class DatabaseManagerClass {
         }
     }
 
+    /**
+     * Update player inventory
+     */
+    async updatePlayerInventory(discordId, inventory) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId) || {};
+                player.inventory = inventory;
+                player.inventoryVersion = (player.inventoryVersion || 0) + 1;
+                player.lastUpdated = new Date();
+                this.memoryStore.players.set(discordId, player);
+                logger.debug(`Player inventory updated in memory for ${discordId}`);
+                return { acknowledged: true, modifiedCount: 1 };
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId },
+                {
+                    $set: {
+                        inventory: inventory,
+                        lastUpdated: new Date()
+                    },
+                    $inc: { inventoryVersion: 1 }
+                },
+                { upsert: true }
+            );
+
+            logger.debug(`Player inventory updated for ${discordId}`, { result });
+            return result;
+        } catch (error) {
+            logger.error(`Failed to update player inventory for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a player's inventory only if nobody changed it since it was read
+     * expectedVersion is the inventoryVersion the caller read (null for never-versioned inventories).
+     * Returns true if the write went through
+     */
+    async updatePlayerInventoryIfUnchanged(discordId, inventory, expectedVersion) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId);
+                if (!player || (player.inventoryVersion ?? null) !== expectedVersion) {
+                    return false;
+                }
+                player.inventory = inventory;
+                player.inventoryVersion = (player.inventoryVersion || 0) + 1;
+                player.lastUpdated = new Date();
+                logger.debug(`Player inventory updated in memory for ${discordId}`, { version: player.inventoryVersion });
+                return true;
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId, inventoryVersion: expectedVersion },
+                {
+                    $set: {
+                        inventory: inventory,
+                        lastUpdated: new Date()
+                    },
+                    $inc: { inventoryVersion: 1 }
+                }
+            );
+
+            logger.debug(`Player inventory updated for ${discordId}`, { expectedVersion, modified: result.modifiedCount });
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Failed to update player inventory for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a player's provably fair seed state
+     */
+    async updatePlayerFairness(discordId, fairness) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId) || {};
+                player.fairness = fairness;
+                player.lastUpdated = new Date();
+                this.memoryStore.players.set(discordId, player);
+                logger.debug(`Player fairness state updated in memory for ${discordId}`);
+                return { acknowledged: true, modifiedCount: 1 };
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId },
+                {
+                    $set: {
+                        fairness: fairness,
+                        lastUpdated: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+
+            logger.debug(`Player fairness state updated for ${discordId}`, { result });
+            return result;
+        } catch (error) {
+            logger.error(`Failed to update player fairness state for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Debit several economy balances at once
+     * Only succeeds if every balance covers its amount; returns false otherwise
+     */
+    async debitPlayerEconomy(discordId, amounts) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId);
+                const economy = player?.economy || {};
+                const covered = Object.entries(amounts).every(([currency, amount]) => (economy[currency] || 0) >= amount);
+                if (!player || !covered) {
+                    return false;
+                }
+                for (const [currency, amount] of Object.entries(amounts)) {
+                    economy[currency] = (economy[currency] || 0) - amount;
+                }
+                player.economy = economy;
+                player.lastUpdated = new Date();
+                logger.debug(`Player economy debited in memory for ${discordId}`, { amounts });
+                return true;
+            }
+
+            const filter = { discordId };
+            const decrements = {};
+            for (const [currency, amount] of Object.entries(amounts)) {
+                filter[`economy.${currency}`] = { $gte: amount };
+                decrements[`economy.${currency}`] = -amount;
+            }
+
+            const result = await this.collections.players.updateOne(
+                filter,
+                {
+                    $inc: decrements,
+                    $set: { lastUpdated: new Date() }
+                }
+            );
+
+            logger.debug(`Player economy debited for ${discordId}`, { amounts, modified: result.modifiedCount });
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Failed to debit player economy for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Credit several economy balances at once
+     */
+    async creditPlayerEconomy(discordId, amounts) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId) || {};
+                const economy = player.economy || {};
+                for (const [currency, amount] of Object.entries(amounts)) {
+                    economy[currency] = (economy[currency] || 0) + amount;
+                }
+                player.economy = economy;
+                player.lastUpdated = new Date();
+                this.memoryStore.players.set(discordId, player);
+                logger.debug(`Player economy credited in memory for ${discordId}`, { amounts });
+                return { acknowledged: true, modifiedCount: 1 };
+            }
+
+            const increments = {};
+            for (const [currency, amount] of Object.entries(amounts)) {
+                increments[`economy.${currency}`] = amount;
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId },
+                {
+                    $inc: increments,
+                    $set: { lastUpdated: new Date() }
+                },
+                { upsert: true }
+            );
+
+            logger.debug(`Player economy credited for ${discordId}`, { amounts });
+            return result;
+        } catch (error) {
+            logger.error(`Failed to credit player economy for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Escrow management methods
+     */
+
+    /**
+     * Create an escrow record
+     */
+    async createEscrow(escrowData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.escrows.set(escrowData.escrowId, {
+                    ...escrowData,
+                    createdAt: new Date()
+                });
+                logger.debug(`Escrow created in memory: ${escrowData.escrowId}`);
+                return { acknowledged: true, insertedId: escrowData.escrowId };
+            }
+
+            const result = await this.collections.escrows.insertOne({
+                ...escrowData,
+                createdAt: new Date()
+            });
+
+            logger.debug(`Escrow created: ${escrowData.escrowId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create escrow: ${escrowData.escrowId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an escrow record
+     */
+    async getEscrow(escrowId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return this.memoryStore.escrows.get(escrowId) || null;
+            }
+
+            return await this.collections.escrows.findOne({ escrowId });
+        } catch (error) {
+            logger.error(`Failed to get escrow: ${escrowId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get escrow records held for a challenge, trade or listing
+     */
+    async getEscrowsByReference(referenceId, status = null) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.escrows.values())
+                    .filter(escrow => escrow.referenceId === referenceId && (!status || escrow.status === status));
+            }
+
+            const filter = { referenceId };
+            if (status) {
+                filter.status = status;
+            }
+
+            return await this.collections.escrows.find(filter).toArray();
+        } catch (error) {
+            logger.error(`Failed to get escrows for reference: ${referenceId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move an escrow from one status to another
+     * Returns the updated escrow, or null if it was not in the expected status
+     */
+    async transitionEscrow(escrowId, fromStatus, toStatus, updateData = {}) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const escrow = this.memoryStore.escrows.get(escrowId);
+                if (!escrow || escrow.status !== fromStatus) {
+                    return null;
+                }
+                Object.assign(escrow, updateData, { status: toStatus, updatedAt: new Date() });
+                logger.debug(`Escrow ${escrowId} moved from ${fromStatus} to ${toStatus} in memory`);
+                return escrow;
+            }
+
+            const result = await this.collections.escrows.findOneAndUpdate(
+                { escrowId, status: fromStatus },
+                { $set: { ...updateData, status: toStatus, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`Escrow ${escrowId} moved from ${fromStatus} to ${toStatus}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to transition escrow: ${escrowId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a player's escrow records, optionally only those in one status
+     */
+    async getPlayerEscrows(ownerId, status = null) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.escrows.values())
+                    .filter(escrow => escrow.ownerId === ownerId && (!status || escrow.status === status));
+            }
+
+            const filter = { ownerId };
+            if (status) {
+                filter.status = status;
+            }
+
+            return await this.collections.escrows.find(filter).toArray();
+        } catch (error) {
+            logger.error(`Failed to get escrows for player: ${ownerId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * PvP challenge and battle methods
+     */
+
+    /**
+     * Create a PvP challenge
+     */
+    async createPvPChallenge(challengeData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.pvpChallenges.set(challengeData.id, { ...challengeData });
+                logger.debug(`PvP challenge created in memory: ${challengeData.id}`);
+                return { acknowledged: true, insertedId: challengeData.id };
+            }
+
+            const result = await this.collections.pvpChallenges.insertOne({ ...challengeData });
+            logger.debug(`PvP challenge created: ${challengeData.id}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create PvP challenge: ${challengeData.id}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a PvP challenge
+     */
+    async getPvPChallenge(challengeId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return this.memoryStore.pvpChallenges.get(challengeId) || null;
+            }
+
+            return await this.collections.pvpChallenges.findOne({ id: challengeId });
+        } catch (error) {
+            logger.error(`Failed to get PvP challenge: ${challengeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a PvP challenge
+     */
+    async updatePvPChallenge(challengeId, updateData) {
+        try {
+            const { _id, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const challenge = this.memoryStore.pvpChallenges.get(challengeId);
+                if (challenge) {
+                    Object.assign(challenge, fields, { updatedAt: new Date() });
+                }
+                return { acknowledged: true, modifiedCount: challenge ? 1 : 0 };
+            }
+
+            return await this.collections.pvpChallenges.updateOne(
+                { id: challengeId },
+                { $set: { ...fields, updatedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Failed to update PvP challenge: ${challengeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a challenge from one status to another
+     * Returns the updated challenge, or null if it had already moved on
+     */
+    async transitionPvPChallenge(challengeId, fromStatus, toStatus, updateData = {}) {
+        try {
+            const { _id, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const challenge = this.memoryStore.pvpChallenges.get(challengeId);
+                if (!challenge || challenge.status !== fromStatus) {
+                    return null;
+                }
+                Object.assign(challenge, fields, { status: toStatus, updatedAt: new Date() });
+                logger.debug(`PvP challenge ${challengeId} moved from ${fromStatus} to ${toStatus} in memory`);
+                return structuredClone(challenge);
+            }
+
+            const result = await this.collections.pvpChallenges.findOneAndUpdate(
+                { id: challengeId, status: fromStatus },
+                { $set: { ...fields, status: toStatus, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`PvP challenge ${challengeId} moved from ${fromStatus} to ${toStatus}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to transition PvP challenge: ${challengeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a player's open challenges and battles for the PvP menu
+     * Returns { pending, accepted, inProgress }
+     */
+    async getPlayerActivePvPChallenges(playerId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const challenges = Array.from(this.memoryStore.pvpChallenges.values())
+                    .filter(challenge => challenge.challengerId === playerId || challenge.opponentId === playerId);
+                const inProgress = Array.from(this.memoryStore.pvpBattles.values())
+                    .filter(battle => battle.status === 'in_progress' && (battle.player1?.id === playerId || battle.player2?.id === playerId));
+
+                return {
+                    pending: challenges.filter(challenge => challenge.status === 'pending').length,
+                    accepted: challenges.filter(challenge => challenge.status === 'accepted').length,
+                    inProgress: inProgress.length
+                };
+            }
+
+            const involved = { $or: [{ challengerId: playerId }, { opponentId: playerId }] };
+            const [pending, accepted, inProgress] = await Promise.all([
+                this.collections.pvpChallenges.countDocuments({ ...involved, status: 'pending' }),
+                this.collections.pvpChallenges.countDocuments({ ...involved, status: 'accepted' }),
+                this.collections.pvpBattles.countDocuments({
+                    status: 'in_progress',
+                    $or: [{ 'player1.id': playerId }, { 'player2.id': playerId }]
+                })
+            ]);
+
+            return { pending, accepted, inProgress };
+        } catch (error) {
+            logger.error(`Failed to get active PvP challenges for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get pending challenges whose deadline has passed
+     */
+    async getExpiredPvPChallenges(now = new Date()) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpChallenges.values())
+                    .filter(challenge => challenge.status === 'pending' && new Date(challenge.expiresAt) <= now);
+            }
+
+            return await this.collections.pvpChallenges
+                .find({ status: 'pending', expiresAt: { $lte: now } })
+                .toArray();
+        } catch (error) {
+            logger.error('Failed to get expired PvP challenges:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a PvP battle
+     */
+    async createPvPBattle(battleData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.pvpBattles.set(battleData.id, { ...battleData });
+                logger.debug(`PvP battle created in memory: ${battleData.id}`);
+                return { acknowledged: true, insertedId: battleData.id };
+            }
+
+            const result = await this.collections.pvpBattles.insertOne({ ...battleData });
+            logger.debug(`PvP battle created: ${battleData.id}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create PvP battle: ${battleData.id}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a PvP battle
+     */
+    async getPvPBattle(battleId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return this.memoryStore.pvpBattles.get(battleId) || null;
+            }
+
+            return await this.collections.pvpBattles.findOne({ id: battleId });
+        } catch (error) {
+            logger.error(`Failed to get PvP battle: ${battleId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a PvP battle - callers usually pass the whole battle back
+     */
+    async updatePvPBattle(battleId, updateData) {
+        try {
+            const { _id, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const battle = this.memoryStore.pvpBattles.get(battleId);
+                if (battle) {
+                    Object.assign(battle, fields, { updatedAt: new Date() });
+                }
+                return { acknowledged: true, modifiedCount: battle ? 1 : 0 };
+            }
+
+            return await this.collections.pvpBattles.updateOne(
+                { id: battleId },
+                { $set: { ...fields, updatedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Failed to update PvP battle: ${battleId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lock in a player's hidden action for a turn
+     * Only writes if the player has not chosen yet and the battle is still in progress on that round and turn.
+     * Returns the updated battle, or null if the write lost a race
+     */
+    async submitPvPAction(battleId, playerId, { round, turn }, action, { timedOut = false } = {}) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const battle = this.memoryStore.pvpBattles.get(battleId);
+                if (!battle || battle.status !== 'in_progress' || battle.round !== round ||
+                    battle.turn !== turn || battle.pendingActions?.[playerId]) {
+                    return null;
+                }
+                battle.pendingActions = { ...battle.pendingActions, [playerId]: action };
+                if (timedOut) {
+                    battle.timeouts = { ...battle.timeouts, [playerId]: (battle.timeouts?.[playerId] || 0) + 1 };
+                }
+                battle.updatedAt = new Date();
+                // Hand back a copy so the caller's turn resolution cannot touch the stored battle
+                return structuredClone(battle);
+            }
+
+            const update = { $set: { [`pendingActions.${playerId}`]: action, updatedAt: new Date() } };
+            if (timedOut) {
+                update.$inc = { [`timeouts.${playerId}`]: 1 };
+            }
+
+            const result = await this.collections.pvpBattles.findOneAndUpdate(
+                {
+                    id: battleId,
+                    status: 'in_progress',
+                    round,
+                    turn,
+                    [`pendingActions.${playerId}`]: { $exists: false }
+                },
+                update,
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`PvP action submitted for ${playerId} in ${battleId}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to submit PvP action: ${battleId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a battle from one status to another, optionally only if other fields (e.g. round, turn) still match
+     * Returns the updated battle, or null if it had already moved on
+     */
+    async transitionPvPBattle(battleId, fromStatus, toStatus, updateData = {}, expected = {}) {
+        try {
+            const { _id, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const battle = this.memoryStore.pvpBattles.get(battleId);
+                if (!battle || battle.status !== fromStatus ||
+                    Object.entries(expected).some(([key, value]) => battle[key] !== value)) {
+                    return null;
+                }
+                Object.assign(battle, fields, { status: toStatus, updatedAt: new Date() });
+                logger.debug(`PvP battle ${battleId} moved from ${fromStatus} to ${toStatus} in memory`);
+                return structuredClone(battle);
+            }
+
+            const result = await this.collections.pvpBattles.findOneAndUpdate(
+                { ...expected, id: battleId, status: fromStatus },
+                { $set: { ...fields, status: toStatus, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`PvP battle ${battleId} moved from ${fromStatus} to ${toStatus}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to transition PvP battle: ${battleId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every battle still being played
+     */
+    async getActivePvPBattles() {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpBattles.values())
+                    .filter(battle => battle.status === 'in_progress');
+            }
+
+            return await this.collections.pvpBattles.find({ status: 'in_progress' }).toArray();
+        } catch (error) {
+            logger.error('Failed to get active PvP battles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of a player's finished battles, newest first
+     * Returns { battles, total }
+     */
+    async getPlayerPvPBattleHistory(playerId, { limit = 10, skip = 0 } = {}) {
+        try {
+            const finished = ['completed', 'cancelled'];
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const battles = Array.from(this.memoryStore.pvpBattles.values())
+                    .filter(battle => finished.includes(battle.status) &&
+                        (battle.player1?.id === playerId || battle.player2?.id === playerId))
+                    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+
+                return { battles: battles.slice(skip, skip + limit), total: battles.length };
+            }
+
+            const filter = {
+                status: { $in: finished },
+                $or: [{ 'player1.id': playerId }, { 'player2.id': playerId }]
+            };
+            const [battles, total] = await Promise.all([
+                this.collections.pvpBattles.find(filter).sort({ completedAt: -1 }).skip(skip).limit(limit).toArray(),
+                this.collections.pvpBattles.countDocuments(filter)
+            ]);
+
+            return { battles, total };
+        } catch (error) {
+            logger.error(`Failed to get PvP battle history for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a player's PvP stats
+     */
+    async updatePlayerPvPStats(discordId, pvpStats) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId) || { discordId };
+                player.pvpStats = pvpStats;
+                player.lastUpdated = new Date();
+                this.memoryStore.players.set(discordId, player);
+                logger.debug(`Player PvP stats updated in memory for ${discordId}`);
+                return { acknowledged: true, modifiedCount: 1 };
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId },
+                { $set: { pvpStats, lastUpdated: new Date() } },
+                { upsert: true }
+            );
+
+            logger.debug(`Player PvP stats updated for ${discordId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to update PvP stats for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Trade offer methods
+     */
+
+    /**
+     * Create a trade offer
+     */
+    async createTrade(tradeData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.trades.set(tradeData.id, { ...tradeData });
+                logger.debug(`Trade created in memory: ${tradeData.id}`);
+                return { acknowledged: true, insertedId: tradeData.id };
+            }
+
+            const result = await this.collections.trades.insertOne({ ...tradeData });
+            logger.debug(`Trade created: ${tradeData.id}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create trade: ${tradeData.id}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a trade offer
+     */
+    async getTrade(tradeId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return this.memoryStore.trades.get(tradeId) || null;
+            }
+
+            return await this.collections.trades.findOne({ id: tradeId });
+        } catch (error) {
+            logger.error(`Failed to get trade: ${tradeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a trade offer
+     */
+    async updateTrade(tradeId, updateData) {
+        try {
+            const { _id, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const trade = this.memoryStore.trades.get(tradeId);
+                if (trade) {
+                    Object.assign(trade, fields, { updatedAt: new Date() });
+                }
+                return { acknowledged: true, modifiedCount: trade ? 1 : 0 };
+            }
+
+            return await this.collections.trades.updateOne(
+                { id: tradeId },
+                { $set: { ...fields, updatedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Failed to update trade: ${tradeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a trade from one status to another, optionally only if it is still at a given version
+     * Returns the updated trade, or null if it had already moved on
+     */
+    async transitionTrade(tradeId, fromStatus, toStatus, updateData = {}, expectedVersion = null) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const trade = this.memoryStore.trades.get(tradeId);
+                if (!trade || trade.status !== fromStatus ||
+                    (expectedVersion !== null && trade.version !== expectedVersion)) {
+                    return null;
+                }
+                Object.assign(trade, updateData, { status: toStatus, updatedAt: new Date() });
+                logger.debug(`Trade ${tradeId} moved from ${fromStatus} to ${toStatus} in memory`);
+                return trade;
+            }
+
+            const filter = { id: tradeId, status: fromStatus };
+            if (expectedVersion !== null) {
+                filter.version = expectedVersion;
+            }
+
+            const result = await this.collections.trades.findOneAndUpdate(
+                filter,
+                { $set: { ...updateData, status: toStatus, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`Trade ${tradeId} moved from ${fromStatus} to ${toStatus}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to transition trade: ${tradeId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get open trades (pending or negotiating) whose deadline has passed
+     */
+    async getExpiredTrades(now = new Date()) {
+        try {
+            const open = ['pending', 'negotiating'];
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.trades.values())
+                    .filter(trade => open.includes(trade.status) && new Date(trade.expiresAt) <= now);
+            }
+
+            return await this.collections.trades
+                .find({ status: { $in: open }, expiresAt: { $lte: now } })
+                .toArray();
+        } catch (error) {
+            logger.error('Failed to get expired trades:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get public offers still waiting for a counterparty, newest first
+     */
+    async getActiveTrades(limit = 20) {
+        try {
+            const now = new Date();
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.trades.values())
+                    .filter(trade => trade.status === 'pending' && trade.isPublic !== false && new Date(trade.expiresAt) > now)
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                    .slice(0, limit);
+            }
+
+            return await this.collections.trades
+                .find({ status: 'pending', isPublic: { $ne: false }, expiresAt: { $gt: now } })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .toArray();
+        } catch (error) {
+            logger.error('Failed to get active trades:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the open trades a player created or is negotiating, newest first
+     */
+    async getPlayerActiveTrades(playerId) {
+        try {
+            const open = ['pending', 'negotiating'];
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.trades.values())
+                    .filter(trade => open.includes(trade.status) &&
+                        (trade.creatorId === playerId || trade.counterpartyId === playerId))
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            }
+
+            return await this.collections.trades
+                .find({
+                    status: { $in: open },
+                    $or: [{ creatorId: playerId }, { counterpartyId: playerId }]
+                })
+                .sort({ createdAt: -1 })
+                .toArray();
+        } catch (error) {
+            logger.error(`Failed to get active trades for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a player's trade stats
+     */
+    async updatePlayerTradeStats(discordId, tradeStats) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const player = this.memoryStore.players.get(discordId) || { discordId };
+                player.tradeStats = tradeStats;
+                player.lastUpdated = new Date();
+                this.memoryStore.players.set(discordId, player);
+                logger.debug(`Player trade stats updated in memory for ${discordId}`);
+                return { acknowledged: true, modifiedCount: 1 };
+            }
+
+            const result = await this.collections.players.updateOne(
+                { discordId },
+                { $set: { tradeStats, lastUpdated: new Date() } },
+                { upsert: true }
+            );
+
+            logger.debug(`Player trade stats updated for ${discordId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to update trade stats for ${discordId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * PvP season management methods
+     */
+
+    /**
+     * Get the active PvP season
+     */
+    async getCurrentPvPSeason() {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpSeasons.values())
+                    .find(season => season.status === 'active') || null;
+            }
+
+            return await this.collections.pvpSeasons.findOne({ status: 'active' });
+        } catch (error) {
+            logger.error('Failed to get current PvP season:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the most recent PvP season whatever its status
+     */
+    async getLatestPvPSeason() {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpSeasons.values())
+                    .sort((a, b) => b.number - a.number)[0] || null;
+            }
+
+            return await this.collections.pvpSeasons.findOne({}, { sort: { number: -1 } });
+        } catch (error) {
+            logger.error('Failed to get latest PvP season:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a PvP season
+     */
+    async createPvPSeason(seasonData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.pvpSeasons.set(seasonData.seasonId, { ...seasonData });
+                logger.debug(`PvP season created in memory: ${seasonData.seasonId}`);
+                return { acknowledged: true, insertedId: seasonData.seasonId };
+            }
+
+            const result = await this.collections.pvpSeasons.insertOne({ ...seasonData });
+            logger.debug(`PvP season created: ${seasonData.seasonId}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create PvP season: ${seasonData.seasonId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a PvP season
+     */
+    async updatePvPSeason(seasonId, updateData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const season = this.memoryStore.pvpSeasons.get(seasonId);
+                if (season) {
+                    Object.assign(season, updateData);
+                }
+                return { acknowledged: true, modifiedCount: season ? 1 : 0 };
+            }
+
+            return await this.collections.pvpSeasons.updateOne(
+                { seasonId },
+                { $set: updateData }
+            );
+        } catch (error) {
+            logger.error(`Failed to update PvP season: ${seasonId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a season from one status to another
+     * Returns the updated season, or null if it had already moved on
+     */
+    async transitionPvPSeason(seasonId, fromStatus, toStatus, updateData = {}) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const season = this.memoryStore.pvpSeasons.get(seasonId);
+                if (!season || season.status !== fromStatus) {
+                    return null;
+                }
+                Object.assign(season, updateData, { status: toStatus });
+                logger.debug(`PvP season ${seasonId} moved from ${fromStatus} to ${toStatus} in memory`);
+                return structuredClone(season);
+            }
+
+            const result = await this.collections.pvpSeasons.findOneAndUpdate(
+                { seasonId, status: fromStatus },
+                { $set: { ...updateData, status: toStatus } },
+                { returnDocument: 'after' }
+            );
+
+            logger.debug(`PvP season ${seasonId} moved from ${fromStatus} to ${toStatus}`, { found: !!result });
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to transition PvP season: ${seasonId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every player that has PvP stats
+     */
+    async getPlayersWithPvPStats() {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.players.values())
+                    .filter(player => player.pvpStats);
+            }
+
+            return await this.collections.players
+                .find({ pvpStats: { $exists: true } })
+                .project({ discordId: 1, username: 1, pvpStats: 1 })
+                .toArray();
+        } catch (error) {
+            logger.error('Failed to get players with PvP stats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Archive a player's final standing for a season
+     */
+    async savePvPSeasonRecord(record) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.pvpSeasonHistory.set(`${record.seasonId}_${record.playerId}`, {
+                    ...record,
+                    archivedAt: new Date()
+                });
+                return { acknowledged: true };
+            }
+
+            return await this.collections.pvpSeasonHistory.updateOne(
+                { seasonId: record.seasonId, playerId: record.playerId },
+                { $set: { ...record, archivedAt: new Date() } },
+                { upsert: true }
+            );
+        } catch (error) {
+            logger.error(`Failed to save PvP season record for ${record.playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a player's archived season results, newest first
+     */
+    async getPlayerPvPSeasonHistory(playerId, limit = 20) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpSeasonHistory.values())
+                    .filter(record => record.playerId === playerId)
+                    .sort((a, b) => b.seasonNumber - a.seasonNumber)
+                    .slice(0, limit);
+            }
+
+            return await this.collections.pvpSeasonHistory
+                .find({ playerId })
+                .sort({ seasonNumber: -1 })
+                .limit(limit)
+                .toArray();
+        } catch (error) {
+            logger.error(`Failed to get PvP season history for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tournament management methods
+     */
+
+    /**
+     * Create a tournament
+     */
+    async createTournament(tournamentData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                this.memoryStore.tournaments.set(tournamentData.id, { ...tournamentData });
+                logger.debug(`Tournament created in memory: ${tournamentData.id}`);
+                return { acknowledged: true, insertedId: tournamentData.id };
+            }
+
+            const result = await this.collections.tournaments.insertOne({ ...tournamentData });
+            logger.debug(`Tournament created: ${tournamentData.id}`);
+            return result;
+        } catch (error) {
+            logger.error(`Failed to create tournament: ${tournamentData.id}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a tournament
+     */
+    async getTournament(tournamentId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage, handing out a copy like a real read would
+                const tournament = this.memoryStore.tournaments.get(tournamentId);
+                return tournament ? structuredClone(tournament) : null;
+            }
+
+            return await this.collections.tournaments.findOne({ id: tournamentId });
+        } catch (error) {
+            logger.error(`Failed to get tournament: ${tournamentId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a tournament
+     */
+    async updateTournament(tournamentId, updateData) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const tournament = this.memoryStore.tournaments.get(tournamentId);
+                if (tournament) {
+                    Object.assign(tournament, updateData, { updatedAt: new Date() });
+                }
+                return { acknowledged: true, modifiedCount: tournament ? 1 : 0 };
+            }
+
+            const { _id, ...fields } = updateData;
+            return await this.collections.tournaments.updateOne(
+                { id: tournamentId },
+                { $set: { ...fields, updatedAt: new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Failed to update tournament: ${tournamentId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a tournament only if it is still at the version that was read
+     * expectedVersion is null for tournaments that were never versioned. Returns true if the write went through
+     */
+    async updateTournamentIfVersion(tournamentId, expectedVersion, updateData) {
+        try {
+            const { _id, version, ...fields } = updateData;
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const tournament = this.memoryStore.tournaments.get(tournamentId);
+                if (!tournament || (tournament.version ?? null) !== expectedVersion) {
+                    return false;
+                }
+                Object.assign(tournament, fields, { version: (expectedVersion || 0) + 1, updatedAt: new Date() });
+                return true;
+            }
+
+            const result = await this.collections.tournaments.updateOne(
+                { id: tournamentId, version: expectedVersion },
+                {
+                    $set: { ...fields, updatedAt: new Date() },
+                    $inc: { version: 1 }
+                }
+            );
+
+            logger.debug(`Tournament ${tournamentId} updated at version ${expectedVersion}`, { modified: result.modifiedCount });
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Failed to update tournament: ${tournamentId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign a participant up while registration is open, there is room and they are not already in
+     * Returns true if the participant was added
+     */
+    async addTournamentParticipant(tournamentId, participant, maxPlayers) {
+        try {
+            const now = new Date();
+
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const tournament = this.memoryStore.tournaments.get(tournamentId);
+                if (!tournament || tournament.status !== 'registration' || new Date(tournament.registrationClosesAt) <= now ||
+                    tournament.participants.length >= maxPlayers ||
+                    tournament.participants.some(p => p.playerId === participant.playerId)) {
+                    return false;
+                }
+                tournament.participants.push(participant);
+                tournament.version = (tournament.version || 0) + 1;
+                tournament.updatedAt = now;
+                return true;
+            }
+
+            const result = await this.collections.tournaments.updateOne(
+                {
+                    id: tournamentId,
+                    status: 'registration',
+                    registrationClosesAt: { $gt: now },
+                    'participants.playerId': { $ne: participant.playerId },
+                    [`participants.${maxPlayers - 1}`]: { $exists: false }
+                },
+                {
+                    $push: { participants: participant },
+                    $set: { updatedAt: now },
+                    $inc: { version: 1 }
+                }
+            );
+
+            logger.debug(`Tournament ${tournamentId} sign-up for ${participant.playerId}`, { added: result.modifiedCount === 1 });
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Failed to add tournament participant: ${tournamentId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Withdraw a participant while registration is open
+     * Both sign-up writes bump the version, so a start that read the old list can't overwrite them
+     * Returns true if the participant was removed
+     */
+    async removeTournamentParticipant(tournamentId, playerId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const tournament = this.memoryStore.tournaments.get(tournamentId);
+                if (!tournament || tournament.status !== 'registration' ||
+                    !tournament.participants.some(p => p.playerId === playerId)) {
+                    return false;
+                }
+                tournament.participants = tournament.participants.filter(p => p.playerId !== playerId);
+                tournament.version = (tournament.version || 0) + 1;
+                tournament.updatedAt = new Date();
+                return true;
+            }
+
+            const result = await this.collections.tournaments.updateOne(
+                { id: tournamentId, status: 'registration', 'participants.playerId': playerId },
+                {
+                    $pull: { participants: { playerId } },
+                    $set: { updatedAt: new Date() },
+                    $inc: { version: 1 }
+                }
+            );
+
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Failed to remove tournament participant: ${tournamentId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get tournaments in any of the given statuses, oldest first
+     */
+    async getTournamentsByStatus(statuses) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.tournaments.values())
+                    .filter(tournament => statuses.includes(tournament.status))
+                    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            }
+
+            return await this.collections.tournaments
+                .find({ status: { $in: statuses } })
+                .sort({ createdAt: 1 })
+                .toArray();
+        } catch (error) {
+            logger.error('Failed to get tournaments by status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * PvP matchmaking queue methods
+     */
+
+    /**
+     * Add a player to the matchmaking queue
+     */
+    async addToPvPQueue(entry) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                if (this.memoryStore.pvpQueue.has(entry.playerId)) {
+                    throw new Error('Player is already queued');
+                }
+                this.memoryStore.pvpQueue.set(entry.playerId, { ...entry });
+                return { acknowledged: true, insertedId: entry.playerId };
+            }
+
+            return await this.collections.pvpQueue.insertOne({ ...entry });
+        } catch (error) {
+            logger.error(`Failed to add ${entry.playerId} to PvP queue:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a player's queue entry
+     */
+    async getPvPQueueEntry(playerId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return this.memoryStore.pvpQueue.get(playerId) || null;
+            }
+
+            return await this.collections.pvpQueue.findOne({ playerId });
+        } catch (error) {
+            logger.error(`Failed to get PvP queue entry for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get queue entries, optionally filtered by match type and status, longest waiting first
+     */
+    async getPvPQueueEntries({ matchType = null, status = null } = {}) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                return Array.from(this.memoryStore.pvpQueue.values())
+                    .filter(entry => (!matchType || entry.matchType === matchType) && (!status || entry.status === status))
+                    .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+            }
+
+            const filter = {};
+            if (matchType) filter.matchType = matchType;
+            if (status) filter.status = status;
+
+            return await this.collections.pvpQueue.find(filter).sort({ joinedAt: 1 }).toArray();
+        } catch (error) {
+            logger.error('Failed to get PvP queue entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a queue entry from one status to another
+     * Returns the updated entry, or null if it was not in the expected status
+     */
+    async transitionPvPQueueEntry(playerId, fromStatus, toStatus, updateData = {}) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const entry = this.memoryStore.pvpQueue.get(playerId);
+                if (!entry || entry.status !== fromStatus) {
+                    return null;
+                }
+                Object.assign(entry, updateData, { status: toStatus });
+                return entry;
+            }
+
+            const result = await this.collections.pvpQueue.findOneAndUpdate(
+                { playerId, status: fromStatus },
+                { $set: { ...updateData, status: toStatus } },
+                { returnDocument: 'after' }
+            );
+            return result || null;
+        } catch (error) {
+            logger.error(`Failed to update PvP queue entry for ${playerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a player from the matchmaking queue
+     */
+    async removeFromPvPQueue(playerId) {
+        try {
+            if (!this.connected) {
+                // Demo mode - use in-memory storage
+                const deleted = this.memoryStore.pvpQueue.delete(playerId);
+                return { acknowledged: true, deletedCount: deleted ? 1 : 0 };
+            }
+
+            return await this.collections.pvpQueue.deleteOne({ playerId });
+        } catch (error) {
+            logger.error(`Failed to remove ${playerId} from PvP queue:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Get master profile (Bot Developer)
      */
@@ -2,6 +2,7 @@ import Database from 'better-sqlite3';
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
+import { MARKET_SALE_TYPES, toSqlTimestamp } from '../utils/priceHistory.js';
 
 /**
  * MarketplaceDatabase - Secure database system for marketplace transactions
@@ -165,6 +166,85 @@ export class MarketplaceDatabase {
             )
         `);
 
+        // Buy orders table (standing bids with escrowed currency)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS buy_orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                buyer_id TEXT NOT NULL,
+                buyer_username TEXT NOT NULL,
+                item_id TEXT NOT NULL,
+                item_name TEXT NOT NULL,
+                currency_type TEXT NOT NULL,
+                price_each INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                filled_quantity INTEGER DEFAULT 0,
+                status TEXT DEFAULT 'open', -- 'open', 'filled', 'cancelled', 'expired'
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                closed_at DATETIME NULL
+            )
+        `);
+
+        // Per-server casino game switches (games without a row are enabled)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS casino_game_settings (
+                guild_id TEXT NOT NULL,
+                game TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                updated_by TEXT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, game)
+            )
+        `);
+
+        // Daily store purchases per player, for per-slot purchase caps
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS store_purchases (
+                division TEXT NOT NULL,
+                slot_number INTEGER NOT NULL,
+                refresh_date DATE NOT NULL,
+                player_id TEXT NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (division, slot_number, refresh_date, player_id)
+            )
+        `);
+
+        // Running high-low streaks, so a restart doesn't lose wagers that were already taken
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS casino_highlow_sessions (
+                player_id TEXT PRIMARY KEY,
+                session_data TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Treasury ledger - fees credited per server, currency and bucket; draws are negative entries
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS treasury_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                currency_type TEXT NOT NULL,
+                bucket TEXT NOT NULL, -- 'burn', 'treasury', 'prize_pool'
+                amount INTEGER NOT NULL,
+                source TEXT NOT NULL, -- 'listing', 'buy_order', 'auction', 'trade', 'draw', 'draw_return'
+                reference_id TEXT NULL,
+                created_by TEXT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Per-server fee split (servers without a row use the default split)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS treasury_settings (
+                guild_id TEXT PRIMARY KEY,
+                burn_percent INTEGER NOT NULL,
+                treasury_percent INTEGER NOT NULL,
+                prize_pool_percent INTEGER NOT NULL,
+                updated_by TEXT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
         // Marketplace settings table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS marketplace_settings (
@@ -174,10 +254,65 @@ export class MarketplaceDatabase {
             )
         `);
 
+        this.migrateTables();
+
         // Initialize default settings
         this.initializeSettings();
     }
 
+    /**
+     * Add columns introduced after the original schema to existing databases
+     */
+    migrateTables() {
+        const migrations = {
+            auctions: {
+                item_escrow_id: 'TEXT NULL',
+                highest_max_bid: 'INTEGER NULL',
+                extensions: 'INTEGER DEFAULT 0',
+                settled_at: 'DATETIME NULL',
+                settling_at: 'TEXT NULL',
+                guild_id: 'TEXT NULL'
+            },
+            auction_bids: {
+                max_bid: 'INTEGER NULL',
+                is_proxy: 'INTEGER DEFAULT 0',
+                status: "TEXT DEFAULT 'active'"
+            },
+            player_listings: {
+                item_escrow_id: 'TEXT NULL',
+                closed_at: 'DATETIME NULL',
+                guild_id: 'TEXT NULL'
+            },
+            buy_orders: {
+                guild_id: 'TEXT NULL'
+            },
+            store_inventory: {
+                stock: 'INTEGER NULL',
+                sold: 'INTEGER DEFAULT 0',
+                per_player_limit: 'INTEGER NULL'
+            }
+        };
+
+        for (const [table, columns] of Object.entries(migrations)) {
+            const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+            for (const [column, definition] of Object.entries(columns)) {
+                if (!existing.includes(column)) {
+                    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                    logger.info(`Added ${table}.${column} to marketplace database`);
+                }
+            }
+        }
+
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_auctions_status_ends ON auctions (status, ends_at)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_auction_bids_auction ON auction_bids (auction_id, bidder_id)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_player_listings_status ON player_listings (status, expires_at)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_player_listings_seller ON player_listings (seller_id, status)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_buy_orders_item ON buy_orders (item_id, currency_type, status, price_each)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_buy_orders_buyer ON buy_orders (buyer_id, status)');
+        this.db.exec("CREATE INDEX IF NOT EXISTS idx_transaction_history_item ON transaction_history (json_extract(item_details, '$.itemId'), currency_type, created_at)");
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_treasury_ledger_guild ON treasury_ledger (guild_id, currency_type, bucket)');
+    }
+
     /**
      * Initialize default marketplace settings
      */
@@ -187,6 +322,11 @@ export class MarketplaceDatabase {
             'listing_duration_hours': '24',
             'listing_fee_percentage': '1',
             'store_sell_percentage': '50',
+            'casino_house_edge_gold': '2',
+            'casino_house_edge_tokens': '2',
+            'casino_house_edge_dng': '2',
+            'casino_house_edge_hero': '2',
+            'casino_house_edge_eth': '1',
             'last_store_refresh': new Date().toISOString().split('T')[0]
         };
 
@@ -273,6 +413,1019 @@ export class MarketplaceDatabase {
         }
     }
 
+    /**
+     * Create an auction and return its id
+     */
+    async createAuction(auction) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO auctions 
+                (seller_id, seller_username, item_type, item_id, item_name, item_rarity, item_division,
+                 starting_bid, current_bid, currency_type, item_escrow_id, guild_id, status, ends_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?)
+            `);
+
+            const result = stmt.run(
+                auction.sellerId,
+                auction.sellerUsername,
+                auction.itemType,
+                auction.itemId,
+                auction.itemName,
+                auction.itemRarity,
+                auction.itemDivision,
+                auction.startingBid,
+                auction.startingBid,
+                auction.currencyType,
+                auction.itemEscrowId,
+                auction.guildId || null,
+                auction.endsAt.toISOString()
+            );
+
+            return result.lastInsertRowid;
+        } catch (error) {
+            logger.error('Error creating auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach the seller's item escrow to an auction
+     */
+    async setAuctionItemEscrow(auctionId, escrowId) {
+        try {
+            this.db.prepare('UPDATE auctions SET item_escrow_id = ? WHERE id = ?').run(escrowId, auctionId);
+        } catch (error) {
+            logger.error('Error setting auction escrow:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel an active auction only if nobody has bid on it
+     */
+    async cancelAuctionWithoutBids(auctionId) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE auctions SET status = 'cancelled', settled_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'active' AND highest_bidder_id IS NULL
+            `).run(auctionId);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error cancelling auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an auction by id
+     */
+    async getAuction(auctionId) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM auctions WHERE id = ?');
+            return stmt.get(auctionId) || null;
+        } catch (error) {
+            logger.error('Error getting auction:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get active auctions, ending soonest first
+     */
+    async getActiveAuctions(limit = 25) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM auctions WHERE status = 'active' ORDER BY ends_at ASC LIMIT ?
+            `);
+            return stmt.all(limit);
+        } catch (error) {
+            logger.error('Error getting active auctions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get active auctions whose end time has passed, and settlements that stopped
+     * part way and have not been touched since staleBefore
+     */
+    async getEndedAuctions(now = new Date(), staleBefore = now) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM auctions
+                WHERE (status = 'active' AND ends_at <= ?)
+                   OR (status = 'settling' AND IFNULL(settling_at, '') <= ?)
+            `);
+            return stmt.all(now.toISOString(), staleBefore.toISOString());
+        } catch (error) {
+            logger.error('Error getting ended auctions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Apply a bid to an auction only if nobody else has bid since it was read
+     * Returns true when the update was applied
+     */
+    async applyAuctionBid(auction, update, bids) {
+        try {
+            const apply = this.db.transaction(() => {
+                const result = this.db.prepare(`
+                    UPDATE auctions
+                    SET current_bid = ?, highest_bidder_id = ?, highest_bidder_username = ?,
+                        highest_max_bid = ?, ends_at = ?, extensions = ?
+                    WHERE id = ? AND status = 'active' AND current_bid = ?
+                      AND IFNULL(highest_bidder_id, '') = ? AND IFNULL(highest_max_bid, 0) = ?
+                `).run(
+                    update.currentBid,
+                    update.highestBidderId,
+                    update.highestBidderUsername,
+                    update.highestMaxBid,
+                    update.endsAt.toISOString(),
+                    update.extensions,
+                    auction.id,
+                    auction.current_bid,
+                    auction.highest_bidder_id || '',
+                    auction.highest_max_bid || 0
+                );
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                if (update.outbidBidderId) {
+                    this.db.prepare(`
+                        UPDATE auction_bids SET status = 'outbid' WHERE auction_id = ? AND bidder_id = ? AND status = 'active'
+                    `).run(auction.id, update.outbidBidderId);
+                }
+
+                const insertBid = this.db.prepare(`
+                    INSERT INTO auction_bids (auction_id, bidder_id, bidder_username, bid_amount, max_bid, is_proxy, status)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `);
+                for (const bid of bids) {
+                    insertBid.run(auction.id, bid.bidderId, bid.bidderUsername, bid.amount, bid.maxBid ?? null, bid.isProxy ? 1 : 0, bid.status);
+                }
+
+                return true;
+            });
+
+            return apply();
+        } catch (error) {
+            logger.error('Error applying auction bid:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move an auction from one status to another
+     * Returns true if the auction was in the expected status
+     */
+    async transitionAuction(auctionId, fromStatus, toStatus) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE auctions SET status = ?,
+                    settled_at = CASE WHEN ? IN ('sold', 'expired', 'cancelled') THEN CURRENT_TIMESTAMP ELSE settled_at END,
+                    settling_at = CASE WHEN ? = 'settling' THEN ? ELSE settling_at END
+                WHERE id = ? AND status = ?
+            `).run(toStatus, toStatus, toStatus, new Date().toISOString(), auctionId, fromStatus);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error transitioning auction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take over a settlement that stopped part way
+     * Returns false if another sweep took it over first
+     */
+    async reclaimSettlingAuction(auctionId, settlingAt) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE auctions SET settling_at = ?
+                WHERE id = ? AND status = 'settling' AND IFNULL(settling_at, '') = ?
+            `).run(new Date().toISOString(), auctionId, settlingAt || '');
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error reclaiming auction settlement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the status of a bidder's active bids on an auction
+     */
+    async updateAuctionBidStatus(auctionId, bidderId, status) {
+        try {
+            this.db.prepare(`
+                UPDATE auction_bids SET status = ? WHERE auction_id = ? AND bidder_id = ? AND status = 'active'
+            `).run(status, auctionId, bidderId);
+        } catch (error) {
+            logger.error('Error updating auction bid status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the bid history of an auction, newest first
+     */
+    async getAuctionBids(auctionId, limit = 10) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM auction_bids WHERE auction_id = ? ORDER BY id DESC LIMIT ?
+            `);
+            return stmt.all(auctionId, limit);
+        } catch (error) {
+            logger.error('Error getting auction bids:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create a player listing and return its id
+     */
+    async createListing(listing) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO player_listings 
+                (seller_id, seller_username, item_type, item_id, item_name, item_rarity, item_division,
+                 price, currency_type, listing_fee, guild_id, status, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?)
+            `);
+
+            const result = stmt.run(
+                listing.sellerId,
+                listing.sellerUsername,
+                listing.itemType,
+                listing.itemId,
+                listing.itemName,
+                listing.itemRarity,
+                listing.itemDivision,
+                listing.price,
+                listing.currencyType,
+                listing.listingFee,
+                listing.guildId || null,
+                listing.expiresAt.toISOString()
+            );
+
+            return result.lastInsertRowid;
+        } catch (error) {
+            logger.error('Error creating listing:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach the seller's item escrow to a listing
+     */
+    async setListingItemEscrow(listingId, escrowId) {
+        try {
+            this.db.prepare('UPDATE player_listings SET item_escrow_id = ? WHERE id = ?').run(escrowId, listingId);
+        } catch (error) {
+            logger.error('Error setting listing escrow:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a listing by id
+     */
+    async getListing(listingId) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM player_listings WHERE id = ?');
+            return stmt.get(listingId) || null;
+        } catch (error) {
+            logger.error('Error getting listing:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get active, unexpired listings matching optional type/rarity/division filters
+     */
+    async getActiveListings({ itemType = null, rarity = null, division = null, limit = 25 } = {}) {
+        try {
+            const conditions = ["status = 'active'", 'expires_at > ?'];
+            const params = [new Date().toISOString()];
+
+            if (itemType) {
+                conditions.push('item_type = ?');
+                params.push(itemType);
+            }
+            if (rarity) {
+                conditions.push('item_rarity = ?');
+                params.push(rarity);
+            }
+            if (division) {
+                conditions.push('item_division = ?');
+                params.push(division);
+            }
+
+            const stmt = this.db.prepare(`
+                SELECT * FROM player_listings WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ?
+            `);
+            return stmt.all(...params, limit);
+        } catch (error) {
+            logger.error('Error getting active listings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get active listings of an item priced at or below a price, cheapest then oldest first
+     */
+    async getMatchingListings(itemId, currencyType, maxPrice, excludeSellerId = null) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM player_listings
+                WHERE item_id = ? AND currency_type = ? AND status = 'active' AND price <= ?
+                  AND expires_at > ? AND seller_id != ?
+                ORDER BY price ASC, id ASC
+            `);
+            return stmt.all(itemId, currencyType, maxPrice, new Date().toISOString(), excludeSellerId || '');
+        } catch (error) {
+            logger.error('Error getting matching listings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a seller's active listings
+     */
+    async getPlayerListings(sellerId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM player_listings WHERE seller_id = ? AND status = 'active' ORDER BY expires_at ASC
+            `);
+            return stmt.all(sellerId);
+        } catch (error) {
+            logger.error('Error getting player listings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Count a seller's active listings
+     */
+    async countActiveListings(sellerId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT COUNT(*) as count FROM player_listings WHERE seller_id = ? AND status = 'active'
+            `);
+            return stmt.get(sellerId).count;
+        } catch (error) {
+            logger.error('Error counting active listings:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get active listings whose expiry has passed
+     */
+    async getExpiredListings(now = new Date()) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM player_listings WHERE status = 'active' AND expires_at <= ?
+            `);
+            return stmt.all(now.toISOString());
+        } catch (error) {
+            logger.error('Error getting expired listings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Move a listing from one status to another, optionally recording the buyer
+     * Returns true if the listing was in the expected status
+     */
+    async transitionListing(listingId, fromStatus, toStatus, { buyerId = null, buyerUsername = null } = {}) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE player_listings
+                SET status = ?, buyer_id = ?, buyer_username = ?,
+                    sold_at = CASE WHEN ? = 'sold' THEN CURRENT_TIMESTAMP ELSE NULL END,
+                    closed_at = CASE WHEN ? = 'active' THEN NULL ELSE CURRENT_TIMESTAMP END
+                WHERE id = ? AND status = ?
+            `).run(toStatus, buyerId, buyerUsername, toStatus, toStatus, listingId, fromStatus);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error transitioning listing:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a buy order and return its id
+     */
+    async createBuyOrder(order) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO buy_orders 
+                (buyer_id, buyer_username, item_id, item_name, currency_type, price_each, quantity, guild_id, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(
+                order.buyerId,
+                order.buyerUsername,
+                order.itemId,
+                order.itemName,
+                order.currencyType,
+                order.priceEach,
+                order.quantity,
+                order.guildId || null,
+                order.expiresAt.toISOString()
+            );
+
+            return result.lastInsertRowid;
+        } catch (error) {
+            logger.error('Error creating buy order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a buy order by id
+     */
+    async getBuyOrder(orderId) {
+        try {
+            return this.db.prepare('SELECT * FROM buy_orders WHERE id = ?').get(orderId) || null;
+        } catch (error) {
+            logger.error('Error getting buy order:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get open, unexpired buy orders, best price first
+     */
+    async getOpenBuyOrders(limit = 25) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM buy_orders WHERE status = 'open' AND expires_at > ?
+                ORDER BY price_each DESC, id ASC LIMIT ?
+            `);
+            return stmt.all(new Date().toISOString(), limit);
+        } catch (error) {
+            logger.error('Error getting open buy orders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get open buy orders for an item paying at least a price, best price then oldest first
+     */
+    async getMatchingBuyOrders(itemId, currencyType, minPrice, excludeBuyerId = null) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM buy_orders
+                WHERE item_id = ? AND currency_type = ? AND status = 'open' AND price_each >= ?
+                  AND expires_at > ? AND buyer_id != ?
+                ORDER BY price_each DESC, id ASC
+            `);
+            return stmt.all(itemId, currencyType, minPrice, new Date().toISOString(), excludeBuyerId || '');
+        } catch (error) {
+            logger.error('Error getting matching buy orders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a buyer's open buy orders
+     */
+    async getPlayerBuyOrders(buyerId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM buy_orders WHERE buyer_id = ? AND status = 'open' ORDER BY expires_at ASC
+            `);
+            return stmt.all(buyerId);
+        } catch (error) {
+            logger.error('Error getting player buy orders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Count a buyer's open buy orders
+     */
+    async countOpenBuyOrders(buyerId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT COUNT(*) as count FROM buy_orders WHERE buyer_id = ? AND status = 'open'
+            `);
+            return stmt.get(buyerId).count;
+        } catch (error) {
+            logger.error('Error counting open buy orders:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get open buy orders whose expiry has passed
+     */
+    async getExpiredBuyOrders(now = new Date()) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM buy_orders WHERE status = 'open' AND expires_at <= ?
+            `);
+            return stmt.all(now.toISOString());
+        } catch (error) {
+            logger.error('Error getting expired buy orders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Reserve one unit of an open buy order for filling
+     * The order closes as filled when its last unit is reserved. Returns true if a unit was reserved
+     */
+    async claimBuyOrderUnit(orderId) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE buy_orders
+                SET filled_quantity = filled_quantity + 1,
+                    status = CASE WHEN filled_quantity + 1 >= quantity THEN 'filled' ELSE status END,
+                    closed_at = CASE WHEN filled_quantity + 1 >= quantity THEN CURRENT_TIMESTAMP ELSE closed_at END
+                WHERE id = ? AND status = 'open' AND filled_quantity < quantity
+            `).run(orderId);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error claiming buy order unit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give back a unit reserved by claimBuyOrderUnit when the fill could not complete
+     */
+    async unclaimBuyOrderUnit(orderId) {
+        try {
+            this.db.prepare(`
+                UPDATE buy_orders
+                SET filled_quantity = filled_quantity - 1,
+                    status = CASE WHEN status = 'filled' THEN 'open' ELSE status END,
+                    closed_at = CASE WHEN status = 'filled' THEN NULL ELSE closed_at END
+                WHERE id = ? AND filled_quantity > 0
+            `).run(orderId);
+        } catch (error) {
+            logger.error('Error unclaiming buy order unit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a buy order from one status to another
+     * Returns true if the order was in the expected status
+     */
+    async transitionBuyOrder(orderId, fromStatus, toStatus) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE buy_orders SET status = ?, closed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?
+            `).run(toStatus, orderId, fromStatus);
+            return result.changes > 0;
+        } catch (error) {
+            logger.error('Error transitioning buy order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the casino games a server owner has switched off
+     */
+    async getDisabledCasinoGames(guildId) {
+        try {
+            return this.db.prepare(`
+                SELECT game FROM casino_game_settings WHERE guild_id = ? AND enabled = 0
+            `).all(guildId).map(row => row.game);
+        } catch (error) {
+            logger.error('Error getting casino game settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Switch a casino game on or off for a server
+     */
+    async setCasinoGameEnabled(guildId, game, enabled, updatedBy) {
+        try {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO casino_game_settings (guild_id, game, enabled, updated_by, updated_at)
+                VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(guildId, game, enabled ? 1 : 0, updatedBy);
+        } catch (error) {
+            logger.error('Error updating casino game settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a division's store slots for a refresh date, ordered by slot
+     */
+    async getStoreInventory(division, refreshDate) {
+        try {
+            return this.db.prepare(`
+                SELECT * FROM store_inventory WHERE division = ? AND refresh_date = ? ORDER BY slot_number
+            `).all(division, refreshDate);
+        } catch (error) {
+            logger.error('Error getting store inventory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single store slot
+     */
+    async getStoreSlot(division, slotNumber, refreshDate) {
+        try {
+            return this.db.prepare(`
+                SELECT * FROM store_inventory WHERE division = ? AND slot_number = ? AND refresh_date = ?
+            `).get(division, slotNumber, refreshDate);
+        } catch (error) {
+            logger.error('Error getting store slot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a day's store slots - slots that already exist for the date are kept
+     * A null stock or per-player limit means unlimited
+     */
+    async saveStoreInventory(slots) {
+        try {
+            const insert = this.db.prepare(`
+                INSERT OR IGNORE INTO store_inventory
+                (division, item_type, item_id, item_name, rarity, price, slot_number, refresh_date, stock, per_player_limit)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            this.db.transaction(() => {
+                for (const slot of slots) {
+                    insert.run(
+                        slot.division,
+                        slot.itemType,
+                        slot.itemId,
+                        slot.itemName,
+                        slot.rarity,
+                        slot.price,
+                        slot.slotNumber,
+                        slot.refreshDate,
+                        slot.stock ?? null,
+                        slot.perPlayerLimit ?? null
+                    );
+                }
+            })();
+        } catch (error) {
+            logger.error('Error saving store inventory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * How many of each slot a player has bought in a division's store today, keyed by slot number
+     */
+    async getPlayerStorePurchases(playerId, division, refreshDate) {
+        try {
+            const rows = this.db.prepare(`
+                SELECT slot_number, quantity FROM store_purchases
+                WHERE player_id = ? AND division = ? AND refresh_date = ?
+            `).all(playerId, division, refreshDate);
+            return Object.fromEntries(rows.map(row => [row.slot_number, row.quantity]));
+        } catch (error) {
+            logger.error('Error getting store purchases:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reserve one unit of a store slot for a player
+     * Returns 'claimed', or 'sold_out' / 'limit_reached' when nothing was reserved
+     */
+    async claimStoreSlot(division, slotNumber, refreshDate, playerId) {
+        try {
+            return this.db.transaction(() => {
+                const slot = this.db.prepare(`
+                    SELECT stock, sold, per_player_limit FROM store_inventory
+                    WHERE division = ? AND slot_number = ? AND refresh_date = ?
+                `).get(division, slotNumber, refreshDate);
+                if (!slot || (slot.stock !== null && slot.sold >= slot.stock)) {
+                    return 'sold_out';
+                }
+
+                const bought = this.db.prepare(`
+                    SELECT quantity FROM store_purchases
+                    WHERE division = ? AND slot_number = ? AND refresh_date = ? AND player_id = ?
+                `).get(division, slotNumber, refreshDate, playerId)?.quantity || 0;
+                if (slot.per_player_limit !== null && bought >= slot.per_player_limit) {
+                    return 'limit_reached';
+                }
+
+                this.db.prepare(`
+                    UPDATE store_inventory SET sold = sold + 1
+                    WHERE division = ? AND slot_number = ? AND refresh_date = ?
+                `).run(division, slotNumber, refreshDate);
+                this.db.prepare(`
+                    INSERT INTO store_purchases (division, slot_number, refresh_date, player_id, quantity)
+                    VALUES (?, ?, ?, ?, 1)
+                    ON CONFLICT (division, slot_number, refresh_date, player_id) DO UPDATE SET quantity = quantity + 1
+                `).run(division, slotNumber, refreshDate, playerId);
+                return 'claimed';
+            })();
+        } catch (error) {
+            logger.error('Error claiming store slot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give back a unit reserved by claimStoreSlot when the purchase could not complete
+     */
+    async unclaimStoreSlot(division, slotNumber, refreshDate, playerId) {
+        try {
+            this.db.transaction(() => {
+                this.db.prepare(`
+                    UPDATE store_inventory SET sold = sold - 1
+                    WHERE division = ? AND slot_number = ? AND refresh_date = ? AND sold > 0
+                `).run(division, slotNumber, refreshDate);
+                this.db.prepare(`
+                    UPDATE store_purchases SET quantity = quantity - 1
+                    WHERE division = ? AND slot_number = ? AND refresh_date = ? AND player_id = ? AND quantity > 0
+                `).run(division, slotNumber, refreshDate, playerId);
+            })();
+        } catch (error) {
+            logger.error('Error unclaiming store slot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a running high-low streak
+     */
+    async saveHighLowSession(session) {
+        try {
+            this.db.prepare(`
+                INSERT INTO casino_highlow_sessions (player_id, session_data, updated_at)
+                VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (player_id) DO UPDATE SET session_data = excluded.session_data, updated_at = CURRENT_TIMESTAMP
+            `).run(session.playerId, JSON.stringify(session));
+        } catch (error) {
+            logger.error('Error saving high-low session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a finished high-low streak
+     */
+    async deleteHighLowSession(playerId) {
+        try {
+            this.db.prepare('DELETE FROM casino_highlow_sessions WHERE player_id = ?').run(playerId);
+        } catch (error) {
+            logger.error('Error deleting high-low session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every saved high-low streak
+     */
+    async getHighLowSessions() {
+        try {
+            return this.db.prepare('SELECT session_data FROM casino_highlow_sessions').all()
+                .map(row => JSON.parse(row.session_data));
+        } catch (error) {
+            logger.error('Error getting high-low sessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a completed marketplace transaction
+     */
+    async recordTransaction(transaction) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO transaction_history 
+                (transaction_type, seller_id, buyer_id, item_details, currency_type, amount, fee_amount, status, confirmed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `);
+
+            const result = stmt.run(
+                transaction.type,
+                transaction.sellerId,
+                transaction.buyerId,
+                JSON.stringify(transaction.itemDetails),
+                transaction.currencyType,
+                transaction.amount,
+                transaction.feeAmount || 0,
+                transaction.status || 'confirmed'
+            );
+
+            return result.lastInsertRowid;
+        } catch (error) {
+            logger.error('Error recording marketplace transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether an auction's sale has already been recorded
+     */
+    async hasAuctionTransaction(auctionId) {
+        try {
+            return !!this.db.prepare(`
+                SELECT 1 FROM transaction_history
+                WHERE transaction_type = 'auction' AND json_extract(item_details, '$.auctionId') = ?
+            `).get(auctionId);
+        } catch (error) {
+            logger.error('Error checking auction transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sales of an item in one currency since a date, newest first
+     */
+    async getItemSales(itemId, currencyType, since) {
+        try {
+            const placeholders = MARKET_SALE_TYPES.map(() => '?').join(', ');
+            return this.db.prepare(`
+                SELECT transaction_type, amount, created_at FROM transaction_history
+                WHERE json_extract(item_details, '$.itemId') = ? AND currency_type = ?
+                  AND transaction_type IN (${placeholders}) AND created_at >= ?
+                ORDER BY created_at DESC
+            `).all(itemId, currencyType, ...MARKET_SALE_TYPES, toSqlTimestamp(since));
+        } catch (error) {
+            logger.error('Error getting item sales:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Most recent sale of an item in one currency, however old
+     */
+    async getLastItemSale(itemId, currencyType) {
+        try {
+            const placeholders = MARKET_SALE_TYPES.map(() => '?').join(', ');
+            return this.db.prepare(`
+                SELECT transaction_type, amount, created_at FROM transaction_history
+                WHERE json_extract(item_details, '$.itemId') = ? AND currency_type = ?
+                  AND transaction_type IN (${placeholders})
+                ORDER BY created_at DESC, id DESC LIMIT 1
+            `).get(itemId, currencyType, ...MARKET_SALE_TYPES);
+        } catch (error) {
+            logger.error('Error getting last item sale:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Most traded items since a date and all-time fees collected per currency
+     */
+    async getMarketOverview(since, limit = 5) {
+        try {
+            const placeholders = MARKET_SALE_TYPES.map(() => '?').join(', ');
+            const topItems = this.db.prepare(`
+                SELECT json_extract(item_details, '$.itemId') AS item_id,
+                       MAX(json_extract(item_details, '$.itemName')) AS item_name,
+                       currency_type,
+                       COUNT(*) AS volume,
+                       SUM(amount) AS total_value
+                FROM transaction_history
+                WHERE transaction_type IN (${placeholders}) AND created_at >= ?
+                GROUP BY item_id, currency_type
+                ORDER BY volume DESC, total_value DESC
+                LIMIT ?
+            `).all(...MARKET_SALE_TYPES, toSqlTimestamp(since), limit);
+
+            const fees = this.db.prepare(`
+                SELECT currency_type, SUM(fee_amount) AS total_fees FROM transaction_history
+                WHERE fee_amount > 0
+                GROUP BY currency_type
+                ORDER BY total_fees DESC
+            `).all();
+
+            return { topItems, fees };
+        } catch (error) {
+            logger.error('Error getting market overview:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Credit ledger entries ({ guildId, currencyType, bucket, amount, source, referenceId, createdBy }) together
+     */
+    async addTreasuryEntries(entries) {
+        try {
+            const insert = this.db.prepare(`
+                INSERT INTO treasury_ledger (guild_id, currency_type, bucket, amount, source, reference_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            this.db.transaction(() => {
+                for (const entry of entries) {
+                    insert.run(
+                        entry.guildId,
+                        entry.currencyType,
+                        entry.bucket,
+                        entry.amount,
+                        entry.source,
+                        entry.referenceId || null,
+                        entry.createdBy || null
+                    );
+                }
+            })();
+        } catch (error) {
+            logger.error('Error adding treasury entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether fees from a source and reference have already been credited
+     */
+    async hasTreasuryEntries(source, referenceId) {
+        try {
+            return !!this.db.prepare(`
+                SELECT 1 FROM treasury_ledger WHERE source = ? AND reference_id = ?
+            `).get(source, referenceId);
+        } catch (error) {
+            logger.error('Error checking treasury entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Current balance of every bucket and currency a server has collected into
+     */
+    async getTreasuryBalances(guildId) {
+        try {
+            return this.db.prepare(`
+                SELECT currency_type, bucket, SUM(amount) AS balance FROM treasury_ledger
+                WHERE guild_id = ?
+                GROUP BY currency_type, bucket
+                ORDER BY currency_type, bucket
+            `).all(guildId);
+        } catch (error) {
+            logger.error('Error getting treasury balances:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take an amount out of a bucket
+     * Returns the ledger entry id, or null when the bucket holds less than the amount
+     */
+    async withdrawTreasury(guildId, currencyType, bucket, amount, { referenceId = null, createdBy = null } = {}) {
+        try {
+            return this.db.transaction(() => {
+                const balance = this.db.prepare(`
+                    SELECT COALESCE(SUM(amount), 0) AS balance FROM treasury_ledger
+                    WHERE guild_id = ? AND currency_type = ? AND bucket = ?
+                `).get(guildId, currencyType, bucket).balance;
+                if (balance < amount) {
+                    return null;
+                }
+
+                return this.db.prepare(`
+                    INSERT INTO treasury_ledger (guild_id, currency_type, bucket, amount, source, reference_id, created_by)
+                    VALUES (?, ?, ?, ?, 'draw', ?, ?)
+                `).run(guildId, currencyType, bucket, -amount, referenceId, createdBy).lastInsertRowid;
+            })();
+        } catch (error) {
+            logger.error('Error withdrawing from treasury:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a server's fee split, or null if the owner never set one
+     */
+    async getTreasurySplit(guildId) {
+        try {
+            return this.db.prepare(`
+                SELECT burn_percent, treasury_percent, prize_pool_percent FROM treasury_settings WHERE guild_id = ?
+            `).get(guildId) || null;
+        } catch (error) {
+            logger.error('Error getting treasury split:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a server's fee split
+     */
+    async setTreasurySplit(guildId, split, updatedBy) {
+        try {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO treasury_settings (guild_id, burn_percent, treasury_percent, prize_pool_percent, updated_by, updated_at)
+                VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(guildId, split.burn, split.treasury, split.prize_pool, updatedBy);
+        } catch (error) {
+            logger.error('Error updating treasury split:', error);
+            throw error;
+        }
+    }
+
     /**
      * Close database connections
      */
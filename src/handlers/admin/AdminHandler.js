@@ -637,6 +637,7 @@ export class AdminHandler {
 
             const serverMemberCount = interaction.guild?.memberCount || 0;
             const serverCreated = interaction.guild?.createdAt ? interaction.guild.createdAt.toDateString() : 'Unknown';
+            const marketOverview = await this.getMarketOverviewText();
 
             const embed = new EmbedBuilder()
                 .setTitle('📊 **SERVER ANALYTICS** 📊')
@@ -655,6 +656,7 @@ export class AdminHandler {
                     '**📊 Real-time Data**: Updated hourly\n\n' +
                     '*Select analytics category:*'
                 )
+                .addFields([{ name: '🏪 **Market Overview**', value: marketOverview }])
                 .setColor(0x2196F3)
                 .setFooter({ text: 'Server Analytics • Real-time Monitoring' })
                 .setTimestamp();
@@ -712,6 +714,30 @@ export class AdminHandler {
         }
     }
 
+    /**
+     * Most traded items this week and fees collected, from marketplace transaction history
+     */
+    static async getMarketOverviewText() {
+        const { marketplaceDb } = await import('../../database/MarketplaceDatabase.js');
+        const { PRICE_HISTORY_DAYS } = await import('../../utils/priceHistory.js');
+        const since = new Date(Date.now() - PRICE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const { topItems, fees } = await marketplaceDb.getMarketOverview(since);
+
+        let text = `**Most traded (${PRICE_HISTORY_DAYS} days)**\n`;
+        text += topItems.length > 0 ?
+            topItems.map((item, index) =>
+                `${index + 1}. ${item.item_name || item.item_id} - ${item.volume} ${item.volume === 1 ? 'sale' : 'sales'} • ${item.total_value} ${item.currency_type}`
+            ).join('\n') :
+            '*No marketplace sales yet*';
+
+        text += '\n\n**Fees collected (all time)**\n';
+        text += fees.length > 0 ?
+            fees.map(fee => `${fee.total_fees} ${fee.currency_type}`).join(' • ') :
+            '*No fees collected yet*';
+
+        return text;
+    }
+
     /**
      * Show Server Settings interface - Phase 2.2
      */
@@ -1613,24 +1639,6 @@ export class AdminHandler {
         }
     }
 
-    /**
-     * Show server analytics interface
-     */
-    static async showServerAnalytics(interaction) {
-        try {
-        await interaction.reply({
-                content: '📊 **Server Analytics** - Coming Soon!\n\nThis will provide detailed server statistics and monitoring.',
-            ephemeral: true
-        });
-        } catch (error) {
-            logger.error('Error showing server analytics:', error);
-        await interaction.reply({
-                content: '❌ Error loading server analytics.',
-            ephemeral: true
-        });
-    }
-    }
-
     /**
      * Show server settings interface
      */
@@ -9,6 +9,10 @@ import { EffectProcessor } from '../../utils/EffectProcessor.js';
 import { generatePotionRewards } from '../../utils/potionScaling.js';
 import { generateWeaponReward, generateGoldReward } from '../../utils/weaponArmorDrops.js';
 import { calculateGoldScaling } from '../../utils/floorScaling.js';
+import { selectMonsterAction as chooseMonsterAction } from '../../utils/monsterBehavior.js';
+import { initBattleRng, getBattleRng } from '../../utils/combatRng.js';
+import { calculateArmorRating } from '../../utils/equipment.js';
+import { getDamageTypeInfo, formatDefenses } from '../../utils/elementalDamage.js';
 
 /**
  * BattleHandler - Handles turn-based simultaneous combat system
@@ -39,6 +43,8 @@ export class BattleHandler {
                 turnNumber: 1,
                 playerLastAction: null,
                 monsterLastAction: null,
+                playerLastMove: null,
+                actionLog: [], // Actions per turn - with rngSeed this replays the battle
                 playerEffects: [],
                 monsterEffects: [],
                 playerDeathPreventionUsed: false,
@@ -61,6 +67,7 @@ export class BattleHandler {
                     effectsApplied: []
                 }
             };
+            initBattleRng(gameState.battle);
 
             // Set current screen to battle
             gameState.currentScreen = 'battle';
@@ -68,7 +75,7 @@ export class BattleHandler {
 
             await this.showBattleScreen(interaction, gameState);
 
-            logger.info(`User ${gameState.session.userId} started floor ${floor} boss battle with ${scaledMonster.name}`);
+            logger.info(`User ${gameState.session.userId} started floor ${floor} boss battle with ${scaledMonster.name} (seed ${gameState.battle.rngSeed})`);
 
         } catch (error) {
             logger.error('Error starting floor boss battle:', error);
@@ -92,6 +99,8 @@ export class BattleHandler {
                 turnNumber: 1,
                 playerLastAction: null,
                 monsterLastAction: null,
+                playerLastMove: null,
+                actionLog: [], // Actions per turn - with rngSeed this replays the battle
                 playerEffects: [],
                 monsterEffects: [],
                 playerDeathPreventionUsed: false,
@@ -114,6 +123,7 @@ export class BattleHandler {
                     effectsApplied: []
                 }
             };
+            initBattleRng(gameState.battle);
 
             // Set current screen to battle
             gameState.currentScreen = 'battle';
@@ -121,7 +131,7 @@ export class BattleHandler {
 
             await this.showBattleScreen(interaction, gameState);
 
-            logger.info(`User ${gameState.session.userId} started ${battleType} battle with ${monster.name}`);
+            logger.info(`User ${gameState.session.userId} started ${battleType} battle with ${monster.name} (seed ${gameState.battle.rngSeed})`);
 
         } catch (error) {
             logger.error('Error starting exploration battle:', error);
@@ -152,7 +162,11 @@ export class BattleHandler {
             battleDescription += `**${playerHero.name}**\n`;
             battleDescription += `❤️ Health: ${gameState.player.currentHealth}/${playerHero.health}\n`;
             battleDescription += `💙 Mana: ${gameState.player.currentMana}/${playerHero.mana}\n`;
-            battleDescription += `🛡️ Armor: ${gameState.player.currentArmor || gameState.player.armor || 0}\n`;
+            battleDescription += `🛡️ Armor: ${calculateArmorRating(gameState.player, gameState.currentFloor || 1)}\n`;
+            const playerDefenses = formatDefenses(gameState.player);
+            if (playerDefenses) {
+                battleDescription += `🔰 ${playerDefenses}\n`;
+            }
             
             // Player's equipped weapons (show as primary/secondary)
             const equippedWeapons = playerHero.equippedWeapons || playerHero.weapons || [];
@@ -190,6 +204,10 @@ export class BattleHandler {
             battleDescription += `❤️ Health: ${monster.currentHealth || monster.health}/${monster.health}\n`;
             battleDescription += `💙 Mana: ${monster.currentMana || monster.mana}/${monster.mana}\n`;
             battleDescription += `🛡️ Armor: ${monster.armor || 0}\n`;
+            const monsterDefenses = formatDefenses(monster);
+            if (monsterDefenses) {
+                battleDescription += `🔰 ${monsterDefenses}\n`;
+            }
             
             // Monster's weapons (show as primary/secondary)
             if (monster.weapons && monster.weapons.length > 0) {
@@ -230,11 +248,12 @@ export class BattleHandler {
                     const weaponData = weaponsData.find(w => w.id === weaponId);
                     const weaponName = weaponData ? weaponData.name : weaponId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
                     const damage = weaponData ? weaponData.damage : 1;
+                    const damageType = getDamageTypeInfo(weaponData?.damageType).name.toLowerCase();
                     
                     options.push(
                         new StringSelectMenuOptionBuilder()
                             .setLabel(`⚔️ ${weaponName}`)
-                            .setDescription(`Use your weapon to attack (${damage} damage)`)
+                            .setDescription(`Use your weapon to attack (${damage} ${damageType} damage)`)
                             .setValue(`weapon_${weaponId}`)
                     );
                 });
@@ -380,12 +399,18 @@ export class BattleHandler {
             const monster = gameState.battle.currentMonster;
             
             // Select monster action
-            const monsterAction = this.selectMonsterAction(monster);
+            const monsterAction = this.selectMonsterAction(monster, gameState.battle);
             gameState.battle.monsterLastAction = monsterAction;
 
             // Calculate combat outcome using new EffectProcessor
             const combatResult = EffectProcessor.processCombatTurn(gameState, playerAction, monsterAction);
 
+            // The monster reacts to this move next turn
+            gameState.battle.playerLastMove = playerAction;
+            if (gameState.battle.actionLog) {
+                gameState.battle.actionLog.push({ turn: gameState.battle.turnNumber, playerAction, monsterAction });
+            }
+
             // Track battle statistics
             const battleStats = gameState.battle.battleStats;
             battleStats.totalTurns++;
@@ -410,38 +435,7 @@ export class BattleHandler {
             }
 
             // Apply results
-            gameState.player.currentHealth = Math.max(0, gameState.player.currentHealth - combatResult.playerDamage);
-            gameState.player.currentMana = Math.max(0, gameState.player.currentMana - combatResult.playerManaCost);
-            
-            // Apply healing
-            if (combatResult.playerHealing > 0) {
-                const maxHealth = gameState.player.hero.health;
-                gameState.player.currentHealth = Math.min(maxHealth, gameState.player.currentHealth + combatResult.playerHealing);
-            }
-            
-            // Apply mana restoration from effects
-            if (combatResult.playerManaRestore > 0) {
-                const maxMana = gameState.player.hero.mana;
-                gameState.player.currentMana = Math.min(maxMana, gameState.player.currentMana + combatResult.playerManaRestore);
-            }
-            
-            if (!monster.currentHealth) monster.currentHealth = monster.health;
-            if (!monster.currentMana) monster.currentMana = monster.mana;
-            
-            monster.currentHealth = Math.max(0, monster.currentHealth - combatResult.monsterDamage);
-            monster.currentMana = Math.max(0, monster.currentMana - combatResult.monsterManaCost);
-            
-            // Apply monster healing
-            if (combatResult.monsterHealing > 0) {
-                const maxHealth = monster.health;
-                monster.currentHealth = Math.min(maxHealth, monster.currentHealth + combatResult.monsterHealing);
-            }
-            
-            // Apply monster mana restoration from effects
-            if (combatResult.monsterManaRestore > 0) {
-                const maxMana = monster.mana;
-                monster.currentMana = Math.min(maxMana, monster.currentMana + combatResult.monsterManaRestore);
-            }
+            EffectProcessor.applyCombatResult(gameState, combatResult);
 
             // Check for battle end
             if (gameState.player.currentHealth <= 0) {
@@ -598,39 +592,10 @@ export class BattleHandler {
 
 
     /**
-     * Select monster action based on available options
+     * Select monster action from its behavior profile, rolling on the battle's generator
      */
-    static selectMonsterAction(monster) {
-        const availableActions = [];
-
-        // Add weapon actions
-        if (monster.weapons && monster.weapons.length > 0) {
-            monster.weapons.forEach(weapon => {
-                availableActions.push({ type: 'weapon', value: weapon });
-            });
-        }
-
-        // Add ability actions
-        if (monster.abilities && monster.abilities.length > 0) {
-            monster.abilities.forEach(ability => {
-                availableActions.push({ type: 'ability', value: ability });
-            });
-        }
-
-        // Add spell actions
-        if (monster.spells && monster.spells.length > 0) {
-            monster.spells.forEach(spell => {
-                availableActions.push({ type: 'spell', value: spell });
-            });
-        }
-
-        // Select random action
-        if (availableActions.length > 0) {
-            return availableActions[Math.floor(Math.random() * availableActions.length)];
-        }
-
-        // Default action
-        return { type: 'weapon', value: 'basic_attack' };
+    static selectMonsterAction(monster, battle = {}) {
+        return chooseMonsterAction(monster, battle, getBattleRng(battle));
     }
 
     /**
@@ -688,7 +653,7 @@ export class BattleHandler {
             defeatDescription += `**Final Hero Status:**\n`;
             defeatDescription += `❤️ Health: 0/${gameState.player.hero.health}\n`;
             defeatDescription += `💙 Mana: ${gameState.player.currentMana}/${gameState.player.hero.mana}\n`;
-            defeatDescription += `🛡️ Armor: ${gameState.player.currentArmor || gameState.player.armor || 0}\n\n`;
+            defeatDescription += `🛡️ Armor: ${calculateArmorRating(gameState.player, gameState.currentFloor || 1)}\n\n`;
             
             // Battle statistics
             defeatDescription += `**Battle Summary:**\n`;
@@ -851,7 +816,7 @@ export class BattleHandler {
             victoryDescription += `**Final Hero Status:**\n`;
             victoryDescription += `❤️ Health: ${gameState.player.currentHealth}/${gameState.player.hero.health}\n`;
             victoryDescription += `💙 Mana: ${gameState.player.currentMana}/${gameState.player.hero.mana}\n`;
-            victoryDescription += `🛡️ Armor: ${gameState.player.currentArmor || gameState.player.armor || 0}\n\n`;
+            victoryDescription += `🛡️ Armor: ${calculateArmorRating(gameState.player, gameState.currentFloor || 1)}\n\n`;
             
             // Battle statistics
             victoryDescription += `**Battle Summary:**\n`;
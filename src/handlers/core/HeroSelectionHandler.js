@@ -2,6 +2,7 @@ import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, A
 import { heroesData } from '../../data/heroesData.js';
 import { logger } from '../../utils/logger.js';
 import { embedHistory } from '../../utils/embedHistory.js';
+import { getEquipment } from '../../utils/equipment.js';
 
 /**
  * HeroSelectionHandler - Handles hero selection and confirmation
@@ -339,6 +340,11 @@ class HeroSelectionHandler {
                     }
                 }
                 
+                // Rebuild the slot equipment from the starting weapons
+                delete hero.equipment;
+                hero.equippedArmor = [];
+                getEquipment(hero);
+                
                 // Set the hero in game state
                 gameState.selectedHero = hero;
                 gameState.player.selectedHero = hero;
@@ -3,6 +3,17 @@ import { logger } from '../../utils/logger.js';
 import { weaponsData } from '../../data/weaponsData.js';
 import { embedHistory } from '../../utils/embedHistory.js';
 import { getPotionInfo } from '../../utils/potionScaling.js';
+import { getArmorById } from '../../data/armorData.js';
+import { getDamageTypeInfo } from '../../utils/elementalDamage.js';
+import {
+    EQUIPMENT_SLOTS,
+    EQUIPMENT_SLOT_NAMES,
+    getEquipment,
+    equipItem,
+    unequipItem,
+    getActiveSetBonuses,
+    calculateArmorRating
+} from '../../utils/equipment.js';
 
 /**
  * InventoryHandler - Manages inventory with Discord dropdown limitations
@@ -23,24 +34,18 @@ class InventoryHandler {
             description += `💰 **Gold:** ${gameState.economy.gold || 0}\n`;
             description += `🗝️ **Keys:** ${inventory.keys || 0}/100\n\n`;
             
-            // Current equipment
-            description += `**⚔️ Equipped Weapons:**\n`;
-            if (hero.equippedWeapons && hero.equippedWeapons.length > 0) {
-                hero.equippedWeapons.forEach(weapon => {
-                    description += `• ${weapon.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}\n`;
-                });
-            } else {
-                description += `• None equipped\n`;
-            }
-            
-            description += `\n**🛡️ Equipped Armor:**\n`;
-            if (hero.equippedArmor && hero.equippedArmor.length > 0) {
-                hero.equippedArmor.forEach(armor => {
-                    description += `• ${armor.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}\n`;
-                });
-            } else {
-                description += `• None equipped\n`;
-            }
+            // Current equipment, one item per slot
+            const equipment = getEquipment(hero);
+            description += `**⚔️ Equipment:**\n`;
+            EQUIPMENT_SLOTS.forEach(slot => {
+                const itemId = equipment[slot];
+                const itemName = itemId ? itemId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()) : '*Empty*';
+                description += `• ${EQUIPMENT_SLOT_NAMES[slot]}: ${itemName}\n`;
+            });
+            getActiveSetBonuses(equipment).forEach(bonus => {
+                description += `✨ ${bonus.name} set (${bonus.pieces} pieces): +${bonus.armor} armor\n`;
+            });
+            description += `🛡️ Armor Rating: ${calculateArmorRating(gameState.player, gameState.currentFloor || 1)}\n`;
 
             // Inventory counts
             const weaponCount = this.getWeaponCount(inventory);
@@ -229,7 +234,7 @@ class InventoryHandler {
                 options.push(
                     {
                         label: `${isEquipped ? '✅' : '⬜'} ${weapon.name}`,
-                        description: `${isEquipped ? 'Unequip' : 'Equip'} | Drop | Damage: ${weapon.damage}`,
+                        description: `${isEquipped ? 'Unequip' : 'Equip'} | Drop | Damage: ${weapon.damage} ${getDamageTypeInfo(weapon.damageType).name}`,
                         value: `weapon_${weapon.id}`
                     }
                 );
@@ -304,7 +309,7 @@ class InventoryHandler {
                 options.push(
                     {
                         label: `${isEquipped ? '✅' : '⬜'} ${armorPiece.name}`,
-                        description: `${isEquipped ? 'Unequip' : 'Equip'} | Drop | Defense: ${armorPiece.defense}`,
+                        description: `${isEquipped ? 'Unequip' : 'Equip'} | Drop | Armor: ${armorPiece.armor ?? armorPiece.defense ?? 0}`,
                         value: `armor_${armorPiece.id}`
                     }
                 );
@@ -504,22 +509,24 @@ class InventoryHandler {
      */
     static async handleWeaponAction(interaction, gameState, weaponId) {
         try {
-            const equippedWeapons = gameState.selectedHero.equippedWeapons || [];
-            const isEquipped = equippedWeapons.includes(weaponId);
+            getEquipment(gameState.selectedHero);
+            const isEquipped = gameState.selectedHero.equippedWeapons.includes(weaponId);
+
+            const weaponName = weaponId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
 
             if (isEquipped) {
                 // Unequip weapon
-                gameState.selectedHero.equippedWeapons = equippedWeapons.filter(w => w !== weaponId);
+                unequipItem(gameState.selectedHero, weaponId);
                 await interaction.reply({
-                    content: `✅ ${weaponId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())} unequipped!`,
+                    content: `✅ ${weaponName} unequipped!`,
                     flags: MessageFlags.Ephemeral
                 });
             } else {
-                // Equip weapon
-                if (!gameState.selectedHero.equippedWeapons) gameState.selectedHero.equippedWeapons = [];
-                gameState.selectedHero.equippedWeapons.push(weaponId);
+                // Equip weapon into the main hand, then the off hand
+                const { slot, replaced } = equipItem(gameState.selectedHero, 'weapon', weaponId);
+                const replacedText = replaced ? ` (replaced ${replaced.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())})` : '';
                 await interaction.reply({
-                    content: `⚔️ ${weaponId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())} equipped!`,
+                    content: `⚔️ ${weaponName} equipped in your ${EQUIPMENT_SLOT_NAMES[slot]}${replacedText}!`,
                     flags: MessageFlags.Ephemeral
                 });
             }
@@ -542,22 +549,32 @@ class InventoryHandler {
      */
     static async handleArmorAction(interaction, gameState, armorId) {
         try {
-            const equippedArmor = gameState.selectedHero.equippedArmor || [];
-            const isEquipped = equippedArmor.includes(armorId);
+            getEquipment(gameState.selectedHero);
+            const isEquipped = gameState.selectedHero.equippedArmor.includes(armorId);
+
+            const armorName = armorId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
 
             if (isEquipped) {
                 // Unequip armor
-                gameState.selectedHero.equippedArmor = equippedArmor.filter(a => a !== armorId);
+                unequipItem(gameState.selectedHero, armorId);
                 await interaction.reply({
-                    content: `✅ ${armorId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())} unequipped!`,
+                    content: `✅ ${armorName} unequipped!`,
                     flags: MessageFlags.Ephemeral
                 });
             } else {
-                // Equip armor
-                if (!gameState.selectedHero.equippedArmor) gameState.selectedHero.equippedArmor = [];
-                gameState.selectedHero.equippedArmor.push(armorId);
+                if (!getArmorById(armorId)) {
+                    await interaction.reply({
+                        content: `❌ ${armorName} doesn't fit any armor slot.`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+
+                // Equip armor, replacing whatever is in its slot
+                const { slot, replaced } = equipItem(gameState.selectedHero, 'armor', armorId);
+                const replacedText = replaced ? ` (replaced ${replaced.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())})` : '';
                 await interaction.reply({
-                    content: `🛡️ ${armorId.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())} equipped!`,
+                    content: `🛡️ ${armorName} equipped on your ${EQUIPMENT_SLOT_NAMES[slot]}${replacedText}!`,
                     flags: MessageFlags.Ephemeral
                 });
             }
@@ -0,0 +1,712 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { marketplaceDb } from '../../database/MarketplaceDatabase.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import { TreasuryService } from '../../services/TreasuryService.js';
+import { BID_INCREMENT, getBidIncrement, getMinimumBid, resolveBid } from '../../utils/auctionBidding.js';
+
+/**
+ * AuctionHandler - Timed auctions for the trading post
+ * Items and bids are held in escrow, max bids are bid up automatically (proxy bidding)
+ * and late bids push the end time back so auctions can't be sniped. The marketplace fee
+ * is taken from the seller's proceeds and credited to the auction's server treasury
+ */
+export class AuctionHandler {
+
+    static STATUS = {
+        ACTIVE: 'active',
+        SETTLING: 'settling',
+        SOLD: 'sold',
+        EXPIRED: 'expired',
+        CANCELLED: 'cancelled'
+    };
+
+    static SETTINGS = {
+        CURRENCIES: ['gold', 'tokens', 'dng', 'hero', 'eth'],
+        MIN_DURATION_HOURS: 1,
+        MAX_DURATION_HOURS: 72,
+        DEFAULT_DURATION_HOURS: 24,
+        INCREMENT_PERCENT: BID_INCREMENT.PERCENT,
+        MIN_INCREMENT: BID_INCREMENT.MINIMUM,
+        EXTENSION_WINDOW_MINUTES: 2, // A bid this close to the end pushes the end back to this far away
+        MAX_EXTENSIONS: 30,
+        SETTLEMENT_INTERVAL_SECONDS: 30,
+        SETTLEMENT_RETRY_MINUTES: 5 // A settlement untouched this long is assumed to have stopped and is resumed
+    };
+
+    static settlementInterval = null;
+
+    /**
+     * Start the periodic sweep that settles ended auctions
+     */
+    static initialize() {
+        if (!this.settlementInterval) {
+            this.settlementInterval = setInterval(() => {
+                this.processEndedAuctions().catch(error => logger.error('Error settling auctions:', error));
+            }, this.SETTINGS.SETTLEMENT_INTERVAL_SECONDS * 1000);
+
+            logger.info('AuctionHandler initialized with settlement sweep');
+        }
+    }
+
+    /**
+     * Show the auction house
+     */
+    static async showAuctionHouse(interaction) {
+        try {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const auctions = await marketplaceDb.getActiveAuctions(10);
+
+            let description = '**Bid on items from other adventurers!**\n\n';
+            description += `*Set a max bid and we bid for you in ${Math.round(this.SETTINGS.INCREMENT_PERCENT * 100)}% steps. `;
+            description += `Bids in the last ${this.SETTINGS.EXTENSION_WINDOW_MINUTES} minutes extend the auction.*\n\n`;
+
+            if (auctions.length === 0) {
+                description += '📭 *No active auctions right now. Be the first to list an item!*';
+            }
+
+            auctions.forEach(auction => {
+                description += `**#${auction.id} ${auction.item_name}** (${auction.item_rarity})\n`;
+                description += `   💰 ${auction.current_bid} ${auction.currency_type}${auction.highest_bidder_id ? '' : ' (starting bid)'}`;
+                description += ` • ⏰ ${this.formatEndsAt(auction.ends_at)}\n`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('🏆 **AUCTION HOUSE** 🏆')
+                .setDescription(description)
+                .setColor(0xffd700)
+                .setFooter({ text: 'Trading Post • Auction House' })
+                .setTimestamp();
+
+            const options = auctions.map(auction =>
+                new StringSelectMenuOptionBuilder()
+                    .setLabel(`#${auction.id} ${auction.item_name}`.substring(0, 100))
+                    .setDescription(`${auction.current_bid} ${auction.currency_type}`)
+                    .setValue(`view_${auction.id}`)
+            );
+
+            options.push(
+                new StringSelectMenuOptionBuilder()
+                    .setLabel('➕ List an Item')
+                    .setDescription('Start a new auction')
+                    .setValue('create_auction'),
+                new StringSelectMenuOptionBuilder()
+                    .setLabel('🔙 Back to Trading Post')
+                    .setDescription('Return to the trading post')
+                    .setValue('back_to_trading')
+            );
+
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId('auction_house_menu')
+                .setPlaceholder('Choose an auction...')
+                .addOptions(options);
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(selectMenu)]
+            });
+
+        } catch (error) {
+            logger.error('Error showing auction house:', error);
+            await interaction.reply({
+                content: '❌ Error loading the auction house.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle auction house menu selections
+     */
+    static async handleAuctionHouseSelection(interaction, selectedValue) {
+        if (selectedValue === 'create_auction') {
+            await this.showCreateAuctionModal(interaction);
+        } else if (selectedValue === 'back_to_trading') {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            await MarketplaceHandler.showTradingPostMenu(interaction);
+        } else if (selectedValue.startsWith('view_')) {
+            await this.showAuction(interaction, parseInt(selectedValue.replace('view_', ''), 10));
+        } else {
+            await this.showAuctionHouse(interaction);
+        }
+    }
+
+    /**
+     * Show one auction with its recent bids
+     */
+    static async showAuction(interaction, auctionId) {
+        try {
+            const auction = await marketplaceDb.getAuction(auctionId);
+
+            if (!auction) {
+                await interaction.reply({ content: '❌ Auction not found.', ephemeral: true });
+                return;
+            }
+
+            const bids = await marketplaceDb.getAuctionBids(auctionId, 8);
+            const isActive = auction.status === this.STATUS.ACTIVE;
+
+            let description = `**${auction.item_name}** (${auction.item_rarity} ${auction.item_type})\n`;
+            description += `Seller: **${auction.seller_username}**\n\n`;
+            description += `💰 **Current bid:** ${auction.current_bid} ${auction.currency_type}\n`;
+            description += `👑 **Leader:** ${auction.highest_bidder_username || '*no bids yet*'}\n`;
+            if (isActive) {
+                description += `📈 **Minimum next bid:** ${this.getMinimumBid(auction)} ${auction.currency_type}\n`;
+                description += `⏰ **Ends:** ${this.formatEndsAt(auction.ends_at)}`;
+                description += auction.extensions > 0 ? ` (extended ${auction.extensions}x)\n` : '\n';
+            } else {
+                description += `🏁 **Status:** ${auction.status}\n`;
+            }
+
+            if (bids.length > 0) {
+                description += '\n**Recent bids:**\n';
+                bids.forEach(bid => {
+                    description += `• ${bid.bidder_username}: ${bid.bid_amount}${bid.is_proxy ? ' 🤖' : ''}\n`;
+                });
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle(`🏆 **AUCTION #${auction.id}** 🏆`)
+                .setDescription(description)
+                .setColor(0xffd700)
+                .setFooter({ text: '🤖 = placed automatically from a max bid' })
+                .setTimestamp();
+
+            const components = [];
+            if (isActive) {
+                const buttons = [
+                    new ButtonBuilder()
+                        .setCustomId(`auction_bid_${auction.id}`)
+                        .setLabel('Place Bid')
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('💰')
+                ];
+                if (auction.seller_id === interaction.user.id && !auction.highest_bidder_id) {
+                    buttons.push(new ButtonBuilder()
+                        .setCustomId(`auction_cancel_${auction.id}`)
+                        .setLabel('Cancel Auction')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('🗑️'));
+                }
+                components.push(new ActionRowBuilder().addComponents(buttons));
+            }
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing auction:', error);
+            await interaction.reply({
+                content: '❌ Error loading auction.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle auction buttons
+     */
+    static async handleAuctionButton(interaction, customId) {
+        try {
+            if (customId.startsWith('auction_bid_')) {
+                await this.showBidModal(interaction, parseInt(customId.replace('auction_bid_', ''), 10));
+            } else if (customId.startsWith('auction_cancel_')) {
+                await this.cancelAuction(parseInt(customId.replace('auction_cancel_', ''), 10), interaction.user.id);
+                await interaction.reply({
+                    content: '✅ Auction cancelled. Your item has been returned.',
+                    ephemeral: true
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling auction button:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the create auction modal
+     */
+    static async showCreateAuctionModal(interaction) {
+        const modal = new ModalBuilder()
+            .setCustomId('auction_create_modal')
+            .setTitle('🏆 List an Item');
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('auction_item_id')
+                .setLabel('Item ID from your inventory')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(50)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('auction_starting_bid')
+                .setLabel('Starting bid')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(10)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('auction_currency')
+                .setLabel(`Currency (${this.SETTINGS.CURRENCIES.join(', ')})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('gold')
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('auction_duration_hours')
+                .setLabel(`Duration in hours (${this.SETTINGS.MIN_DURATION_HOURS}-${this.SETTINGS.MAX_DURATION_HOURS})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder(`${this.SETTINGS.DEFAULT_DURATION_HOURS}`)
+                .setMaxLength(3)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the create auction modal
+     */
+    static async handleCreateAuctionModal(interaction) {
+        try {
+            const durationInput = interaction.fields.getTextInputValue('auction_duration_hours').trim();
+
+            const auction = await this.createAuction(interaction.user.id, interaction.user.username, {
+                itemId: interaction.fields.getTextInputValue('auction_item_id').trim(),
+                startingBid: Number(interaction.fields.getTextInputValue('auction_starting_bid').trim()),
+                currencyType: interaction.fields.getTextInputValue('auction_currency').trim().toLowerCase() || 'gold',
+                durationHours: durationInput ? Number(durationInput) : this.SETTINGS.DEFAULT_DURATION_HOURS,
+                guildId: interaction.guild?.id || null
+            });
+
+            const { PlayerMarketHandler } = await import('./PlayerMarketHandler.js');
+            const { feePercentage } = PlayerMarketHandler.getMarketSettings();
+
+            await interaction.reply({
+                content: `✅ **${auction.itemName}** is up for auction (#${auction.id}) and ends ${this.formatEndsAt(auction.endsAt)}. A ${feePercentage}% fee is taken from the winning bid.`,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error handling create auction modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the bid modal
+     */
+    static async showBidModal(interaction, auctionId) {
+        const auction = await marketplaceDb.getAuction(auctionId);
+        if (!auction || auction.status !== this.STATUS.ACTIVE) {
+            throw new Error('This auction has ended');
+        }
+
+        const minimum = this.getMinimumBid(auction);
+        const modal = new ModalBuilder()
+            .setCustomId(`auction_bid_modal_${auctionId}`)
+            .setTitle(`💰 Bid on ${auction.item_name}`.substring(0, 45));
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('auction_bid_amount')
+                .setLabel(`Bid (minimum ${minimum} ${auction.currency_type})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder(`${minimum}`)
+                .setMaxLength(10)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('auction_max_bid')
+                .setLabel('Max bid - we bid for you up to this')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(10)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the bid modal
+     */
+    static async handleBidModal(interaction, auctionId) {
+        try {
+            const maxInput = interaction.fields.getTextInputValue('auction_max_bid').trim();
+
+            const result = await this.placeBid(auctionId, interaction.user.id, interaction.user.username, {
+                amount: Number(interaction.fields.getTextInputValue('auction_bid_amount').trim()),
+                maxBid: maxInput ? Number(maxInput) : null
+            });
+
+            const content = result.leading ?
+                `✅ You are the highest bidder at **${result.currentBid} ${result.currencyType}**.` :
+                `⚠️ Another bidder's max bid beat yours. The price is now **${result.currentBid} ${result.currencyType}** and your funds have been returned.`;
+
+            await interaction.reply({ content, ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error handling bid modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * List an item for auction
+     * The item leaves the seller's inventory into escrow until the auction settles
+     */
+    static async createAuction(sellerId, sellerUsername, { itemId, startingBid, currencyType = 'gold', durationHours = this.SETTINGS.DEFAULT_DURATION_HOURS, guildId = null }) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        if (!Number.isInteger(startingBid) || startingBid <= 0) {
+            throw new Error('Starting bid must be a positive whole number');
+        }
+        if (!this.SETTINGS.CURRENCIES.includes(currencyType)) {
+            throw new Error(`Currency must be one of: ${this.SETTINGS.CURRENCIES.join(', ')}`);
+        }
+        if (!Number.isFinite(durationHours) ||
+            durationHours < this.SETTINGS.MIN_DURATION_HOURS || durationHours > this.SETTINGS.MAX_DURATION_HOURS) {
+            throw new Error(`Duration must be between ${this.SETTINGS.MIN_DURATION_HOURS} and ${this.SETTINGS.MAX_DURATION_HOURS} hours`);
+        }
+
+        const playerData = await DatabaseManager.getPlayer(sellerId);
+        const found = EscrowService.findItem(playerData?.inventory, itemId);
+        if (!found) {
+            throw new Error('That item is not in your inventory');
+        }
+
+        const auction = {
+            sellerId,
+            sellerUsername,
+            itemType: found.category,
+            itemId,
+            itemName: found.item.name || itemId,
+            itemRarity: found.item.rarity || 'common',
+            itemDivision: currencyType,
+            startingBid,
+            currencyType,
+            itemEscrowId: null,
+            guildId,
+            endsAt: new Date(Date.now() + durationHours * 60 * 60 * 1000)
+        };
+
+        auction.id = await marketplaceDb.createAuction(auction);
+
+        try {
+            const escrow = await EscrowService.lock(sellerId, { items: [{ id: itemId, quantity: 1 }] }, {
+                referenceId: this.getReferenceId(auction.id),
+                referenceType: 'auction'
+            });
+            auction.itemEscrowId = escrow.escrowId;
+            await marketplaceDb.setAuctionItemEscrow(auction.id, escrow.escrowId);
+        } catch (error) {
+            await marketplaceDb.transitionAuction(auction.id, this.STATUS.ACTIVE, this.STATUS.CANCELLED);
+            throw error;
+        }
+
+        auditLogger.log('AUCTION', `Auction ${auction.id} created by ${sellerId}`, 'auction_created', {
+            auctionId: auction.id,
+            sellerId,
+            itemId,
+            startingBid,
+            currencyType,
+            endsAt: auction.endsAt
+        });
+
+        return auction;
+    }
+
+    /**
+     * Place a bid, optionally with a higher max bid that is bid up automatically
+     * The bidder's full max bid is held in escrow while they lead
+     */
+    static async placeBid(auctionId, bidderId, bidderUsername, { amount, maxBid = null }) {
+        const auction = await marketplaceDb.getAuction(auctionId);
+
+        if (!auction || auction.status !== this.STATUS.ACTIVE || new Date(auction.ends_at) <= new Date()) {
+            throw new Error('This auction has ended');
+        }
+        if (auction.seller_id === bidderId) {
+            throw new Error('You cannot bid on your own auction');
+        }
+
+        const max = maxBid ?? amount;
+        if (!Number.isInteger(amount) || !Number.isInteger(max) || amount <= 0) {
+            throw new Error('Bids must be positive whole numbers');
+        }
+        if (max < amount) {
+            throw new Error('Your max bid cannot be lower than your bid');
+        }
+
+        const referenceId = this.getReferenceId(auction.id);
+        const currency = auction.currency_type;
+
+        // The leader can only raise their max - the visible price stays where it is
+        if (auction.highest_bidder_id === bidderId) {
+            if (max <= auction.highest_max_bid) {
+                throw new Error(`You are already leading with a max bid of ${auction.highest_max_bid}`);
+            }
+
+            const escrow = await EscrowService.lock(bidderId, { currency: { [currency]: max - auction.highest_max_bid } }, {
+                referenceId,
+                referenceType: 'auction'
+            });
+
+            const applied = await marketplaceDb.applyAuctionBid(auction, {
+                currentBid: auction.current_bid,
+                highestBidderId: bidderId,
+                highestBidderUsername: bidderUsername,
+                highestMaxBid: max,
+                endsAt: new Date(auction.ends_at),
+                extensions: auction.extensions
+            }, []);
+
+            if (!applied) {
+                await EscrowService.refund(escrow.escrowId, 'auction_bid_conflict');
+                throw new Error('The auction changed while you were bidding - please try again');
+            }
+
+            return { leading: true, currentBid: auction.current_bid, currencyType: currency };
+        }
+
+        const minimum = this.getMinimumBid(auction);
+        if (amount < minimum) {
+            throw new Error(`The minimum bid is ${minimum} ${currency}`);
+        }
+
+        const escrow = await EscrowService.lock(bidderId, { currency: { [currency]: max } }, {
+            referenceId,
+            referenceType: 'auction'
+        });
+
+        const previousLeader = auction.highest_bidder_id;
+        const { update, bids } = resolveBid(auction, { bidderId, bidderUsername, amount, maxBid: max });
+
+        Object.assign(update, this.getExtendedEnd(auction));
+
+        const applied = await marketplaceDb.applyAuctionBid(auction, update, bids);
+        if (!applied) {
+            await EscrowService.refund(escrow.escrowId, 'auction_bid_conflict');
+            throw new Error('Someone else bid at the same time - please try again');
+        }
+
+        const leading = update.highestBidderId === bidderId;
+        if (leading && previousLeader) {
+            await this.refundBidder(auction.id, previousLeader, 'auction_outbid');
+        } else if (!leading) {
+            await EscrowService.refund(escrow.escrowId, 'auction_outbid');
+        }
+
+        auditLogger.log('AUCTION', `Bid on auction ${auction.id} by ${bidderId}`, 'auction_bid', {
+            auctionId: auction.id,
+            bidderId,
+            amount,
+            maxBid: max,
+            currentBid: update.currentBid,
+            leaderId: update.highestBidderId,
+            endsAt: update.endsAt
+        });
+
+        return { leading, currentBid: update.currentBid, currencyType: currency };
+    }
+
+    /**
+     * Cancel an auction that has no bids and return the item
+     */
+    static async cancelAuction(auctionId, sellerId) {
+        const auction = await marketplaceDb.getAuction(auctionId);
+
+        if (!auction || auction.seller_id !== sellerId) {
+            throw new Error('Only the seller can cancel this auction');
+        }
+        if (auction.highest_bidder_id) {
+            throw new Error('Auctions with bids cannot be cancelled');
+        }
+
+        const cancelled = await marketplaceDb.cancelAuctionWithoutBids(auctionId);
+        if (!cancelled) {
+            throw new Error('This auction can no longer be cancelled');
+        }
+
+        await EscrowService.refund(auction.item_escrow_id, 'auction_cancelled');
+
+        auditLogger.log('AUCTION', `Auction ${auctionId} cancelled by ${sellerId}`, 'auction_cancelled', {
+            auctionId,
+            sellerId
+        });
+    }
+
+    /**
+     * Settle every auction past its end time and resume settlements that stopped part way
+     */
+    static async processEndedAuctions() {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - this.SETTINGS.SETTLEMENT_RETRY_MINUTES * 60 * 1000);
+        const ended = await marketplaceDb.getEndedAuctions(now, staleBefore);
+
+        for (const auction of ended) {
+            try {
+                await this.settleAuction(auction);
+            } catch (error) {
+                logger.error(`Error settling auction ${auction.id}:`, error);
+            }
+        }
+
+        return ended.length;
+    }
+
+    /**
+     * Hand the item to the winner and the winning price to the seller
+     * Any part of the winner's max bid above the price goes back to them.
+     * Every step skips what an interrupted earlier attempt already did, so a stale settlement can be resumed
+     */
+    static async settleAuction(auction) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        const claimed = auction.status === this.STATUS.SETTLING ?
+            await marketplaceDb.reclaimSettlingAuction(auction.id, auction.settling_at) :
+            await marketplaceDb.transitionAuction(auction.id, this.STATUS.ACTIVE, this.STATUS.SETTLING);
+        if (!claimed) return;
+
+        const current = await marketplaceDb.getAuction(auction.id);
+        const winnerId = current.highest_bidder_id;
+        const referenceId = this.getReferenceId(current.id);
+
+        if (!winnerId) {
+            await EscrowService.refund(current.item_escrow_id, 'auction_no_bids');
+            await marketplaceDb.transitionAuction(current.id, this.STATUS.SETTLING, this.STATUS.EXPIRED);
+
+            auditLogger.log('AUCTION', `Auction ${current.id} ended without bids`, 'auction_expired', {
+                auctionId: current.id,
+                sellerId: current.seller_id
+            });
+            return;
+        }
+
+        await EscrowService.release(current.item_escrow_id, winnerId, 'auction_won');
+
+        // Pay the seller the final price out of the winner's held bids, less the same
+        // percentage fee as a listing sale on what the seller is actually paid
+        const { PlayerMarketHandler } = await import('./PlayerMarketHandler.js');
+        const currency = current.currency_type;
+        const winnerEscrows = (await DatabaseManager.getEscrowsByReference(referenceId))
+            .filter(escrow => escrow.ownerId === winnerId);
+        const paidOut = winnerEscrows.filter(escrow => escrow.status === EscrowService.STATUS.RELEASED && escrow.reason === 'auction_sold');
+        const held = winnerEscrows.filter(escrow => escrow.status === EscrowService.STATUS.HELD);
+
+        const alreadyPaid = paidOut.reduce((sum, escrow) => sum + Math.min(escrow.currency?.[currency] || 0, escrow.payout?.[currency] || 0), 0);
+        const heldTotal = held.reduce((sum, escrow) => sum + (escrow.currency?.[currency] || 0), 0);
+        const payable = Math.min(current.current_bid, alreadyPaid + heldTotal);
+
+        let remaining = current.current_bid - alreadyPaid;
+        let fee = paidOut.reduce((sum, escrow) => sum + (escrow.fee?.[currency] || 0), 0);
+        let feeRemaining = (payable > 0 ? PlayerMarketHandler.calculateFee(payable) : 0) - fee;
+        for (const escrow of held) {
+            const heldAmount = escrow.currency?.[currency] || 0;
+            const payment = Math.min(remaining, heldAmount);
+            const escrowFee = Math.max(0, Math.min(feeRemaining, payment));
+            const released = await EscrowService.release(escrow.escrowId, current.seller_id, 'auction_sold',
+                { [currency]: payment }, { [currency]: escrowFee });
+            if (!released) continue;
+
+            remaining -= payment;
+            feeRemaining -= escrowFee;
+            fee += escrowFee;
+        }
+
+        if (fee > 0 && !await marketplaceDb.hasTreasuryEntries('auction', referenceId)) {
+            await TreasuryService.collectFee(current.guild_id, currency, fee, {
+                source: 'auction',
+                referenceId
+            });
+        }
+
+        await marketplaceDb.updateAuctionBidStatus(current.id, winnerId, 'won');
+        if (!await marketplaceDb.hasAuctionTransaction(current.id)) {
+            await marketplaceDb.recordTransaction({
+                type: 'auction',
+                sellerId: current.seller_id,
+                buyerId: winnerId,
+                itemDetails: {
+                    auctionId: current.id,
+                    itemId: current.item_id,
+                    itemName: current.item_name,
+                    itemType: current.item_type,
+                    rarity: current.item_rarity
+                },
+                currencyType: currency,
+                amount: current.current_bid,
+                feeAmount: fee
+            });
+        }
+        await marketplaceDb.transitionAuction(current.id, this.STATUS.SETTLING, this.STATUS.SOLD);
+
+        auditLogger.log('AUCTION', `Auction ${current.id} sold to ${winnerId}`, 'auction_sold', {
+            auctionId: current.id,
+            sellerId: current.seller_id,
+            winnerId,
+            price: current.current_bid,
+            currencyType: currency,
+            fee,
+            unpaid: remaining
+        });
+    }
+
+    /**
+     * Return every bid a player has held on an auction
+     */
+    static async refundBidder(auctionId, bidderId, reason) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const held = await DatabaseManager.getEscrowsByReference(this.getReferenceId(auctionId), EscrowService.STATUS.HELD);
+
+        for (const escrow of held.filter(escrow => escrow.ownerId === bidderId)) {
+            await EscrowService.refund(escrow.escrowId, reason);
+        }
+    }
+
+    /**
+     * Utility methods
+     */
+    static getReferenceId(auctionId) {
+        return `auction_${auctionId}`;
+    }
+
+    static getIncrement(amount) {
+        return getBidIncrement(amount);
+    }
+
+    static getMinimumBid(auction) {
+        return getMinimumBid(auction);
+    }
+
+    /**
+     * Push the end time back when a bid lands in the closing window
+     */
+    static getExtendedEnd(auction, now = Date.now()) {
+        const endsAt = new Date(auction.ends_at);
+        const window = this.SETTINGS.EXTENSION_WINDOW_MINUTES * 60 * 1000;
+
+        if (endsAt.getTime() - now < window && auction.extensions < this.SETTINGS.MAX_EXTENSIONS) {
+            return { endsAt: new Date(now + window), extensions: auction.extensions + 1 };
+        }
+
+        return { endsAt, extensions: auction.extensions };
+    }
+
+    static formatEndsAt(endsAt) {
+        return `<t:${Math.floor(new Date(endsAt).getTime() / 1000)}:R>`;
+    }
+}
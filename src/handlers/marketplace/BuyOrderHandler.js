@@ -0,0 +1,632 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { marketplaceDb } from '../../database/MarketplaceDatabase.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import { TreasuryService } from '../../services/TreasuryService.js';
+import { getWeaponById } from '../../data/weaponsData.js';
+
+/**
+ * BuyOrderHandler - Standing buy orders on the player market
+ * Each unit's price is held in its own escrow so partial fills pay out one unit at a time
+ */
+export class BuyOrderHandler {
+
+    static STATUS = {
+        OPEN: 'open',
+        FILLED: 'filled',
+        CANCELLED: 'cancelled',
+        EXPIRED: 'expired'
+    };
+
+    static SETTINGS = {
+        CURRENCIES: ['gold', 'tokens', 'dng', 'hero', 'eth'],
+        MAX_OPEN_ORDERS: 5,
+        MAX_QUANTITY: 20,
+        DURATION_HOURS: 72,
+        PAGE_SIZE: 10,
+        EXPIRY_INTERVAL_SECONDS: 60
+    };
+
+    static expiryInterval = null;
+
+    /**
+     * Start the periodic sweep that refunds expired buy orders
+     */
+    static initialize() {
+        if (!this.expiryInterval) {
+            this.expiryInterval = setInterval(() => {
+                this.expireBuyOrders().catch(error => logger.error('Error expiring buy orders:', error));
+            }, this.SETTINGS.EXPIRY_INTERVAL_SECONDS * 1000);
+
+            logger.info('BuyOrderHandler initialized with buy order expiry sweep');
+        }
+    }
+
+    /**
+     * Show open buy orders and the player's own orders
+     */
+    static async showBuyOrders(interaction) {
+        try {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const orders = await marketplaceDb.getOpenBuyOrders(this.SETTINGS.PAGE_SIZE);
+            const myOrders = await marketplaceDb.getPlayerBuyOrders(interaction.user.id);
+
+            let description = '**Standing offers to buy items.** Sell into one directly, or list a matching item and it fills automatically.\n\n';
+
+            if (orders.length === 0) {
+                description += '📭 *No open buy orders.*\n';
+            }
+
+            orders.forEach(order => {
+                description += `**#${order.id} ${order.item_name}** • 💰 ${order.price_each} ${order.currency_type} each`;
+                description += ` • ${order.quantity - order.filled_quantity} wanted • 👤 ${order.buyer_username}\n`;
+            });
+
+            description += `\n**Your open orders:** ${myOrders.length}/${this.SETTINGS.MAX_OPEN_ORDERS}`;
+
+            const embed = new EmbedBuilder()
+                .setTitle('📥 **BUY ORDERS** 📥')
+                .setDescription(description)
+                .setColor(0x5865F2)
+                .setFooter({ text: `Currency is reserved when an order is placed • Orders last ${this.SETTINGS.DURATION_HOURS}h` })
+                .setTimestamp();
+
+            const options = [...orders, ...myOrders.filter(mine => !orders.some(order => order.id === mine.id))]
+                .slice(0, 23)
+                .map(order =>
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel(`#${order.id} ${order.item_name}`.substring(0, 100))
+                        .setDescription(`${order.price_each} ${order.currency_type} each • ${order.quantity - order.filled_quantity} wanted`)
+                        .setValue(`view_${order.id}`)
+                );
+
+            options.push(
+                new StringSelectMenuOptionBuilder()
+                    .setLabel('➕ Place Buy Order')
+                    .setDescription('Reserve currency to buy an item')
+                    .setValue('create_buy_order'),
+                new StringSelectMenuOptionBuilder()
+                    .setLabel('🔄 Back to Player Market')
+                    .setDescription('Return to the player market')
+                    .setValue('back_to_player_market')
+            );
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(
+                    new StringSelectMenuBuilder()
+                        .setCustomId('buy_order_menu')
+                        .setPlaceholder('Choose a buy order...')
+                        .addOptions(options)
+                )]
+            });
+
+        } catch (error) {
+            logger.error('Error showing buy orders:', error);
+            await interaction.reply({
+                content: '❌ Error loading buy orders.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle buy order menu selections
+     */
+    static async handleBuyOrderSelection(interaction, selectedValue) {
+        if (selectedValue === 'create_buy_order') {
+            await this.showCreateBuyOrderModal(interaction);
+        } else if (selectedValue === 'back_to_player_market') {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            await MarketplaceHandler.showPlayerMarketMenu(interaction);
+        } else if (selectedValue.startsWith('view_')) {
+            await this.showBuyOrder(interaction, parseInt(selectedValue.replace('view_', ''), 10));
+        }
+    }
+
+    /**
+     * Show a single buy order with sell or cancel buttons
+     */
+    static async showBuyOrder(interaction, orderId) {
+        try {
+            const order = await marketplaceDb.getBuyOrder(orderId);
+
+            if (!order) {
+                await interaction.reply({ content: '❌ Buy order not found.', ephemeral: true });
+                return;
+            }
+
+            const isBuyer = order.buyer_id === interaction.user.id;
+            const isOpen = order.status === this.STATUS.OPEN && new Date(order.expires_at) > new Date();
+
+            let description = `**${order.item_name}** (\`${order.item_id}\`)\n`;
+            description += `Buyer: **${order.buyer_username}**\n\n`;
+            description += `💰 **Price:** ${order.price_each} ${order.currency_type} each\n`;
+            description += `📦 **Filled:** ${order.filled_quantity}/${order.quantity}\n`;
+            description += isOpen ?
+                `⏰ **Expires:** <t:${Math.floor(new Date(order.expires_at).getTime() / 1000)}:R>` :
+                `🏁 **Status:** ${order.status}`;
+
+            const embed = new EmbedBuilder()
+                .setTitle(`📥 **BUY ORDER #${order.id}** 📥`)
+                .setDescription(description)
+                .setColor(0x5865F2)
+                .setTimestamp();
+
+            const components = [];
+            if (isOpen) {
+                const button = isBuyer ?
+                    new ButtonBuilder()
+                        .setCustomId(`buy_order_cancel_${order.id}`)
+                        .setLabel('Cancel Order')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('🗑️') :
+                    new ButtonBuilder()
+                        .setCustomId(`buy_order_sell_${order.id}`)
+                        .setLabel(`Sell 1 for ${order.price_each} ${order.currency_type}`)
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('💰');
+                components.push(new ActionRowBuilder().addComponents(button));
+            }
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing buy order:', error);
+            await interaction.reply({
+                content: '❌ Error loading buy order.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle sell and cancel buttons
+     */
+    static async handleBuyOrderButton(interaction, customId) {
+        try {
+            if (customId.startsWith('buy_order_sell_')) {
+                const result = await this.sellToBuyOrder(parseInt(customId.replace('buy_order_sell_', ''), 10), interaction.user.id);
+                await interaction.reply({
+                    content: `✅ Sold **${result.order.item_name}** for ${result.price} ${result.order.currency_type} (${result.fee} fee).`,
+                    ephemeral: true
+                });
+            } else if (customId.startsWith('buy_order_cancel_')) {
+                await this.cancelBuyOrder(parseInt(customId.replace('buy_order_cancel_', ''), 10), interaction.user.id);
+                await interaction.reply({
+                    content: '✅ Buy order cancelled. Your reserved currency has been returned.',
+                    ephemeral: true
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling buy order button:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the create buy order modal
+     */
+    static async showCreateBuyOrderModal(interaction) {
+        const modal = new ModalBuilder()
+            .setCustomId('buy_order_create_modal')
+            .setTitle('📥 Place Buy Order');
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('buy_order_item_id')
+                .setLabel('Item ID')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(50)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('buy_order_price')
+                .setLabel('Price per item')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(10)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('buy_order_quantity')
+                .setLabel(`Quantity (1-${this.SETTINGS.MAX_QUANTITY})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('1')
+                .setMaxLength(3)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('buy_order_currency')
+                .setLabel(`Currency (${this.SETTINGS.CURRENCIES.join(', ')})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('gold')
+                .setMaxLength(10)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the create buy order modal
+     */
+    static async handleCreateBuyOrderModal(interaction) {
+        try {
+            const order = await this.createBuyOrder(interaction.user.id, interaction.user.username, {
+                itemId: interaction.fields.getTextInputValue('buy_order_item_id').trim(),
+                priceEach: Number(interaction.fields.getTextInputValue('buy_order_price').trim()),
+                quantity: Number(interaction.fields.getTextInputValue('buy_order_quantity').trim() || 1),
+                currencyType: interaction.fields.getTextInputValue('buy_order_currency').trim().toLowerCase() || 'gold',
+                guildId: interaction.guild?.id || null
+            });
+
+            let content = `✅ Buy order #${order.id} placed for ${order.quantity}x **${order.itemName}** at ${order.priceEach} ${order.currencyType} each.`;
+            if (order.filled > 0) {
+                content += ` ${order.filled} filled instantly from existing listings.`;
+            }
+
+            await interaction.reply({ content, ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error handling create buy order modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Place a buy order, reserving the full price, then fill it from any cheaper listings
+     */
+    static async createBuyOrder(buyerId, buyerUsername, { itemId, priceEach, quantity = 1, currencyType = 'gold', guildId = null }) {
+        if (!itemId) {
+            throw new Error('An item ID is required');
+        }
+        if (!Number.isInteger(priceEach) || priceEach <= 0) {
+            throw new Error('Price must be a positive whole number');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > this.SETTINGS.MAX_QUANTITY) {
+            throw new Error(`Quantity must be between 1 and ${this.SETTINGS.MAX_QUANTITY}`);
+        }
+        if (!this.SETTINGS.CURRENCIES.includes(currencyType)) {
+            throw new Error(`Currency must be one of: ${this.SETTINGS.CURRENCIES.join(', ')}`);
+        }
+        if (await marketplaceDb.countOpenBuyOrders(buyerId) >= this.SETTINGS.MAX_OPEN_ORDERS) {
+            throw new Error(`You can have at most ${this.SETTINGS.MAX_OPEN_ORDERS} open buy orders`);
+        }
+        if (!await EscrowService.canAfford(buyerId, { currency: { [currencyType]: priceEach * quantity } })) {
+            throw new Error(`You need ${priceEach * quantity} ${currencyType} to place this order`);
+        }
+
+        const order = {
+            buyerId,
+            buyerUsername,
+            itemId,
+            itemName: getWeaponById(itemId)?.name || itemId,
+            currencyType,
+            priceEach,
+            quantity,
+            guildId,
+            expiresAt: new Date(Date.now() + this.SETTINGS.DURATION_HOURS * 60 * 60 * 1000)
+        };
+
+        order.id = await marketplaceDb.createBuyOrder(order);
+
+        try {
+            for (let unit = 0; unit < quantity; unit++) {
+                await EscrowService.lock(buyerId, { currency: { [currencyType]: priceEach } }, {
+                    referenceId: this.getReferenceId(order.id),
+                    referenceType: 'buy_order'
+                });
+            }
+        } catch (error) {
+            await marketplaceDb.transitionBuyOrder(order.id, this.STATUS.OPEN, this.STATUS.CANCELLED);
+            await EscrowService.refundReference(this.getReferenceId(order.id), 'buy_order_failed');
+            throw error;
+        }
+
+        auditLogger.log('MARKETPLACE', `Buy order ${order.id} placed by ${buyerId}`, 'buy_order_created', {
+            orderId: order.id,
+            buyerId,
+            itemId,
+            priceEach,
+            quantity,
+            currencyType
+        });
+
+        order.filled = await this.fillFromListings(order.id);
+        return order;
+    }
+
+    /**
+     * Fill an order from active listings priced at or below it, cheapest first
+     */
+    static async fillFromListings(orderId) {
+        let order = await marketplaceDb.getBuyOrder(orderId);
+        const listings = await marketplaceDb.getMatchingListings(order.item_id, order.currency_type, order.price_each, order.buyer_id);
+        let filled = 0;
+
+        for (const listing of listings) {
+            if (order.status !== this.STATUS.OPEN) break;
+
+            try {
+                if (await this.fillFromListing(order, listing)) filled++;
+            } catch (error) {
+                logger.error(`Error filling buy order ${orderId} from listing ${listing.id}:`, error);
+            }
+            order = await marketplaceDb.getBuyOrder(orderId);
+        }
+
+        return filled;
+    }
+
+    /**
+     * Fill the best matching buy order from a newly created listing
+     * Returns the order that bought the listing, or null if none matched
+     */
+    static async matchListing(listing) {
+        const orders = await marketplaceDb.getMatchingBuyOrders(listing.item_id, listing.currency_type, listing.price, listing.seller_id);
+
+        for (const order of orders) {
+            try {
+                if (await this.fillFromListing(order, listing)) return order;
+            } catch (error) {
+                logger.error(`Error filling buy order ${order.id} from listing ${listing.id}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Sell one unit of a listing into a buy order at the listing's price
+     * Returns false if either side was taken by someone else first
+     */
+    static async fillFromListing(order, listing) {
+        if (!await marketplaceDb.claimBuyOrderUnit(order.id)) {
+            return false;
+        }
+
+        const { PlayerMarketHandler } = await import('./PlayerMarketHandler.js');
+        const sold = await marketplaceDb.transitionListing(listing.id, PlayerMarketHandler.STATUS.ACTIVE, PlayerMarketHandler.STATUS.SOLD, {
+            buyerId: order.buyer_id,
+            buyerUsername: order.buyer_username
+        });
+        if (!sold) {
+            await marketplaceDb.unclaimBuyOrderUnit(order.id);
+            return false;
+        }
+
+        // Once the item has reached the buyer the sale stands - an unpaid seller is recorded rather than rolled back
+        try {
+            await this.settleUnit(order, listing.seller_id, listing.item_escrow_id, listing.price, listing.listing_fee, {
+                listingId: listing.id,
+                guildId: listing.guild_id || order.guild_id
+            });
+        } catch (error) {
+            if (await this.isItemDelivered(listing.item_escrow_id)) {
+                logger.error(`Buy order ${order.id} took listing ${listing.id} but failed after delivering the item:`, error);
+                return true;
+            }
+            await marketplaceDb.unclaimBuyOrderUnit(order.id);
+            await marketplaceDb.transitionListing(listing.id, PlayerMarketHandler.STATUS.SOLD, PlayerMarketHandler.STATUS.ACTIVE);
+            throw error;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sell one item from the seller's inventory directly into a buy order
+     */
+    static async sellToBuyOrder(orderId, sellerId) {
+        const order = await marketplaceDb.getBuyOrder(orderId);
+
+        if (!order || order.status !== this.STATUS.OPEN || new Date(order.expires_at) <= new Date()) {
+            throw new Error('This buy order is no longer open');
+        }
+        if (order.buyer_id === sellerId) {
+            throw new Error('You cannot sell into your own buy order');
+        }
+        if (!await marketplaceDb.claimBuyOrderUnit(order.id)) {
+            throw new Error('This buy order has just been filled');
+        }
+
+        let itemEscrow;
+        try {
+            itemEscrow = await EscrowService.lock(sellerId, { items: [{ id: order.item_id, quantity: 1 }] }, {
+                referenceId: `${this.getReferenceId(order.id)}_sale`,
+                referenceType: 'buy_order'
+            });
+        } catch (error) {
+            await marketplaceDb.unclaimBuyOrderUnit(order.id);
+            throw new Error(`You don't have ${order.item_name} in your inventory`);
+        }
+
+        const { PlayerMarketHandler } = await import('./PlayerMarketHandler.js');
+        const fee = PlayerMarketHandler.calculateFee(order.price_each);
+
+        let paid;
+        try {
+            paid = await this.settleUnit(order, sellerId, itemEscrow.escrowId, order.price_each, fee);
+        } catch (error) {
+            if (!await this.isItemDelivered(itemEscrow.escrowId)) {
+                await marketplaceDb.unclaimBuyOrderUnit(order.id);
+                await EscrowService.refund(itemEscrow.escrowId, 'buy_order_failed');
+            }
+            throw error;
+        }
+
+        if (!paid) {
+            throw new Error('Your item was delivered but this buy order had no reserved funds left - the unpaid sale has been recorded for review');
+        }
+
+        return { order, price: order.price_each, fee };
+    }
+
+    /**
+     * Deliver the item to the buyer and pay the seller from one reserved unit
+     * The item moves first, so the seller is never paid for an item the buyer didn't get.
+     * Any difference between the order price and the sale price returns to the buyer.
+     * The fee is credited to the listing's server when filled from a listing, otherwise the order's.
+     * Throws if nothing moved; returns false if the item was delivered but no funds were left to pay
+     * the seller, after recording the sale as unpaid
+     */
+    static async settleUnit(order, sellerId, itemEscrowId, price, fee, { listingId = null, guildId = order.guild_id } = {}) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const referenceId = this.getReferenceId(order.id);
+
+        const held = await DatabaseManager.getEscrowsByReference(referenceId, EscrowService.STATUS.HELD);
+        if (held.length === 0) {
+            throw new Error('This buy order no longer has reserved funds');
+        }
+
+        if (!await EscrowService.release(itemEscrowId, order.buyer_id, 'buy_order_filled')) {
+            throw new Error('The item for this sale is no longer held');
+        }
+
+        // Units are interchangeable; the first one still held is paid out.
+        // The marketplace fee is kept back from the seller's proceeds, as with listings
+        let paid = null;
+        for (const escrow of held) {
+            paid = await EscrowService.release(escrow.escrowId, sellerId, 'buy_order_filled',
+                { [order.currency_type]: price }, { [order.currency_type]: fee });
+            if (paid) break;
+        }
+        if (!paid) {
+            // Each claimed unit has its own escrow, so this means the order's reservations are out of step
+            logger.error(`Buy order ${order.id} delivered item escrow ${itemEscrowId} but had no reserved funds to pay ${sellerId}`);
+            await marketplaceDb.recordTransaction({
+                type: 'buy_order',
+                status: 'unpaid',
+                sellerId,
+                buyerId: order.buyer_id,
+                itemDetails: {
+                    orderId: order.id,
+                    listingId,
+                    itemId: order.item_id,
+                    itemName: order.item_name,
+                    unpaid: price
+                },
+                currencyType: order.currency_type,
+                amount: price,
+                feeAmount: 0
+            });
+
+            auditLogger.log('MARKETPLACE', `Buy order ${order.id} received an item from ${sellerId} without paying`, 'buy_order_unpaid', {
+                orderId: order.id,
+                buyerId: order.buyer_id,
+                sellerId,
+                listingId,
+                unpaid: price,
+                currencyType: order.currency_type
+            });
+            return false;
+        }
+
+        if (fee > 0) {
+            await TreasuryService.collectFee(guildId, order.currency_type, fee, {
+                source: 'buy_order',
+                referenceId: this.getReferenceId(order.id)
+            });
+        }
+
+        await marketplaceDb.recordTransaction({
+            type: 'buy_order',
+            sellerId,
+            buyerId: order.buyer_id,
+            itemDetails: {
+                orderId: order.id,
+                listingId,
+                itemId: order.item_id,
+                itemName: order.item_name
+            },
+            currencyType: order.currency_type,
+            amount: price,
+            feeAmount: fee
+        });
+
+        auditLogger.log('MARKETPLACE', `Buy order ${order.id} filled by ${sellerId}`, 'buy_order_filled', {
+            orderId: order.id,
+            buyerId: order.buyer_id,
+            sellerId,
+            listingId,
+            price,
+            fee,
+            currencyType: order.currency_type
+        });
+
+        return true;
+    }
+
+    /**
+     * Whether a sale's item has already been released to the buyer
+     */
+    static async isItemDelivered(itemEscrowId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const escrow = await DatabaseManager.getEscrow(itemEscrowId);
+        return escrow?.status === EscrowService.STATUS.RELEASED;
+    }
+
+    /**
+     * Cancel a buy order and return the unfilled reservation
+     */
+    static async cancelBuyOrder(orderId, buyerId) {
+        const order = await marketplaceDb.getBuyOrder(orderId);
+
+        if (!order || order.buyer_id !== buyerId) {
+            throw new Error('Only the buyer can cancel this order');
+        }
+
+        await this.closeBuyOrder(order, this.STATUS.CANCELLED);
+    }
+
+    /**
+     * Refund every expired buy order's unfilled reservation
+     */
+    static async expireBuyOrders() {
+        const expired = await marketplaceDb.getExpiredBuyOrders(new Date());
+
+        for (const order of expired) {
+            try {
+                await this.closeBuyOrder(order, this.STATUS.EXPIRED);
+            } catch (error) {
+                logger.error(`Error expiring buy order ${order.id}:`, error);
+            }
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Close an open buy order and refund the currency still reserved for it
+     */
+    static async closeBuyOrder(order, status) {
+        const closed = await marketplaceDb.transitionBuyOrder(order.id, this.STATUS.OPEN, status);
+        if (!closed) {
+            throw new Error('This buy order is no longer open');
+        }
+
+        const refunded = await EscrowService.refundReference(this.getReferenceId(order.id), `buy_order_${status}`);
+
+        auditLogger.log('MARKETPLACE', `Buy order ${order.id} ${status}`, `buy_order_${status}`, {
+            orderId: order.id,
+            buyerId: order.buyer_id,
+            unitsRefunded: refunded.length
+        });
+    }
+
+    /**
+     * Utility methods
+     */
+    static getReferenceId(orderId) {
+        return `buy_order_${orderId}`;
+    }
+}
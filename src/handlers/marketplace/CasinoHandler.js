@@ -0,0 +1,927 @@
+import { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { marketplaceDb } from '../../database/MarketplaceDatabase.js';
+import { ProvablyFairService } from '../../services/ProvablyFairService.js';
+import {
+    CASINO_GAMES,
+    CASINO_DIVISIONS,
+    DEFAULT_HOUSE_EDGE,
+    DICE_CHANCES,
+    CARD_RANKS,
+    SLOT_SYMBOLS,
+    rollDice,
+    getDiceMultiplier,
+    drawCard,
+    getHighLowChance,
+    getHighLowMultiplier,
+    getSlotsPaytable,
+    spinReels,
+    getSlotsMultiplier,
+    getPayout
+} from '../../data/casinoData.js';
+
+/**
+ * CasinoHandler - Dice, high-low and slots, plus per-server game switches
+ * Games roll from the player's provably fair seed pair; paytables live in src/data/casinoData.js
+ */
+export class CasinoHandler {
+
+    static SETTINGS = {
+        WAGER_PRESETS: [10, 25, 50, 100],
+        HIGH_LOW_IDLE_MINUTES: 10,
+        SWEEP_INTERVAL_SECONDS: 60
+    };
+
+    static HOW_TO_PLAY = {
+        dice: '• Pick a target chance\n• Roll 0.00-99.99\n• Roll under your target to win\n• Lower chances pay more',
+        highlow: '• A card is drawn\n• Call whether the next card is higher or lower\n• Each correct call grows your multiplier - ties lose\n• Cash out any time',
+        slots: '• Spin three reels\n• Three of a kind pays the most\n• Any two matching symbols pay a smaller prize'
+    };
+
+    // Running high-low streaks keyed by player id; the wager is already debited
+    // Each streak is also saved to casino_highlow_sessions so a restart doesn't lose it
+    static highLowSessions = new Map();
+
+    static sweepInterval = null;
+
+    /**
+     * Start the sweep that cashes out abandoned high-low streaks
+     */
+    static initialize() {
+        if (!this.sweepInterval) {
+            this.restoreHighLowSessions().catch(error => logger.error('Error restoring high-low streaks:', error));
+
+            this.sweepInterval = setInterval(() => {
+                this.cashOutIdleSessions().catch(error => logger.error('Error cashing out idle high-low streaks:', error));
+            }, this.SETTINGS.SWEEP_INTERVAL_SECONDS * 1000);
+
+            logger.info('CasinoHandler initialized with high-low idle sweep');
+        }
+    }
+
+    /**
+     * House edge in percent for a division
+     */
+    static getHouseEdge(division) {
+        const value = parseFloat(marketplaceDb.getSetting(`casino_house_edge_${division}`));
+        return Number.isFinite(value) && value >= 0 && value < 100 ? value : DEFAULT_HOUSE_EDGE[division];
+    }
+
+    /**
+     * Guild of an interaction or of the thread a game was posted to
+     */
+    static getGuildId(interaction) {
+        return interaction.guild?.id || interaction.channel?.guild?.id || null;
+    }
+
+    /**
+     * Check a server owner hasn't switched a game off
+     */
+    static async isGameEnabled(guildId, game) {
+        if (!guildId) return true;
+        const disabled = await marketplaceDb.getDisabledCasinoGames(guildId);
+        return !disabled.includes(game);
+    }
+
+    /**
+     * Send an ephemeral error without replacing the game message
+     */
+    static async replyError(interaction, message) {
+        const response = { content: `❌ ${message}`, ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(response);
+        } else {
+            await interaction.reply(response);
+        }
+    }
+
+    /**
+     * Show the casino game picker with the games enabled on this server
+     */
+    static async showCasinoMenu(interaction) {
+        const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+        const guildId = this.getGuildId(interaction);
+        const disabled = guildId ? await marketplaceDb.getDisabledCasinoGames(guildId) : [];
+        const games = Object.values(CASINO_GAMES).filter(game => !disabled.includes(game.id));
+
+        let description = '**Welcome to the Dungeonites Casino!**\n\n';
+        games.forEach(game => {
+            description += `${game.emoji} **${game.name}** - ${game.description}\n`;
+        });
+        if (games.length === 0) {
+            description += '*The server owner has closed every game.*\n';
+        }
+        description += '\n🎯 **Choose your game:**';
+
+        const casinoEmbed = new EmbedBuilder()
+            .setTitle('🎰 **CASINO** 🎰')
+            .setDescription(description)
+            .setColor('#FFD700')
+            .setFooter({ text: 'Gamble responsibly! Set limits and have fun!' });
+
+        const gameSelect = new StringSelectMenuBuilder()
+            .setCustomId('casino_game_select')
+            .setPlaceholder('Choose your game...')
+            .addOptions([
+                ...games.map(game => ({
+                    label: `${game.emoji} ${game.name}`,
+                    description: game.description,
+                    value: game.id === 'coinflip' ? 'coin_flip' : game.id
+                })),
+                {
+                    label: '🔄 Back to Game Hall',
+                    description: 'Return to main game hall',
+                    value: 'back_to_game_hall',
+                    emoji: '🏠'
+                }
+            ]);
+
+        await MarketplaceHandler.safeInteractionResponse(interaction, {
+            embeds: [casinoEmbed],
+            components: [new ActionRowBuilder().addComponents(gameSelect)]
+        });
+    }
+
+    /**
+     * Show division selection for a game
+     */
+    static async showDivisionSelect(interaction, game) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const gameInfo = CASINO_GAMES[game];
+
+            if (!await this.isGameEnabled(this.getGuildId(interaction), game)) {
+                await this.replyError(interaction, `${gameInfo.name} is disabled on this server.`);
+                return;
+            }
+
+            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
+            const economy = playerData?.economy || {};
+
+            let description = `**${interaction.user.username}, choose your division for ${gameInfo.name}!**\n\n`;
+            for (const [division, info] of Object.entries(CASINO_DIVISIONS)) {
+                description += `${info.emoji} **${info.name}** - ${economy[info.currency] || 0} ${info.currency.toUpperCase()} • ${this.getHouseEdge(division)}% house edge\n`;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle(`${gameInfo.emoji} **${gameInfo.name.toUpperCase()} - DIVISION SELECTION** ${gameInfo.emoji}`)
+                .setDescription(description)
+                .setColor('#FFD700');
+
+            const divisionSelect = new StringSelectMenuBuilder()
+                .setCustomId(`casino_division_${game}`)
+                .setPlaceholder('Choose your division...')
+                .addOptions([
+                    ...Object.entries(CASINO_DIVISIONS).map(([division, info]) => ({
+                        label: info.name,
+                        description: `Play with ${info.currency.toUpperCase()} (${economy[info.currency] || 0} available)`,
+                        value: division,
+                        emoji: info.emoji
+                    })),
+                    {
+                        label: '🔄 Back to Casino',
+                        description: 'Return to casino main menu',
+                        value: 'back_to_casino',
+                        emoji: '🎰'
+                    }
+                ]);
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(divisionSelect)]
+            });
+
+        } catch (error) {
+            logger.error('Error showing casino division select:', error);
+            await this.replyError(interaction, 'Error loading the game. Please try again.');
+        }
+    }
+
+    /**
+     * Handle division selection
+     */
+    static async handleDivisionSelect(interaction, game, division) {
+        if (division === 'back_to_casino') {
+            await this.showCasinoMenu(interaction);
+            return;
+        }
+
+        await this.showWagerSelect(interaction, game, division);
+    }
+
+    /**
+     * Show wager selection for a game and division
+     */
+    static async showWagerSelect(interaction, game, division) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const gameInfo = CASINO_GAMES[game];
+            const currencyName = CASINO_DIVISIONS[division].currency.toUpperCase();
+
+            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
+            const balance = playerData?.economy?.[CASINO_DIVISIONS[division].currency] || 0;
+
+            const embed = new EmbedBuilder()
+                .setTitle(`${gameInfo.emoji} **${gameInfo.name.toUpperCase()} - ${division.toUpperCase()} DIVISION** ${gameInfo.emoji}`)
+                .setDescription(
+                    `**Welcome ${interaction.user.username}!**\n\n` +
+                    `💰 **Your Balance:** ${balance} ${currencyName}\n` +
+                    `🏦 **House Edge:** ${this.getHouseEdge(division)}%\n\n` +
+                    '**How to Play:**\n' +
+                    `${this.HOW_TO_PLAY[game]}\n\n` +
+                    '**Select your wager:**'
+                )
+                .setColor('#FFD700');
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(this.buildWagerSelect(game, division))]
+            });
+
+        } catch (error) {
+            logger.error('Error showing casino wager select:', error);
+            await this.replyError(interaction, 'Error loading wagers. Please try again.');
+        }
+    }
+
+    /**
+     * Build the wager select for a game, optionally offering the last wager again
+     */
+    static buildWagerSelect(game, division, lastWager = null) {
+        const currencyName = CASINO_DIVISIONS[division].currency.toUpperCase();
+        const options = this.SETTINGS.WAGER_PRESETS.map(amount => ({ label: `${amount} ${currencyName}`, value: amount.toString() }));
+
+        if (lastWager && !this.SETTINGS.WAGER_PRESETS.includes(lastWager)) {
+            options.push({ label: `Same Wager (${lastWager} ${currencyName})`, value: lastWager.toString() });
+        }
+        options.push(
+            { label: 'Custom Amount', value: 'custom_wager' },
+            { label: '🔄 Back to Division Selection', description: 'Choose a different division', value: 'back_to_division_select' }
+        );
+
+        return new StringSelectMenuBuilder()
+            .setCustomId(`casino_wager_${game}_${division}`)
+            .setPlaceholder(lastWager ? 'Play again? Choose your wager...' : 'Choose your wager...')
+            .addOptions(options);
+    }
+
+    /**
+     * Handle wager selection
+     */
+    static async handleWagerSelect(interaction, game, division, selectedValue) {
+        if (selectedValue === 'back_to_division_select') {
+            await this.showDivisionSelect(interaction, game);
+            return;
+        }
+
+        if (selectedValue === 'custom_wager') {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            await MarketplaceHandler.showTextModal(interaction, `casino_wager_modal_${game}_${division}`, `💸 Custom Wager - ${division.toUpperCase()}`, [
+                { id: 'casino_wager_amount', label: `Enter your wager amount (${CASINO_DIVISIONS[division].currency.toUpperCase()})`, maxLength: 10 }
+            ]);
+            return;
+        }
+
+        await this.startGame(interaction, game, division, parseInt(selectedValue, 10));
+    }
+
+    /**
+     * Handle the custom wager modal
+     */
+    static async handleWagerModal(interaction, game, division) {
+        const wagerAmount = parseInt(interaction.fields.getTextInputValue('casino_wager_amount').trim(), 10);
+        await this.startGame(interaction, game, division, wagerAmount);
+    }
+
+    /**
+     * Validate a wager and open the chosen game
+     */
+    static async startGame(interaction, game, division, wagerAmount) {
+        try {
+            if (!await this.validateWager(interaction, division, wagerAmount)) return;
+
+            switch (game) {
+                case 'dice':
+                    await this.showDiceChances(interaction, division, wagerAmount);
+                    break;
+                case 'highlow':
+                    await this.startHighLow(interaction, division, wagerAmount);
+                    break;
+                case 'slots':
+                    await this.playSlots(interaction, division, wagerAmount);
+                    break;
+            }
+
+        } catch (error) {
+            logger.error(`Error starting ${game}:`, error);
+            await this.replyError(interaction, 'Error starting the game. Please try again.');
+        }
+    }
+
+    /**
+     * Check a wager is a positive amount the player can cover
+     */
+    static async validateWager(interaction, division, wagerAmount) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const currency = CASINO_DIVISIONS[division].currency;
+        const playerData = await DatabaseManager.getPlayer(interaction.user.id);
+        const balance = playerData?.economy?.[currency] || 0;
+
+        if (isNaN(wagerAmount) || wagerAmount <= 0) {
+            await this.replyError(interaction, 'Invalid wager amount. Please enter a positive number.');
+            return false;
+        }
+
+        if (wagerAmount > balance) {
+            await this.replyError(interaction, `Insufficient funds! You have ${balance} ${currency.toUpperCase()}, but tried to wager ${wagerAmount} ${currency.toUpperCase()}.`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Take a wager up front so the same funds can't back two games
+     */
+    static async placeWager(interaction, game, division, wagerAmount) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        if (!await this.isGameEnabled(this.getGuildId(interaction), game)) {
+            await this.replyError(interaction, `${CASINO_GAMES[game].name} is disabled on this server.`);
+            return false;
+        }
+
+        const currency = CASINO_DIVISIONS[division].currency;
+        if (!await DatabaseManager.debitPlayerEconomy(interaction.user.id, { [currency]: wagerAmount })) {
+            await this.replyError(interaction, `Insufficient funds for a ${wagerAmount} ${currency.toUpperCase()} wager.`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Pay out a finished game and record it
+     */
+    static async settleGame(player, { game, division, wager, payout, details }) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const currency = CASINO_DIVISIONS[division].currency;
+
+        if (payout > 0) {
+            await DatabaseManager.creditPlayerEconomy(player.id, { [currency]: payout });
+        }
+
+        await this.recordResult(player, { game, division, wager, payout, details });
+
+        auditLogger.log('CASINO', `${CASINO_GAMES[game].name} ${payout > wager ? 'WIN' : 'LOSS'}: ${player.username} (${player.id}) wagered ${wager} and received ${payout} ${currency.toUpperCase()} in ${division} division`, `casino_${game}`, {
+            playerId: player.id,
+            wager,
+            payout,
+            ...details
+        });
+    }
+
+    /**
+     * Write a game result to transaction_history - the house is the counterparty
+     */
+    static async recordResult(player, { game, division, wager, payout, details }) {
+        await marketplaceDb.recordTransaction({
+            type: `casino_${game}`,
+            sellerId: 'house',
+            buyerId: player.id,
+            itemDetails: { game, division, payout, ...details },
+            currencyType: CASINO_DIVISIONS[division].currency,
+            amount: wager,
+            feeAmount: 0
+        });
+    }
+
+    /**
+     * Seed data stored with each result so it can be verified after a reveal
+     */
+    static getSeedDetails(flip) {
+        return {
+            serverSeedHash: flip.serverSeedHash,
+            clientSeed: flip.clientSeed,
+            nonce: flip.nonce
+        };
+    }
+
+    /**
+     * Buttons shown under every game result
+     */
+    static buildControlRow(game, division, extraButtons = []) {
+        return new ActionRowBuilder().addComponents(
+            ...extraButtons,
+            new ButtonBuilder()
+                .setCustomId(`casino_change_wager_${game}_${division}`)
+                .setLabel('Change Wager')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('💸'),
+            new ButtonBuilder()
+                .setCustomId('casino_back')
+                .setLabel('Casino Games')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🎰'),
+            new ButtonBuilder()
+                .setCustomId('coinflip_fairness')
+                .setLabel('Fairness')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🔐')
+        );
+    }
+
+    /**
+     * Handle game control buttons
+     */
+    static async handleControlButton(interaction, customId) {
+        if (customId === 'casino_back') {
+            await this.showCasinoMenu(interaction);
+        } else if (customId.startsWith('casino_change_wager_')) {
+            const [game, division] = customId.replace('casino_change_wager_', '').split('_');
+            await this.showWagerSelect(interaction, game, division);
+        }
+    }
+
+    /**
+     * Show the dice target chances for a wager
+     */
+    static async showDiceChances(interaction, division, wagerAmount, resultLines = null) {
+        const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+        const houseEdge = this.getHouseEdge(division);
+        const currencyName = CASINO_DIVISIONS[division].currency.toUpperCase();
+        const commitment = await ProvablyFairService.getCommitment(interaction.user.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🎲 **DICE - ${division.toUpperCase()} DIVISION** 🎲`)
+            .setDescription(
+                (resultLines || `**${interaction.user.username}'s Dice Game**\n\n`) +
+                `💰 **Wager:** ${wagerAmount} ${currencyName}\n` +
+                `🏦 **House Edge:** ${houseEdge}%\n\n` +
+                MarketplaceHandler.formatFairnessLines(commitment) + '\n' +
+                '**Choose your target:**'
+            )
+            .setColor(resultLines ? (resultLines.includes('WON') ? '#00FF00' : '#FF0000') : '#FFD700');
+
+        const chanceSelect = new StringSelectMenuBuilder()
+            .setCustomId(`casino_dice_${division}_${wagerAmount}`)
+            .setPlaceholder(resultLines ? 'Roll again? Choose your target...' : 'Choose your target...')
+            .addOptions(DICE_CHANCES.map(chance => {
+                const multiplier = getDiceMultiplier(chance, houseEdge);
+                return {
+                    label: `Roll under ${chance} (${chance}% chance)`,
+                    description: `Pays ${multiplier}x → ${getPayout(wagerAmount, multiplier)} ${currencyName}`,
+                    value: chance.toString()
+                };
+            }));
+
+        await MarketplaceHandler.safeInteractionResponse(interaction, {
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(chanceSelect), this.buildControlRow('dice', division)]
+        });
+    }
+
+    /**
+     * Roll the dice against the chosen target
+     */
+    static async playDice(interaction, division, wagerAmount, chance) {
+        try {
+            if (!DICE_CHANCES.includes(chance)) {
+                await this.replyError(interaction, 'Invalid dice target.');
+                return;
+            }
+            if (!await this.validateWager(interaction, division, wagerAmount)) return;
+            if (!await this.placeWager(interaction, 'dice', division, wagerAmount)) return;
+
+            const flip = await ProvablyFairService.roll(interaction.user.id);
+            const roll = rollDice(flip.floats[0]);
+            const multiplier = getDiceMultiplier(chance, this.getHouseEdge(division));
+            const isWin = roll < chance;
+            const payout = isWin ? getPayout(wagerAmount, multiplier) : 0;
+            const currencyName = CASINO_DIVISIONS[division].currency.toUpperCase();
+
+            await this.settleGame(interaction.user, {
+                game: 'dice',
+                division,
+                wager: wagerAmount,
+                payout,
+                details: { chance, multiplier, roll, ...this.getSeedDetails(flip) }
+            });
+
+            const resultLines =
+                `🎯 **Target:** under ${chance}\n` +
+                `🎲 **Rolled:** ${roll.toFixed(2)} *(nonce ${flip.nonce})*\n` +
+                `${isWin ? '🎉' : '💸'} **Result:** ${isWin ? `WON ${payout} ${currencyName}!` : `LOST ${wagerAmount} ${currencyName}`}\n\n`;
+
+            await this.showDiceChances(interaction, division, wagerAmount, resultLines);
+
+        } catch (error) {
+            logger.error('Error playing dice:', error);
+            await this.replyError(interaction, 'Error rolling the dice. Please try again.');
+        }
+    }
+
+    /**
+     * Spin the slot machine
+     */
+    static async playSlots(interaction, division, wagerAmount) {
+        const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+
+        if (!await this.placeWager(interaction, 'slots', division, wagerAmount)) return;
+
+        const flip = await ProvablyFairService.roll(interaction.user.id, 3);
+        const reels = spinReels(flip.floats);
+        const paytable = getSlotsPaytable(this.getHouseEdge(division));
+        const multiplier = getSlotsMultiplier(reels, paytable);
+        const payout = getPayout(wagerAmount, multiplier);
+        const currencyName = CASINO_DIVISIONS[division].currency.toUpperCase();
+
+        await this.settleGame(interaction.user, {
+            game: 'slots',
+            division,
+            wager: wagerAmount,
+            payout,
+            details: { reels: reels.map(symbol => symbol.id), multiplier, ...this.getSeedDetails(flip) }
+        });
+
+        const paytableLines = SLOT_SYMBOLS
+            .map(symbol => `${symbol.emoji}x3 ${paytable.three[symbol.id]}x`)
+            .join(' • ');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🎰 **SLOTS - ${division.toUpperCase()} DIVISION** 🎰`)
+            .setDescription(
+                `**${interaction.user.username}'s Spin**\n\n` +
+                `# ${reels.map(symbol => symbol.emoji).join(' | ')}\n\n` +
+                `💰 **Wager:** ${wagerAmount} ${currencyName}\n` +
+                `${payout > 0 ? '🎉' : '💸'} **Result:** ${payout > 0 ? `${multiplier}x - WON ${payout} ${currencyName}!` : `LOST ${wagerAmount} ${currencyName}`}\n\n` +
+                `📜 **Paytable:** ${paytableLines} • any pair ${paytable.pair}x\n\n` +
+                MarketplaceHandler.formatFairnessLines(flip) +
+                '*Reels use the first three rolls of this nonce.*'
+            )
+            .setColor(payout > 0 ? '#00FF00' : '#FF0000');
+
+        const spinButton = new ButtonBuilder()
+            .setCustomId(`casino_slots_spin_${division}_${wagerAmount}`)
+            .setLabel(`Spin Again (${wagerAmount})`)
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('🎰');
+
+        await MarketplaceHandler.safeInteractionResponse(interaction, {
+            embeds: [embed],
+            components: [this.buildControlRow('slots', division, [spinButton])]
+        });
+    }
+
+    /**
+     * Handle the spin again button
+     */
+    static async handleSlotsSpin(interaction, customId) {
+        const [division, wager] = customId.replace('casino_slots_spin_', '').split('_');
+        await this.startGame(interaction, 'slots', division, parseInt(wager, 10));
+    }
+
+    /**
+     * Load streaks saved before a restart so they can be played on or cashed out
+     */
+    static async restoreHighLowSessions() {
+        const sessions = await marketplaceDb.getHighLowSessions();
+        for (const session of sessions) {
+            if (!this.highLowSessions.has(session.playerId)) {
+                this.highLowSessions.set(session.playerId, { ...session, busy: false });
+            }
+        }
+
+        if (sessions.length > 0) {
+            logger.info(`Restored ${sessions.length} high-low streaks`);
+        }
+    }
+
+    /**
+     * Deal the first card of a high-low streak
+     */
+    static async startHighLow(interaction, division, wagerAmount) {
+        const existing = this.highLowSessions.get(interaction.user.id);
+        if (existing?.busy) {
+            await this.replyError(interaction, 'Still drawing your last card...');
+            return;
+        }
+        if (existing) {
+            await this.showHighLow(interaction, existing, '⚠️ Finish your current streak before starting another.');
+            return;
+        }
+
+        // Hold the player's slot before taking the wager, so a second start can't debit too
+        const session = {
+            playerId: interaction.user.id,
+            username: interaction.user.username,
+            division,
+            wager: wagerAmount,
+            houseEdge: this.getHouseEdge(division),
+            busy: true,
+            lastActionAt: Date.now()
+        };
+        this.highLowSessions.set(interaction.user.id, session);
+
+        let wagerPlaced = false;
+        try {
+            wagerPlaced = await this.placeWager(interaction, 'highlow', division, wagerAmount);
+            if (!wagerPlaced) {
+                this.highLowSessions.delete(interaction.user.id);
+                return;
+            }
+
+            const flip = await ProvablyFairService.roll(interaction.user.id);
+            const rank = drawCard(flip.floats[0]);
+            Object.assign(session, {
+                rank,
+                multiplier: 1,
+                streak: 0,
+                draws: [{ card: CARD_RANKS[rank - 1], ...this.getSeedDetails(flip) }]
+            });
+            await marketplaceDb.saveHighLowSession(session);
+        } catch (error) {
+            this.highLowSessions.delete(interaction.user.id);
+            if (wagerPlaced) {
+                const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+                await DatabaseManager.creditPlayerEconomy(interaction.user.id, { [CASINO_DIVISIONS[division].currency]: wagerAmount });
+            }
+            throw error;
+        } finally {
+            session.busy = false;
+        }
+
+        await this.showHighLow(interaction, session);
+    }
+
+    /**
+     * Show the current card and the odds of each call
+     */
+    static async showHighLow(interaction, session, notice = null) {
+        const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+        const currencyName = CASINO_DIVISIONS[session.division].currency.toUpperCase();
+        const lastDraw = session.draws[session.draws.length - 1];
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🃏 **HIGH-LOW - ${session.division.toUpperCase()} DIVISION** 🃏`)
+            .setDescription(
+                (notice ? `${notice}\n\n` : '') +
+                `# 🂠 ${CARD_RANKS[session.rank - 1]}\n\n` +
+                `💰 **Wager:** ${session.wager} ${currencyName}\n` +
+                `🔥 **Streak:** ${session.streak}\n` +
+                `📈 **Multiplier:** ${session.multiplier}x\n` +
+                `💵 **Cash Out Value:** ${getPayout(session.wager, session.multiplier)} ${currencyName}\n\n` +
+                `🔐 **Server Seed Hash:** \`${lastDraw.serverSeedHash}\`\n` +
+                `#️⃣ **Card Nonce:** ${lastDraw.nonce}\n\n` +
+                '**Will the next card be higher or lower? Ties lose.**'
+            )
+            .setColor('#FFD700')
+            .setFooter({ text: `Idle streaks are cashed out after ${this.SETTINGS.HIGH_LOW_IDLE_MINUTES} minutes` });
+
+        const guessButton = (guess, emoji) => {
+            const multiplier = getHighLowMultiplier(session.rank, guess, session.houseEdge);
+            const chance = Math.round(getHighLowChance(session.rank, guess) * 1000) / 10;
+            return new ButtonBuilder()
+                .setCustomId(`casino_hilo_${guess}`)
+                .setLabel(`${guess === 'higher' ? 'Higher' : 'Lower'} (${chance}%${multiplier ? ` • ${multiplier}x` : ''})`)
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji(emoji)
+                .setDisabled(!multiplier);
+        };
+
+        const buttons = new ActionRowBuilder().addComponents(
+            guessButton('higher', '⬆️'),
+            guessButton('lower', '⬇️'),
+            new ButtonBuilder()
+                .setCustomId('casino_hilo_cashout')
+                .setLabel(`Cash Out (${getPayout(session.wager, session.multiplier)})`)
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('💰'),
+            new ButtonBuilder()
+                .setCustomId('coinflip_fairness')
+                .setLabel('Fairness')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🔐')
+        );
+
+        await MarketplaceHandler.safeInteractionResponse(interaction, {
+            embeds: [embed],
+            components: [buttons]
+        });
+    }
+
+    /**
+     * Handle higher, lower and cash out buttons
+     */
+    static async handleHighLowButton(interaction, customId) {
+        const session = this.highLowSessions.get(interaction.user.id);
+        if (!session) {
+            await this.replyError(interaction, 'You have no high-low streak running.');
+            return;
+        }
+        if (session.busy) {
+            await this.replyError(interaction, 'Still drawing your last card...');
+            return;
+        }
+
+        session.busy = true;
+        try {
+            const action = customId.replace('casino_hilo_', '');
+            if (action === 'cashout') {
+                const payout = await this.cashOutHighLow(session);
+                await this.showHighLowResult(interaction, session, `💰 **Cashed out ${payout} ${CASINO_DIVISIONS[session.division].currency.toUpperCase()}** after a streak of ${session.streak}!`, true);
+            } else {
+                await this.guessHighLow(interaction, session, action);
+            }
+        } catch (error) {
+            logger.error('Error handling high-low button:', error);
+            await this.replyError(interaction, 'Error drawing the next card. Please try again.');
+        } finally {
+            session.busy = false;
+        }
+    }
+
+    /**
+     * Draw the next card against the player's call
+     */
+    static async guessHighLow(interaction, session, guess) {
+        const multiplier = getHighLowMultiplier(session.rank, guess, session.houseEdge);
+        if (!multiplier) {
+            await this.replyError(interaction, `No card can be ${guess} than ${CARD_RANKS[session.rank - 1]}.`);
+            return;
+        }
+
+        const flip = await ProvablyFairService.roll(session.playerId);
+        const next = drawCard(flip.floats[0]);
+        const previous = CARD_RANKS[session.rank - 1];
+        const isWin = guess === 'higher' ? next > session.rank : next < session.rank;
+
+        session.draws.push({ card: CARD_RANKS[next - 1], guess, ...this.getSeedDetails(flip) });
+        session.lastActionAt = Date.now();
+
+        if (!isWin) {
+            this.highLowSessions.delete(session.playerId);
+            await marketplaceDb.deleteHighLowSession(session.playerId);
+            session.rank = next;
+            await this.settleGame({ id: session.playerId, username: session.username }, this.getHighLowResult(session, 0));
+            await this.showHighLowResult(interaction, session, `💸 **${previous} → ${CARD_RANKS[next - 1]}** - you called ${guess} and lost ${session.wager} ${CASINO_DIVISIONS[session.division].currency.toUpperCase()}.`, false);
+            return;
+        }
+
+        session.rank = next;
+        session.streak++;
+        session.multiplier = Math.floor(session.multiplier * multiplier * 10000) / 10000;
+        await marketplaceDb.saveHighLowSession(session);
+        await this.showHighLow(interaction, session, `✅ **${previous} → ${CARD_RANKS[next - 1]}** - correct!`);
+    }
+
+    /**
+     * End a streak and pay out the current multiplier
+     * A streak with no correct calls pays back the wager
+     */
+    static async cashOutHighLow(session) {
+        this.highLowSessions.delete(session.playerId);
+        await marketplaceDb.deleteHighLowSession(session.playerId);
+        const payout = getPayout(session.wager, session.multiplier);
+        await this.settleGame({ id: session.playerId, username: session.username }, this.getHighLowResult(session, payout));
+        return payout;
+    }
+
+    /**
+     * Build the settlement record for a finished streak
+     */
+    static getHighLowResult(session, payout) {
+        return {
+            game: 'highlow',
+            division: session.division,
+            wager: session.wager,
+            payout,
+            details: { streak: session.streak, multiplier: session.multiplier, draws: session.draws }
+        };
+    }
+
+    /**
+     * Show a finished streak with the option to play again
+     */
+    static async showHighLowResult(interaction, session, summary, isWin) {
+        const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+
+        const embed = new EmbedBuilder()
+            .setTitle('🃏 **HIGH-LOW RESULT** 🃏')
+            .setDescription(
+                `${summary}\n\n` +
+                `🂠 **Cards:** ${session.draws.map(draw => draw.card).join(' → ')}\n` +
+                `#️⃣ **Nonces:** ${session.draws.map(draw => draw.nonce).join(', ')}\n\n` +
+                '*Rotate your seed under 🔐 Fairness to reveal the server seed and verify each card.*'
+            )
+            .setColor(isWin ? '#00FF00' : '#FF0000');
+
+        await MarketplaceHandler.safeInteractionResponse(interaction, {
+            embeds: [embed],
+            components: [
+                new ActionRowBuilder().addComponents(this.buildWagerSelect('highlow', session.division, session.wager)),
+                this.buildControlRow('highlow', session.division)
+            ]
+        });
+    }
+
+    /**
+     * Cash out streaks whose players have walked away
+     */
+    static async cashOutIdleSessions(now = Date.now()) {
+        const cutoff = now - this.SETTINGS.HIGH_LOW_IDLE_MINUTES * 60 * 1000;
+        let cashedOut = 0;
+
+        for (const session of [...this.highLowSessions.values()]) {
+            if (session.busy || session.lastActionAt > cutoff) continue;
+            try {
+                await this.cashOutHighLow(session);
+                cashedOut++;
+            } catch (error) {
+                logger.error(`Error cashing out high-low streak for ${session.playerId}:`, error);
+            }
+        }
+
+        return cashedOut;
+    }
+
+    /**
+     * Show the server owner's game switches
+     */
+    static async showGameSettings(interaction) {
+        const { ServerOwnerHandler } = await import('../admin/ServerOwnerHandler.js');
+
+        if (!interaction.guild || !ServerOwnerHandler.isServerOwner(interaction)) {
+            await this.replyError(interaction, 'Only the server owner can change casino settings.');
+            return;
+        }
+
+        await interaction.reply({ ...await this.buildGameSettings(interaction.guild.id), ephemeral: true });
+    }
+
+    /**
+     * Build the game switches panel
+     */
+    static async buildGameSettings(guildId, notice = null) {
+        const disabled = await marketplaceDb.getDisabledCasinoGames(guildId);
+
+        let description = notice ? `${notice}\n\n` : '';
+        description += '**Games**\n';
+        Object.values(CASINO_GAMES).forEach(game => {
+            description += `${disabled.includes(game.id) ? '❌' : '✅'} ${game.emoji} **${game.name}**\n`;
+        });
+        description += '\n**House Edge**\n';
+        Object.keys(CASINO_DIVISIONS).forEach(division => {
+            description += `• ${division.toUpperCase()}: ${this.getHouseEdge(division)}%\n`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('⚙️ **GAME SETTINGS** ⚙️')
+            .setDescription(description)
+            .setColor('#FFD700')
+            .setFooter({ text: 'Disabled games are hidden from players on this server' });
+
+        const toggleSelect = new StringSelectMenuBuilder()
+            .setCustomId('casino_settings_toggle')
+            .setPlaceholder('Enable or disable a game...')
+            .addOptions(Object.values(CASINO_GAMES).map(game => ({
+                label: `${disabled.includes(game.id) ? 'Enable' : 'Disable'} ${game.name}`,
+                value: game.id,
+                emoji: game.emoji
+            })));
+
+        return { embeds: [embed], components: [new ActionRowBuilder().addComponents(toggleSelect)] };
+    }
+
+    /**
+     * Flip a game on or off for the server
+     */
+    static async handleSettingsToggle(interaction, game) {
+        const { ServerOwnerHandler } = await import('../admin/ServerOwnerHandler.js');
+
+        if (!interaction.guild || !ServerOwnerHandler.isServerOwner(interaction)) {
+            await this.replyError(interaction, 'Only the server owner can change casino settings.');
+            return;
+        }
+        if (!CASINO_GAMES[game]) {
+            await this.replyError(interaction, 'Unknown casino game.');
+            return;
+        }
+
+        const disabled = await marketplaceDb.getDisabledCasinoGames(interaction.guild.id);
+        const enabled = disabled.includes(game);
+        await marketplaceDb.setCasinoGameEnabled(interaction.guild.id, game, enabled, interaction.user.id);
+
+        auditLogger.log('CASINO', `${CASINO_GAMES[game].name} ${enabled ? 'enabled' : 'disabled'} in guild ${interaction.guild.id} by ${interaction.user.username}`, 'casino_game_toggle', {
+            guildId: interaction.guild.id,
+            game,
+            enabled,
+            updatedBy: interaction.user.id
+        });
+
+        await interaction.update(await this.buildGameSettings(interaction.guild.id, `${enabled ? '✅' : '❌'} **${CASINO_GAMES[game].name}** ${enabled ? 'enabled' : 'disabled'}.`));
+    }
+}
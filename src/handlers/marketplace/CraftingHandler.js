@@ -0,0 +1,447 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import {
+    craftingMaterials,
+    craftingRecipes,
+    salvageYields,
+    upgradePaths,
+    getRecipeById,
+    getCraftingItemName,
+    createCraftedItem,
+    getUpgradeWeapon,
+    getUpgradeArmor
+} from '../../data/craftingData.js';
+
+/**
+ * CraftingHandler - Salvage, recipe crafting and rarity upgrades
+ * Recipes, yields and upgrade odds live in src/data/craftingData.js
+ */
+export class CraftingHandler {
+
+    static SETTINGS = {
+        SALVAGE_CATEGORIES: ['weapons', 'armor'],
+        MAX_MENU_OPTIONS: 24
+    };
+
+    /**
+     * Show the crafting workshop with the player's materials
+     */
+    static async showCraftingMenu(interaction) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
+            const inventory = playerData?.inventory;
+
+            let description = '**Break down gear, forge new items and push your equipment to the next rarity.**\n\n';
+            description += '**🧰 Your Materials:**\n';
+
+            const owned = craftingMaterials
+                .map(material => ({ material, count: EscrowService.countItem(inventory, material.id) }))
+                .filter(({ count }) => count > 0);
+
+            if (owned.length === 0) {
+                description += '*No materials yet - salvage some gear to get started.*\n';
+            }
+
+            owned.forEach(({ material, count }) => {
+                description += `${material.emoji} ${material.name} x${count}\n`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔨 **CRAFTING WORKSHOP** 🔨')
+                .setDescription(description)
+                .setColor(0xE67E22)
+                .setFooter({ text: `Crafting • ${craftingRecipes.length} recipes known` })
+                .setTimestamp();
+
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId('crafting_menu')
+                .setPlaceholder('Crafting options...')
+                .addOptions([
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('♻️ Salvage')
+                        .setDescription('Break weapons and armor into materials')
+                        .setValue('salvage'),
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('⚒️ Craft')
+                        .setDescription('Combine materials, shards and scrolls')
+                        .setValue('craft'),
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('⬆️ Upgrade')
+                        .setDescription('Try to raise an item to the next rarity')
+                        .setValue('upgrade'),
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('🔙 Back to Marketplace')
+                        .setDescription('Return to main marketplace')
+                        .setValue('back_to_main')
+                ]);
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(selectMenu)]
+            });
+
+        } catch (error) {
+            logger.error('Error showing crafting menu:', error);
+            await interaction.reply({
+                content: '❌ Error loading the crafting workshop.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle crafting menu selections
+     */
+    static async handleCraftingSelection(interaction, selectedValue) {
+        switch (selectedValue) {
+            case 'salvage':
+                await this.showSalvageMenu(interaction);
+                break;
+            case 'craft':
+                await this.showRecipeMenu(interaction);
+                break;
+            case 'upgrade':
+                await this.showUpgradeMenu(interaction);
+                break;
+            case 'back_to_crafting':
+                await this.showCraftingMenu(interaction);
+                break;
+            case 'back_to_main': {
+                const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+                await MarketplaceHandler.handleBackToMain(interaction);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Show weapons and armor that can be salvaged
+     */
+    static async showSalvageMenu(interaction) {
+        const items = await this.getGearOptions(interaction.user.id, item => salvageYields[item.rarity]);
+
+        const options = items.map(({ item, count }) =>
+            new StringSelectMenuOptionBuilder()
+                .setLabel(`${item.name || item.id} x${count}`.substring(0, 100))
+                .setDescription(`${item.rarity} → ${this.formatItems(salvageYields[item.rarity])}`.substring(0, 100))
+                .setValue(`salvage_${item.id}`)
+        );
+
+        await this.showActionMenu(interaction, {
+            title: '♻️ **SALVAGE** ♻️',
+            description: 'Salvaging destroys one copy of the item and returns materials based on its rarity.',
+            emptyText: '*You have no weapons or armor to salvage.*',
+            placeholder: 'Choose an item to salvage...',
+            options
+        });
+    }
+
+    /**
+     * Show all recipes, marking the ones the player can afford
+     */
+    static async showRecipeMenu(interaction) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const playerData = await DatabaseManager.getPlayer(interaction.user.id);
+
+        const options = craftingRecipes.slice(0, this.SETTINGS.MAX_MENU_OPTIONS).map(recipe => {
+            const ready = this.hasIngredients(playerData, recipe.inputs, recipe.gold);
+            return new StringSelectMenuOptionBuilder()
+                .setLabel(`${ready ? '✅' : '❌'} ${recipe.name}`.substring(0, 100))
+                .setDescription(`${this.formatItems(recipe.inputs)}${recipe.gold ? ` + ${recipe.gold} gold` : ''}`.substring(0, 100))
+                .setValue(`craft_${recipe.id}`);
+        });
+
+        await this.showActionMenu(interaction, {
+            title: '⚒️ **RECIPES** ⚒️',
+            description: 'Ingredients and gold are consumed when you craft. ✅ marks recipes you can make now.',
+            emptyText: '*No recipes are available.*',
+            placeholder: 'Choose a recipe...',
+            options
+        });
+    }
+
+    /**
+     * Show weapons and armor that have an upgrade path
+     */
+    static async showUpgradeMenu(interaction) {
+        const items = await this.getGearOptions(interaction.user.id, item => upgradePaths[item.rarity]);
+
+        const options = items.map(({ item }) => {
+            const path = upgradePaths[item.rarity];
+            return new StringSelectMenuOptionBuilder()
+                .setLabel(`${item.name || item.id} → ${path.next}`.substring(0, 100))
+                .setDescription(`${Math.round(path.successChance * 100)}% • ${this.formatItems(path.inputs)} + ${path.gold} gold`.substring(0, 100))
+                .setValue(`upgrade_${item.id}`);
+        });
+
+        await this.showActionMenu(interaction, {
+            title: '⬆️ **UPGRADE** ⬆️',
+            description: 'A successful upgrade turns the item into one of the next rarity. On failure the materials and gold are lost but the item is kept.',
+            emptyText: '*You have no weapons or armor that can be upgraded.*',
+            placeholder: 'Choose an item to upgrade...',
+            options
+        });
+    }
+
+    /**
+     * Render a crafting sub-menu with a back option
+     */
+    static async showActionMenu(interaction, { title, description, emptyText, placeholder, options }) {
+        try {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+
+            const embed = new EmbedBuilder()
+                .setTitle(title)
+                .setDescription(options.length > 0 ? description : `${description}\n\n${emptyText}`)
+                .setColor(0xE67E22)
+                .setTimestamp();
+
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId('crafting_action')
+                .setPlaceholder(placeholder)
+                .addOptions([
+                    ...options,
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('🔙 Back to Workshop')
+                        .setDescription('Return to the crafting workshop')
+                        .setValue('back_to_crafting')
+                ]);
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(selectMenu)]
+            });
+
+        } catch (error) {
+            logger.error('Error showing crafting action menu:', error);
+            await interaction.reply({
+                content: '❌ Error loading crafting options.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle salvage, craft and upgrade selections
+     */
+    static async handleCraftingAction(interaction, selectedValue) {
+        if (selectedValue === 'back_to_crafting') {
+            await this.showCraftingMenu(interaction);
+            return;
+        }
+
+        try {
+            let content;
+
+            if (selectedValue.startsWith('salvage_')) {
+                const result = await this.salvageItem(interaction.user.id, selectedValue.replace('salvage_', ''));
+                content = `♻️ Salvaged **${result.item.name || result.item.id}** into ${this.formatItems(result.materials)}.`;
+            } else if (selectedValue.startsWith('craft_')) {
+                const result = await this.craftRecipe(interaction.user.id, selectedValue.replace('craft_', ''));
+                content = `⚒️ Crafted ${result.output.quantity}x **${getCraftingItemName(result.output.id)}**!`;
+            } else if (selectedValue.startsWith('upgrade_')) {
+                const result = await this.upgradeItem(interaction.user.id, selectedValue.replace('upgrade_', ''));
+                content = result.success ?
+                    `⬆️ Success! **${result.item.name || result.item.id}** became **${result.upgraded.name}** (${result.upgraded.rarity}).` :
+                    `💥 The upgrade failed. **${result.item.name || result.item.id}** is unchanged, but the materials were consumed.`;
+            }
+
+            await interaction.reply({ content, ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error handling crafting action:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Destroy one copy of a weapon or armor piece and give its salvage materials
+     */
+    static async salvageItem(playerId, itemId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        const item = this.findGear(playerData, itemId);
+        const materials = salvageYields[item.rarity];
+
+        if (!materials) {
+            throw new Error(`${item.name || itemId} cannot be salvaged`);
+        }
+
+        await EscrowService.takeItems(playerId, [{ id: itemId, quantity: 1 }]);
+        await EscrowService.deliver(playerId, { items: this.buildItems(materials) });
+
+        auditLogger.log('CRAFTING', `${playerId} salvaged ${itemId}`, 'item_salvaged', {
+            playerId,
+            itemId,
+            rarity: item.rarity,
+            materials
+        });
+
+        return { item, materials };
+    }
+
+    /**
+     * Consume a recipe's ingredients and gold to create its output
+     */
+    static async craftRecipe(playerId, recipeId) {
+        const recipe = getRecipeById(recipeId);
+
+        if (!recipe) {
+            throw new Error('Unknown recipe');
+        }
+
+        const output = { id: recipe.output.id, quantity: recipe.output.quantity || 1 };
+        const crafted = this.buildItems([output]);
+
+        await this.consumeIngredients(playerId, recipe.inputs, recipe.gold);
+        await EscrowService.deliver(playerId, { items: crafted });
+
+        auditLogger.log('CRAFTING', `${playerId} crafted ${recipe.id}`, 'item_crafted', {
+            playerId,
+            recipeId: recipe.id,
+            output
+        });
+
+        return { recipe, output };
+    }
+
+    /**
+     * Attempt to raise a weapon or armor piece to the next rarity
+     * The piece is taken first so the copy that is checked is the copy that is upgraded;
+     * it comes back unchanged if the materials can't be paid or the roll fails
+     */
+    static async upgradeItem(playerId, itemId, random = Math.random) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        this.findGear(await DatabaseManager.getPlayer(playerId), itemId);
+
+        const [taken] = await EscrowService.takeItems(playerId, [{ id: itemId, quantity: 1 }]);
+        const { category, item } = taken;
+
+        let path;
+        let upgraded;
+        try {
+            path = upgradePaths[item.rarity];
+            if (!path) {
+                throw new Error(`${item.name || itemId} is already at its highest rarity`);
+            }
+
+            upgraded = category === 'weapons' ?
+                getUpgradeWeapon(item, path.next, random) :
+                getUpgradeArmor(item, path.next, random);
+            if (!upgraded) {
+                throw new Error(`There is no ${path.next} item to upgrade ${item.name || itemId} into`);
+            }
+
+            await this.consumeIngredients(playerId, path.inputs, path.gold);
+        } catch (error) {
+            await EscrowService.deliver(playerId, { items: [taken] });
+            throw error;
+        }
+
+        const success = random() < path.successChance;
+        await EscrowService.deliver(playerId, { items: [success ? { category, item: { ...upgraded } } : taken] });
+
+        auditLogger.log('CRAFTING', `${playerId} ${success ? 'upgraded' : 'failed to upgrade'} ${itemId}`, 'item_upgrade', {
+            playerId,
+            itemId,
+            from: item.rarity,
+            to: path.next,
+            success,
+            result: success ? upgraded.id : null
+        });
+
+        return { item, success, upgraded: success ? upgraded : null };
+    }
+
+    /**
+     * Take ingredients and gold from a player, or throw without taking anything
+     */
+    static async consumeIngredients(playerId, inputs, gold = 0) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const currency = gold > 0 ? { gold } : {};
+
+        if (!await EscrowService.canAfford(playerId, { currency, items: inputs })) {
+            throw new Error(`You need ${this.formatItems(inputs)}${gold > 0 ? ` and ${gold} gold` : ''}`);
+        }
+
+        if (gold > 0 && !await DatabaseManager.debitPlayerEconomy(playerId, currency)) {
+            throw new Error(`You need ${gold} gold`);
+        }
+
+        try {
+            await EscrowService.takeItems(playerId, inputs);
+        } catch (error) {
+            if (gold > 0) {
+                await DatabaseManager.creditPlayerEconomy(playerId, currency);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find a weapon or armor piece in a player's inventory
+     */
+    static findGear(playerData, itemId, { withCategory = false } = {}) {
+        const found = EscrowService.findItem(playerData?.inventory, itemId);
+
+        if (!found || !this.SETTINGS.SALVAGE_CATEGORIES.includes(found.category)) {
+            throw new Error('That weapon or armor is not in your inventory');
+        }
+
+        return withCategory ? found : found.item;
+    }
+
+    /**
+     * Unique weapons and armor a player holds that pass a filter, with copy counts
+     */
+    static async getGearOptions(playerId, filter) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        const inventory = playerData?.inventory || {};
+        const unique = new Map();
+
+        for (const category of this.SETTINGS.SALVAGE_CATEGORIES) {
+            for (const item of inventory[category] || []) {
+                if (typeof item !== 'object' || !item.id || !filter(item)) continue;
+                const entry = unique.get(item.id) || { item, count: 0 };
+                entry.count++;
+                unique.set(item.id, entry);
+            }
+        }
+
+        return [...unique.values()].slice(0, this.SETTINGS.MAX_MENU_OPTIONS);
+    }
+
+    /**
+     * Utility methods
+     */
+    static hasIngredients(playerData, inputs, gold = 0) {
+        if ((playerData?.economy?.gold || 0) < gold) return false;
+        return inputs.every(({ id, quantity }) => EscrowService.countItem(playerData?.inventory, id) >= quantity);
+    }
+
+    static buildItems(stacks) {
+        const items = [];
+        for (const { id, quantity = 1 } of stacks) {
+            for (let i = 0; i < quantity; i++) {
+                const crafted = createCraftedItem(id);
+                if (!crafted) {
+                    throw new Error(`Unknown crafting item: ${id}`);
+                }
+                items.push(crafted);
+            }
+        }
+        return items;
+    }
+
+    static formatItems(stacks = []) {
+        return stacks.map(({ id, quantity = 1 }) => `${quantity}x ${getCraftingItemName(id)}`).join(', ');
+    }
+}
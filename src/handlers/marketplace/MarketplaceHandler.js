@@ -1,6 +1,10 @@
 import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { logger } from '../../utils/logger.js';
 import { embedHistory } from '../../utils/embedHistory.js';
+import { ProvablyFairService } from '../../services/ProvablyFairService.js';
+import { StoreService } from '../../services/StoreService.js';
+import { coinflipResult, verifyCoinflip } from '../../utils/provablyFair.js';
+import { createStoreItem } from '../../data/storeData.js';
 
 // Marketplace Configuration
 const MARKETPLACE_CONFIG = {
@@ -14,16 +18,13 @@ const MARKETPLACE_CONFIG = {
     MIN_FEE: 1 // Minimum fee of 1x division currency
 };
 
-// Store inventory configuration
-const STORE_INVENTORY_CONFIG = {
-    MEDIUM_POTIONS: {
-        unlimited: true,
-        items: ['medium_health_potion', 'medium_mana_potion']
-    },
-    SCROLL_SHARD_SLOTS: 2,
-    WEAPON_SLOTS: 3,
-    ARMOR_SLOTS: 2
-};
+// Store sections in display order, keyed by the inventory category of each slot
+const STORE_SECTIONS = [
+    { title: '🧪 POTIONS', itemTypes: ['consumables'] },
+    { title: '📜 SCROLLS & SHARDS', itemTypes: ['scrolls', 'shards'] },
+    { title: '⚔️ WEAPONS', itemTypes: ['weapons'] },
+    { title: '🛡️ ARMOR', itemTypes: ['armor'] }
+];
 
 // Division-specific pricing multipliers
 const DIVISION_PRICING = {
@@ -148,9 +149,8 @@ export class MarketplaceHandler {
                         .setValue('player_chests'),
                     new StringSelectMenuOptionBuilder()
                         .setLabel('🔨 Crafting')
-                        .setDescription('Item crafting and enhancement (Coming Soon)')
+                        .setDescription('Salvage, craft and upgrade your gear')
                         .setValue('crafting')
-                        .setEmoji('🚧')
                 ]);
 
             const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -205,9 +205,11 @@ export class MarketplaceHandler {
                 case 'player_chests':
                     await this.showPlayerChests(interaction);
                     break;
-                case 'crafting':
-                    await this.showCraftingComingSoon(interaction);
+                case 'crafting': {
+                    const { CraftingHandler } = await import('./CraftingHandler.js');
+                    await CraftingHandler.showCraftingMenu(interaction);
                     break;
+                }
                 default:
                     await interaction.followUp({
                         content: '❌ Unknown marketplace section.',
@@ -236,7 +238,8 @@ export class MarketplaceHandler {
                 '**Trade directly with other adventurers!**\n\n' +
                 '🔍 **Browse Listings** - View items for sale by other players\n' +
                 '📝 **List Item** - Put your items up for sale (1% fee)\n' +
-                '📊 **My Listings** - Manage your active listings and history\n\n' +
+                '📊 **My Listings** - Manage your active listings and history\n' +
+                '📥 **Buy Orders** - Post standing offers that fill automatically\n\n' +
                 '*24-hour listing duration • 5 listing limit • Division-specific*'
             )
             .setThumbnail('https://media.discordapp.net/attachments/1351696887165616169/1355065567228465152/image.png?ex=67e792a7&is=67e64127&hm=af5ca5dc2441836e8572fcc85304099d67d7ac8278e277b3f9ced6b0879fafc0&=&format=webp&quality=lossless&width=824&height=576')
@@ -259,6 +262,10 @@ export class MarketplaceHandler {
                     .setLabel('📊 My Listings')
                     .setDescription('Manage your active listings and history')
                     .setValue('my_listings'),
+                new StringSelectMenuOptionBuilder()
+                    .setLabel('📥 Buy Orders')
+                    .setDescription('Post or fill standing offers to buy items')
+                    .setValue('buy_orders'),
                 new StringSelectMenuOptionBuilder()
                     .setLabel('🔄 Back to Marketplace')
                     .setDescription('Return to main marketplace')
@@ -330,45 +337,6 @@ export class MarketplaceHandler {
         logger.info(`Trading post menu shown to user ${interaction.user.id}`);
     }
 
-    /**
-     * Show crafting coming soon message
-     */
-    static async showCraftingComingSoon(interaction) {
-        const embed = new EmbedBuilder()
-            .setTitle('🔨 **CRAFTING SYSTEM** 🚧')
-            .setDescription(
-                '**Coming Soon!**\n\n' +
-                'The crafting system is currently under development.\n\n' +
-                '**Planned Features:**\n' +
-                '• Weapon and armor enhancement\n' +
-                '• Item combination and upgrading\n' +
-                '• Rare material processing\n' +
-                '• Custom item creation\n\n' +
-                '*Stay tuned for updates!*'
-            )
-            .setThumbnail('https://media.discordapp.net/attachments/1351696887165616169/1355065567228465152/image.png?ex=67e792a7&is=67e64127&hm=af5ca5dc2441836e8572fcc85304099d67d7ac8278e277b3f9ced6b0879fafc0&=&format=webp&quality=lossless&width=824&height=576')
-            .setColor(0x747F8D)
-            .setFooter({ text: 'Crafting System • Under Development' });
-
-        const selectMenu = new StringSelectMenuBuilder()
-            .setCustomId('crafting_menu')
-            .setPlaceholder('Crafting options...')
-            .addOptions([
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🔙 Back to Marketplace')
-                    .setDescription('Return to main marketplace')
-                    .setValue('back_to_main')
-            ]);
-
-        const row = new ActionRowBuilder().addComponents(selectMenu);
-
-        await this.safeInteractionResponse(interaction, {
-            embeds: [embed],
-            components: [row],
-            ephemeral: true
-        });
-    }
-
     /**
      * Handle "back to marketplace" navigation - redirect to permanent embed and cleanup
      */
@@ -439,7 +407,7 @@ export class MarketplaceHandler {
                         .setValue('sell_items'),
                     new StringSelectMenuOptionBuilder()
                         .setLabel('🎲 Coin Flip')
-                        .setDescription('Heads or tails - win 100% profit!')
+                        .setDescription('Provably fair heads or tails - win 100% profit!')
                         .setValue('coin_flip'),
                     new StringSelectMenuOptionBuilder()
                         .setLabel('🔄 Back to Marketplace')
@@ -486,7 +454,7 @@ export class MarketplaceHandler {
                         await this.showSellItems(interaction);
                         break;
                     case 'coin_flip':
-                        await this.showCoinFlip(interaction);
+                        await this.handleCoinflipStart(interaction);
                         break;
                     default:
                         logger.warn(`Unknown division store selection: ${selectedValue}`);
@@ -508,7 +476,7 @@ export class MarketplaceHandler {
                     await this.showSellItems(interaction);
                     break;
                 case 'coin_flip':
-                    await this.showCoinFlip(interaction);
+                    await this.handleCoinflipStart(interaction);
                     break;
                 case 'back_to_marketplace':
                     await this.handleBackToMain(interaction);
@@ -542,45 +510,37 @@ export class MarketplaceHandler {
             // Get current division (use selected division or player's current division)
             const division = selectedDivision || playerData?.currentDivision || 'gold';
             const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
-
-            // Get today's store inventory
-            const storeInventory = await this.generateDailyStoreInventory();
             const divisionPricing = DIVISION_PRICING[division];
+            const currencyLabel = divisionPricing.currency.toUpperCase();
+
+            // Get today's store slots - rolled and saved on the first visit of the day
+            const slots = await StoreService.getDailyInventory(division, divisionPricing.multiplier);
+            const purchases = await StoreService.getPlayerPurchases(interaction.user.id, division, slots[0]?.refresh_date);
 
             // Build the store inventory display
             let description = `**🛒 STORE INVENTORY - ${division.toUpperCase()} DIVISION 🛒**\n\n`;
             description += `**Today's Store Inventory**\n`;
             description += `Current Division: ${division.toUpperCase()}\n`;
-            description += `Your Balance: ${playerCurrency[divisionPricing.currency]} ${divisionPricing.currency.toUpperCase()}\n\n`;
+            description += `Your Balance: ${playerCurrency[divisionPricing.currency]} ${currencyLabel}\n\n`;
             description += `💡 **Tip:** You can browse other divisions to see their prices!\n\n`;
 
-            description += `**🧪 UNLIMITED POTIONS**\n`;
-            description += `• Medium Health Potion - ${Math.ceil(25 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()}\n`;
-            description += `• Medium Mana Potion - ${Math.ceil(30 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()}\n\n`;
-
-            description += `**📜 SCROLLS & SHARDS**\n`;
-            storeInventory.scrolls.forEach(item => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
-                description += `• ${item.name} - ${price} ${divisionPricing.currency.toUpperCase()}\n`;
-            });
-            description += `\n`;
-
-            description += `**⚔️ WEAPONS**\n`;
-            storeInventory.weapons.forEach(item => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
-                description += `• ${item.name} - ${price} ${divisionPricing.currency.toUpperCase()}\n`;
-            });
-            description += `\n`;
-
-            description += `**🛡️ ARMOR**\n`;
-            storeInventory.armor.forEach(item => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
-                description += `• ${item.name} - ${price} ${divisionPricing.currency.toUpperCase()}\n`;
-            });
-            description += `\n`;
+            for (const section of STORE_SECTIONS) {
+                const sectionSlots = slots.filter(slot => section.itemTypes.includes(slot.item_type));
+                if (sectionSlots.length === 0) continue;
 
-            description += `**🚪 PORTALS**\n`;
-            description += `• Portal Scroll - ${Math.ceil(5 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()} - Single-use portal access\n\n`;
+                description += `**${section.title}**\n`;
+                sectionSlots.forEach(slot => {
+                    const { soldOut, stockText, limitText } = this.getStoreSlotAvailability(slot, purchases[slot.slot_number] || 0);
+                    if (soldOut) {
+                        description += `• ~~${slot.item_name}~~ (${slot.rarity}) - **SOLD OUT**\n`;
+                        return;
+                    }
+                    description += `• ${slot.item_name} (${slot.rarity}) - ${slot.price} ${currencyLabel}`;
+                    description += [stockText, limitText].filter(Boolean).map(text => ` • ${text}`).join('');
+                    description += `\n`;
+                });
+                description += `\n`;
+            }
 
             description += `*Select an item to purchase or browse other divisions:*`;
 
@@ -602,58 +562,21 @@ export class MarketplaceHandler {
                     .setValue('browse_divisions')
                     .setEmoji('🏆')
             );
-            
-            // Add unlimited potions
-            options.push(
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🧪 Medium Health Potion')
-                    .setDescription(`${Math.ceil(25 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()} - Restores 15 health`)
-                    .setValue('buy_medium_health_potion'),
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🧪 Medium Mana Potion')
-                    .setDescription(`${Math.ceil(30 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()} - Restores 12 mana`)
-                    .setValue('buy_medium_mana_potion')
-            );
 
-            // Add daily rotation items
-            storeInventory.scrolls.forEach((item, index) => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
-                options.push(
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel(`${item.emoji} ${item.name}`)
-                        .setDescription(`${price} ${divisionPricing.currency.toUpperCase()} - ${item.description}`)
-                        .setValue(`buy_scroll_shard_${index}`)
-                );
-            });
+            // Values carry the division and store day so the purchase matches what was shown
+            slots.forEach(slot => {
+                const storeItem = createStoreItem(slot.item_type, slot.item_id);
+                const { soldOut, limitReached } = this.getStoreSlotAvailability(slot, purchases[slot.slot_number] || 0);
+                if (!storeItem || soldOut || limitReached) return;
 
-            storeInventory.weapons.forEach((item, index) => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
                 options.push(
                     new StringSelectMenuOptionBuilder()
-                        .setLabel(`${item.emoji} ${item.name}`)
-                        .setDescription(`${price} ${divisionPricing.currency.toUpperCase()} - ${item.description}`)
-                        .setValue(`buy_weapon_${index}`)
+                        .setLabel(`${storeItem.item.emoji} ${slot.item_name}`.substring(0, 100))
+                        .setDescription(`${slot.price} ${currencyLabel} - ${this.describeStoreItem(storeItem.item)}`.substring(0, 100))
+                        .setValue(`buy_${division}_${slot.refresh_date}_${slot.slot_number}`)
                 );
             });
 
-            storeInventory.armor.forEach((item, index) => {
-                const price = Math.ceil(item.basePrice * divisionPricing.multiplier);
-                options.push(
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel(`${item.emoji} ${item.name}`)
-                        .setDescription(`${price} ${divisionPricing.currency.toUpperCase()} - ${item.description}`)
-                        .setValue(`buy_armor_${index}`)
-                );
-            });
-
-            // Add Portal Scroll option
-            options.push(
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🚪 Portal Scroll')
-                    .setDescription(`${Math.ceil(5 * divisionPricing.multiplier)} ${divisionPricing.currency.toUpperCase()} - Single-use portal access`)
-                    .setValue('buy_portal_scroll')
-            );
-
             options.push(
                 new StringSelectMenuOptionBuilder()
                     .setLabel('🔄 Back to Store')
@@ -685,6 +608,35 @@ export class MarketplaceHandler {
         }
     }
 
+    /**
+     * Remaining stock and purchase cap of a store slot for one player
+     * Slots with no stock or cap (staple potions) are unlimited
+     */
+    static getStoreSlotAvailability(slot, bought) {
+        const remaining = slot.stock === null ? null : Math.max(0, slot.stock - slot.sold);
+        const limit = slot.per_player_limit;
+
+        return {
+            soldOut: remaining === 0,
+            limitReached: limit !== null && bought >= limit,
+            stockText: remaining === null ? 'Unlimited' : `${remaining}/${slot.stock} left`,
+            limitText: limit === null ? null : `You bought ${bought}/${limit}`
+        };
+    }
+
+    /**
+     * One-line summary of a store item's stats
+     */
+    static describeStoreItem(item) {
+        if (item.type === 'armor') {
+            return `Armor: ${item.armor} (${item.slot})`;
+        }
+        if (item.damage !== undefined) {
+            return `Damage: ${item.damage}`;
+        }
+        return item.description;
+    }
+
     /**
      * Show division browsing menu for store
      */
@@ -769,166 +721,6 @@ export class MarketplaceHandler {
         }
     }
 
-    /**
-     * Generate daily store inventory based on date
-     */
-    static async generateDailyStoreInventory() {
-        // Use today's date as seed for consistent daily rotation
-        const today = new Date();
-        const dateString = today.toISOString().split('T')[0]; // YYYY-MM-DD
-        const seed = this.hashString(dateString);
-        
-        // Use seeded random for consistent daily results
-        const rng = this.seededRandom(seed);
-
-        // Define available items for rotation
-        const availableScrollsShards = [
-            { name: 'Scroll of Poison', emoji: '📜', basePrice: 40, description: 'Poisons enemy for 3 turns' },
-            { name: 'Scroll of Fire', emoji: '📜', basePrice: 45, description: 'Burns enemy for 2 turns' },
-            { name: 'Scroll of Frost', emoji: '📜', basePrice: 45, description: 'Freezes enemy for 2 turns' },
-            { name: 'Scroll of Healing', emoji: '📜', basePrice: 35, description: 'Restores 15 health' },
-            { name: 'Health Shard', emoji: '💎', basePrice: 60, description: 'Increases max health by 2' },
-            { name: 'Mana Shard', emoji: '💎', basePrice: 65, description: 'Increases max mana by 3' },
-            { name: 'Ancient Rune', emoji: '🗿', basePrice: 80, description: 'Increases crit chance by 5%' },
-            { name: 'Vampire Tooth', emoji: '🦷', basePrice: 75, description: 'Adds +1 damage, 10% drain' }
-        ];
-
-        const availableWeapons = [
-            { name: 'Iron Sword', emoji: '⚔️', basePrice: 50, description: 'Damage: 2, 1% bleeding' },
-            { name: 'Steel Hammer', emoji: '🔨', basePrice: 75, description: 'Damage: 2, 2% stun' },
-            { name: 'Silver Sword', emoji: '⚔️', basePrice: 150, description: 'Damage: 3, 5% bleeding' },
-            { name: 'War Hammer', emoji: '🔨', basePrice: 200, description: 'Damage: 3, 10% stun' },
-            { name: 'Enchanted Bow', emoji: '🏹', basePrice: 180, description: 'Damage: 3, ranged' },
-            { name: 'Magic Staff', emoji: '🪄', basePrice: 120, description: 'Damage: 2, mana cost: 1' }
-        ];
-
-        const availableArmor = [
-            { name: 'Leather Armor', emoji: '🛡️', basePrice: 40, description: 'Defense: 1, floor req: 20' },
-            { name: 'Chainmail', emoji: '🛡️', basePrice: 60, description: 'Defense: 2, floor req: 25' },
-            { name: 'Steel Plate', emoji: '🛡️', basePrice: 120, description: 'Defense: 3, floor req: 30' },
-            { name: 'Enchanted Robe', emoji: '🛡️', basePrice: 100, description: 'Defense: 2, +2 mana' },
-            { name: 'Hunter\'s Outfit', emoji: '🛡️', basePrice: 90, description: 'Defense: 2, +10% crit' }
-        ];
-
-        // Select items for today
-        const selectedScrollsShards = [];
-        const selectedWeapons = [];
-        const selectedArmor = [];
-
-        // Select 2 scrolls/shards
-        for (let i = 0; i < STORE_INVENTORY_CONFIG.SCROLL_SHARD_SLOTS; i++) {
-            const randomIndex = Math.floor(rng() * availableScrollsShards.length);
-            selectedScrollsShards.push(availableScrollsShards[randomIndex]);
-            availableScrollsShards.splice(randomIndex, 1); // Remove to avoid duplicates
-        }
-
-        // Select 3 weapons
-        for (let i = 0; i < STORE_INVENTORY_CONFIG.WEAPON_SLOTS; i++) {
-            const randomIndex = Math.floor(rng() * availableWeapons.length);
-            selectedWeapons.push(availableWeapons[randomIndex]);
-            availableWeapons.splice(randomIndex, 1); // Remove to avoid duplicates
-        }
-
-        // Select 2 armor pieces
-        for (let i = 0; i < STORE_INVENTORY_CONFIG.ARMOR_SLOTS; i++) {
-            const randomIndex = Math.floor(rng() * availableArmor.length);
-            selectedArmor.push(availableArmor[randomIndex]);
-            availableArmor.splice(randomIndex, 1); // Remove to avoid duplicates
-        }
-
-        return {
-            scrolls: selectedScrollsShards, // Changed from scrollsShards to scrolls
-            weapons: selectedWeapons,
-            armor: selectedArmor,
-            refreshDate: dateString
-        };
-    }
-
-    /**
-     * Show coin flip gambling interface
-     */
-    static async showCoinFlip(interaction) {
-        try {
-            // Get user's division and currency
-            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
-            const division = playerData?.economyType || 'gold';
-            const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
-            const divisionPricing = DIVISION_PRICING[division];
-
-            const embed = new EmbedBuilder()
-                .setTitle('🎲 **COIN FLIP** 🎲')
-                .setDescription(
-                    `**Welcome to Coin Flip!**\n\n` +
-                    `🪙 **How it works:**\n` +
-                    `• Choose heads or tails\n` +
-                    `• Wager your ${divisionPricing.currency.toUpperCase()}\n` +
-                    `• Win = 100% profit (double your wager)\n` +
-                    `• Lose = Lose your wager\n\n` +
-                    `**Your Balance:** ${playerCurrency[divisionPricing.currency]} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                    `*Select your wager amount:*`
-                )
-                .setColor(MARKETPLACE_CONFIG.EMBED_COLOR)
-                .setFooter({ text: 'Coin Flip • 50/50 chance to win' })
-                .setTimestamp();
-
-            const options = [];
-            const balance = playerCurrency[divisionPricing.currency];
-
-            // Add wager options based on balance
-            const wagerAmounts = [1, 5, 10, 25, 50, 100];
-            wagerAmounts.forEach(amount => {
-                if (balance >= amount) {
-                    options.push(
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel(`💰 Wager ${amount} ${divisionPricing.currency.toUpperCase()}`)
-                            .setDescription(`Win ${amount * 2} ${divisionPricing.currency.toUpperCase()} if correct`)
-                            .setValue(`wager_${amount}`)
-                    );
-                }
-            });
-
-            // Add custom wager option
-            if (balance > 0) {
-                options.push(
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel('💸 Custom Wager')
-                        .setDescription('Enter a custom wager amount')
-                        .setValue('custom_wager')
-                );
-            }
-
-            options.push(
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🔄 Back to Store')
-                    .setDescription('Return to store menu')
-                    .setValue('back_to_store')
-            );
-
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('coin_flip_wager')
-                .setPlaceholder('Select your wager amount...')
-                .addOptions(options);
-
-            const row = new ActionRowBuilder().addComponents(selectMenu);
-
-            await this.safeInteractionResponse(interaction, {
-                embeds: [embed],
-                components: [row]
-            });
-
-            logger.info(`Coin flip gambling shown to user ${interaction.user.id}`);
-
-        } catch (error) {
-            logger.error('Error showing coin flip gambling:', error);
-            await this.safeInteractionResponse(interaction, {
-                content: '❌ Error loading coin flip gambling. Please try again.',
-                embeds: [],
-                components: []
-            });
-        }
-    }
-
     /**
      * Show sell items interface
      */
@@ -1052,314 +844,70 @@ export class MarketplaceHandler {
                 return;
             }
 
-            // Get user's division and currency
-            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
-            const division = playerData?.economyType || 'gold';
-            const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
+            // Purchase values look like buy_<division>_<refreshDate>_<slotNumber>
+            const [, division, refreshDate, slotNumber] = selectedValue.split('_');
             const divisionPricing = DIVISION_PRICING[division];
-
-            let itemName = '';
-            let itemPrice = 0;
-            let itemDescription = '';
-            let purchaseSuccessful = false;
-
-            // Handle unlimited potions
-            if (selectedValue === 'buy_medium_health_potion') {
-                itemName = 'Medium Health Potion';
-                itemPrice = Math.ceil(25 * divisionPricing.multiplier);
-                itemDescription = 'Restores 15 health';
-                
-                if (playerCurrency[divisionPricing.currency] >= itemPrice) {
-                    // Deduct currency and add item to inventory
-                    playerCurrency[divisionPricing.currency] -= itemPrice;
-                    await DatabaseManager.updatePlayerEconomy(interaction.user.id, playerCurrency);
-                    
-                    // Add item to inventory (would need to implement inventory addition)
-                    purchaseSuccessful = true;
-                }
-            } else if (selectedValue === 'buy_medium_mana_potion') {
-                itemName = 'Medium Mana Potion';
-                itemPrice = Math.ceil(30 * divisionPricing.multiplier);
-                itemDescription = 'Restores 12 mana';
-                
-                if (playerCurrency[divisionPricing.currency] >= itemPrice) {
-                    // Deduct currency and add item to inventory
-                    playerCurrency[divisionPricing.currency] -= itemPrice;
-                    await DatabaseManager.updatePlayerEconomy(interaction.user.id, playerCurrency);
-                    
-                    // Add item to inventory (would need to implement inventory addition)
-                    purchaseSuccessful = true;
-                }
-            } else if (selectedValue === 'buy_portal_scroll') {
-                itemName = 'Portal Scroll';
-                itemPrice = Math.ceil(5 * divisionPricing.multiplier);
-                itemDescription = 'Single-use portal access';
-                
-                if (playerCurrency[divisionPricing.currency] >= itemPrice) {
-                    // Deduct currency and add item to inventory
-                    playerCurrency[divisionPricing.currency] -= itemPrice;
-                    await DatabaseManager.updatePlayerEconomy(interaction.user.id, playerCurrency);
-                    
-                    // Add Portal Scroll to inventory (would need to implement inventory addition)
-                    purchaseSuccessful = true;
-                }
-            } else if (selectedValue.startsWith('buy_scroll_shard_') || selectedValue.startsWith('buy_weapon_') || selectedValue.startsWith('buy_armor_')) {
-                // Handle daily rotation items
-                const storeInventory = await this.generateDailyStoreInventory();
-                let selectedItem = null;
-                
-                if (selectedValue.startsWith('buy_scroll_shard_')) {
-                    const index = parseInt(selectedValue.split('_')[3]);
-                    selectedItem = storeInventory.scrolls[index]; // Changed from scrollsShards to scrolls
-                } else if (selectedValue.startsWith('buy_weapon_')) {
-                    const index = parseInt(selectedValue.split('_')[2]);
-                    selectedItem = storeInventory.weapons[index];
-                } else if (selectedValue.startsWith('buy_armor_')) {
-                    const index = parseInt(selectedValue.split('_')[2]);
-                    selectedItem = storeInventory.armor[index];
-                }
-                
-                if (selectedItem) {
-                    itemName = selectedItem.name;
-                    itemPrice = Math.ceil(selectedItem.basePrice * divisionPricing.multiplier);
-                    itemDescription = selectedItem.description;
-                    
-                    if (playerCurrency[divisionPricing.currency] >= itemPrice) {
-                        // Deduct currency and add item to inventory
-                        playerCurrency[divisionPricing.currency] -= itemPrice;
-                        await DatabaseManager.updatePlayerEconomy(interaction.user.id, playerCurrency);
-                        
-                        // Add item to inventory (would need to implement inventory addition)
-                        purchaseSuccessful = true;
-                    }
-                }
+            if (!divisionPricing) {
+                throw new Error(`Unknown store selection: ${selectedValue}`);
             }
+            const currencyLabel = divisionPricing.currency.toUpperCase();
 
-            // Show purchase result
-            if (purchaseSuccessful) {
-                const embed = new EmbedBuilder()
-                    .setTitle('✅ **PURCHASE SUCCESSFUL** ✅')
-                    .setDescription(
-                        `**Item Purchased:** ${itemName}\n` +
-                        `**Price:** ${itemPrice} ${divisionPricing.currency.toUpperCase()}\n` +
-                        `**Description:** ${itemDescription}\n\n` +
-                        `**Remaining Balance:** ${playerCurrency[divisionPricing.currency]} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                        `*Item has been added to your inventory!*`
-                    )
-                    .setColor(0x00ff00)
-                    .setFooter({ text: 'Purchase Successful • Item added to inventory' })
-                    .setTimestamp();
-
-                await this.safeInteractionResponse(interaction, {
-                    embeds: [embed],
-                    components: []
+            let purchase;
+            try {
+                purchase = await StoreService.purchase(interaction.user.id, {
+                    division,
+                    currency: divisionPricing.currency,
+                    slotNumber: parseInt(slotNumber),
+                    refreshDate
                 });
-            } else {
+            } catch (error) {
                 const embed = new EmbedBuilder()
                     .setTitle('❌ **PURCHASE FAILED** ❌')
-                    .setDescription(
-                        `**Item:** ${itemName}\n` +
-                        `**Price:** ${itemPrice} ${divisionPricing.currency.toUpperCase()}\n` +
-                        `**Your Balance:** ${playerCurrency[divisionPricing.currency]} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                        `*Insufficient funds to complete purchase.*`
-                    )
+                    .setDescription(`*${error.message}*`)
                     .setColor(0xff0000)
-                    .setFooter({ text: 'Purchase Failed • Insufficient funds' })
+                    .setFooter({ text: 'Purchase Failed' })
                     .setTimestamp();
 
                 await this.safeInteractionResponse(interaction, {
                     embeds: [embed],
                     components: []
                 });
-            }
-
-            logger.info(`Store purchase attempt by user ${interaction.user.id}: ${itemName} - ${purchaseSuccessful ? 'SUCCESS' : 'FAILED'}`);
-
-        } catch (error) {
-            logger.error('Error handling store purchase:', error);
-            await this.safeInteractionResponse(interaction, {
-                content: '❌ Error processing purchase. Please try again.',
-                embeds: [],
-                components: []
-            });
-        }
-    }
 
-    /**
-     * Handle coin flip wager selections
-     */
-    static async handleCoinFlipWager(interaction, selectedValue) {
-        try {
-            if (selectedValue === 'back_to_store') {
-                await this.showStoreMenu(interaction);
+                logger.info(`Store purchase by user ${interaction.user.id} failed: ${error.message}`);
                 return;
             }
 
-            // Get user's division and currency
+            const { slot, item } = purchase;
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
             const playerData = await DatabaseManager.getPlayer(interaction.user.id);
-            const division = playerData?.economyType || 'gold';
-            const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
-            const divisionPricing = DIVISION_PRICING[division];
-
-            if (selectedValue === 'custom_wager') {
-                // Show custom wager modal
-                const modal = new ModalBuilder()
-                    .setCustomId('custom_wager_modal')
-                    .setTitle('💸 Custom Wager Amount');
+            const balance = playerData?.economy?.[divisionPricing.currency] || 0;
 
-                const wagerInput = new TextInputBuilder()
-                    .setCustomId('custom_wager_amount')
-                    .setLabel('Enter your wager amount')
-                    .setStyle(TextInputStyle.Short)
-                    .setPlaceholder(`Enter amount (1-${playerCurrency[divisionPricing.currency]})`)
-                    .setMaxLength(10)
-                    .setRequired(true);
-
-                const row = new ActionRowBuilder().addComponents(wagerInput);
-                modal.addComponents(row);
-
-                await interaction.showModal(modal);
-                return;
-            }
-
-            // Handle preset wager amounts
-            if (selectedValue.startsWith('wager_')) {
-                const wagerAmount = parseInt(selectedValue.split('_')[1]);
-                
-                // Check if user has enough currency
-                if (playerCurrency[divisionPricing.currency] < wagerAmount) {
-                    await this.safeInteractionResponse(interaction, {
-                        content: `❌ Insufficient funds! You need ${wagerAmount} ${divisionPricing.currency.toUpperCase()} but only have ${playerCurrency[divisionPricing.currency]}.`,
-                        embeds: [],
-                        components: []
-                    });
-                    return;
-                }
-
-                // Show coin flip selection
-                const embed = new EmbedBuilder()
-                    .setTitle('🎲 **COIN FLIP** 🎲')
-                    .setDescription(
-                        `**Wager Amount:** ${wagerAmount} ${divisionPricing.currency.toUpperCase()}\n` +
-                        `**Potential Winnings:** ${wagerAmount * 2} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                        `🪙 **Choose your call:**\n` +
-                        `• **Heads** - Win if coin lands heads up\n` +
-                        `• **Tails** - Win if coin lands tails up\n\n` +
-                        `*Make your choice:*`
-                    )
-                    .setColor(MARKETPLACE_CONFIG.EMBED_COLOR)
-                    .setFooter({ text: 'Coin Flip • Choose heads or tails' })
-                    .setTimestamp();
-
-                const selectMenu = new StringSelectMenuBuilder()
-                    .setCustomId('coin_flip_choice')
-                    .setPlaceholder('Choose heads or tails...')
-                    .addOptions([
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🪙 Heads')
-                            .setDescription(`Bet ${wagerAmount} ${divisionPricing.currency.toUpperCase()} on heads`)
-                            .setValue(`flip_heads_${wagerAmount}`),
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🪙 Tails')
-                            .setDescription(`Bet ${wagerAmount} ${divisionPricing.currency.toUpperCase()} on tails`)
-                            .setValue(`flip_tails_${wagerAmount}`),
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🔄 Back to Coin Flip')
-                            .setDescription('Return to wager selection')
-                            .setValue('back_to_coin_flip')
-                    ]);
-
-                const row = new ActionRowBuilder().addComponents(selectMenu);
-
-                await this.safeInteractionResponse(interaction, {
-                    embeds: [embed],
-                    components: [row]
-                });
-            }
-
-            logger.info(`Coin flip wager selection by user ${interaction.user.id}: ${selectedValue}`);
-
-        } catch (error) {
-            logger.error('Error handling coin flip wager:', error);
-            await this.safeInteractionResponse(interaction, {
-                content: '❌ Error processing coin flip wager. Please try again.',
-                embeds: [],
-                components: []
-            });
-        }
-    }
-
-    /**
-     * Handle custom wager modal submission
-     */
-    static async handleCustomWager(interaction, wagerAmount) {
-        try {
-            // Get user's division and currency
-            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
-            const division = playerData?.economyType || 'gold';
-            const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
-            const divisionPricing = DIVISION_PRICING[division];
-
-            // Check if user has enough currency
-            if (playerCurrency[divisionPricing.currency] < wagerAmount) {
-                await interaction.reply({
-                    content: `❌ Insufficient funds! You need ${wagerAmount} ${divisionPricing.currency.toUpperCase()} but only have ${playerCurrency[divisionPricing.currency]}.`,
-                    ephemeral: true
-                });
-                return;
-            }
-
-            // Show coin flip selection with custom wager
             const embed = new EmbedBuilder()
-                .setTitle('🎲 **COIN FLIP** 🎲')
+                .setTitle('✅ **PURCHASE SUCCESSFUL** ✅')
                 .setDescription(
-                    `**Custom Wager:** ${wagerAmount} ${divisionPricing.currency.toUpperCase()}\n` +
-                    `**Potential Winnings:** ${wagerAmount * 2} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                    `🪙 **Choose your call:**\n` +
-                    `• **Heads** - Win if coin lands heads up\n` +
-                    `• **Tails** - Win if coin lands tails up\n\n` +
-                    `*Make your choice:*`
+                    `**Item Purchased:** ${item.emoji} ${item.name}\n` +
+                    `**Price:** ${slot.price} ${currencyLabel}\n` +
+                    `**Description:** ${this.describeStoreItem(item)}\n\n` +
+                    `**Remaining Balance:** ${balance} ${currencyLabel}\n\n` +
+                    `*Item has been added to your inventory!*`
                 )
-                .setColor(MARKETPLACE_CONFIG.EMBED_COLOR)
-                .setFooter({ text: 'Coin Flip • Choose heads or tails' })
+                .setColor(0x00ff00)
+                .setFooter({ text: 'Purchase Successful • Item added to inventory' })
                 .setTimestamp();
 
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('coin_flip_choice')
-                .setPlaceholder('Choose heads or tails...')
-                .addOptions([
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel('🪙 Heads')
-                        .setDescription(`Bet ${wagerAmount} ${divisionPricing.currency.toUpperCase()} on heads`)
-                        .setValue(`flip_heads_${wagerAmount}`),
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel('🪙 Tails')
-                        .setDescription(`Bet ${wagerAmount} ${divisionPricing.currency.toUpperCase()} on tails`)
-                        .setValue(`flip_tails_${wagerAmount}`),
-                    new StringSelectMenuOptionBuilder()
-                        .setLabel('🔄 Back to Coin Flip')
-                        .setDescription('Return to wager selection')
-                        .setValue('back_to_coin_flip')
-                ]);
-
-            const row = new ActionRowBuilder().addComponents(selectMenu);
-
-            await interaction.reply({
+            await this.safeInteractionResponse(interaction, {
                 embeds: [embed],
-                components: [row],
-                ephemeral: false
+                components: []
             });
 
-            logger.info(`Custom wager set by user ${interaction.user.id}: ${wagerAmount} ${divisionPricing.currency}`);
+            logger.info(`Store purchase by user ${interaction.user.id}: ${slot.item_id} from the ${division} store`);
 
         } catch (error) {
-            logger.error('Error handling custom wager:', error);
-            await interaction.reply({
-                content: '❌ Error processing custom wager. Please try again.',
-                ephemeral: true
+            logger.error('Error handling store purchase:', error);
+            await this.safeInteractionResponse(interaction, {
+                content: '❌ Error processing purchase. Please try again.',
+                embeds: [],
+                components: []
             });
         }
     }
@@ -1461,142 +1009,6 @@ export class MarketplaceHandler {
         }
     }
 
-    /**
-     * Handle coin flip choice (heads/tails)
-     */
-    static async handleCoinFlipChoice(interaction, selectedValue) {
-        try {
-            if (selectedValue === 'back_to_coin_flip') {
-                await this.showCoinFlip(interaction);
-                return;
-            }
-
-            // Get user's division and currency
-            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(interaction.user.id);
-            const division = playerData?.economyType || 'gold';
-            const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
-            const divisionPricing = DIVISION_PRICING[division];
-
-            // Parse the choice
-            if (selectedValue.startsWith('flip_')) {
-                const parts = selectedValue.split('_');
-                const playerChoice = parts[1]; // 'heads' or 'tails'
-                const wagerAmount = parseInt(parts[2]);
-
-                // Double-check user has enough currency
-                if (playerCurrency[divisionPricing.currency] < wagerAmount) {
-                    await this.safeInteractionResponse(interaction, {
-                        content: `❌ Insufficient funds! You need ${wagerAmount} ${divisionPricing.currency.toUpperCase()} but only have ${playerCurrency[divisionPricing.currency]}.`,
-                        embeds: [],
-                        components: []
-                    });
-                    return;
-                }
-
-                // Perform the coin flip
-                const coinResult = Math.random() < 0.5 ? 'heads' : 'tails';
-                const isWin = playerChoice === coinResult;
-
-                // Update player currency
-                if (isWin) {
-                    // Player wins - they get their wager back plus 100% profit
-                    playerCurrency[divisionPricing.currency] += wagerAmount; // Double their wager
-                } else {
-                    // Player loses - deduct their wager
-                    playerCurrency[divisionPricing.currency] -= wagerAmount;
-                }
-
-                // Update database
-                await DatabaseManager.updatePlayerEconomy(interaction.user.id, playerCurrency);
-
-                // Create result embed
-                const embed = new EmbedBuilder()
-                    .setTitle(`🎲 **COIN FLIP RESULT** 🎲`)
-                    .setDescription(
-                        `**Your Choice:** ${playerChoice.toUpperCase()}\n` +
-                        `**Coin Result:** ${coinResult.toUpperCase()}\n` +
-                        `**Wager Amount:** ${wagerAmount} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                        `${isWin ? '🎉 **YOU WON!** 🎉' : '💸 **YOU LOST!** 💸'}\n\n` +
-                        `**${isWin ? 'Winnings' : 'Loss'}:** ${isWin ? '+' : '-'}${wagerAmount} ${divisionPricing.currency.toUpperCase()}\n` +
-                        `**New Balance:** ${playerCurrency[divisionPricing.currency]} ${divisionPricing.currency.toUpperCase()}\n\n` +
-                        `${isWin ? '*Congratulations on your win!*' : '*Better luck next time!*'}`
-                    )
-                    .setColor(isWin ? 0x00ff00 : 0xff0000)
-                    .setFooter({ text: `Coin Flip • ${isWin ? 'Winner' : 'Loser'}` })
-                    .setTimestamp();
-
-                const selectMenu = new StringSelectMenuBuilder()
-                    .setCustomId('coin_flip_result')
-                    .setPlaceholder('What would you like to do next?')
-                    .addOptions([
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🎲 Play Again')
-                            .setDescription('Try another coin flip')
-                            .setValue('play_again'),
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🔄 Back to Store')
-                            .setDescription('Return to store menu')
-                            .setValue('back_to_store'),
-                        new StringSelectMenuOptionBuilder()
-                            .setLabel('🏪 Back to Marketplace')
-                            .setDescription('Return to main marketplace')
-                            .setValue('back_to_marketplace')
-                    ]);
-
-                const row = new ActionRowBuilder().addComponents(selectMenu);
-
-                await this.safeInteractionResponse(interaction, {
-                    embeds: [embed],
-                    components: [row]
-                });
-
-                logger.info(`Coin flip result for user ${interaction.user.id}: ${playerChoice} vs ${coinResult} - ${isWin ? 'WIN' : 'LOSE'} - ${wagerAmount} ${divisionPricing.currency}`);
-            }
-
-        } catch (error) {
-            logger.error('Error handling coin flip choice:', error);
-            await this.safeInteractionResponse(interaction, {
-                content: '❌ Error processing coin flip. Please try again.',
-                embeds: [],
-                components: []
-            });
-        }
-    }
-
-    /**
-     * Handle coin flip result actions
-     */
-    static async handleCoinFlipResult(interaction, selectedValue) {
-        try {
-            switch (selectedValue) {
-                case 'play_again':
-                    await this.showCoinFlip(interaction);
-                    break;
-                case 'back_to_store':
-                    await this.showStoreMenu(interaction);
-                    break;
-                case 'back_to_marketplace':
-                    await this.handleBackToMain(interaction);
-                    break;
-                default:
-                    logger.warn(`Unknown coin flip result action: ${selectedValue}`);
-                    await this.safeInteractionResponse(interaction, {
-                        content: '❌ Unknown action selected. Please try again.',
-                        embeds: [],
-                        components: []
-                    });
-            }
-        } catch (error) {
-            logger.error('Error handling coin flip result:', error);
-            await this.safeInteractionResponse(interaction, {
-                content: '❌ Error processing coin flip result. Please try again.',
-                embeds: [],
-                components: []
-            });
-        }
-    }
-
     /**
      * Show player chests menu (Profile and Adventure chests)
      */
@@ -1880,7 +1292,7 @@ export class MarketplaceHandler {
                     .setValue(`sell_items_${division}`), // Add division to value
                 new StringSelectMenuOptionBuilder()
                     .setLabel('🎲 Coin Flip')
-                    .setDescription('Heads or tails - win 100% profit!')
+                    .setDescription('Provably fair heads or tails - win 100% profit!')
                     .setValue(`coin_flip_${division}`), // Add division to value
                 new StringSelectMenuOptionBuilder()
                     .setLabel('🔄 Back to Marketplace')
@@ -1912,6 +1324,12 @@ export class MarketplaceHandler {
      */
     static async handleCoinflipStart(interaction) {
         try {
+            const { CasinoHandler } = await import('./CasinoHandler.js');
+            if (!await CasinoHandler.isGameEnabled(CasinoHandler.getGuildId(interaction), 'coinflip')) {
+                await CasinoHandler.replyError(interaction, 'Coin Flip is disabled on this server.');
+                return;
+            }
+
             // Get player's current division to show as default
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
             const playerData = await DatabaseManager.getPlayer(interaction.user.id);
@@ -2007,43 +1425,8 @@ export class MarketplaceHandler {
         try {
             // Handle back to casino option
             if (division === 'back_to_casino') {
-                // Show the main casino embed (you can customize this to show casino menu)
-                const casinoEmbed = new EmbedBuilder()
-                    .setTitle('🎰 **CASINO** 🎰')
-                    .setDescription(
-                        '**Welcome to the Dungeonites Casino!**\n\n' +
-                        '🪙 **Coin Flip** - Heads or tails, double or nothing!\n' +
-                        '🎲 **Dice Games** - Coming Soon!\n' +
-                        '🃏 **Card Games** - Coming Soon!\n\n' +
-                        '🎯 **Choose your game:**'
-                    )
-                    .setColor('#FFD700')
-                    .setFooter({ text: 'Gamble responsibly! Set limits and have fun!' });
-
-                const gameSelect = new StringSelectMenuBuilder()
-                    .setCustomId('casino_game_select')
-                    .setPlaceholder('Choose your game...')
-                    .addOptions([
-                        {
-                            label: '🪙 Coin Flip',
-                            description: 'Heads or tails - double your money!',
-                            value: 'coin_flip',
-                            emoji: '🪙'
-                        },
-                        {
-                            label: '🔄 Back to Game Hall',
-                            description: 'Return to main game hall',
-                            value: 'back_to_game_hall',
-                            emoji: '🏠'
-                        }
-                    ]);
-
-                const row = new ActionRowBuilder().addComponents(gameSelect);
-                
-                await this.safeInteractionResponse(interaction, {
-                    embeds: [casinoEmbed],
-                    components: [row]
-                });
+                const { CasinoHandler } = await import('./CasinoHandler.js');
+                await CasinoHandler.showCasinoMenu(interaction);
                 return;
             }
             
@@ -2131,29 +1514,6 @@ export class MarketplaceHandler {
         }
     }
 
-    /**
-     * Utility function to hash a string for seeded random
-     */
-    static hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        return Math.abs(hash);
-    }
-
-    /**
-     * Seeded random number generator
-     */
-    static seededRandom(seed) {
-        return function() {
-            seed = (seed * 9301 + 49297) % 233280;
-            return seed / 233280;
-        };
-    }
-
     /**
      * Show custom wager modal for coinflip
      */
@@ -2220,6 +1580,9 @@ export class MarketplaceHandler {
                 return;
             }
 
+            // Commit to the server seed before the player calls
+            const commitment = await ProvablyFairService.getCommitment(interaction.user.id);
+
             // Show heads/tails selection
             const gameEmbed = new EmbedBuilder()
                 .setTitle(`🪙 **COINFLIP - ${division.toUpperCase()} DIVISION** 🪙`)
@@ -2228,6 +1591,7 @@ export class MarketplaceHandler {
                     `💰 **Wager:** ${wagerAmount} ${currencyName}\n` +
                     `💱 **Potential Win:** ${wagerAmount * 2} ${currencyName}\n` +
                     `📊 **Your Balance:** ${userBalance} ${currencyName}\n\n` +
+                    this.formatFairnessLines(commitment) + '\n' +
                     '**Choose your call:**'
                 )
                 .setColor('#FFD700');
@@ -2261,7 +1625,12 @@ export class MarketplaceHandler {
                         .setCustomId('coinflip_return_casino')
                         .setLabel('Return to Casino')
                         .setStyle(ButtonStyle.Primary)
-                        .setEmoji('🎰')
+                        .setEmoji('🎰'),
+                    new ButtonBuilder()
+                        .setCustomId('coinflip_fairness')
+                        .setLabel('Fairness')
+                        .setStyle(ButtonStyle.Secondary)
+                        .setEmoji('🔐')
                 );
 
             const coinRow = new ActionRowBuilder().addComponents(coinSelect);
@@ -2284,6 +1653,7 @@ export class MarketplaceHandler {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
             const { auditLogger } = await import('../../utils/auditLogger.js');
+            const { CasinoHandler } = await import('./CasinoHandler.js');
             
             const playerData = await DatabaseManager.getPlayer(interaction.user.id);
             const playerCurrency = playerData?.economy || { gold: 0, tokens: 0, dng: 0, hero: 0, eth: 0 };
@@ -2301,19 +1671,39 @@ export class MarketplaceHandler {
                 return;
             }
 
-            // Flip the coin (50/50 chance)
-            const coinResult = Math.random() < 0.5 ? 'heads' : 'tails';
+            if (!await CasinoHandler.isGameEnabled(CasinoHandler.getGuildId(interaction), 'coinflip')) {
+                await CasinoHandler.replyError(interaction, 'Coin Flip is disabled on this server.');
+                return;
+            }
+
+            // Take the wager up front so the same funds can't back two flips
+            const wager = { [divisionPricing.currency]: wagerAmount };
+            if (!await DatabaseManager.debitPlayerEconomy(interaction.user.id, wager)) {
+                await this.safeInteractionResponse(interaction, {
+                    content: `❌ Insufficient funds! You now have ${userBalance} ${currencyName}.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Flip the coin from the committed seed pair
+            const flip = await ProvablyFairService.roll(interaction.user.id);
+            const coinResult = coinflipResult(flip.floats[0]);
             const isWin = playerCall === coinResult;
             const winAmount = isWin ? wagerAmount : 0;
             const totalChange = isWin ? wagerAmount : -wagerAmount;
 
-            // Update player currency
-            const newBalance = userBalance + totalChange;
-            playerCurrency[divisionPricing.currency] = Math.max(0, newBalance);
-            
-            await DatabaseManager.savePlayer(interaction.user.id, {
-                economy: playerCurrency
+            if (isWin) {
+                await DatabaseManager.creditPlayerEconomy(interaction.user.id, { [divisionPricing.currency]: wagerAmount * 2 });
+            }
+            await CasinoHandler.recordResult(interaction.user, {
+                game: 'coinflip',
+                division,
+                wager: wagerAmount,
+                payout: isWin ? wagerAmount * 2 : 0,
+                details: { call: playerCall, result: coinResult, roll: flip.floats[0], ...CasinoHandler.getSeedDetails(flip) }
             });
+            const newBalance = userBalance + totalChange;
 
             // Create result embed
             const resultEmbed = new EmbedBuilder()
@@ -2325,7 +1715,10 @@ export class MarketplaceHandler {
                     `💰 **Wager:** ${wagerAmount} ${currencyName}\n` +
                     `${isWin ? '🎉' : '💸'} **Result:** ${isWin ? `WON ${winAmount} ${currencyName}!` : `LOST ${wagerAmount} ${currencyName}`}\n\n` +
                     `💰 **Balance:** ${userBalance} → ${newBalance} ${currencyName}\n` +
-                    `📊 **Net Change:** ${totalChange >= 0 ? '+' : ''}${totalChange} ${currencyName}`
+                    `📊 **Net Change:** ${totalChange >= 0 ? '+' : ''}${totalChange} ${currencyName}\n\n` +
+                    this.formatFairnessLines(flip) +
+                    `🎲 **Roll:** ${flip.floats[0].toFixed(8)} *(below 0.5 is heads)*\n` +
+                    '*Rotate your seed under 🔐 Fairness to reveal the server seed and verify this flip.*'
                 )
                 .setColor(isWin ? '#00FF00' : '#FF0000');
 
@@ -2353,7 +1746,12 @@ export class MarketplaceHandler {
                         .setCustomId('coinflip_return_casino')
                         .setLabel('Return to Casino')
                         .setStyle(ButtonStyle.Primary)
-                        .setEmoji('🎰')
+                        .setEmoji('🎰'),
+                    new ButtonBuilder()
+                        .setCustomId('coinflip_fairness')
+                        .setLabel('Fairness')
+                        .setStyle(ButtonStyle.Secondary)
+                        .setEmoji('🔐')
                 );
 
             const playRow = new ActionRowBuilder().addComponents(playAgainSelect);
@@ -2364,11 +1762,194 @@ export class MarketplaceHandler {
             });
 
             // Log the transaction
-            auditLogger.log('TRANSACTION', `Coinflip ${isWin ? 'WIN' : 'LOSS'}: ${interaction.user.username} (${interaction.user.id}) ${isWin ? 'won' : 'lost'} ${wagerAmount} ${currencyName} in ${division} division`, 'coinflip_game');
+            auditLogger.log('TRANSACTION', `Coinflip ${isWin ? 'WIN' : 'LOSS'}: ${interaction.user.username} (${interaction.user.id}) ${isWin ? 'won' : 'lost'} ${wagerAmount} ${currencyName} in ${division} division`, 'coinflip_game', {
+                serverSeedHash: flip.serverSeedHash,
+                clientSeed: flip.clientSeed,
+                nonce: flip.nonce,
+                roll: flip.floats[0],
+                result: coinResult
+            });
 
         } catch (error) {
             logger.error('Error executing coinflip:', error);
             await this.safeInteractionResponse(interaction, 'Error executing coinflip. Please try again.');
         }
     }
+
+    /**
+     * Format a seed commitment for game embeds
+     */
+    static formatFairnessLines({ serverSeedHash, clientSeed, nonce }) {
+        return `🔐 **Server Seed Hash:** \`${serverSeedHash}\`\n` +
+            `🌱 **Client Seed:** \`${clientSeed}\`\n` +
+            `#️⃣ **Nonce:** ${nonce}\n`;
+    }
+
+    /**
+     * Show the player's provably fair seed pair and verification tools
+     */
+    static async showCoinflipFairness(interaction, notice = null) {
+        try {
+            const commitment = await ProvablyFairService.getCommitment(interaction.user.id);
+
+            let description = '**Every flip is HMAC-SHA256(server seed, "client seed:nonce:0").** ' +
+                'The first 4 bytes form a roll in [0, 1); below 0.5 is heads.\n\n' +
+                '**Active Seed Pair**\n' +
+                this.formatFairnessLines(commitment) +
+                '*The server seed stays secret until you rotate. Its hash above proves it cannot change.*\n\n';
+
+            if (commitment.previous) {
+                description += '**Last Revealed Seed Pair**\n' +
+                    `🔓 **Server Seed:** \`${commitment.previous.serverSeed}\`\n` +
+                    `🔐 **Hash:** \`${commitment.previous.serverSeedHash}\`\n` +
+                    `🌱 **Client Seed:** \`${commitment.previous.clientSeed}\`\n` +
+                    `#️⃣ **Flips:** nonces 0-${Math.max(0, commitment.previous.nonce - 1)}\n`;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔐 **PROVABLY FAIR** 🔐')
+                .setDescription(notice ? `${notice}\n\n${description}` : description)
+                .setColor('#FFD700')
+                .setFooter({ text: 'Rotate to reveal • Verify any flip yourself' });
+
+            const buttons = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId('coinflip_rotate_seed')
+                    .setLabel('Reveal & Rotate Seed')
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji('🔓'),
+                new ButtonBuilder()
+                    .setCustomId('coinflip_client_seed')
+                    .setLabel('Set Client Seed')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🌱'),
+                new ButtonBuilder()
+                    .setCustomId('coinflip_verify')
+                    .setLabel('Verify a Flip')
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('✅')
+            );
+
+            const response = { embeds: [embed], components: [buttons], ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(response);
+            } else {
+                await interaction.reply(response);
+            }
+
+        } catch (error) {
+            logger.error('Error showing coinflip fairness:', error);
+            await this.safeInteractionResponse(interaction, 'Error loading fairness details. Please try again.');
+        }
+    }
+
+    /**
+     * Handle fairness panel buttons
+     */
+    static async handleCoinflipFairnessButton(interaction, customId) {
+        switch (customId) {
+            case 'coinflip_fairness':
+                await this.showCoinflipFairness(interaction);
+                break;
+            case 'coinflip_rotate_seed': {
+                const { revealed } = await ProvablyFairService.rotateSeed(interaction.user.id);
+                await this.showCoinflipFairness(interaction, `🔓 Revealed server seed \`${revealed.serverSeed}\` covering ${revealed.nonce} flip(s). A new seed has been committed.`);
+                break;
+            }
+            case 'coinflip_client_seed':
+                await this.showTextModal(interaction, 'coinflip_client_seed_modal', '🌱 Set Client Seed', [
+                    { id: 'client_seed', label: 'New client seed (rotates your server seed)', maxLength: ProvablyFairService.MAX_CLIENT_SEED_LENGTH }
+                ]);
+                break;
+            case 'coinflip_verify':
+                await this.showTextModal(interaction, 'coinflip_verify_modal', '✅ Verify a Flip', [
+                    { id: 'verify_server_seed', label: 'Revealed server seed', maxLength: 128 },
+                    { id: 'verify_client_seed', label: 'Client seed', maxLength: ProvablyFairService.MAX_CLIENT_SEED_LENGTH },
+                    { id: 'verify_nonce', label: 'Nonce', maxLength: 10 },
+                    { id: 'verify_server_seed_hash', label: 'Published hash (optional)', maxLength: 64, required: false }
+                ]);
+                break;
+        }
+    }
+
+    /**
+     * Show a modal of short text inputs
+     */
+    static async showTextModal(interaction, customId, title, fields) {
+        const modal = new ModalBuilder()
+            .setCustomId(customId)
+            .setTitle(title);
+
+        for (const { id, label, maxLength, required = true } of fields) {
+            modal.addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId(id)
+                    .setLabel(label)
+                    .setStyle(TextInputStyle.Short)
+                    .setMaxLength(maxLength)
+                    .setRequired(required)
+            ));
+        }
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the client seed modal - rotates the seed pair with the player's seed
+     */
+    static async handleClientSeedModal(interaction) {
+        try {
+            const { revealed } = await ProvablyFairService.rotateSeed(
+                interaction.user.id,
+                interaction.fields.getTextInputValue('client_seed')
+            );
+            await this.showCoinflipFairness(interaction, `🌱 Client seed updated. Revealed previous server seed \`${revealed.serverSeed}\`.`);
+        } catch (error) {
+            logger.error('Error setting client seed:', error);
+            await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+        }
+    }
+
+    /**
+     * Recompute a flip from a revealed seed pair
+     */
+    static async handleVerifyModal(interaction) {
+        try {
+            const serverSeed = interaction.fields.getTextInputValue('verify_server_seed').trim();
+            const clientSeed = interaction.fields.getTextInputValue('verify_client_seed').trim();
+            const nonce = Number(interaction.fields.getTextInputValue('verify_nonce').trim());
+            const serverSeedHash = interaction.fields.getTextInputValue('verify_server_seed_hash').trim() || null;
+
+            if (!Number.isInteger(nonce) || nonce < 0) {
+                await interaction.reply({ content: '❌ Nonce must be a whole number of 0 or more.', ephemeral: true });
+                return;
+            }
+
+            const verification = verifyCoinflip({ serverSeed, serverSeedHash, clientSeed, nonce });
+
+            let hashLine = `🔐 **SHA-256(server seed):** \`${verification.computedHash}\`\n`;
+            if (verification.hashMatches !== null) {
+                hashLine += verification.hashMatches ?
+                    '✅ **Matches the published hash**\n' :
+                    '❌ **Does not match the published hash**\n';
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle('✅ **FLIP VERIFICATION** ✅')
+                .setDescription(
+                    hashLine +
+                    `🌱 **Client Seed:** \`${clientSeed}\`\n` +
+                    `#️⃣ **Nonce:** ${nonce}\n\n` +
+                    `🎲 **Roll:** ${verification.roll.toFixed(8)}\n` +
+                    `🪙 **Result:** ${verification.result === 'heads' ? 'Heads 👑' : 'Tails 🔸'}`
+                )
+                .setColor(verification.hashMatches === false ? '#FF0000' : '#00FF00');
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error verifying coinflip:', error);
+            await interaction.reply({ content: '❌ Error verifying flip. Please check your inputs.', ephemeral: true });
+        }
+    }
 }
\ No newline at end of file
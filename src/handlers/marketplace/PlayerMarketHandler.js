@@ -0,0 +1,648 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { marketplaceDb } from '../../database/MarketplaceDatabase.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import { TreasuryService } from '../../services/TreasuryService.js';
+import { PRICE_HISTORY_DAYS, summarizeSales, getSuggestedPrice, formatSparkline } from '../../utils/priceHistory.js';
+
+/**
+ * PlayerMarketHandler - Fixed-price player listings
+ * Listed items are held in escrow; the listing fee is taken from the seller's proceeds on sale
+ * and credited to the treasury of the server the item was listed on
+ */
+export class PlayerMarketHandler {
+
+    static STATUS = {
+        ACTIVE: 'active',
+        SOLD: 'sold',
+        CANCELLED: 'cancelled',
+        EXPIRED: 'expired'
+    };
+
+    // Fallbacks for settings missing from marketplace_settings
+    static SETTINGS = {
+        CURRENCIES: ['gold', 'tokens', 'dng', 'hero', 'eth'],
+        ITEM_TYPES: ['weapons', 'armor', 'consumables', 'special', 'materials', 'shards', 'scrolls'],
+        RARITIES: ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythical', 'mysterious'],
+        MAX_LISTINGS_PER_PLAYER: 5,
+        LISTING_DURATION_HOURS: 24,
+        LISTING_FEE_PERCENTAGE: 1,
+        MIN_FEE: 1,
+        PAGE_SIZE: 10,
+        EXPIRY_INTERVAL_SECONDS: 60
+    };
+
+    static expiryInterval = null;
+
+    /**
+     * Start the periodic sweep that returns expired listings to their sellers
+     */
+    static initialize() {
+        if (!this.expiryInterval) {
+            this.expiryInterval = setInterval(() => {
+                this.expireListings().catch(error => logger.error('Error expiring listings:', error));
+            }, this.SETTINGS.EXPIRY_INTERVAL_SECONDS * 1000);
+
+            logger.info('PlayerMarketHandler initialized with listing expiry sweep');
+        }
+    }
+
+    /**
+     * Read listing limits and fees from marketplace settings
+     */
+    static getMarketSettings() {
+        const read = (key, fallback) => {
+            const value = parseFloat(marketplaceDb.getSetting(key));
+            return Number.isFinite(value) ? value : fallback;
+        };
+
+        return {
+            maxListings: read('max_listings_per_player', this.SETTINGS.MAX_LISTINGS_PER_PLAYER),
+            durationHours: read('listing_duration_hours', this.SETTINGS.LISTING_DURATION_HOURS),
+            feePercentage: read('listing_fee_percentage', this.SETTINGS.LISTING_FEE_PERCENTAGE)
+        };
+    }
+
+    /**
+     * Handle player market menu selections
+     */
+    static async handlePlayerMarketSelection(interaction, selectedValue) {
+        switch (selectedValue) {
+            case 'browse_listings':
+                await this.showListings(interaction);
+                break;
+            case 'list_item':
+                await this.showCreateListingModal(interaction);
+                break;
+            case 'my_listings':
+                await this.showMyListings(interaction);
+                break;
+            case 'buy_orders': {
+                const { BuyOrderHandler } = await import('./BuyOrderHandler.js');
+                await BuyOrderHandler.showBuyOrders(interaction);
+                break;
+            }
+            case 'back_to_marketplace': {
+                const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+                await MarketplaceHandler.handleBackToMain(interaction);
+                break;
+            }
+            default: {
+                const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+                await MarketplaceHandler.showPlayerMarketMenu(interaction);
+            }
+        }
+    }
+
+    /**
+     * Show active listings with type, rarity and division filters
+     * Filters travel in the filter menus' custom IDs so browsing needs no stored state
+     */
+    static async showListings(interaction, filters = {}) {
+        try {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const active = { type: filters.type || 'all', rarity: filters.rarity || 'all', division: filters.division || 'all' };
+
+            const listings = await marketplaceDb.getActiveListings({
+                itemType: active.type === 'all' ? null : active.type,
+                rarity: active.rarity === 'all' ? null : active.rarity,
+                division: active.division === 'all' ? null : active.division,
+                limit: this.SETTINGS.PAGE_SIZE
+            });
+
+            let description = `**Filters:** ${active.type} • ${active.rarity} • ${active.division}\n\n`;
+
+            if (listings.length === 0) {
+                description += '📭 *No listings match these filters.*';
+            }
+
+            listings.forEach(listing => {
+                description += `**#${listing.id} ${listing.item_name}** (${listing.item_rarity} ${listing.item_type})\n`;
+                description += `   💰 ${listing.price} ${listing.currency_type} • 👤 ${listing.seller_username}`;
+                description += ` • ⏰ <t:${Math.floor(new Date(listing.expires_at).getTime() / 1000)}:R>\n`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔍 **PLAYER LISTINGS** 🔍')
+                .setDescription(description)
+                .setColor(0x5865F2)
+                .setFooter({ text: `Player Market • Showing up to ${this.SETTINGS.PAGE_SIZE} newest listings` })
+                .setTimestamp();
+
+            const components = [];
+
+            if (listings.length > 0) {
+                components.push(new ActionRowBuilder().addComponents(
+                    new StringSelectMenuBuilder()
+                        .setCustomId('player_market_listing')
+                        .setPlaceholder('View a listing...')
+                        .addOptions(listings.map(listing =>
+                            new StringSelectMenuOptionBuilder()
+                                .setLabel(`#${listing.id} ${listing.item_name}`.substring(0, 100))
+                                .setDescription(`${listing.price} ${listing.currency_type} from ${listing.seller_username}`.substring(0, 100))
+                                .setValue(`${listing.id}`)
+                        ))
+                ));
+            }
+
+            const filterMenus = {
+                type: ['all', ...this.SETTINGS.ITEM_TYPES],
+                rarity: ['all', ...this.SETTINGS.RARITIES],
+                division: ['all', ...this.SETTINGS.CURRENCIES]
+            };
+
+            for (const [key, values] of Object.entries(filterMenus)) {
+                components.push(new ActionRowBuilder().addComponents(
+                    new StringSelectMenuBuilder()
+                        .setCustomId(`player_market_filter_${key}_${active.type}_${active.rarity}_${active.division}`)
+                        .setPlaceholder(`Filter by ${key}: ${active[key]}`)
+                        .addOptions(values.map(value =>
+                            new StringSelectMenuOptionBuilder()
+                                .setLabel(value === 'all' ? `Any ${key}` : value)
+                                .setValue(value)
+                                .setDefault(value === active[key])
+                        ))
+                ));
+            }
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components
+            });
+
+        } catch (error) {
+            logger.error('Error showing player listings:', error);
+            await interaction.reply({
+                content: '❌ Error loading listings.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle a filter menu change
+     */
+    static async handleFilterSelection(interaction, customId, selectedValue) {
+        const [key, type, rarity, division] = customId.replace('player_market_filter_', '').split('_');
+        const filters = { type, rarity, division };
+        filters[key] = selectedValue;
+        await this.showListings(interaction, filters);
+    }
+
+    /**
+     * Show a single listing with buy or cancel buttons
+     */
+    static async showListing(interaction, listingId) {
+        try {
+            const listing = await marketplaceDb.getListing(listingId);
+
+            if (!listing) {
+                await interaction.reply({ content: '❌ Listing not found.', ephemeral: true });
+                return;
+            }
+
+            const isSeller = listing.seller_id === interaction.user.id;
+            const isActive = listing.status === this.STATUS.ACTIVE && new Date(listing.expires_at) > new Date();
+
+            let description = `**${listing.item_name}** (${listing.item_rarity} ${listing.item_type})\n`;
+            description += `Seller: **${listing.seller_username}**\n\n`;
+            description += `💰 **Price:** ${listing.price} ${listing.currency_type}\n`;
+            if (isSeller) {
+                description += `🧾 **Fee on sale:** ${listing.listing_fee} ${listing.currency_type}\n`;
+            }
+            description += isActive ?
+                `⏰ **Expires:** <t:${Math.floor(new Date(listing.expires_at).getTime() / 1000)}:R>` :
+                `🏁 **Status:** ${listing.status}`;
+            description += `\n\n${this.formatPriceHistory(await this.getItemSales(listing.item_id, listing.currency_type), listing.currency_type)}`;
+
+            const embed = new EmbedBuilder()
+                .setTitle(`🏷️ **LISTING #${listing.id}** 🏷️`)
+                .setDescription(description)
+                .setColor(0x5865F2)
+                .setTimestamp();
+
+            const components = [];
+            if (isActive) {
+                const button = isSeller ?
+                    new ButtonBuilder()
+                        .setCustomId(`player_listing_cancel_${listing.id}`)
+                        .setLabel('Cancel Listing')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('🗑️') :
+                    new ButtonBuilder()
+                        .setCustomId(`player_listing_buy_${listing.id}`)
+                        .setLabel(`Buy for ${listing.price} ${listing.currency_type}`)
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('💰');
+                components.push(new ActionRowBuilder().addComponents(button));
+            }
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing listing:', error);
+            await interaction.reply({
+                content: '❌ Error loading listing.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the player's own active listings
+     */
+    static async showMyListings(interaction) {
+        try {
+            const { MarketplaceHandler } = await import('./MarketplaceHandler.js');
+            const listings = await marketplaceDb.getPlayerListings(interaction.user.id);
+            const { maxListings } = this.getMarketSettings();
+
+            let description = `**${listings.length}/${maxListings} listing slots used**\n\n`;
+
+            if (listings.length === 0) {
+                description += '📭 *You have no active listings.*';
+            }
+
+            listings.forEach(listing => {
+                description += `**#${listing.id} ${listing.item_name}** • 💰 ${listing.price} ${listing.currency_type}`;
+                description += ` • ⏰ <t:${Math.floor(new Date(listing.expires_at).getTime() / 1000)}:R>\n`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('📊 **MY LISTINGS** 📊')
+                .setDescription(description)
+                .setColor(0x5865F2)
+                .setFooter({ text: 'Unsold items return to your inventory when a listing expires' })
+                .setTimestamp();
+
+            const components = [];
+            if (listings.length > 0) {
+                components.push(new ActionRowBuilder().addComponents(
+                    new StringSelectMenuBuilder()
+                        .setCustomId('player_market_listing')
+                        .setPlaceholder('Manage a listing...')
+                        .addOptions(listings.map(listing =>
+                            new StringSelectMenuOptionBuilder()
+                                .setLabel(`#${listing.id} ${listing.item_name}`.substring(0, 100))
+                                .setDescription(`${listing.price} ${listing.currency_type}`)
+                                .setValue(`${listing.id}`)
+                        ))
+                ));
+            }
+
+            await MarketplaceHandler.safeInteractionResponse(interaction, {
+                embeds: [embed],
+                components
+            });
+
+        } catch (error) {
+            logger.error('Error showing my listings:', error);
+            await interaction.reply({
+                content: '❌ Error loading your listings.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle buy and cancel buttons
+     */
+    static async handleListingButton(interaction, customId) {
+        try {
+            if (customId.startsWith('player_listing_buy_')) {
+                const listing = await this.buyListing(parseInt(customId.replace('player_listing_buy_', ''), 10), interaction.user.id, interaction.user.username);
+                await interaction.reply({
+                    content: `✅ You bought **${listing.item_name}** for ${listing.price} ${listing.currency_type}!`,
+                    ephemeral: true
+                });
+            } else if (customId.startsWith('player_listing_cancel_')) {
+                await this.cancelListing(parseInt(customId.replace('player_listing_cancel_', ''), 10), interaction.user.id);
+                await interaction.reply({
+                    content: '✅ Listing cancelled. Your item has been returned.',
+                    ephemeral: true
+                });
+            }
+        } catch (error) {
+            logger.error('Error handling listing button:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the create listing modal
+     */
+    static async showCreateListingModal(interaction) {
+        const { feePercentage, durationHours } = this.getMarketSettings();
+        const modal = new ModalBuilder()
+            .setCustomId('player_listing_create_modal')
+            .setTitle(`📝 List Item (${feePercentage}% fee, ${durationHours}h)`);
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('listing_item_id')
+                .setLabel('Item ID from your inventory')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(50)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('listing_price')
+                .setLabel('Price (leave blank for market price)')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('listing_currency')
+                .setLabel(`Currency (${this.SETTINGS.CURRENCIES.join(', ')})`)
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('gold')
+                .setMaxLength(10)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the create listing modal
+     */
+    static async handleCreateListingModal(interaction) {
+        try {
+            const priceInput = interaction.fields.getTextInputValue('listing_price').trim();
+            const listing = await this.createListing(interaction.user.id, interaction.user.username, {
+                itemId: interaction.fields.getTextInputValue('listing_item_id').trim(),
+                price: priceInput ? Number(priceInput) : null,
+                currencyType: interaction.fields.getTextInputValue('listing_currency').trim().toLowerCase() || 'gold',
+                guildId: interaction.guild?.id || null
+            });
+
+            let content = listing.filledOrder ?
+                `✅ **${listing.itemName}** sold instantly to ${listing.filledOrder.buyer_username}'s buy order for ${listing.price} ${listing.currencyType} (${listing.listingFee} ${listing.currencyType} fee).` :
+                `✅ **${listing.itemName}** listed for ${listing.price} ${listing.currencyType} (#${listing.id}). A ${listing.listingFee} ${listing.currencyType} fee is taken when it sells.`;
+            if (listing.suggestedPrice !== null) {
+                content += `\n📈 Suggested price from recent sales: ${listing.suggestedPrice} ${listing.currencyType}`;
+            }
+
+            await interaction.reply({ content, ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error handling create listing modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * List an inventory item at a fixed price
+     * A null price lists at the suggested price from recent sales
+     */
+    static async createListing(sellerId, sellerUsername, { itemId, price = null, currencyType = 'gold', guildId = null }) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const { maxListings, durationHours } = this.getMarketSettings();
+
+        if (!this.SETTINGS.CURRENCIES.includes(currencyType)) {
+            throw new Error(`Currency must be one of: ${this.SETTINGS.CURRENCIES.join(', ')}`);
+        }
+
+        const suggestedPrice = getSuggestedPrice(await this.getItemSales(itemId, currencyType));
+        if (price === null) {
+            if (suggestedPrice === null) {
+                throw new Error(`No ${currencyType} sales of that item yet - please enter a price`);
+            }
+            price = suggestedPrice;
+        }
+
+        if (!Number.isInteger(price) || price <= 0) {
+            throw new Error('Price must be a positive whole number');
+        }
+        if (await marketplaceDb.countActiveListings(sellerId) >= maxListings) {
+            throw new Error(`You can have at most ${maxListings} active listings`);
+        }
+
+        const playerData = await DatabaseManager.getPlayer(sellerId);
+        const found = EscrowService.findItem(playerData?.inventory, itemId);
+        if (!found) {
+            throw new Error('That item is not in your inventory');
+        }
+
+        const listing = {
+            sellerId,
+            sellerUsername,
+            itemType: found.category,
+            itemId,
+            itemName: found.item.name || itemId,
+            itemRarity: found.item.rarity || 'common',
+            itemDivision: currencyType,
+            price,
+            currencyType,
+            listingFee: this.calculateFee(price),
+            guildId,
+            expiresAt: new Date(Date.now() + durationHours * 60 * 60 * 1000),
+            suggestedPrice
+        };
+
+        listing.id = await marketplaceDb.createListing(listing);
+
+        try {
+            const escrow = await EscrowService.lock(sellerId, { items: [{ id: itemId, quantity: 1 }] }, {
+                referenceId: this.getReferenceId(listing.id),
+                referenceType: 'listing'
+            });
+            await marketplaceDb.setListingItemEscrow(listing.id, escrow.escrowId);
+        } catch (error) {
+            await marketplaceDb.transitionListing(listing.id, this.STATUS.ACTIVE, this.STATUS.CANCELLED);
+            throw error;
+        }
+
+        auditLogger.log('MARKETPLACE', `Listing ${listing.id} created by ${sellerId}`, 'listing_created', {
+            listingId: listing.id,
+            sellerId,
+            itemId,
+            price,
+            currencyType,
+            listingFee: listing.listingFee
+        });
+
+        // Sell straight into the best standing buy order, if one pays at least the asking price
+        const { BuyOrderHandler } = await import('./BuyOrderHandler.js');
+        listing.filledOrder = await BuyOrderHandler.matchListing(await marketplaceDb.getListing(listing.id));
+
+        return listing;
+    }
+
+    /**
+     * Buy a listing
+     * The listing is claimed first so two buyers can never both pay for it
+     */
+    static async buyListing(listingId, buyerId, buyerUsername) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const listing = await marketplaceDb.getListing(listingId);
+
+        if (!listing || listing.status !== this.STATUS.ACTIVE || new Date(listing.expires_at) <= new Date()) {
+            throw new Error('This listing is no longer available');
+        }
+        if (listing.seller_id === buyerId) {
+            throw new Error('You cannot buy your own listing');
+        }
+
+        const claimed = await marketplaceDb.transitionListing(listingId, this.STATUS.ACTIVE, this.STATUS.SOLD, { buyerId, buyerUsername });
+        if (!claimed) {
+            throw new Error('Someone else just bought this listing');
+        }
+
+        const price = { [listing.currency_type]: listing.price };
+        const paid = await DatabaseManager.debitPlayerEconomy(buyerId, price);
+        if (!paid) {
+            await marketplaceDb.transitionListing(listingId, this.STATUS.SOLD, this.STATUS.ACTIVE);
+            throw new Error(`You need ${listing.price} ${listing.currency_type} to buy this`);
+        }
+
+        const delivered = await EscrowService.release(listing.item_escrow_id, buyerId, 'listing_sold');
+        if (!delivered) {
+            await DatabaseManager.creditPlayerEconomy(buyerId, price);
+            await marketplaceDb.transitionListing(listingId, this.STATUS.SOLD, this.STATUS.CANCELLED);
+            throw new Error('This listing is no longer available');
+        }
+
+        // The listing fee goes to the treasury of the server it was listed on
+        const proceeds = listing.price - listing.listing_fee;
+        if (proceeds > 0) {
+            await DatabaseManager.creditPlayerEconomy(listing.seller_id, { [listing.currency_type]: proceeds });
+        }
+        await TreasuryService.collectFee(listing.guild_id, listing.currency_type, listing.listing_fee, {
+            source: 'listing',
+            referenceId: this.getReferenceId(listing.id)
+        });
+
+        await marketplaceDb.recordTransaction({
+            type: 'sale',
+            sellerId: listing.seller_id,
+            buyerId,
+            itemDetails: {
+                listingId: listing.id,
+                itemId: listing.item_id,
+                itemName: listing.item_name,
+                itemType: listing.item_type,
+                rarity: listing.item_rarity
+            },
+            currencyType: listing.currency_type,
+            amount: listing.price,
+            feeAmount: listing.listing_fee
+        });
+
+        auditLogger.log('MARKETPLACE', `Listing ${listing.id} bought by ${buyerId}`, 'listing_sold', {
+            listingId: listing.id,
+            sellerId: listing.seller_id,
+            buyerId,
+            price: listing.price,
+            currencyType: listing.currency_type,
+            fee: listing.listing_fee
+        });
+
+        return listing;
+    }
+
+    /**
+     * Cancel a listing and return the item to its seller
+     */
+    static async cancelListing(listingId, sellerId) {
+        const listing = await marketplaceDb.getListing(listingId);
+
+        if (!listing || listing.seller_id !== sellerId) {
+            throw new Error('Only the seller can cancel this listing');
+        }
+
+        await this.closeListing(listing, this.STATUS.CANCELLED);
+    }
+
+    /**
+     * Return every expired listing's item to its seller
+     */
+    static async expireListings() {
+        const expired = await marketplaceDb.getExpiredListings(new Date());
+
+        for (const listing of expired) {
+            try {
+                await this.closeListing(listing, this.STATUS.EXPIRED);
+            } catch (error) {
+                logger.error(`Error expiring listing ${listing.id}:`, error);
+            }
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Close an active listing without a sale
+     */
+    static async closeListing(listing, status) {
+        const closed = await marketplaceDb.transitionListing(listing.id, this.STATUS.ACTIVE, status);
+        if (!closed) {
+            throw new Error('This listing is no longer active');
+        }
+
+        await EscrowService.refund(listing.item_escrow_id, `listing_${status}`);
+
+        auditLogger.log('MARKETPLACE', `Listing ${listing.id} ${status}`, `listing_${status}`, {
+            listingId: listing.id,
+            sellerId: listing.seller_id
+        });
+    }
+
+    /**
+     * Recent sales of an item, or just the last sale when none fall inside the history window
+     */
+    static async getItemSales(itemId, currencyType) {
+        const since = new Date(Date.now() - PRICE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const sales = await marketplaceDb.getItemSales(itemId, currencyType, since);
+        if (sales.length > 0) {
+            return sales;
+        }
+
+        const lastSale = await marketplaceDb.getLastItemSale(itemId, currencyType);
+        return lastSale ? [lastSale] : [];
+    }
+
+    /**
+     * Price history block shown on a listing
+     */
+    static formatPriceHistory(sales, currencyType) {
+        const summary = summarizeSales(sales);
+        if (!summary.lastSale) {
+            return `📈 **Market Price:** *No ${currencyType} sales recorded yet*`;
+        }
+
+        let text = `📈 **Market Price (${currencyType})**\n`;
+        text += `Last sale: **${summary.lastSale.price}** <t:${Math.floor(summary.lastSale.soldAt.getTime() / 1000)}:R>\n`;
+        if (summary.volume === 0) {
+            return text + `*No sales in the last ${PRICE_HISTORY_DAYS} days*`;
+        }
+
+        text += `${PRICE_HISTORY_DAYS}-day average: **${summary.average}** • Volume: **${summary.volume}**\n`;
+        text += `${PRICE_HISTORY_DAYS}-day range: ${summary.min} - ${summary.max}\n`;
+        text += `Daily: \`${formatSparkline(summary.daily)}\``;
+        return text;
+    }
+
+    /**
+     * Utility methods
+     */
+    static getReferenceId(listingId) {
+        return `listing_${listingId}`;
+    }
+
+    static calculateFee(price) {
+        const { feePercentage } = this.getMarketSettings();
+        return Math.min(price, Math.max(this.SETTINGS.MIN_FEE, Math.floor(price * feePercentage / 100)));
+    }
+}
@@ -0,0 +1,137 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { TreasuryService } from '../../services/TreasuryService.js';
+import { TREASURY_BUCKETS } from '../../utils/treasury.js';
+
+/**
+ * TreasuryHandler - Server owner view of collected marketplace fees
+ * Shows balances per currency and bucket and lets the owner change the fee split
+ */
+export class TreasuryHandler {
+
+    static BUCKETS = {
+        burn: { name: 'Burn', emoji: '🔥' },
+        treasury: { name: 'Treasury', emoji: '🏦' },
+        prize_pool: { name: 'Prize Pool', emoji: '🏆' }
+    };
+
+    /**
+     * Reply with an ephemeral error, whether or not the interaction was answered
+     */
+    static async replyError(interaction, message) {
+        const response = { content: `❌ ${message}`, ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(response);
+        } else {
+            await interaction.reply(response);
+        }
+    }
+
+    /**
+     * Owner check shared by every treasury action
+     */
+    static async isOwner(interaction) {
+        const { ServerOwnerHandler } = await import('../admin/ServerOwnerHandler.js');
+
+        if (!interaction.guild || !ServerOwnerHandler.isServerOwner(interaction)) {
+            await this.replyError(interaction, 'Only the server owner can manage the marketplace treasury.');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Show the treasury panel
+     */
+    static async showTreasury(interaction) {
+        if (!await this.isOwner(interaction)) return;
+
+        await interaction.reply({ ...await this.buildTreasuryPanel(interaction.guild.id), ephemeral: true });
+    }
+
+    /**
+     * Build the balances and split panel
+     */
+    static async buildTreasuryPanel(guildId, notice = null) {
+        const [balances, split] = await Promise.all([
+            TreasuryService.getBalances(guildId),
+            TreasuryService.getSplit(guildId)
+        ]);
+
+        let description = notice ? `${notice}\n\n` : '';
+        description += '**Fee Split**\n';
+        TREASURY_BUCKETS.forEach(bucket => {
+            description += `${this.BUCKETS[bucket].emoji} ${this.BUCKETS[bucket].name}: ${split[bucket]}%\n`;
+        });
+
+        description += '\n**Balances**\n';
+        const currencies = Object.keys(balances);
+        if (currencies.length === 0) {
+            description += '*No fees collected yet*\n';
+        }
+        currencies.forEach(currency => {
+            const amounts = TREASURY_BUCKETS.map(bucket => `${this.BUCKETS[bucket].emoji} ${balances[currency][bucket]}`);
+            description += `• **${currency.toUpperCase()}**: ${amounts.join(' • ')}\n`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('🏦 **MARKETPLACE TREASURY** 🏦')
+            .setDescription(description)
+            .setColor('#FFD700')
+            .setFooter({ text: 'Listing, buy order, auction and trade fees on this server • Burned fees are removed for good' });
+
+        const splitButton = new ButtonBuilder()
+            .setCustomId('treasury_split_edit')
+            .setLabel('Change Split')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('⚙️');
+
+        return { embeds: [embed], components: [new ActionRowBuilder().addComponents(splitButton)] };
+    }
+
+    /**
+     * Show the split modal prefilled with the current split
+     */
+    static async showSplitModal(interaction) {
+        if (!await this.isOwner(interaction)) return;
+
+        const split = await TreasuryService.getSplit(interaction.guild.id);
+
+        const modal = new ModalBuilder()
+            .setCustomId('treasury_split_modal')
+            .setTitle('Marketplace Fee Split');
+
+        modal.addComponents(TREASURY_BUCKETS.map(bucket => new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId(`treasury_split_${bucket}`)
+                .setLabel(`${this.BUCKETS[bucket].name} %`)
+                .setStyle(TextInputStyle.Short)
+                .setValue(String(split[bucket]))
+                .setRequired(true)
+        )));
+
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Save the split from the modal
+     */
+    static async handleSplitModal(interaction) {
+        if (!await this.isOwner(interaction)) return;
+
+        const split = {};
+        TREASURY_BUCKETS.forEach(bucket => {
+            split[bucket] = Number(interaction.fields.getTextInputValue(`treasury_split_${bucket}`).trim());
+        });
+
+        try {
+            await TreasuryService.setSplit(interaction.guild.id, split, interaction.user.id);
+        } catch (error) {
+            logger.error('Error updating treasury split:', error);
+            await this.replyError(interaction, error.message);
+            return;
+        }
+
+        await interaction.update(await this.buildTreasuryPanel(interaction.guild.id, '✅ Fee split updated. It applies to fees collected from now on.'));
+    }
+}
@@ -0,0 +1,453 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { PvPHandler } from './PvPHandler.js';
+
+/**
+ * MatchmakingHandler - PvP matchmaking queue
+ * One queue per match type; players are paired by rating band, the band widens
+ * the longer they wait, and a battle starts automatically once a pair is found
+ */
+export class MatchmakingHandler {
+
+    // Queue entry status constants
+    static QUEUE_STATUS = {
+        WAITING: 'waiting',
+        MATCHING: 'matching', // Claimed while the challenge and battle are created
+        MATCHED: 'matched' // Battle started - kept until the player opens it
+    };
+
+    // Match types that have a queue
+    static QUEUE_TYPES = [
+        PvPHandler.MATCH_TYPES.CASUAL,
+        PvPHandler.MATCH_TYPES.RANKED,
+        PvPHandler.MATCH_TYPES.WAGER
+    ];
+
+    // Fixed wager tiers so queued wager players always stake the same amount
+    static WAGER_TIERS = [100, 500, 1000, 5000];
+
+    static SETTINGS = {
+        BASE_RATING_BAND: 100,
+        BAND_GROWTH: 50, // Rating band widens by this much...
+        BAND_GROWTH_INTERVAL_MS: 30 * 1000, // ...for every 30 seconds in queue
+        MAX_RATING_BAND: 1000,
+        MATCHED_ENTRY_TTL_MS: 60 * 60 * 1000,
+        DEFAULT_WAIT_ESTIMATE_MS: 2 * 60 * 1000,
+        WAIT_SAMPLE_SIZE: 20
+    };
+
+    // Recent wait times per queue, used for wait estimates
+    static recentWaits = new Map();
+    static matchInterval = null;
+
+    /**
+     * Start the periodic pass that re-checks waiting players as their bands widen
+     */
+    static initialize() {
+        if (!this.matchInterval) {
+            this.matchInterval = setInterval(() => {
+                this.processQueue().catch(error => logger.error('Error processing PvP queue:', error));
+            }, this.SETTINGS.BAND_GROWTH_INTERVAL_MS);
+
+            logger.info('MatchmakingHandler initialized with queue pass');
+        }
+    }
+
+    /**
+     * Show find opponents (matchmaking) menu
+     */
+    static async showFindOpponents(interaction) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const entry = await DatabaseManager.getPvPQueueEntry(interaction.user.id);
+            const waiting = await DatabaseManager.getPvPQueueEntries({ status: this.QUEUE_STATUS.WAITING });
+
+            let description = '**🔍 Matchmaking**\n\n';
+            description += 'Join a queue and you will be paired with a player near your rating. ';
+            description += 'The longer you wait, the wider the search.\n\n';
+
+            description += '**📋 Players Waiting:**\n';
+            this.QUEUE_TYPES.forEach(matchType => {
+                const count = waiting.filter(e => e.matchType === matchType).length;
+                description += `• ${this.formatQueueName(matchType)}: ${count}\n`;
+            });
+            description += '\n';
+
+            const options = [];
+
+            if (entry?.status === this.QUEUE_STATUS.MATCHED) {
+                description += `⚔️ **Match found!** You are fighting **${entry.opponentUsername}**.\n`;
+                options.push(new StringSelectMenuOptionBuilder()
+                    .setLabel('⚔️ Open Battle')
+                    .setDescription(`Fight ${entry.opponentUsername}`.substring(0, 100))
+                    .setValue(`battle_${entry.battleId}`));
+            } else if (entry) {
+                const now = Date.now();
+                const waitedSeconds = Math.floor((now - new Date(entry.joinedAt).getTime()) / 1000);
+                description += `⏳ **Queued:** ${this.formatQueueName(entry.matchType)}${entry.wager ? ` (${entry.wager.currency.gold} gold)` : ''}\n`;
+                description += `• Waiting: ${waitedSeconds}s\n`;
+                description += `• Rating range: ±${this.getRatingBand(entry, now)}\n`;
+                description += `• Estimated wait: ${this.formatDuration(this.estimateWait(entry.matchType))}\n`;
+                options.push(new StringSelectMenuOptionBuilder()
+                    .setLabel('🚪 Leave Queue')
+                    .setDescription('Stop searching for an opponent')
+                    .setValue('leave'));
+            } else {
+                description += '*Select a queue to join:*';
+                options.push(
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('🎮 Casual Queue')
+                        .setDescription(`Play for fun • Est. wait ${this.formatDuration(this.estimateWait(PvPHandler.MATCH_TYPES.CASUAL))}`)
+                        .setValue(`join_${PvPHandler.MATCH_TYPES.CASUAL}`),
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel('🏆 Ranked Queue')
+                        .setDescription(`Rated match • Est. wait ${this.formatDuration(this.estimateWait(PvPHandler.MATCH_TYPES.RANKED))}`)
+                        .setValue(`join_${PvPHandler.MATCH_TYPES.RANKED}`)
+                );
+                this.WAGER_TIERS.forEach(amount => {
+                    options.push(new StringSelectMenuOptionBuilder()
+                        .setLabel(`💰 Wager Queue - ${amount} Gold`)
+                        .setDescription(`Winner takes ${amount * 2} gold from escrow`)
+                        .setValue(`join_${PvPHandler.MATCH_TYPES.WAGER}_${amount}`));
+                });
+            }
+
+            options.push(new StringSelectMenuOptionBuilder()
+                .setLabel('🔙 Back')
+                .setDescription('Return to PvP menu')
+                .setValue('back'));
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔍 **FIND OPPONENTS** 🔍')
+                .setDescription(description)
+                .setColor(0xff4500)
+                .setFooter({ text: 'PvP System • Matchmaking' })
+                .setTimestamp();
+
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId('pvp_matchmaking_menu')
+                .setPlaceholder('Select matchmaking action...')
+                .addOptions(options);
+
+            await interaction.reply({
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(selectMenu)],
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing matchmaking menu:', error);
+            await interaction.reply({
+                content: '❌ Error loading matchmaking.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle matchmaking menu selections
+     */
+    static async handleMatchmakingSelection(interaction, selectedValue) {
+        try {
+            if (selectedValue === 'back') {
+                await PvPHandler.showPvPMenu(interaction);
+                return;
+            }
+
+            if (selectedValue === 'leave') {
+                await this.leaveQueue(interaction.user.id);
+                await interaction.reply({
+                    content: '🚪 You have left the matchmaking queue.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (selectedValue.startsWith('battle_')) {
+                const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+                await DatabaseManager.removeFromPvPQueue(interaction.user.id);
+                await PvPHandler.showBattleScreen(interaction, selectedValue.replace('battle_', ''));
+                return;
+            }
+
+            // join_<matchType>[_<wager gold>]
+            const [, matchType, wagerGold] = selectedValue.split('_');
+            const wager = wagerGold ? { currency: { gold: parseInt(wagerGold) } } : null;
+            const result = await this.joinQueue(interaction.user.id, interaction.user.username, matchType, wager);
+
+            if (result.battle) {
+                await PvPHandler.showBattleScreen(interaction, result.battle.id);
+            } else {
+                await interaction.reply({
+                    content: `⏳ Searching for an opponent... Estimated wait: ${this.formatDuration(this.estimateWait(matchType))}.`,
+                    ephemeral: true
+                });
+            }
+
+        } catch (error) {
+            logger.error('Error handling matchmaking selection:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Put a player in a queue and try to pair them straight away
+     */
+    static async joinQueue(playerId, username, matchType, wager = null) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        if (!this.QUEUE_TYPES.includes(matchType)) {
+            throw new Error('Unknown queue');
+        }
+
+        if (matchType === PvPHandler.MATCH_TYPES.WAGER) {
+            if (!wager || !this.WAGER_TIERS.includes(wager.currency?.gold)) {
+                throw new Error('Choose one of the wager tiers');
+            }
+            if (!await PvPHandler.validatePlayerCanAffordWager(playerId, wager)) {
+                throw new Error('Insufficient funds for wager');
+            }
+        } else {
+            wager = null;
+        }
+
+        if (await this.hasActiveBattle(playerId)) {
+            throw new Error('Finish your current battle before joining a queue');
+        }
+
+        const existing = await DatabaseManager.getPvPQueueEntry(playerId);
+        if (existing?.status === this.QUEUE_STATUS.MATCHED) {
+            // Previous match already opened or ignored - start fresh
+            await DatabaseManager.removeFromPvPQueue(playerId);
+        } else if (existing) {
+            throw new Error('You are already in a queue');
+        }
+
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        const entry = {
+            playerId: playerId,
+            username: username,
+            matchType: matchType,
+            wager: wager,
+            rating: playerData?.pvpStats?.rating || 1000,
+            status: this.QUEUE_STATUS.WAITING,
+            joinedAt: new Date()
+        };
+
+        await DatabaseManager.addToPvPQueue(entry);
+        logger.info(`Player ${playerId} joined ${matchType} queue`);
+
+        const battle = await this.tryMatch(entry);
+        return { entry, battle };
+    }
+
+    /**
+     * Whether a player is already fighting a PvP battle
+     */
+    static async hasActiveBattle(playerId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const { inProgress } = await DatabaseManager.getPlayerActivePvPChallenges(playerId);
+        return inProgress > 0;
+    }
+
+    /**
+     * Remove a player from the queue
+     */
+    static async leaveQueue(playerId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const entry = await DatabaseManager.getPvPQueueEntry(playerId);
+
+        if (!entry || entry.status !== this.QUEUE_STATUS.WAITING) {
+            throw new Error('You are not waiting in a queue');
+        }
+
+        await DatabaseManager.removeFromPvPQueue(playerId);
+        logger.info(`Player ${playerId} left ${entry.matchType} queue`);
+    }
+
+    /**
+     * Rating band a queue entry will accept right now
+     */
+    static getRatingBand(entry, now = Date.now()) {
+        const waited = Math.max(0, now - new Date(entry.joinedAt).getTime());
+        const steps = Math.floor(waited / this.SETTINGS.BAND_GROWTH_INTERVAL_MS);
+        return Math.min(this.SETTINGS.MAX_RATING_BAND, this.SETTINGS.BASE_RATING_BAND + steps * this.SETTINGS.BAND_GROWTH);
+    }
+
+    /**
+     * Find the closest-rated compatible opponent for an entry
+     * A pair is compatible when the gap fits inside either player's band
+     */
+    static findOpponent(entry, candidates, now = Date.now()) {
+        let best = null;
+        for (const candidate of candidates) {
+            if (candidate.playerId === entry.playerId || candidate.matchType !== entry.matchType) continue;
+            if ((candidate.wager?.currency?.gold || 0) !== (entry.wager?.currency?.gold || 0)) continue;
+
+            const gap = Math.abs(candidate.rating - entry.rating);
+            const band = Math.max(this.getRatingBand(entry, now), this.getRatingBand(candidate, now));
+            if (gap <= band && (!best || gap < best.gap)) {
+                best = { candidate, gap };
+            }
+        }
+        return best?.candidate || null;
+    }
+
+    /**
+     * Try to pair one waiting entry; returns the battle if a match started
+     */
+    static async tryMatch(entry) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const waiting = await DatabaseManager.getPvPQueueEntries({
+            matchType: entry.matchType,
+            status: this.QUEUE_STATUS.WAITING
+        });
+
+        const opponent = this.findOpponent(entry, waiting);
+        if (!opponent) {
+            return null;
+        }
+
+        // Claim both entries so a concurrent pass cannot pair either of them again
+        const claimedSelf = await DatabaseManager.transitionPvPQueueEntry(entry.playerId, this.QUEUE_STATUS.WAITING, this.QUEUE_STATUS.MATCHING);
+        if (!claimedSelf) {
+            return null;
+        }
+        const claimedOpponent = await DatabaseManager.transitionPvPQueueEntry(opponent.playerId, this.QUEUE_STATUS.WAITING, this.QUEUE_STATUS.MATCHING);
+        if (!claimedOpponent) {
+            await DatabaseManager.transitionPvPQueueEntry(entry.playerId, this.QUEUE_STATUS.MATCHING, this.QUEUE_STATUS.WAITING);
+            return null;
+        }
+
+        // Either player may have accepted a direct challenge while waiting - they leave the queue
+        const busy = [];
+        for (const player of [entry, opponent]) {
+            if (await this.hasActiveBattle(player.playerId)) busy.push(player.playerId);
+        }
+        if (busy.length > 0) {
+            for (const player of [entry, opponent]) {
+                if (busy.includes(player.playerId)) {
+                    await DatabaseManager.removeFromPvPQueue(player.playerId);
+                } else {
+                    await DatabaseManager.transitionPvPQueueEntry(player.playerId, this.QUEUE_STATUS.MATCHING, this.QUEUE_STATUS.WAITING);
+                }
+            }
+            return null;
+        }
+
+        // Longest waiting player issues the challenge
+        const [challenger, acceptor] = new Date(opponent.joinedAt) <= new Date(entry.joinedAt) ?
+            [opponent, entry] : [entry, opponent];
+
+        try {
+            const challenge = await PvPHandler.createChallenge(challenger.playerId, {
+                challengerUsername: challenger.username,
+                opponentId: acceptor.playerId,
+                opponentUsername: acceptor.username,
+                matchType: entry.matchType,
+                wager: entry.wager,
+                message: 'Matchmaking'
+            });
+            const battle = await PvPHandler.acceptChallenge(challenge.id, acceptor.playerId);
+
+            const now = Date.now();
+            for (const [self, other] of [[challenger, acceptor], [acceptor, challenger]]) {
+                await DatabaseManager.transitionPvPQueueEntry(self.playerId, this.QUEUE_STATUS.MATCHING, this.QUEUE_STATUS.MATCHED, {
+                    battleId: battle.id,
+                    opponentUsername: other.username,
+                    matchedAt: new Date(now)
+                });
+                this.recordWait(entry.matchType, now - new Date(self.joinedAt).getTime());
+            }
+
+            // The turn clock is already running, so both players hear about the match straight away
+            for (const [self, other] of [[challenger, acceptor], [acceptor, challenger]]) {
+                await PvPHandler.notifyPlayer(self.playerId, `⚔️ Match found! Your ${entry.matchType} battle against **${other.username}** has started. Open ⚔️ PvP Arena → Find Opponents to play your turn within ${battle.turnTimeLimit} seconds.`);
+            }
+
+            auditLogger.log('PVP', `Matchmaking paired ${challenger.playerId} and ${acceptor.playerId}`, 'pvp_queue_matched', {
+                matchType: entry.matchType,
+                battleId: battle.id,
+                ratingGap: Math.abs(challenger.rating - acceptor.rating)
+            });
+
+            return battle;
+
+        } catch (error) {
+            // Drop anyone who can no longer cover the wager, put the other back in line
+            logger.error('Error starting matchmaking battle:', error);
+            for (const player of [challenger, acceptor]) {
+                const canStay = !player.wager || await PvPHandler.validatePlayerCanAffordWager(player.playerId, player.wager);
+                if (canStay) {
+                    await DatabaseManager.transitionPvPQueueEntry(player.playerId, this.QUEUE_STATUS.MATCHING, this.QUEUE_STATUS.WAITING);
+                } else {
+                    await DatabaseManager.removeFromPvPQueue(player.playerId);
+                }
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Periodic pass: re-check everyone waiting and clear out stale matched entries
+     */
+    static async processQueue() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const now = Date.now();
+
+        const matched = await DatabaseManager.getPvPQueueEntries({ status: this.QUEUE_STATUS.MATCHED });
+        for (const entry of matched) {
+            if (now - new Date(entry.matchedAt).getTime() > this.SETTINGS.MATCHED_ENTRY_TTL_MS) {
+                await DatabaseManager.removeFromPvPQueue(entry.playerId);
+            }
+        }
+
+        const waiting = await DatabaseManager.getPvPQueueEntries({ status: this.QUEUE_STATUS.WAITING });
+        for (const entry of waiting) {
+            const current = await DatabaseManager.getPvPQueueEntry(entry.playerId);
+            if (current?.status === this.QUEUE_STATUS.WAITING) {
+                await this.tryMatch(current);
+            }
+        }
+    }
+
+    /**
+     * Keep a short history of wait times per queue
+     */
+    static recordWait(matchType, waitMs) {
+        const waits = this.recentWaits.get(matchType) || [];
+        waits.push(waitMs);
+        if (waits.length > this.SETTINGS.WAIT_SAMPLE_SIZE) {
+            waits.shift();
+        }
+        this.recentWaits.set(matchType, waits);
+    }
+
+    /**
+     * Estimated wait from recent matches in this queue
+     */
+    static estimateWait(matchType) {
+        const waits = this.recentWaits.get(matchType) || [];
+        if (waits.length === 0) {
+            return this.SETTINGS.DEFAULT_WAIT_ESTIMATE_MS;
+        }
+        return waits.reduce((sum, wait) => sum + wait, 0) / waits.length;
+    }
+
+    /**
+     * Utility methods
+     */
+    static formatQueueName(matchType) {
+        return matchType.charAt(0).toUpperCase() + matchType.slice(1);
+    }
+
+    static formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `~${Math.max(seconds, 5)}s`;
+        return `~${Math.round(seconds / 60)}m`;
+    }
+}
@@ -1,6 +1,13 @@
 import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
 import { logger } from '../../utils/logger.js';
 import { auditLogger } from '../../utils/auditLogger.js';
+import { EffectProcessor } from '../../utils/EffectProcessor.js';
+import { getHeroById, getStartingHero } from '../../data/heroesData.js';
+import { abilitiesData } from '../../data/abilitiesData.js';
+import { weaponsData } from '../../data/weaponsData.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import { getRatingState, applyInactivity, rateDecidedMatch, softResetRating } from '../../utils/pvpRating.js';
+import { initBattleRng, getBattleRng } from '../../utils/combatRng.js';
 
 /**
  * PvPHandler - Manages Player vs Player combat system
@@ -34,6 +41,72 @@ export class PvPHandler {
         MIXED: 'mixed'
     };
 
+    // Combat settings shared by every PvP battle
+    static COMBAT_SETTINGS = {
+        COMBAT_FLOOR: 1, // PvP is fought at base stats, no floor scaling
+        MAX_TURNS_PER_ROUND: 20 // Round goes to the healthier hero after this many turns
+    };
+
+    // Ranked season settings
+    static SEASON_SETTINGS = {
+        LENGTH_DAYS: 90,
+        SOFT_RESET_FACTOR: 0.5, // Ratings move halfway back to 1000 between seasons
+        RESET_DEVIATION: 200, // Minimum rating deviation at the start of a season
+        MIN_MATCHES_FOR_REWARD: 5
+    };
+
+    // End of season rewards by final rank
+    static SEASON_REWARDS = {
+        Grandmaster: { gold: 25000, tokens: 250 },
+        Master: { gold: 15000, tokens: 150 },
+        Diamond: { gold: 10000, tokens: 100 },
+        Platinum: { gold: 6000, tokens: 50 },
+        Gold: { gold: 3000, tokens: 25 },
+        Silver: { gold: 1500 },
+        Bronze: { gold: 500 }
+    };
+
+    // Match history and replay paging
+    static HISTORY_SETTINGS = {
+        MATCHES_PER_PAGE: 5,
+        REPLAY_LINES_PER_PAGE: 30
+    };
+
+    // Turn timers - deadlines are stored on the battle so they survive a restart
+    static TURN_TIMER_SETTINGS = {
+        CHECK_INTERVAL_SECONDS: 5,
+        WARNING_SECONDS: 10,
+        MAX_TIMEOUTS: 2 // Timeouts in one match before the player forfeits
+    };
+
+    static expiryInterval = null;
+    static turnTimerInterval = null;
+
+    /**
+     * Start the periodic sweeps that expire stale challenges, refund their wagers,
+     * roll over finished ranked seasons and enforce battle turn timers
+     */
+    static initialize() {
+        if (!this.expiryInterval) {
+            this.expiryInterval = setInterval(() => {
+                this.expireChallenges().catch(error => logger.error('Error expiring PvP challenges:', error));
+                this.checkSeasonRollover().catch(error => logger.error('Error rolling over PvP season:', error));
+            }, 5 * 60 * 1000);
+
+            logger.info('PvPHandler initialized with challenge expiry sweep');
+        }
+
+        if (!this.turnTimerInterval) {
+            this.resumeTurnTimers().catch(error => logger.error('Error resuming PvP turn timers:', error));
+
+            this.turnTimerInterval = setInterval(() => {
+                this.processTurnTimers().catch(error => logger.error('Error processing PvP turn timers:', error));
+            }, this.TURN_TIMER_SETTINGS.CHECK_INTERVAL_SECONDS * 1000);
+
+            logger.info('PvPHandler initialized with turn timers');
+        }
+    }
+
     /**
      * Show PvP main menu
      */
@@ -43,6 +116,7 @@ export class PvPHandler {
             const playerData = await DatabaseManager.getPlayer(interaction.user.id);
             const pvpStats = playerData?.pvpStats || {};
             const activeChallenges = await DatabaseManager.getPlayerActivePvPChallenges(interaction.user.id);
+            const season = await this.getCurrentSeason();
 
             let description = '**⚔️ Player vs Player Combat**\n\n';
             description += '**Challenge other players to combat:**\n';
@@ -56,7 +130,8 @@ export class PvPHandler {
             description += `• Losses: ${pvpStats.losses || 0}\n`;
             description += `• Win Rate: ${this.calculateWinRate(pvpStats)}%\n`;
             description += `• Rank: ${pvpStats.rank || 'Unranked'}\n`;
-            description += `• Rating: ${pvpStats.rating || 1000}\n\n`;
+            description += `• Rating: ${pvpStats.rating || 1000}\n`;
+            description += `• ${season.name}: ${pvpStats.seasonWins || 0}W / ${pvpStats.seasonLosses || 0}L\n\n`;
 
             description += `**📋 Active Challenges:**\n`;
             description += `• Pending: ${activeChallenges.pending || 0}\n`;
@@ -288,12 +363,7 @@ export class PvPHandler {
 
             await DatabaseManager.createPvPChallenge(challenge);
 
-            // Lock wager funds if applicable
-            if (challengeData.wager) {
-                await this.lockWagerFunds(challengerId, challengeData.wager);
-            }
-
-            auditLogger.log('pvp_challenge_created', {
+            auditLogger.log('PVP', `Challenge ${challenge.id} created by ${challengerId}`, 'pvp_challenge_created', {
                 challengeId: challenge.id,
                 challengerId: challengerId,
                 opponentId: challengeData.opponentId,
@@ -329,27 +399,38 @@ export class PvPHandler {
                 throw new Error('This challenge is not for you');
             }
 
-            // Check if acceptor can afford wager
-            if (challenge.wager) {
-                const canAfford = await this.validatePlayerCanAffordWager(acceptorId, challenge.wager);
-                if (!canAfford) {
-                    throw new Error('Insufficient funds for wager');
-                }
-                
-                // Lock acceptor's wager funds
-                await this.lockWagerFunds(acceptorId, challenge.wager);
+            if (new Date(challenge.expiresAt) <= new Date()) {
+                await this.expireChallenge(challenge);
+                throw new Error('Challenge has expired');
             }
 
-            // Update challenge status
-            await DatabaseManager.updatePvPChallenge(challengeId, {
-                status: this.MATCH_STATUS.ACCEPTED,
-                acceptedAt: new Date()
-            });
+            if (challenge.wager && !await this.validatePlayerCanAffordWager(acceptorId, challenge.wager)) {
+                throw new Error('Insufficient funds for wager');
+            }
 
-            // Initialize battle
-            const battle = await this.initializeBattle(challenge);
+            // Claim the challenge before any wager is taken, so a second accept or a decline can't run alongside
+            const accepted = await DatabaseManager.transitionPvPChallenge(challengeId, this.MATCH_STATUS.PENDING,
+                this.MATCH_STATUS.ACCEPTED, { acceptedAt: new Date() });
+            if (!accepted) {
+                throw new Error('Challenge is no longer available');
+            }
 
-            auditLogger.log('pvp_challenge_accepted', {
+            // Debit both wagers into escrow and start the battle; give everything back if either step fails
+            let battle;
+            try {
+                if (challenge.wager) {
+                    await this.lockWagerFunds(challenge.challengerId, challenge.wager, challenge.id);
+                    await this.lockWagerFunds(acceptorId, challenge.wager, challenge.id);
+                }
+                battle = await this.initializeBattle(challenge);
+            } catch (error) {
+                await DatabaseManager.transitionPvPChallenge(challengeId, this.MATCH_STATUS.ACCEPTED,
+                    this.MATCH_STATUS.CANCELLED, { cancelledAt: new Date(), cancelReason: 'battle_start_failed' });
+                await EscrowService.refundReference(challenge.id, 'battle_start_failed');
+                throw error;
+            }
+
+            auditLogger.log('PVP', `Challenge ${challengeId} accepted by ${acceptorId}`, 'pvp_challenge_accepted', {
                 challengeId: challengeId,
                 challengerId: challenge.challengerId,
                 acceptorId: acceptorId,
@@ -364,6 +445,121 @@ export class PvPHandler {
         }
     }
 
+    /**
+     * Decline a PvP challenge
+     */
+    static async declineChallenge(challengeId, playerId) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const challenge = await DatabaseManager.getPvPChallenge(challengeId);
+
+            if (!challenge) {
+                throw new Error('Challenge not found');
+            }
+
+            if (challenge.status !== this.MATCH_STATUS.PENDING) {
+                throw new Error('Challenge is no longer available');
+            }
+
+            if (challenge.opponentId !== playerId && challenge.challengerId !== playerId) {
+                throw new Error('This challenge is not for you');
+            }
+
+            const declined = await DatabaseManager.transitionPvPChallenge(challengeId, this.MATCH_STATUS.PENDING,
+                this.MATCH_STATUS.CANCELLED, { cancelledAt: new Date(), cancelledBy: playerId });
+            if (!declined) {
+                throw new Error('Challenge is no longer available');
+            }
+            await EscrowService.refundReference(challengeId, 'challenge_declined');
+
+            auditLogger.log('PVP', `Challenge ${challengeId} declined by ${playerId}`, 'pvp_challenge_declined', {
+                challengeId: challengeId,
+                playerId: playerId
+            });
+
+        } catch (error) {
+            logger.error('Error declining PvP challenge:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire a single challenge and refund anything held for it
+     * Returns false if it was accepted or declined in the meantime
+     */
+    static async expireChallenge(challenge) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        const expired = await DatabaseManager.transitionPvPChallenge(challenge.id, this.MATCH_STATUS.PENDING,
+            this.MATCH_STATUS.EXPIRED, { expiredAt: new Date() });
+        if (!expired) {
+            return false;
+        }
+        await EscrowService.refundReference(challenge.id, 'challenge_expired');
+
+        auditLogger.log('PVP', `Challenge ${challenge.id} expired`, 'pvp_challenge_expired', {
+            challengeId: challenge.id
+        });
+
+        return true;
+    }
+
+    /**
+     * Expire every pending challenge past its deadline
+     */
+    static async expireChallenges() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const expired = await DatabaseManager.getExpiredPvPChallenges(new Date());
+
+        for (const challenge of expired) {
+            try {
+                await this.expireChallenge(challenge);
+            } catch (error) {
+                logger.error(`Error expiring PvP challenge ${challenge.id}:`, error);
+            }
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Abandon an unfinished battle - no winner, wagers go back to their owners
+     */
+    static async abandonBattle(battleId, reason = 'abandoned') {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const battle = await DatabaseManager.getPvPBattle(battleId);
+
+            if (!battle || battle.status !== this.MATCH_STATUS.IN_PROGRESS) {
+                return null;
+            }
+
+            // Only cancel a battle nobody else has finished in the meantime
+            const cancelled = await DatabaseManager.transitionPvPBattle(battleId, this.MATCH_STATUS.IN_PROGRESS,
+                this.MATCH_STATUS.CANCELLED, { cancelReason: reason, completedAt: new Date() });
+            if (!cancelled) {
+                return null;
+            }
+            await DatabaseManager.updatePvPChallenge(battle.challengeId, {
+                status: this.MATCH_STATUS.CANCELLED,
+                cancelledAt: new Date()
+            });
+            await EscrowService.refundReference(battle.challengeId, `battle_${reason}`);
+
+            auditLogger.log('PVP', `Battle ${battleId} abandoned`, 'pvp_battle_abandoned', {
+                battleId: battleId,
+                challengeId: battle.challengeId,
+                reason: reason
+            });
+
+            return cancelled;
+
+        } catch (error) {
+            logger.error('Error abandoning PvP battle:', error);
+            throw error;
+        }
+    }
+
     /**
      * Initialize PvP battle
      */
@@ -376,33 +572,31 @@ export class PvPHandler {
             const opponent = await DatabaseManager.getPlayer(challenge.opponentId);
 
             // Create battle instance
+            const maxRounds = challenge.rounds || 3;
             const battle = {
                 id: this.generateBattleId(),
                 challengeId: challenge.id,
-                player1: {
-                    id: challenge.challengerId,
-                    username: challenge.challengerUsername,
-                    hero: challenger.selectedHero,
-                    health: challenger.hero?.health || 100,
-                    mana: challenger.hero?.mana || 50,
-                    equipment: challenger.equipment || {}
-                },
-                player2: {
-                    id: challenge.opponentId,
-                    username: challenge.opponentUsername,
-                    hero: opponent.selectedHero,
-                    health: opponent.hero?.health || 100,
-                    mana: opponent.hero?.mana || 50,
-                    equipment: opponent.equipment || {}
-                },
-                currentTurn: challenge.challengerId,
+                tournamentId: challenge.tournamentId || null,
+                matchType: challenge.matchType,
+                wager: challenge.wager || null,
+                player1: this.buildCombatant(challenge.challengerId, challenge.challengerUsername, challenger),
+                player2: this.buildCombatant(challenge.opponentId, challenge.opponentUsername, opponent),
                 round: 1,
-                maxRounds: challenge.rounds,
+                turn: 1,
+                maxRounds: maxRounds,
+                roundsToWin: Math.ceil(maxRounds / 2),
+                pendingActions: {}, // Hidden until both players have chosen
                 turnTimeLimit: 30, // seconds
+                turnWarnings: {},
+                timeouts: {},
                 status: this.MATCH_STATUS.IN_PROGRESS,
                 createdAt: new Date(),
                 battleLog: []
             };
+            // Bracket matches are played whenever both players turn up before the match deadline,
+            // so their turn clock only starts once the first turn has been played
+            battle.turnDeadline = challenge.tournamentId ? null : this.getTurnDeadline(battle);
+            initBattleRng(battle);
 
             await DatabaseManager.createPvPBattle(battle);
 
@@ -414,51 +608,184 @@ export class PvPHandler {
         }
     }
 
+    /**
+     * Build a combatant from a player's selected hero
+     */
+    static buildCombatant(playerId, username, playerData) {
+        const hero = getHeroById(playerData?.selectedHero) || getStartingHero();
+        const maxHealth = playerData?.hero?.health || hero.health;
+        const maxMana = playerData?.hero?.mana || hero.mana;
+
+        return {
+            id: playerId,
+            username: username,
+            heroId: hero.id,
+            heroName: hero.name,
+            weapons: playerData?.hero?.weapons || hero.weapons,
+            abilities: playerData?.hero?.abilities || hero.abilities,
+            maxHealth: maxHealth,
+            maxMana: maxMana,
+            armor: playerData?.hero?.armor ?? hero.armor ?? 0,
+            critChance: playerData?.hero?.critChance ?? hero.critChance ?? 0,
+            health: maxHealth,
+            mana: maxMana,
+            effects: [],
+            combatModifiers: {},
+            deathPreventionUsed: false,
+            roundsWon: 0,
+            roundDamageDealt: 0,
+            damageDealt: 0,
+            equipment: playerData?.equipment || {}
+        };
+    }
+
+    /**
+     * Get a player's combatant and their opponent from a battle
+     */
+    static getCombatants(battle, playerId) {
+        if (battle.player1.id === playerId) {
+            return { self: battle.player1, opponent: battle.player2 };
+        }
+        if (battle.player2.id === playerId) {
+            return { self: battle.player2, opponent: battle.player1 };
+        }
+        return null;
+    }
+
+    /**
+     * Validate that a combatant can perform an action this turn
+     */
+    static validateAction(combatant, action) {
+        const modifiers = combatant.combatModifiers || {};
+
+        // Passing is always allowed so a player with no usable action is never stuck
+        if (action?.type === 'pass') {
+            return { valid: true };
+        }
+
+        if (modifiers.disableAllActions) {
+            return { valid: false, reason: 'You cannot act this turn' };
+        }
+
+        if (action?.type === 'weapon') {
+            if (modifiers.disableWeapons) {
+                return { valid: false, reason: 'Your weapons are disabled this turn' };
+            }
+            if (!combatant.weapons.includes(action.value) || !weaponsData.some(w => w.id === action.value)) {
+                return { valid: false, reason: 'You do not have that weapon' };
+            }
+            return { valid: true };
+        }
+
+        if (action?.type === 'ability') {
+            const ability = abilitiesData.find(a => a.id === action.value);
+            if (!ability || !combatant.abilities.includes(action.value)) {
+                return { valid: false, reason: 'You do not have that ability' };
+            }
+            if (modifiers.disableMagic && ability.manaCost > 0) {
+                return { valid: false, reason: 'Your magic is disabled this turn' };
+            }
+            if (combatant.mana < ability.manaCost) {
+                return { valid: false, reason: `Not enough mana (${ability.manaCost} required)` };
+            }
+            return { valid: true };
+        }
+
+        return { valid: false, reason: 'Unknown action' };
+    }
+
     /**
      * Process battle turn
+     * Both players lock in an action; the turn resolves once both have chosen
      */
-    static async processBattleTurn(battleId, playerId, action) {
+    static async processBattleTurn(battleId, playerId, action, { timedOut = false } = {}) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const battle = await DatabaseManager.getPvPBattle(battleId);
+            const current = await DatabaseManager.getPvPBattle(battleId);
 
-            if (!battle) {
+            if (!current) {
                 throw new Error('Battle not found');
             }
 
-            if (battle.status !== this.MATCH_STATUS.IN_PROGRESS) {
+            if (current.status !== this.MATCH_STATUS.IN_PROGRESS) {
                 throw new Error('Battle is not in progress');
             }
 
-            if (battle.currentTurn !== playerId) {
-                throw new Error('Not your turn');
+            const combatants = this.getCombatants(current, playerId);
+            if (!combatants) {
+                throw new Error('You are not part of this battle');
+            }
+
+            if (current.pendingActions?.[playerId]) {
+                throw new Error('You have already chosen an action this turn');
+            }
+
+            const validation = this.validateAction(combatants.self, action);
+            if (!validation.valid) {
+                throw new Error(validation.reason);
             }
 
-            // Process the action
-            const result = await this.processAction(battle, playerId, action);
+            const chosen = { type: action.type, value: action.value };
+            if (timedOut) {
+                chosen.timedOut = true;
+            }
+
+            // Lock the choice in atomically so simultaneous submissions cannot overwrite each other
+            const turnKey = { round: current.round, turn: current.turn };
+            const battle = await DatabaseManager.submitPvPAction(battleId, playerId, turnKey, chosen, { timedOut });
+            if (!battle) {
+                throw new Error('You have already chosen an action this turn');
+            }
+
+            // Wait for the opponent's hidden choice - only the submission that completes the pair resolves the turn
+            if (!battle.pendingActions?.[combatants.opponent.id]) {
+                return { battle, waiting: true };
+            }
+
+            const player1Action = battle.pendingActions[battle.player1.id];
+            const player2Action = battle.pendingActions[battle.player2.id];
+            battle.pendingActions = {};
+
+            // Resolve both actions at once
+            const result = this.processAction(battle, player1Action, player2Action);
 
-            // Update battle state
             battle.battleLog.push({
-                playerId: playerId,
-                action: action,
+                round: battle.round,
+                turn: battle.turn,
+                actions: {
+                    [battle.player1.id]: player1Action,
+                    [battle.player2.id]: player2Action
+                },
                 result: result,
                 timestamp: new Date()
             });
 
-            // Check for round/battle end
+            // Check for round end, then battle end
+            const roundResult = this.checkRoundEnd(battle);
+            if (roundResult.ended) {
+                this.completeRound(battle, roundResult);
+            } else {
+                battle.turn++;
+            }
+
+            // Start the clock for the next turn
+            battle.turnDeadline = this.getTurnDeadline(battle);
+            battle.turnWarnings = {};
+
             const battleResult = this.checkBattleEnd(battle);
-            
+
             if (battleResult.ended) {
-                await this.endBattle(battle, battleResult);
+                await this.endBattle(battle, battleResult, turnKey);
             } else {
-                // Switch turns
-                battle.currentTurn = battle.currentTurn === battle.player1.id ? 
-                    battle.player2.id : battle.player1.id;
-                
-                await DatabaseManager.updatePvPBattle(battleId, battle);
+                // A forfeit or abandon may have finished the battle while this turn resolved
+                const saved = await DatabaseManager.transitionPvPBattle(battleId, this.MATCH_STATUS.IN_PROGRESS,
+                    this.MATCH_STATUS.IN_PROGRESS, battle, turnKey);
+                if (!saved) {
+                    throw new Error('Battle is not in progress');
+                }
             }
 
-            return { battle, result, battleResult };
+            return { battle, result, roundResult, battleResult, waiting: false };
 
         } catch (error) {
             logger.error('Error processing battle turn:', error);
@@ -468,41 +795,66 @@ export class PvPHandler {
 
     /**
      * End PvP battle
+     * Only the caller that moves the battle out of in progress settles it; returns false for everyone else
      */
-    static async endBattle(battle, battleResult) {
+    static async endBattle(battle, battleResult, expected = {}) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
             
-            // Update battle status
-            battle.status = this.MATCH_STATUS.COMPLETED;
+            // Claim the finish first so a forfeit, walkover or abandon running alongside cannot settle it twice
             battle.winner = battleResult.winner;
+            battle.loser = battleResult.loser;
             battle.completedAt = new Date();
-            
-            await DatabaseManager.updatePvPBattle(battle.id, battle);
 
-            // Update player stats
-            await this.updatePvPStats(battle.player1.id, battleResult.winner === battle.player1.id);
-            await this.updatePvPStats(battle.player2.id, battleResult.winner === battle.player2.id);
+            const completed = await DatabaseManager.transitionPvPBattle(battle.id, this.MATCH_STATUS.IN_PROGRESS,
+                this.MATCH_STATUS.COMPLETED, battle, expected);
+            if (!completed) {
+                logger.warn(`PvP battle ${battle.id} was already finished, skipping settlement`);
+                return false;
+            }
+            battle.status = this.MATCH_STATUS.COMPLETED;
+
+            // Update player stats, keeping the rating change for match history
+            const challenge = await DatabaseManager.getPvPChallenge(battle.challengeId);
+            battle.ratingChanges = await this.updatePvPStats(battleResult.winner, battleResult.loser,
+                challenge?.matchType || battle.matchType);
+
+            await DatabaseManager.updatePvPBattle(battle.id, { ratingChanges: battle.ratingChanges });
 
             // Handle wager if applicable
-            const challenge = await DatabaseManager.getPvPChallenge(battle.challengeId);
-            if (challenge.wager) {
+            if (challenge) {
+                await DatabaseManager.updatePvPChallenge(battle.challengeId, {
+                    status: this.MATCH_STATUS.COMPLETED,
+                    completedAt: new Date()
+                });
+            } else {
+                logger.warn(`PvP battle ${battle.id} has no challenge ${battle.challengeId} - skipping wager and bracket`);
+            }
+            if (challenge?.wager) {
                 await this.processWagerPayout(challenge, battleResult.winner);
             }
 
+            // Advance the bracket for tournament matches
+            if (challenge?.tournamentId) {
+                const { TournamentHandler } = await import('./TournamentHandler.js');
+                await TournamentHandler.recordMatchResult(challenge.tournamentId, challenge.tournamentMatchId, battleResult.winner);
+            }
+
             // Award XP and achievements
             const { XPHandler } = await import('../player/XPHandler.js');
             await XPHandler.awardActivityXP(battleResult.winner, 'PVP_WIN');
             await XPHandler.awardActivityXP(battleResult.loser, 'PVP_PARTICIPATION');
 
-            auditLogger.log('pvp_battle_completed', {
+            auditLogger.log('PVP', `Battle ${battle.id} won by ${battleResult.winner}`, 'pvp_battle_completed', {
                 battleId: battle.id,
                 winner: battleResult.winner,
                 loser: battleResult.loser,
-                rounds: battle.round,
-                wager: challenge.wager
+                rounds: battle.round - 1,
+                wager: challenge?.wager || null
             });
 
+            return true;
+
         } catch (error) {
             logger.error('Error ending PvP battle:', error);
             throw error;
@@ -522,7 +874,18 @@ export class PvPHandler {
 
     static validateChallengeData(challengeData) {
         return challengeData.opponentId && challengeData.matchType && 
-               Object.values(this.MATCH_TYPES).includes(challengeData.matchType);
+               Object.values(this.MATCH_TYPES).includes(challengeData.matchType) &&
+               (!challengeData.wager || this.validateWager(challengeData.wager));
+    }
+
+    static validateWager(wager) {
+        const amounts = Object.values(wager.currency || {});
+        const items = wager.items || [];
+
+        if (amounts.length === 0 && items.length === 0) return false;
+        if (!amounts.every(amount => Number.isInteger(amount) && amount > 0)) return false;
+        return Array.isArray(items) &&
+               items.every(item => item.id && Number.isInteger(item.quantity ?? 1) && (item.quantity ?? 1) > 0);
     }
 
     static calculateWinRate(pvpStats) {
@@ -536,95 +899,447 @@ export class PvPHandler {
 
     static async validatePlayerCanAffordWager(playerId, wager) {
         try {
-            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(playerId);
-            const economy = playerData?.economy || {};
+            return await EscrowService.canAfford(playerId, wager);
+        } catch (error) {
+            logger.error('Error validating wager affordability:', error);
+            return false;
+        }
+    }
 
-            if (wager.currency) {
-                for (const [currencyType, amount] of Object.entries(wager.currency)) {
-                    if ((economy[currencyType] || 0) < amount) {
-                        return false;
-                    }
+    static async lockWagerFunds(playerId, wager, challengeId) {
+        return await EscrowService.lock(playerId, wager, {
+            referenceId: challengeId,
+            referenceType: 'pvp_wager'
+        });
+    }
+
+    static async processWagerPayout(challenge, winnerId) {
+        try {
+            // Winner receives exactly what both sides put into escrow
+            const released = await EscrowService.releaseReference(challenge.id, winnerId, 'pvp_win');
+
+            auditLogger.log('PVP', `Wager payout for ${challenge.id}`, 'wager_payout_processed', {
+                challengeId: challenge.id,
+                winnerId: winnerId,
+                escrows: released.map(escrow => escrow.escrowId)
+            });
+
+        } catch (error) {
+            logger.error('Error processing wager payout:', error);
+        }
+    }
+
+    /**
+     * Deadline for the current turn
+     */
+    static getTurnDeadline(battle, from = Date.now()) {
+        return new Date(from + battle.turnTimeLimit * 1000);
+    }
+
+    /**
+     * Give every active battle a fresh turn clock after a restart
+     * Players could not act while the bot was offline, so lapsed deadlines are not held against them
+     */
+    static async resumeTurnTimers() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const battles = await DatabaseManager.getActivePvPBattles();
+        const now = Date.now();
+
+        for (const battle of battles) {
+            if (!battle.turnDeadline && battle.tournamentId) continue;
+            if (!battle.turnDeadline || new Date(battle.turnDeadline).getTime() <= now) {
+                await DatabaseManager.updatePvPBattle(battle.id, {
+                    turnDeadline: this.getTurnDeadline(battle, now),
+                    turnWarnings: {}
+                });
+            }
+        }
+
+        if (battles.length > 0) {
+            logger.info(`Resumed turn timers for ${battles.length} PvP battles`);
+        }
+    }
+
+    /**
+     * Warn players whose turn is about to run out and time out the ones who missed it
+     */
+    static async processTurnTimers(now = Date.now()) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const battles = await DatabaseManager.getActivePvPBattles();
+
+        for (const battle of battles) {
+            try {
+                await this.checkTurnTimer(battle, now);
+            } catch (error) {
+                logger.error(`Error checking turn timer for battle ${battle.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Check one battle's turn clock
+     */
+    static async checkTurnTimer(battle, now = Date.now()) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        // Tournament battles wait for their first turn; the match deadline covers no-shows
+        if (!battle.turnDeadline && battle.tournamentId) {
+            return;
+        }
+
+        // Battles created before turn timers existed start their clock now
+        if (!battle.turnDeadline) {
+            await DatabaseManager.updatePvPBattle(battle.id, {
+                turnDeadline: this.getTurnDeadline(battle, now),
+                turnWarnings: {}
+            });
+            return;
+        }
+
+        const remaining = new Date(battle.turnDeadline).getTime() - now;
+        const waiting = [battle.player1, battle.player2].filter(player => !battle.pendingActions?.[player.id]);
+
+        if (remaining <= 0) {
+            const forfeiting = waiting.filter(player =>
+                (battle.timeouts?.[player.id] || 0) + 1 >= this.TURN_TIMER_SETTINGS.MAX_TIMEOUTS);
+
+            // Nobody is left to award the match to
+            if (waiting.length === 2 && forfeiting.length === 2) {
+                if (!await this.abandonBattle(battle.id, 'both_players_timed_out')) {
+                    return;
                 }
+                for (const player of waiting) {
+                    await this.notifyPlayer(player.id, `⏱️ Your PvP battle against **${this.getCombatants(battle, player.id).opponent.username}** was cancelled because both players stopped responding. Any wager has been refunded.`);
+                }
+                return;
             }
 
-            if (wager.items) {
-                // Check if player has the items
-                // Implementation depends on inventory structure
-                return true; // Placeholder
+            for (const player of waiting) {
+                await this.handleTurnTimeout(battle.id, player.id);
             }
+            return;
+        }
 
-            return true;
+        if (remaining <= this.TURN_TIMER_SETTINGS.WARNING_SECONDS * 1000) {
+            const unwarned = waiting.filter(player => !battle.turnWarnings?.[player.id]);
+            if (unwarned.length === 0) return;
+
+            battle.turnWarnings = battle.turnWarnings || {};
+            for (const player of unwarned) {
+                battle.turnWarnings[player.id] = true;
+                const timeouts = battle.timeouts?.[player.id] || 0;
+                const consequence = timeouts + 1 >= this.TURN_TIMER_SETTINGS.MAX_TIMEOUTS
+                    ? 'you will **forfeit the match**'
+                    : 'a defensive action will be chosen for you';
+                await this.notifyPlayer(player.id, `⏱️ Your turn against **${this.getCombatants(battle, player.id).opponent.username}** ends in ${Math.ceil(remaining / 1000)} seconds. If you do not act, ${consequence}.`);
+            }
+            // Only the warnings - the sweep's copy of the battle may already be stale
+            await DatabaseManager.updatePvPBattle(battle.id, { turnWarnings: battle.turnWarnings });
+        }
+    }
+
+    /**
+     * Time out a player who missed their turn
+     * The first timeout plays a default defensive action; reaching the limit forfeits the match
+     */
+    static async handleTurnTimeout(battleId, playerId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const battle = await DatabaseManager.getPvPBattle(battleId);
+
+        // The battle may have ended, the player may have acted or the turn may have moved on since the sweep started
+        if (!battle || battle.status !== this.MATCH_STATUS.IN_PROGRESS || battle.pendingActions?.[playerId] ||
+            !battle.turnDeadline || new Date(battle.turnDeadline).getTime() > Date.now()) {
+            return;
+        }
+
+        const { self, opponent } = this.getCombatants(battle, playerId);
+        const timeouts = (battle.timeouts?.[playerId] || 0) + 1;
+
+        if (timeouts >= this.TURN_TIMER_SETTINGS.MAX_TIMEOUTS) {
+            // Claim the player's turn slot first - if they act at the same moment, their action wins
+            const turnKey = { round: battle.round, turn: battle.turn };
+            const claimed = await DatabaseManager.submitPvPAction(battleId, playerId, turnKey,
+                { type: 'pass', value: 'turn', timedOut: true }, { timedOut: true });
+            if (!claimed || !await this.forfeitBattle(claimed, playerId, turnKey)) {
+                return;
+            }
+            await this.notifyPlayer(playerId, `🏳️ You ran out of time too many times and forfeited your PvP battle against **${opponent.username}**.`);
+            await this.notifyPlayer(opponent.id, `🏆 **${self.username}** ran out of time and forfeited. You win the PvP battle!`);
+            return;
+        }
 
+        const action = this.getDefaultAction(self);
+        try {
+            await this.processBattleTurn(battleId, playerId, action, { timedOut: true });
         } catch (error) {
-            logger.error('Error validating wager affordability:', error);
+            // The player acted or the turn resolved between the check and the write
+            logger.warn(`Skipped timeout for ${playerId} in battle ${battleId}: ${error.message}`);
+            return;
+        }
+
+        auditLogger.log('PVP', `Player ${playerId} timed out in battle ${battleId}`, 'pvp_turn_timeout', {
+            battleId,
+            playerId,
+            timeouts,
+            action
+        });
+
+        await this.notifyPlayer(playerId, `⏱️ You ran out of time against **${opponent.username}**, so **${this.formatAction(action)}** was used for you. One more timeout forfeits the match.`);
+    }
+
+    /**
+     * Pick the action played for a player who timed out
+     * Prefers an affordable defensive ability, then the first usable weapon
+     */
+    static getDefaultAction(combatant) {
+        const candidates = [
+            ...combatant.abilities
+                .filter(abilityId => abilitiesData.find(a => a.id === abilityId)?.category === 'defensive')
+                .map(abilityId => ({ type: 'ability', value: abilityId })),
+            ...combatant.weapons.map(weaponId => ({ type: 'weapon', value: weaponId }))
+        ];
+
+        return candidates.find(action => this.validateAction(combatant, action).valid) || { type: 'pass', value: 'turn' };
+    }
+
+    /**
+     * End a battle in the opponent's favour
+     * Returns false if the battle was already finished by something else
+     */
+    static async forfeitBattle(battle, playerId, expected = {}) {
+        const { opponent } = this.getCombatants(battle, playerId);
+        battle.forfeitedBy = playerId;
+
+        if (!await this.endBattle(battle, { ended: true, winner: opponent.id, loser: playerId }, expected)) {
             return false;
         }
+
+        auditLogger.log('PVP', `Player ${playerId} forfeited battle ${battle.id}`, 'pvp_battle_forfeited', {
+            battleId: battle.id,
+            playerId,
+            winner: opponent.id
+        });
+
+        return true;
     }
 
-    static async lockWagerFunds(playerId, wager) {
-        // Implementation would lock funds/items in escrow
-        logger.info(`Locking wager funds for player ${playerId}`);
+    /**
+     * Send a direct message to a player, ignoring players with DMs closed
+     */
+    static async notifyPlayer(playerId, content) {
+        try {
+            const user = await global.client?.users.fetch(playerId);
+            await user?.send({ content });
+        } catch (error) {
+            logger.warn(`Could not notify player ${playerId}: ${error.message}`);
+        }
     }
 
-    static async processWagerPayout(challenge, winnerId) {
+    /**
+     * Update both players' records after a decided match
+     * Only ranked matches change Glicko-2 ratings and season records.
+     * Returns each player's rating before and after the match (empty for unrated matches)
+     */
+    static async updatePvPStats(winnerId, loserId, matchType = this.MATCH_TYPES.RANKED) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            
-            // Transfer wager to winner
-            if (challenge.wager.currency) {
-                const playerData = await DatabaseManager.getPlayer(winnerId);
-                const economy = playerData?.economy || {};
-                
-                // Winner gets both wagers
-                for (const [currencyType, amount] of Object.entries(challenge.wager.currency)) {
-                    economy[currencyType] = (economy[currencyType] || 0) + (amount * 2);
+            const winnerData = await DatabaseManager.getPlayer(winnerId);
+            const loserData = await DatabaseManager.getPlayer(loserId);
+            const winnerStats = winnerData?.pvpStats || { wins: 0, losses: 0 };
+            const loserStats = loserData?.pvpStats || { wins: 0, losses: 0 };
+
+            // Rate against pre-match ratings, with deviation grown for time away
+            const now = Date.now();
+            const rated = matchType === this.MATCH_TYPES.RANKED;
+            const ratings = rated ? rateDecidedMatch(
+                applyInactivity(getRatingState(winnerStats), now),
+                applyInactivity(getRatingState(loserStats), now)
+            ) : {};
+
+            const updates = [
+                [winnerId, winnerStats, ratings.winner, true],
+                [loserId, loserStats, ratings.loser, false]
+            ];
+            const ratingChanges = {};
+
+            for (const [playerId, pvpStats, rating, won] of updates) {
+                if (won) {
+                    pvpStats.wins = (pvpStats.wins || 0) + 1;
+                } else {
+                    pvpStats.losses = (pvpStats.losses || 0) + 1;
                 }
-                
-                await DatabaseManager.updatePlayerEconomy(winnerId, economy);
-            }
 
-            // Handle item wagers
-            if (challenge.wager.items) {
-                // Transfer items to winner
-                // Implementation depends on inventory structure
+                if (!rated) {
+                    await DatabaseManager.updatePlayerPvPStats(playerId, pvpStats);
+                    continue;
+                }
+
+                if (won) {
+                    pvpStats.seasonWins = (pvpStats.seasonWins || 0) + 1;
+                } else {
+                    pvpStats.seasonLosses = (pvpStats.seasonLosses || 0) + 1;
+                }
+
+                ratingChanges[playerId] = { before: getRatingState(pvpStats).rating, after: rating.rating };
+                pvpStats.rating = rating.rating;
+                pvpStats.ratingDeviation = rating.ratingDeviation;
+                pvpStats.volatility = rating.volatility;
+                pvpStats.peakRating = Math.max(pvpStats.peakRating || 0, rating.rating);
+                pvpStats.lastMatchAt = new Date(now);
+
+                // Update rank based on rating
+                pvpStats.rank = this.calculateRank(pvpStats.rating);
+
+                await DatabaseManager.updatePlayerPvPStats(playerId, pvpStats);
             }
 
-            auditLogger.log('wager_payout_processed', {
-                challengeId: challenge.id,
-                winnerId: winnerId,
-                wager: challenge.wager
-            });
+            return ratingChanges;
 
         } catch (error) {
-            logger.error('Error processing wager payout:', error);
+            logger.error('Error updating PvP stats:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the active ranked season, starting the next one if needed
+     */
+    static async getCurrentSeason() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const season = await DatabaseManager.getCurrentPvPSeason();
+        if (season) {
+            return season;
         }
+        return await this.startNextSeason();
+    }
+
+    /**
+     * Start the season after the last one stored, so numbers never repeat
+     */
+    static async startNextSeason() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const latest = await DatabaseManager.getLatestPvPSeason();
+        return await this.startSeason((latest?.number || 0) + 1);
     }
 
-    static async updatePvPStats(playerId, won) {
+    /**
+     * Start a new ranked season
+     */
+    static async startSeason(number) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const startedAt = new Date();
+        const season = {
+            seasonId: `pvp_season_${number}`,
+            number: number,
+            name: `Season ${number}`,
+            status: 'active',
+            startedAt: startedAt,
+            endsAt: new Date(startedAt.getTime() + this.SEASON_SETTINGS.LENGTH_DAYS * 24 * 60 * 60 * 1000)
+        };
+
+        await DatabaseManager.createPvPSeason(season);
+        logger.info(`PvP ${season.name} started, ends ${season.endsAt.toISOString()}`);
+        return season;
+    }
+
+    /**
+     * End the current season once its end date has passed
+     */
+    static async checkSeasonRollover() {
+        const season = await this.getCurrentSeason();
+        if (new Date(season.endsAt) <= new Date()) {
+            await this.endSeason(season);
+        }
+    }
+
+    /**
+     * Archive final ratings, grant tier rewards, soft reset ratings and start the next season
+     */
+    static async endSeason(season) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const playerData = await DatabaseManager.getPlayer(playerId);
-            const pvpStats = playerData?.pvpStats || { wins: 0, losses: 0, rating: 1000 };
 
-            if (won) {
-                pvpStats.wins = (pvpStats.wins || 0) + 1;
-                pvpStats.rating = Math.min(3000, (pvpStats.rating || 1000) + 25);
-            } else {
-                pvpStats.losses = (pvpStats.losses || 0) + 1;
-                pvpStats.rating = Math.max(500, (pvpStats.rating || 1000) - 20);
+            // Close the season first so a second sweep cannot end it twice
+            const ended = await DatabaseManager.transitionPvPSeason(season.seasonId, 'active', 'completed', {
+                endedAt: new Date()
+            });
+            if (!ended) {
+                logger.warn(`PvP ${season.name} was already ended, skipping`);
+                return null;
             }
 
-            // Update rank based on rating
-            pvpStats.rank = this.calculateRank(pvpStats.rating);
+            const players = await DatabaseManager.getPlayersWithPvPStats();
+            let rewarded = 0;
+
+            for (const player of players) {
+                const pvpStats = player.pvpStats;
+                const matches = (pvpStats.seasonWins || 0) + (pvpStats.seasonLosses || 0);
+
+                // Never rated - nothing to archive or reset
+                if (pvpStats.rating === undefined && matches === 0) continue;
+
+                const finalRank = this.calculateRank(pvpStats.rating || 1000);
+                const reward = matches >= this.SEASON_SETTINGS.MIN_MATCHES_FOR_REWARD ?
+                    this.SEASON_REWARDS[finalRank] : null;
+
+                // Players who sat the season out still get the soft reset, just no record or reward
+                if (matches > 0) {
+                    await DatabaseManager.savePvPSeasonRecord({
+                        seasonId: season.seasonId,
+                        seasonNumber: season.number,
+                        seasonName: season.name,
+                        playerId: player.discordId,
+                        finalRating: pvpStats.rating || 1000,
+                        ratingDeviation: pvpStats.ratingDeviation,
+                        rank: finalRank,
+                        wins: pvpStats.seasonWins || 0,
+                        losses: pvpStats.seasonLosses || 0,
+                        reward: reward
+                    });
+                }
+
+                if (reward) {
+                    await DatabaseManager.creditPlayerEconomy(player.discordId, reward);
+                    rewarded++;
+                }
 
-            await DatabaseManager.updatePlayerPvPStats(playerId, pvpStats);
+                const reset = softResetRating(getRatingState(pvpStats), {
+                    factor: this.SEASON_SETTINGS.SOFT_RESET_FACTOR,
+                    deviation: this.SEASON_SETTINGS.RESET_DEVIATION
+                });
+
+                await DatabaseManager.updatePlayerPvPStats(player.discordId, {
+                    ...pvpStats,
+                    rating: reset.rating,
+                    ratingDeviation: reset.ratingDeviation,
+                    rank: this.calculateRank(reset.rating),
+                    seasonWins: 0,
+                    seasonLosses: 0
+                });
+            }
+
+            auditLogger.log('PVP', `${season.name} ended`, 'pvp_season_ended', {
+                seasonId: season.seasonId,
+                players: players.length,
+                rewarded: rewarded
+            });
+
+            return await this.startNextSeason();
 
         } catch (error) {
-            logger.error('Error updating PvP stats:', error);
+            logger.error('Error ending PvP season:', error);
+            throw error;
         }
     }
 
+    /**
+     * Get a player's archived season results, newest first
+     */
+    static async getSeasonHistory(playerId, limit = 20) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        return await DatabaseManager.getPlayerPvPSeasonHistory(playerId, limit);
+    }
+
     static calculateRank(rating) {
         if (rating >= 2500) return 'Grandmaster';
         if (rating >= 2000) return 'Master';
@@ -635,39 +1350,339 @@ export class PvPHandler {
         return 'Bronze';
     }
 
-    static processAction(battle, playerId, action) {
-        // Implementation would process the combat action
-        // This is a complex system that would handle:
-        // - Attack calculations
-        // - Ability usage
-        // - Item effects
-        // - Damage/healing
-        // - Status effects
-        return { damage: 10, message: 'Attack successful' }; // Placeholder
+    /**
+     * Resolve one simultaneous turn through the shared PvE combat rules
+     * Player 1 fills the player slot and player 2 the monster slot of the game state
+     */
+    static processAction(battle, player1Action, player2Action) {
+        const player1 = this.toCombatEntity(battle.player1);
+        const player2 = this.toCombatEntity(battle.player2);
+
+        const gameState = {
+            player: player1,
+            currentFloor: this.COMBAT_SETTINGS.COMBAT_FLOOR,
+            battle: {
+                currentMonster: player2,
+                playerDeathPreventionUsed: battle.player1.deathPreventionUsed,
+                monsterDeathPreventionUsed: battle.player2.deathPreventionUsed
+            }
+        };
+
+        const combatResult = EffectProcessor.processCombatTurn(gameState, player1Action, player2Action, getBattleRng(battle));
+
+        this.applyCombatResult(battle.player1, player1, {
+            damage: combatResult.playerDamage,
+            manaCost: combatResult.playerManaCost,
+            healing: combatResult.playerHealing,
+            manaRestore: combatResult.playerManaRestore,
+            damageDealt: combatResult.monsterDamage,
+            deathPreventionUsed: gameState.battle.playerDeathPreventionUsed
+        });
+
+        this.applyCombatResult(battle.player2, player2, {
+            damage: combatResult.monsterDamage,
+            manaCost: combatResult.monsterManaCost,
+            healing: combatResult.monsterHealing,
+            manaRestore: combatResult.monsterManaRestore,
+            damageDealt: combatResult.playerDamage,
+            deathPreventionUsed: gameState.battle.monsterDeathPreventionUsed
+        });
+
+        return {
+            damage: {
+                [battle.player1.id]: combatResult.playerDamage,
+                [battle.player2.id]: combatResult.monsterDamage
+            },
+            healing: {
+                [battle.player1.id]: combatResult.playerHealing,
+                [battle.player2.id]: combatResult.monsterHealing
+            },
+            health: {
+                [battle.player1.id]: battle.player1.health,
+                [battle.player2.id]: battle.player2.health
+            },
+            criticalHits: combatResult.criticalHits,
+            messages: combatResult.messages
+        };
+    }
+
+    /**
+     * Convert a stored combatant into the shape EffectProcessor expects
+     */
+    static toCombatEntity(combatant) {
+        return {
+            name: combatant.heroName,
+            hero: {
+                name: combatant.heroName,
+                health: combatant.maxHealth,
+                mana: combatant.maxMana
+            },
+            health: combatant.maxHealth,
+            mana: combatant.maxMana,
+            currentHealth: combatant.health,
+            currentMana: combatant.mana,
+            armor: combatant.armor,
+            currentArmor: combatant.armor,
+            critChance: combatant.critChance,
+            effects: combatant.effects || [],
+            combatModifiers: { ...(combatant.combatModifiers || {}) }
+        };
+    }
+
+    /**
+     * Apply a side's turn outcome back onto the stored combatant
+     */
+    static applyCombatResult(combatant, entity, outcome) {
+        // Status effects may have changed current health (e.g. petrification)
+        let health = Math.max(0, entity.currentHealth - outcome.damage);
+        let mana = Math.max(0, entity.currentMana - outcome.manaCost);
+
+        if (outcome.healing > 0) {
+            health = Math.min(combatant.maxHealth, health + outcome.healing);
+        }
+
+        if (outcome.manaRestore > 0) {
+            mana = Math.min(combatant.maxMana, mana + outcome.manaRestore);
+        }
+
+        combatant.health = health;
+        combatant.mana = mana;
+        combatant.effects = entity.effects || [];
+        combatant.combatModifiers = entity.combatModifiers || {};
+        combatant.deathPreventionUsed = !!outcome.deathPreventionUsed;
+        combatant.roundDamageDealt = (combatant.roundDamageDealt || 0) + outcome.damageDealt;
+        combatant.damageDealt = (combatant.damageDealt || 0) + outcome.damageDealt;
+    }
+
+    /**
+     * Check whether the current round is over
+     * A round ends on a knockout or after the turn limit, won by the healthier hero
+     */
+    static checkRoundEnd(battle) {
+        const { player1, player2 } = battle;
+        const knockout = player1.health <= 0 || player2.health <= 0;
+        const turnLimitReached = battle.turn >= this.COMBAT_SETTINGS.MAX_TURNS_PER_ROUND;
+
+        if (!knockout && !turnLimitReached) {
+            return { ended: false };
+        }
+
+        if (player1.health <= 0 && player2.health > 0) {
+            return { ended: true, winner: player2.id, reason: 'knockout' };
+        }
+        if (player2.health <= 0 && player1.health > 0) {
+            return { ended: true, winner: player1.id, reason: 'knockout' };
+        }
+
+        // Double knockout or turn limit: compare remaining health, then damage dealt this round
+        const player1Ratio = player1.health / player1.maxHealth;
+        const player2Ratio = player2.health / player2.maxHealth;
+        const reason = knockout ? 'double_knockout' : 'turn_limit';
+
+        if (player1Ratio !== player2Ratio) {
+            return { ended: true, winner: player1Ratio > player2Ratio ? player1.id : player2.id, reason };
+        }
+        if (player1.roundDamageDealt !== player2.roundDamageDealt) {
+            return {
+                ended: true,
+                winner: player1.roundDamageDealt > player2.roundDamageDealt ? player1.id : player2.id,
+                reason
+            };
+        }
+
+        return { ended: true, winner: null, reason };
+    }
+
+    /**
+     * Record a finished round and reset both heroes for the next one
+     */
+    static completeRound(battle, roundResult) {
+        if (roundResult.winner) {
+            this.getCombatants(battle, roundResult.winner).self.roundsWon++;
+        }
+
+        battle.roundHistory = battle.roundHistory || [];
+        battle.roundHistory.push({
+            round: battle.round,
+            winner: roundResult.winner,
+            reason: roundResult.reason,
+            turns: battle.turn
+        });
+
+        for (const combatant of [battle.player1, battle.player2]) {
+            combatant.health = combatant.maxHealth;
+            combatant.mana = combatant.maxMana;
+            combatant.effects = [];
+            combatant.combatModifiers = {};
+            combatant.deathPreventionUsed = false;
+            combatant.roundDamageDealt = 0;
+        }
+
+        battle.round++;
+        battle.turn = 1;
     }
 
     static checkBattleEnd(battle) {
-        // Check if either player's health is 0 or below
-        if (battle.player1.health <= 0) {
-            return { ended: true, winner: battle.player2.id, loser: battle.player1.id };
+        const { player1, player2 } = battle;
+
+        // First to the required number of round wins
+        if (player1.roundsWon >= battle.roundsToWin) {
+            return { ended: true, winner: player1.id, loser: player2.id };
         }
-        if (battle.player2.health <= 0) {
-            return { ended: true, winner: battle.player1.id, loser: battle.player2.id };
+        if (player2.roundsWon >= battle.roundsToWin) {
+            return { ended: true, winner: player2.id, loser: player1.id };
         }
-        
-        // Check if max rounds reached
-        if (battle.round >= battle.maxRounds) {
-            // Determine winner by health
-            const winner = battle.player1.health > battle.player2.health ? 
-                battle.player1.id : battle.player2.id;
-            const loser = winner === battle.player1.id ? battle.player2.id : battle.player1.id;
-            
-            return { ended: true, winner, loser };
+
+        // All rounds played (drawn rounds count for nobody)
+        if (battle.round > battle.maxRounds) {
+            if (player1.roundsWon !== player2.roundsWon) {
+                const winner = player1.roundsWon > player2.roundsWon ? player1 : player2;
+                const loser = winner === player1 ? player2 : player1;
+                return { ended: true, winner: winner.id, loser: loser.id };
+            }
+            if (player1.damageDealt !== player2.damageDealt) {
+                const winner = player1.damageDealt > player2.damageDealt ? player1 : player2;
+                const loser = winner === player1 ? player2 : player1;
+                return { ended: true, winner: winner.id, loser: loser.id };
+            }
+            // Dead even - keep playing sudden death rounds
         }
 
         return { ended: false };
     }
 
+    /**
+     * Show the battle screen to one participant
+     */
+    static async showBattleScreen(interaction, battleId) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const battle = await DatabaseManager.getPvPBattle(battleId);
+            const combatants = battle && this.getCombatants(battle, interaction.user.id);
+
+            if (!combatants) {
+                await interaction.reply({
+                    content: '❌ Battle not found.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const { self, opponent } = combatants;
+
+            let description = `**Round ${battle.round}** (first to ${battle.roundsToWin}) • Turn ${battle.turn}\n`;
+            description += `**Score:** ${self.roundsWon} - ${opponent.roundsWon}\n\n`;
+            description += `**🛡️ ${self.username}** (${self.heroName})\n`;
+            description += `❤️ ${self.health}/${self.maxHealth} • 💙 ${self.mana}/${self.maxMana}\n\n`;
+            description += `**⚔️ ${opponent.username}** (${opponent.heroName})\n`;
+            description += `❤️ ${opponent.health}/${opponent.maxHealth} • 💙 ${opponent.mana}/${opponent.maxMana}\n\n`;
+
+            const lastTurn = battle.battleLog[battle.battleLog.length - 1];
+            if (lastTurn) {
+                description += '**Last Turn:**\n';
+                [...lastTurn.result.criticalHits, ...lastTurn.result.messages].forEach(message => {
+                    description += `• ${message}\n`;
+                });
+                description += '\n';
+            }
+
+            const components = [];
+            if (battle.status !== this.MATCH_STATUS.IN_PROGRESS) {
+                description += `🏁 **Battle over!** Winner: <@${battle.winner}>`;
+            } else if (battle.pendingActions?.[self.id]) {
+                description += '⏳ *Action locked in. Waiting for your opponent...*';
+            } else {
+                description += '*Choose your action. Your opponent cannot see it until both have chosen.*\n';
+                description += battle.turnDeadline
+                    ? `⏱️ Turn ends <t:${Math.floor(new Date(battle.turnDeadline).getTime() / 1000)}:R>`
+                    : '⏱️ The turn clock starts after the first turn';
+                const timeouts = battle.timeouts?.[self.id] || 0;
+                if (timeouts > 0) {
+                    description += ` • Timeouts: ${timeouts}/${this.TURN_TIMER_SETTINGS.MAX_TIMEOUTS}`;
+                }
+
+                const options = [];
+                self.weapons.forEach(weaponId => {
+                    const weapon = weaponsData.find(w => w.id === weaponId);
+                    if (weapon) {
+                        options.push(new StringSelectMenuOptionBuilder()
+                            .setLabel(`${weapon.emoji || '⚔️'} ${weapon.name}`)
+                            .setDescription(`${weapon.damage} damage`)
+                            .setValue(`weapon_${weapon.id}`));
+                    }
+                });
+                self.abilities.forEach(abilityId => {
+                    const ability = abilitiesData.find(a => a.id === abilityId);
+                    if (ability && self.mana >= ability.manaCost) {
+                        options.push(new StringSelectMenuOptionBuilder()
+                            .setLabel(`✨ ${ability.name}`)
+                            .setDescription(`${ability.manaCost} mana`)
+                            .setValue(`ability_${ability.id}`));
+                    }
+                });
+
+                if (self.combatModifiers?.disableAllActions || options.length === 0) {
+                    options.length = 0;
+                    options.push(new StringSelectMenuOptionBuilder()
+                        .setLabel('⏸️ Pass')
+                        .setDescription('You have no usable action this turn')
+                        .setValue('pass_turn'));
+                }
+
+                if (options.length > 0) {
+                    const selectMenu = new StringSelectMenuBuilder()
+                        .setCustomId(`pvp_battle_action_${battle.id}`)
+                        .setPlaceholder('Choose your action...')
+                        .addOptions(options);
+                    components.push(new ActionRowBuilder().addComponents(selectMenu));
+                }
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle('⚔️ **PVP BATTLE** ⚔️')
+                .setDescription(description)
+                .setColor(0xff4500)
+                .setFooter({ text: 'PvP System • Simultaneous Combat' })
+                .setTimestamp();
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing PvP battle screen:', error);
+            await interaction.reply({
+                content: '❌ Error loading battle.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle a battle action selection
+     */
+    static async handleBattleAction(interaction, battleId, selectedValue) {
+        try {
+            const separator = selectedValue.indexOf('_');
+            const action = {
+                type: selectedValue.substring(0, separator),
+                value: selectedValue.substring(separator + 1)
+            };
+
+            await this.processBattleTurn(battleId, interaction.user.id, action);
+            await this.showBattleScreen(interaction, battleId);
+
+        } catch (error) {
+            logger.error('Error handling PvP battle action:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
     // Placeholder methods for menu items
     static async showMyChallenges(interaction) {
         await interaction.reply({
@@ -677,10 +1692,8 @@ export class PvPHandler {
     }
 
     static async showFindOpponents(interaction) {
-        await interaction.reply({
-            content: '🔍 **Find Opponents** - Implementation in progress...',
-            ephemeral: true
-        });
+        const { MatchmakingHandler } = await import('./MatchmakingHandler.js');
+        await MatchmakingHandler.showFindOpponents(interaction);
     }
 
     static async showPvPLeaderboard(interaction) {
@@ -691,17 +1704,249 @@ export class PvPHandler {
     }
 
     static async showTournaments(interaction) {
-        await interaction.reply({
-            content: '🏟️ **Tournaments** - Implementation in progress...',
-            ephemeral: true
-        });
+        const { TournamentHandler } = await import('./TournamentHandler.js');
+        await TournamentHandler.showTournaments(interaction);
     }
 
-    static async showMatchHistory(interaction) {
-        await interaction.reply({
-            content: '📊 **Match History** - Implementation in progress...',
-            ephemeral: true
-        });
+    /**
+     * Show a page of the player's finished matches
+     */
+    static async showMatchHistory(interaction, page = 0) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const playerId = interaction.user.id;
+            const pageSize = this.HISTORY_SETTINGS.MATCHES_PER_PAGE;
+            const { battles, total } = await DatabaseManager.getPlayerPvPBattleHistory(playerId, {
+                limit: pageSize,
+                skip: page * pageSize
+            });
+            const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+            let description = `**📊 Match History** • ${total} matches\n\n`;
+
+            if (battles.length === 0) {
+                description += '*No finished matches yet. Challenge someone or join a queue!*';
+            }
+
+            battles.forEach(battle => {
+                const { self, opponent } = this.getCombatants(battle, playerId);
+                const change = battle.ratingChanges?.[playerId];
+                const result = battle.status === this.MATCH_STATUS.CANCELLED ? '⚪ Cancelled' :
+                    battle.winner === playerId ? '🟢 Win' : '🔴 Loss';
+
+                description += `**${result}** vs **${opponent.username}** (${opponent.heroName})\n`;
+                description += `• Score: ${self.roundsWon} - ${opponent.roundsWon} • ${battle.matchType || 'casual'}\n`;
+                if (change) {
+                    const delta = change.after - change.before;
+                    description += `• Rating: ${change.before} → ${change.after} (${delta >= 0 ? '+' : ''}${delta})\n`;
+                }
+                if (battle.wager) {
+                    description += `• Wager: ${this.formatWager(battle.wager)}\n`;
+                }
+                description += `• <t:${Math.floor(new Date(battle.completedAt).getTime() / 1000)}:R>\n\n`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('📊 **MATCH HISTORY** 📊')
+                .setDescription(description)
+                .setColor(0xff4500)
+                .setFooter({ text: `PvP System • Page ${page + 1}/${totalPages}` })
+                .setTimestamp();
+
+            const components = [];
+
+            if (battles.length > 0) {
+                const replayMenu = new StringSelectMenuBuilder()
+                    .setCustomId('pvp_history_replay')
+                    .setPlaceholder('Watch a replay...')
+                    .addOptions(battles.map(battle => {
+                        const { opponent } = this.getCombatants(battle, playerId);
+                        return new StringSelectMenuOptionBuilder()
+                            .setLabel(`🎬 vs ${opponent.username}`.substring(0, 100))
+                            .setDescription(new Date(battle.completedAt).toUTCString().substring(0, 100))
+                            .setValue(battle.id);
+                    }));
+                components.push(new ActionRowBuilder().addComponents(replayMenu));
+            }
+
+            components.push(new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`pvp_history_page_${page - 1}`)
+                    .setLabel('Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('⬅️')
+                    .setDisabled(page <= 0),
+                new ButtonBuilder()
+                    .setCustomId(`pvp_history_page_${page + 1}`)
+                    .setLabel('Next')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('➡️')
+                    .setDisabled(page + 1 >= totalPages)
+            ));
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing PvP match history:', error);
+            await interaction.reply({
+                content: '❌ Error loading match history.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle match history paging, replay selection and replay paging
+     */
+    static async handleHistoryInteraction(interaction, customId, selectedValue) {
+        if (customId === 'pvp_history_replay') {
+            await this.showBattleReplay(interaction, selectedValue);
+        } else if (customId.startsWith('pvp_history_page_')) {
+            await this.showMatchHistory(interaction, parseInt(customId.replace('pvp_history_page_', ''), 10) || 0);
+        } else if (customId.startsWith('pvp_replay_')) {
+            const rest = customId.replace('pvp_replay_', '');
+            const separator = rest.lastIndexOf('_');
+            await this.showBattleReplay(interaction, rest.substring(0, separator), parseInt(rest.substring(separator + 1), 10) || 0);
+        }
+    }
+
+    /**
+     * Show a turn-by-turn replay of a battle
+     * Available to both participants and to admins reviewing disputes
+     */
+    static async showBattleReplay(interaction, battleId, page = 0) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { AdminHandler } = await import('../admin/AdminHandler.js');
+            const battle = await DatabaseManager.getPvPBattle(battleId);
+
+            if (!battle) {
+                await interaction.reply({ content: '❌ Battle not found.', ephemeral: true });
+                return;
+            }
+
+            const isParticipant = !!this.getCombatants(battle, interaction.user.id);
+            if (!isParticipant && !await AdminHandler.isAuthenticated(interaction.user.id)) {
+                await interaction.reply({ content: '❌ You can only replay your own matches.', ephemeral: true });
+                return;
+            }
+
+            const lines = this.buildReplayLines(battle);
+            const pageSize = this.HISTORY_SETTINGS.REPLAY_LINES_PER_PAGE;
+            const totalPages = Math.max(1, Math.ceil(lines.length / pageSize));
+            const currentPage = Math.min(Math.max(0, page), totalPages - 1);
+
+            let description = `**${battle.player1.username}** (${battle.player1.heroName}) vs **${battle.player2.username}** (${battle.player2.heroName})\n`;
+            description += `Best of ${battle.maxRounds} • ${battle.matchType || 'casual'}`;
+            description += battle.wager ? ` • Wager: ${this.formatWager(battle.wager)}\n\n` : '\n\n';
+            description += lines.slice(currentPage * pageSize, (currentPage + 1) * pageSize).join('\n') || '*No turns were played.*';
+
+            const embed = new EmbedBuilder()
+                .setTitle('🎬 **BATTLE REPLAY** 🎬')
+                .setDescription(description.substring(0, 4096))
+                .setColor(0x5865f2)
+                .setFooter({ text: `Battle ${battle.id} • Page ${currentPage + 1}/${totalPages}` })
+                .setTimestamp(new Date(battle.createdAt));
+
+            const row = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`pvp_replay_${battle.id}_${currentPage - 1}`)
+                    .setLabel('Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('⬅️')
+                    .setDisabled(currentPage <= 0),
+                new ButtonBuilder()
+                    .setCustomId(`pvp_replay_${battle.id}_${currentPage + 1}`)
+                    .setLabel('Next')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('➡️')
+                    .setDisabled(currentPage + 1 >= totalPages)
+            );
+
+            await interaction.reply({
+                embeds: [embed],
+                components: [row],
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing PvP battle replay:', error);
+            await interaction.reply({
+                content: '❌ Error loading replay.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Turn the stored battle log into readable replay lines
+     */
+    static buildReplayLines(battle) {
+        const names = {
+            [battle.player1.id]: battle.player1.username,
+            [battle.player2.id]: battle.player2.username
+        };
+        const roundResults = new Map((battle.roundHistory || []).map(round => [round.round, round]));
+        const lines = [];
+        let currentRound = null;
+
+        const closeRound = round => {
+            const result = roundResults.get(round);
+            if (result) {
+                lines.push(`🏁 Round ${round} → ${result.winner ? `**${names[result.winner]}**` : 'draw'} (${result.reason.replace('_', ' ')})`);
+            }
+        };
+
+        for (const entry of battle.battleLog || []) {
+            if (entry.round !== currentRound) {
+                if (currentRound !== null) closeRound(currentRound);
+                currentRound = entry.round;
+                lines.push(`__**Round ${entry.round}**__`);
+            }
+
+            const actions = Object.entries(entry.actions)
+                .map(([playerId, action]) => `${names[playerId]}: ${this.formatAction(action)}`)
+                .join(' | ');
+            const health = Object.entries(entry.result.health)
+                .map(([playerId, hp]) => `${names[playerId]} ❤️${hp}`)
+                .join(', ');
+
+            lines.push(`**T${entry.turn}** ${actions}`);
+            [...entry.result.criticalHits, ...entry.result.messages].forEach(message => lines.push(`  • ${message}`));
+            lines.push(`  → ${health}`);
+        }
+
+        if (currentRound !== null) closeRound(currentRound);
+
+        if (battle.status === this.MATCH_STATUS.COMPLETED) {
+            lines.push(`🏆 **${names[battle.winner]}** won the match${battle.forfeitedBy ? ` (${names[battle.forfeitedBy]} forfeited)` : ''}`);
+        } else if (battle.status === this.MATCH_STATUS.CANCELLED) {
+            lines.push(`⚪ Match cancelled (${battle.cancelReason || 'abandoned'})`);
+        }
+
+        return lines;
+    }
+
+    static formatAction(action) {
+        let label = action.value;
+        if (action.type === 'weapon') {
+            label = `⚔️ ${weaponsData.find(w => w.id === action.value)?.name || action.value}`;
+        } else if (action.type === 'ability') {
+            label = `✨ ${abilitiesData.find(a => a.id === action.value)?.name || action.value}`;
+        } else if (action.type === 'pass') {
+            label = '⏸️ Pass';
+        }
+        return action.timedOut ? `${label} ⏱️` : label;
+    }
+
+    static formatWager(wager) {
+        const parts = Object.entries(wager.currency || {}).map(([type, amount]) => `${amount} ${type}`);
+        (wager.items || []).forEach(item => parts.push(`${item.quantity || 1}x ${item.id}`));
+        return parts.join(', ');
     }
 
     static async showPvPSettings(interaction) {
@@ -0,0 +1,977 @@
+import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { logger } from '../../utils/logger.js';
+import { auditLogger } from '../../utils/auditLogger.js';
+import { PvPHandler } from './PvPHandler.js';
+
+/**
+ * TournamentHandler - Manages PvP tournaments
+ * Single-elimination and Swiss events with sign-up windows, rating seeding,
+ * automatic match pairing, walkovers for no-shows and prize distribution
+ */
+export class TournamentHandler {
+
+    // Tournament formats
+    static FORMATS = {
+        SINGLE_ELIMINATION: 'single_elimination',
+        SWISS: 'swiss'
+    };
+
+    // Tournament status constants
+    static STATUS = {
+        REGISTRATION: 'registration',
+        IN_PROGRESS: 'in_progress',
+        COMPLETED: 'completed',
+        CANCELLED: 'cancelled'
+    };
+
+    // Tournament match status constants
+    static MATCH_STATUS = {
+        IN_PROGRESS: 'in_progress',
+        COMPLETED: 'completed',
+        WALKOVER: 'walkover',
+        BYE: 'bye'
+    };
+
+    static SETTINGS = {
+        MIN_PARTICIPANTS: 2,
+        MAX_PARTICIPANTS: 64,
+        DEFAULT_REGISTRATION_HOURS: 24,
+        MATCH_DEADLINE_HOURS: 24, // Unfinished matches are decided as walkovers after this
+        ROUNDS_PER_MATCH: 3,
+        PRIZE_DISTRIBUTION: [0.5, 0.3, 0.2], // Share of the prize pool for 1st, 2nd and 3rd
+        MAX_UPDATE_ATTEMPTS: 5 // Retries when two results are recorded at the same time
+    };
+
+    static sweepInterval = null;
+
+    /**
+     * Start the periodic sweep that opens brackets and resolves no-shows
+     */
+    static initialize() {
+        if (!this.sweepInterval) {
+            this.sweepInterval = setInterval(() => {
+                this.processTournaments().catch(error => logger.error('Error processing tournaments:', error));
+            }, 5 * 60 * 1000);
+
+            logger.info('TournamentHandler initialized with bracket sweep');
+        }
+    }
+
+    /**
+     * Show tournaments menu
+     */
+    static async showTournaments(interaction) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { AdminHandler } = await import('../admin/AdminHandler.js');
+            const tournaments = await DatabaseManager.getTournamentsByStatus([
+                this.STATUS.REGISTRATION,
+                this.STATUS.IN_PROGRESS
+            ]);
+            const isAdmin = await AdminHandler.isAuthenticated(interaction.user.id);
+
+            let description = '**🏟️ PvP Tournaments**\n\n';
+
+            if (tournaments.length === 0) {
+                description += '*No tournaments are running right now. Check back for the next weekly event!*\n';
+            } else {
+                tournaments.forEach(tournament => {
+                    description += `**${tournament.name}** • ${this.formatName(tournament.format)}\n`;
+                    description += `• Players: ${tournament.participants.length}/${tournament.maxPlayers}\n`;
+                    description += `• Prize Pool: ${this.formatCurrency(tournament.prizePool)}\n`;
+                    if (tournament.status === this.STATUS.REGISTRATION) {
+                        description += `• Sign-ups close <t:${Math.floor(new Date(tournament.registrationClosesAt).getTime() / 1000)}:R>\n\n`;
+                    } else {
+                        description += `• Round ${tournament.currentRound} in progress\n\n`;
+                    }
+                });
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle('🏟️ **TOURNAMENTS** 🏟️')
+                .setDescription(description)
+                .setColor(0xffd700)
+                .setFooter({ text: 'PvP System • Tournaments' })
+                .setTimestamp();
+
+            const options = [];
+            tournaments.slice(0, 10).forEach(tournament => {
+                const joined = tournament.participants.some(p => p.playerId === interaction.user.id);
+                if (tournament.status === this.STATUS.REGISTRATION && !joined) {
+                    options.push(new StringSelectMenuOptionBuilder()
+                        .setLabel(`✅ Join ${tournament.name}`.substring(0, 100))
+                        .setDescription(`${this.formatName(tournament.format)} • ${tournament.participants.length} signed up`)
+                        .setValue(`join_${tournament.id}`));
+                } else if (tournament.status === this.STATUS.REGISTRATION && joined) {
+                    options.push(new StringSelectMenuOptionBuilder()
+                        .setLabel(`❌ Leave ${tournament.name}`.substring(0, 100))
+                        .setDescription('Withdraw before sign-ups close')
+                        .setValue(`leave_${tournament.id}`));
+                }
+                options.push(new StringSelectMenuOptionBuilder()
+                    .setLabel(`📋 View ${tournament.name}`.substring(0, 100))
+                    .setDescription('View bracket and standings')
+                    .setValue(`view_${tournament.id}`));
+            });
+
+            if (isAdmin) {
+                options.push(new StringSelectMenuOptionBuilder()
+                    .setLabel('➕ Create Tournament')
+                    .setDescription('Set up a new tournament (admin)')
+                    .setValue('create'));
+            }
+
+            options.push(new StringSelectMenuOptionBuilder()
+                .setLabel('🔙 Back')
+                .setDescription('Return to PvP menu')
+                .setValue('back'));
+
+            const selectMenu = new StringSelectMenuBuilder()
+                .setCustomId('pvp_tournament_menu')
+                .setPlaceholder('Select tournament action...')
+                .addOptions(options.slice(0, 25));
+
+            await interaction.reply({
+                embeds: [embed],
+                components: [new ActionRowBuilder().addComponents(selectMenu)],
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing tournaments:', error);
+            await interaction.reply({
+                content: '❌ Error loading tournaments.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle tournament menu selections
+     */
+    static async handleTournamentSelection(interaction, selectedValue) {
+        try {
+            if (selectedValue === 'create') {
+                await this.showCreateTournamentModal(interaction);
+                return;
+            }
+
+            if (selectedValue === 'back') {
+                await PvPHandler.showPvPMenu(interaction);
+                return;
+            }
+
+            const separator = selectedValue.indexOf('_');
+            const action = selectedValue.substring(0, separator);
+            const tournamentId = selectedValue.substring(separator + 1);
+
+            switch (action) {
+                case 'join':
+                    await this.joinTournament(tournamentId, interaction.user.id, interaction.user.username);
+                    await interaction.reply({
+                        content: '✅ You are signed up! Your first match is created automatically when sign-ups close.',
+                        ephemeral: true
+                    });
+                    break;
+                case 'leave':
+                    await this.leaveTournament(tournamentId, interaction.user.id);
+                    await interaction.reply({
+                        content: '✅ You have withdrawn from the tournament.',
+                        ephemeral: true
+                    });
+                    break;
+                case 'view':
+                    await this.showTournamentBracket(interaction, tournamentId);
+                    break;
+                default:
+                    await this.showTournaments(interaction);
+            }
+
+        } catch (error) {
+            logger.error('Error handling tournament selection:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show admin modal for creating a tournament
+     */
+    static async showCreateTournamentModal(interaction) {
+        const modal = new ModalBuilder()
+            .setCustomId('pvp_tournament_create_modal')
+            .setTitle('🏟️ Create Tournament');
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('tournament_name')
+                .setLabel('Tournament name')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(50)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('tournament_format')
+                .setLabel('Format (single or swiss)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('single')
+                .setMaxLength(10)
+                .setRequired(true),
+            new TextInputBuilder()
+                .setCustomId('tournament_registration_hours')
+                .setLabel('Sign-up window (hours)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder(`${this.SETTINGS.DEFAULT_REGISTRATION_HOURS}`)
+                .setMaxLength(4)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('tournament_max_players')
+                .setLabel('Maximum players')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('16')
+                .setMaxLength(3)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('tournament_prize_gold')
+                .setLabel('Prize pool (gold)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('0')
+                .setMaxLength(10)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle tournament creation modal
+     */
+    static async handleCreateTournamentModal(interaction) {
+        try {
+            const formatInput = interaction.fields.getTextInputValue('tournament_format').trim().toLowerCase();
+            const hoursInput = interaction.fields.getTextInputValue('tournament_registration_hours').trim();
+            const maxPlayersInput = interaction.fields.getTextInputValue('tournament_max_players').trim();
+            const prizeInput = interaction.fields.getTextInputValue('tournament_prize_gold').trim();
+
+            const tournament = await this.createTournament(interaction.user.id, {
+                name: interaction.fields.getTextInputValue('tournament_name').trim(),
+                format: formatInput.startsWith('swiss') ? this.FORMATS.SWISS : this.FORMATS.SINGLE_ELIMINATION,
+                registrationHours: hoursInput ? parseInt(hoursInput) : this.SETTINGS.DEFAULT_REGISTRATION_HOURS,
+                maxPlayers: maxPlayersInput ? parseInt(maxPlayersInput) : 16,
+                prizePool: prizeInput ? { gold: parseInt(prizeInput) } : {}
+            });
+
+            await interaction.reply({
+                content: `✅ **${tournament.name}** created! Sign-ups close <t:${Math.floor(tournament.registrationClosesAt.getTime() / 1000)}:R>.`,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error creating tournament from modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show bracket or standings for a tournament
+     */
+    static async showTournamentBracket(interaction, tournamentId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const tournament = await DatabaseManager.getTournament(tournamentId);
+
+        if (!tournament) {
+            throw new Error('Tournament not found');
+        }
+
+        const names = new Map(tournament.participants.map(p => [p.playerId, p.username]));
+        let description = `**${this.formatName(tournament.format)}** • ${tournament.participants.length} players\n`;
+        description += `**Prize Pool:** ${this.formatCurrency(tournament.prizePool)}\n\n`;
+
+        if (tournament.status === this.STATUS.REGISTRATION) {
+            description += '**Signed Up:**\n';
+            tournament.participants.forEach(p => {
+                description += `• ${p.username} (${p.rating})\n`;
+            });
+        }
+
+        tournament.rounds.slice(-3).forEach(round => {
+            description += `**Round ${round.round}:**\n`;
+            round.matches.forEach(match => {
+                const player1 = names.get(match.player1Id) || 'TBD';
+                const player2 = match.player2Id ? names.get(match.player2Id) : 'BYE';
+                const result = match.winnerId ? ` → **${names.get(match.winnerId)}**` :
+                    match.status === this.MATCH_STATUS.WALKOVER ? ' → double forfeit' : ' (in progress)';
+                const note = match.status === this.MATCH_STATUS.WALKOVER ? ' *(walkover)*' : '';
+                description += `• ${player1} vs ${player2}${result}${note}\n`;
+            });
+            description += '\n';
+        });
+
+        if (tournament.format === this.FORMATS.SWISS && tournament.status !== this.STATUS.REGISTRATION) {
+            description += '**Standings:**\n';
+            this.getSwissStandings(tournament).slice(0, 10).forEach((p, index) => {
+                description += `${index + 1}. ${p.username} - ${p.points} pts\n`;
+            });
+        }
+
+        if (tournament.placements?.length > 0) {
+            description += '\n**🏆 Final Placements:**\n';
+            tournament.placements.slice(0, 3).forEach(placement => {
+                description += `${placement.place}. ${names.get(placement.playerId)} ${placement.prize ? `- ${this.formatCurrency(placement.prize)}` : ''}\n`;
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🏟️ ${tournament.name}`)
+            .setDescription(description.substring(0, 4096))
+            .setColor(0xffd700)
+            .setFooter({ text: `Tournament • ${tournament.status.replace('_', ' ')}` })
+            .setTimestamp();
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Create a tournament (admin only)
+     */
+    static async createTournament(adminId, options) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const { AdminHandler } = await import('../admin/AdminHandler.js');
+
+            if (!await AdminHandler.isAuthenticated(adminId)) {
+                throw new Error('Only admins can create tournaments');
+            }
+
+            if (!options.name) {
+                throw new Error('Tournament name is required');
+            }
+
+            if (!Object.values(this.FORMATS).includes(options.format)) {
+                throw new Error('Unknown tournament format');
+            }
+
+            const registrationHours = options.registrationHours ?? this.SETTINGS.DEFAULT_REGISTRATION_HOURS;
+            if (!(registrationHours > 0)) {
+                throw new Error('Sign-up window must be at least 1 hour');
+            }
+
+            const maxPlayers = options.maxPlayers ?? 16;
+            if (!(maxPlayers >= this.SETTINGS.MIN_PARTICIPANTS && maxPlayers <= this.SETTINGS.MAX_PARTICIPANTS)) {
+                throw new Error(`Tournaments need between ${this.SETTINGS.MIN_PARTICIPANTS} and ${this.SETTINGS.MAX_PARTICIPANTS} players`);
+            }
+
+            const prizePool = {};
+            for (const [currencyType, amount] of Object.entries(options.prizePool || {})) {
+                if (!Number.isInteger(amount) || amount < 0) {
+                    throw new Error('Prize amounts must be whole numbers');
+                }
+                if (amount > 0) prizePool[currencyType] = amount;
+            }
+
+            const now = new Date();
+            const tournament = {
+                id: this.generateTournamentId(),
+                name: options.name,
+                format: options.format,
+                status: this.STATUS.REGISTRATION,
+                createdBy: adminId,
+                createdAt: now,
+                registrationClosesAt: new Date(now.getTime() + registrationHours * 60 * 60 * 1000),
+                maxPlayers: maxPlayers,
+                swissRounds: options.swissRounds || null, // Defaults to log2(players) at start
+                roundsPerMatch: options.roundsPerMatch || this.SETTINGS.ROUNDS_PER_MATCH,
+                prizePool: prizePool,
+                prizeDistribution: options.prizeDistribution || this.SETTINGS.PRIZE_DISTRIBUTION,
+                participants: [],
+                currentRound: 0,
+                rounds: [],
+                placements: []
+            };
+
+            await DatabaseManager.createTournament(tournament);
+
+            auditLogger.log('PVP', `Tournament ${tournament.id} created by ${adminId}`, 'tournament_created', {
+                tournamentId: tournament.id,
+                format: tournament.format,
+                maxPlayers: maxPlayers,
+                prizePool: prizePool
+            });
+
+            return tournament;
+
+        } catch (error) {
+            logger.error('Error creating tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign a player up for a tournament
+     */
+    static async joinTournament(tournamentId, playerId, username) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const tournament = await DatabaseManager.getTournament(tournamentId);
+
+        if (!tournament) {
+            throw new Error('Tournament not found');
+        }
+
+        if (tournament.status !== this.STATUS.REGISTRATION || new Date(tournament.registrationClosesAt) <= new Date()) {
+            throw new Error('Sign-ups for this tournament are closed');
+        }
+
+        if (tournament.participants.some(p => p.playerId === playerId)) {
+            throw new Error('You are already signed up');
+        }
+
+        if (tournament.participants.length >= tournament.maxPlayers) {
+            throw new Error('This tournament is full');
+        }
+
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        const participant = {
+            playerId: playerId,
+            username: username,
+            rating: playerData?.pvpStats?.rating || 1000,
+            joinedAt: new Date(),
+            seed: null,
+            points: 0,
+            opponents: [],
+            hadBye: false,
+            eliminatedInRound: null
+        };
+
+        // The checks above can go stale while other players sign up - the write re-checks them atomically
+        if (!await DatabaseManager.addTournamentParticipant(tournamentId, participant, tournament.maxPlayers)) {
+            const latest = await DatabaseManager.getTournament(tournamentId);
+            if (latest?.participants.some(p => p.playerId === playerId)) {
+                throw new Error('You are already signed up');
+            }
+            if (latest && latest.participants.length >= latest.maxPlayers) {
+                throw new Error('This tournament is full');
+            }
+            throw new Error('Sign-ups for this tournament are closed');
+        }
+
+        return await DatabaseManager.getTournament(tournamentId);
+    }
+
+    /**
+     * Withdraw a player before sign-ups close
+     */
+    static async leaveTournament(tournamentId, playerId) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const tournament = await DatabaseManager.getTournament(tournamentId);
+
+        if (!tournament || tournament.status !== this.STATUS.REGISTRATION) {
+            throw new Error('You can only withdraw while sign-ups are open');
+        }
+
+        if (!await DatabaseManager.removeTournamentParticipant(tournamentId, playerId)) {
+            throw new Error('You are not signed up for this tournament');
+        }
+        return tournament.participants.filter(p => p.playerId !== playerId);
+    }
+
+    /**
+     * Sweep: start tournaments whose sign-ups closed and resolve overdue matches
+     */
+    static async processTournaments() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const tournaments = await DatabaseManager.getTournamentsByStatus([
+            this.STATUS.REGISTRATION,
+            this.STATUS.IN_PROGRESS
+        ]);
+
+        for (const tournament of tournaments) {
+            try {
+                if (tournament.status === this.STATUS.REGISTRATION &&
+                    new Date(tournament.registrationClosesAt) <= new Date()) {
+                    await this.startTournament(tournament);
+                } else if (tournament.status === this.STATUS.IN_PROGRESS) {
+                    await this.processNoShows(tournament);
+                }
+            } catch (error) {
+                logger.error(`Error processing tournament ${tournament.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Seed participants by rating and pair the first round
+     */
+    static async startTournament(tournament) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const version = tournament.version ?? null;
+
+        // Both writes only go through if the tournament is unchanged since it was read,
+        // so two sweeps can't start (or cancel) the same tournament twice
+        if (tournament.participants.length < this.SETTINGS.MIN_PARTICIPANTS) {
+            if (!await DatabaseManager.updateTournamentIfVersion(tournament.id, version, {
+                status: this.STATUS.CANCELLED,
+                cancelledReason: 'Not enough players signed up'
+            })) {
+                return null;
+            }
+            logger.info(`Tournament ${tournament.id} cancelled - not enough players`);
+            return tournament;
+        }
+
+        // Refresh ratings at close so late rating changes count toward seeding
+        const participants = [];
+        for (const participant of tournament.participants) {
+            const playerData = await DatabaseManager.getPlayer(participant.playerId);
+            participants.push({ ...participant, rating: playerData?.pvpStats?.rating || participant.rating });
+        }
+
+        const started = {
+            participants: this.seedParticipants(participants),
+            status: this.STATUS.IN_PROGRESS,
+            startedAt: new Date()
+        };
+        if (!await DatabaseManager.updateTournamentIfVersion(tournament.id, version, started)) {
+            return null;
+        }
+        Object.assign(tournament, started, { version: (version || 0) + 1 });
+
+        if (tournament.format === this.FORMATS.SWISS) {
+            tournament.swissRounds = tournament.swissRounds || Math.ceil(Math.log2(tournament.participants.length));
+            await this.startRound(tournament, this.pairSwissRound(tournament));
+        } else {
+            await this.startRound(tournament, this.pairEliminationFirstRound(tournament.participants));
+        }
+
+        auditLogger.log('PVP', `Tournament ${tournament.id} started`, 'tournament_started', {
+            tournamentId: tournament.id,
+            players: tournament.participants.length
+        });
+
+        return tournament;
+    }
+
+    /**
+     * Sort by rating (earliest sign-up breaks ties) and number seeds from 1
+     */
+    static seedParticipants(participants) {
+        return [...participants]
+            .sort((a, b) => (b.rating - a.rating) || (new Date(a.joinedAt) - new Date(b.joinedAt)))
+            .map((participant, index) => ({ ...participant, seed: index + 1 }));
+    }
+
+    /**
+     * Standard bracket order so top seeds only meet in later rounds
+     * e.g. size 8 gives [1, 8, 4, 5, 2, 7, 3, 6]
+     */
+    static getBracketOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Pair the opening elimination round; missing seeds become byes for the top seeds
+     */
+    static pairEliminationFirstRound(participants) {
+        const bracketSize = Math.pow(2, Math.ceil(Math.log2(participants.length)));
+        const bySeed = new Map(participants.map(p => [p.seed, p.playerId]));
+        const order = this.getBracketOrder(bracketSize);
+        const pairings = [];
+
+        for (let i = 0; i < order.length; i += 2) {
+            pairings.push([bySeed.get(order[i]) || null, bySeed.get(order[i + 1]) || null]);
+        }
+
+        return pairings;
+    }
+
+    /**
+     * Pair a Swiss round: sort by points then seed, pair down avoiding rematches,
+     * and give an odd player out a bye if they have not had one
+     */
+    static pairSwissRound(tournament) {
+        const unpaired = this.getSwissStandings(tournament);
+        const pairings = [];
+        let bye = null;
+
+        if (unpaired.length % 2 === 1) {
+            const byeIndex = unpaired.map(p => !p.hadBye).lastIndexOf(true);
+            [bye] = unpaired.splice(byeIndex === -1 ? unpaired.length - 1 : byeIndex, 1);
+        }
+
+        while (unpaired.length > 0) {
+            const player = unpaired.shift();
+            let opponentIndex = unpaired.findIndex(p => !player.opponents.includes(p.playerId));
+            if (opponentIndex === -1) {
+                opponentIndex = 0; // Everyone left is a rematch - take the closest in standings
+            }
+            const [opponent] = unpaired.splice(opponentIndex, 1);
+            pairings.push([player.playerId, opponent.playerId]);
+        }
+
+        if (bye) {
+            pairings.push([bye.playerId, null]);
+        }
+
+        return pairings;
+    }
+
+    /**
+     * Swiss standings: points, then opponents' points (Buchholz), then seed
+     */
+    static getSwissStandings(tournament) {
+        const points = new Map(tournament.participants.map(p => [p.playerId, p.points]));
+        return tournament.participants
+            .map(p => ({
+                ...p,
+                buchholz: p.opponents.reduce((sum, opponentId) => sum + (points.get(opponentId) || 0), 0)
+            }))
+            .sort((a, b) => (b.points - a.points) || (b.buchholz - a.buchholz) || (a.seed - b.seed));
+    }
+
+    /**
+     * Create the matches for a round; byes are decided immediately
+     */
+    static async startRound(tournament, pairings) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const roundNumber = tournament.currentRound + 1;
+        const deadline = new Date(Date.now() + this.SETTINGS.MATCH_DEADLINE_HOURS * 60 * 60 * 1000);
+        const round = { round: roundNumber, matches: [] };
+
+        for (const [player1Id, player2Id] of pairings) {
+            const match = {
+                matchId: `${tournament.id}_r${roundNumber}_m${round.matches.length + 1}`,
+                player1Id: player1Id || player2Id,
+                player2Id: player1Id ? player2Id : null,
+                winnerId: null,
+                challengeId: null,
+                battleId: null,
+                status: this.MATCH_STATUS.IN_PROGRESS,
+                deadline: deadline
+            };
+
+            if (!match.player2Id) {
+                match.winnerId = match.player1Id;
+                match.status = this.MATCH_STATUS.BYE;
+            } else {
+                const battle = await this.createMatchBattle(tournament, match);
+                match.challengeId = battle.challengeId;
+                match.battleId = battle.id;
+            }
+
+            round.matches.push(match);
+        }
+
+        tournament.currentRound = roundNumber;
+        tournament.rounds.push(round);
+
+        // Byes score straight away
+        round.matches
+            .filter(match => match.status === this.MATCH_STATUS.BYE)
+            .forEach(match => this.applyMatchResult(tournament, round, match));
+
+        await DatabaseManager.updateTournament(tournament.id, tournament);
+
+        if (this.isRoundComplete(round)) {
+            await this.advanceTournament(tournament);
+        }
+    }
+
+    /**
+     * Create an accepted tournament challenge and start its battle
+     */
+    static async createMatchBattle(tournament, match) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const names = new Map(tournament.participants.map(p => [p.playerId, p.username]));
+
+        const challenge = {
+            id: PvPHandler.generateChallengeId(),
+            challengerId: match.player1Id,
+            challengerUsername: names.get(match.player1Id),
+            opponentId: match.player2Id,
+            opponentUsername: names.get(match.player2Id),
+            matchType: PvPHandler.MATCH_TYPES.TOURNAMENT,
+            wager: null,
+            customRules: null,
+            message: `${tournament.name} - Round ${tournament.currentRound + 1}`,
+            status: PvPHandler.MATCH_STATUS.ACCEPTED,
+            createdAt: new Date(),
+            acceptedAt: new Date(),
+            expiresAt: match.deadline,
+            rounds: tournament.roundsPerMatch,
+            tournamentId: tournament.id,
+            tournamentMatchId: match.matchId
+        };
+
+        await DatabaseManager.createPvPChallenge(challenge);
+        const battle = await PvPHandler.initializeBattle(challenge);
+
+        const deadline = Math.floor(new Date(match.deadline).getTime() / 1000);
+        for (const [playerId, opponentId] of [[match.player1Id, match.player2Id], [match.player2Id, match.player1Id]]) {
+            await PvPHandler.notifyPlayer(playerId, `🏆 **${tournament.name}** - Round ${tournament.currentRound + 1}: your match against **${names.get(opponentId)}** is ready. Open ⚔️ PvP Arena to play it before <t:${deadline}:f>, or it is decided as a walkover.`);
+        }
+
+        return battle;
+    }
+
+    /**
+     * Record the result of a tournament match and advance the bracket when the round is done
+     * winnerId may be null for a double forfeit
+     */
+    static async recordMatchResult(tournamentId, matchId, winnerId, { walkover = false } = {}) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+            // Matches finishing together retry from a fresh read instead of overwriting each other's result
+            for (let attempt = 0; attempt < this.SETTINGS.MAX_UPDATE_ATTEMPTS; attempt++) {
+                const tournament = await DatabaseManager.getTournament(tournamentId);
+
+                if (!tournament || tournament.status !== this.STATUS.IN_PROGRESS) {
+                    return null;
+                }
+
+                const round = tournament.rounds.find(r => r.matches.some(m => m.matchId === matchId));
+                const match = round?.matches.find(m => m.matchId === matchId);
+
+                if (!match || match.status !== this.MATCH_STATUS.IN_PROGRESS) {
+                    return null;
+                }
+
+                match.winnerId = winnerId;
+                match.status = walkover ? this.MATCH_STATUS.WALKOVER : this.MATCH_STATUS.COMPLETED;
+                match.completedAt = new Date();
+                this.applyMatchResult(tournament, round, match);
+
+                const version = tournament.version ?? null;
+                if (!await DatabaseManager.updateTournamentIfVersion(tournament.id, version, tournament)) {
+                    continue;
+                }
+                tournament.version = (version || 0) + 1;
+
+                if (round.round === tournament.currentRound && this.isRoundComplete(round)) {
+                    await this.advanceTournament(tournament);
+                }
+
+                return tournament;
+            }
+
+            throw new Error(`Could not record result for match ${matchId} - tournament kept changing`);
+
+        } catch (error) {
+            logger.error('Error recording tournament match result:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update participant points, opponents and elimination for a decided match
+     */
+    static applyMatchResult(tournament, round, match) {
+        const player1 = tournament.participants.find(p => p.playerId === match.player1Id);
+        const player2 = tournament.participants.find(p => p.playerId === match.player2Id);
+
+        if (!player2) {
+            player1.points += 1;
+            player1.hadBye = true;
+            return;
+        }
+
+        player1.opponents.push(player2.playerId);
+        player2.opponents.push(player1.playerId);
+
+        for (const player of [player1, player2]) {
+            if (player.playerId === match.winnerId) {
+                player.points += 1;
+            } else if (tournament.format === this.FORMATS.SINGLE_ELIMINATION) {
+                player.eliminatedInRound = round.round;
+            }
+        }
+    }
+
+    static isRoundComplete(round) {
+        return round.matches.every(match => match.status !== this.MATCH_STATUS.IN_PROGRESS);
+    }
+
+    /**
+     * Pair the next round, or finish the tournament
+     */
+    static async advanceTournament(tournament) {
+        if (tournament.format === this.FORMATS.SWISS) {
+            if (tournament.currentRound >= tournament.swissRounds) {
+                return await this.finishTournament(tournament);
+            }
+            return await this.startRound(tournament, this.pairSwissRound(tournament));
+        }
+
+        // Winners advance in bracket order; a double forfeit leaves the next opponent a bye
+        const lastRound = tournament.rounds[tournament.rounds.length - 1];
+        const advancing = lastRound.matches.map(match => match.winnerId);
+
+        if (advancing.filter(Boolean).length <= 1) {
+            return await this.finishTournament(tournament);
+        }
+
+        const pairings = [];
+        for (let i = 0; i < advancing.length; i += 2) {
+            if (advancing[i] || advancing[i + 1]) {
+                pairings.push([advancing[i] || null, advancing[i + 1] || null]);
+            }
+        }
+
+        return await this.startRound(tournament, pairings);
+    }
+
+    /**
+     * Compute placements, pay prizes and close the tournament
+     */
+    static async finishTournament(tournament) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        tournament.placements = this.calculatePlacements(tournament);
+        tournament.status = this.STATUS.COMPLETED;
+        tournament.completedAt = new Date();
+
+        await this.distributePrizes(tournament);
+        await DatabaseManager.updateTournament(tournament.id, tournament);
+
+        auditLogger.log('PVP', `Tournament ${tournament.id} completed`, 'tournament_completed', {
+            tournamentId: tournament.id,
+            placements: tournament.placements.slice(0, tournament.prizeDistribution.length)
+        });
+
+        return tournament;
+    }
+
+    /**
+     * Final standings
+     * Elimination: by the round a player went out in (champion first), then seed
+     * Swiss: by points, then Buchholz, then seed
+     */
+    static calculatePlacements(tournament) {
+        let ordered;
+        if (tournament.format === this.FORMATS.SWISS) {
+            ordered = this.getSwissStandings(tournament);
+        } else {
+            ordered = [...tournament.participants].sort((a, b) =>
+                ((b.eliminatedInRound ?? Infinity) - (a.eliminatedInRound ?? Infinity)) || (a.seed - b.seed));
+        }
+
+        return ordered.map((participant, index) => ({
+            place: index + 1,
+            playerId: participant.playerId,
+            prize: null
+        }));
+    }
+
+    /**
+     * Split the prize pool across the top placements
+     */
+    static async distributePrizes(tournament) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        for (let i = 0; i < tournament.prizeDistribution.length && i < tournament.placements.length; i++) {
+            const placement = tournament.placements[i];
+            const prize = {};
+            for (const [currencyType, amount] of Object.entries(tournament.prizePool || {})) {
+                const share = Math.floor(amount * tournament.prizeDistribution[i]);
+                if (share > 0) prize[currencyType] = share;
+            }
+
+            if (Object.keys(prize).length > 0) {
+                await DatabaseManager.creditPlayerEconomy(placement.playerId, prize);
+                placement.prize = prize;
+            }
+        }
+    }
+
+    /**
+     * Decide overdue matches, and matches whose battle was cancelled, as walkovers
+     * A player who never acted loses to one who did; if both played, whoever was ahead wins;
+     * if neither showed up it is a double forfeit (elimination brackets advance the higher seed)
+     */
+    static async processNoShows(tournament) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const round = tournament.rounds.find(r => r.round === tournament.currentRound);
+        if (!round) return;
+
+        const now = new Date();
+        for (const match of round.matches) {
+            if (match.status !== this.MATCH_STATUS.IN_PROGRESS) {
+                continue;
+            }
+
+            const battle = await DatabaseManager.getPvPBattle(match.battleId);
+            if (battle?.status === PvPHandler.MATCH_STATUS.COMPLETED) {
+                continue; // Finished normally - its result is recorded by endBattle
+            }
+
+            // A cancelled battle (e.g. both players timed out) has no result of its own, so decide it now
+            const cancelled = battle?.status === PvPHandler.MATCH_STATUS.CANCELLED;
+            if (!cancelled && new Date(match.deadline) > now) {
+                continue;
+            }
+
+            const winnerId = this.decideWalkover(tournament, match, battle);
+            if (battle && !cancelled && !await PvPHandler.abandonBattle(battle.id, 'walkover')) {
+                continue; // Finished while we were deciding - endBattle records that result
+            }
+
+            logger.info(`Tournament ${tournament.id} match ${match.matchId} decided by walkover`, { winnerId });
+            await this.recordMatchResult(tournament.id, match.matchId, winnerId, { walkover: true });
+        }
+    }
+
+    static decideWalkover(tournament, match, battle) {
+        const seeds = new Map(tournament.participants.map(p => [p.playerId, p.seed]));
+        const higherSeed = seeds.get(match.player1Id) < seeds.get(match.player2Id) ? match.player1Id : match.player2Id;
+
+        const played = battle?.battleLog?.length > 0;
+        const player1Acted = played || !!battle?.pendingActions?.[match.player1Id];
+        const player2Acted = played || !!battle?.pendingActions?.[match.player2Id];
+
+        if (player1Acted && !player2Acted) return match.player1Id;
+        if (player2Acted && !player1Acted) return match.player2Id;
+
+        if (!player1Acted && !player2Acted) {
+            return tournament.format === this.FORMATS.SINGLE_ELIMINATION ? higherSeed : null;
+        }
+
+        // Both played but the match stalled - award it to whoever was ahead
+        const { player1, player2 } = battle;
+        if (player1.roundsWon !== player2.roundsWon) {
+            return player1.roundsWon > player2.roundsWon ? player1.id : player2.id;
+        }
+        if (player1.damageDealt !== player2.damageDealt) {
+            return player1.damageDealt > player2.damageDealt ? player1.id : player2.id;
+        }
+        return higherSeed;
+    }
+
+    /**
+     * Utility methods
+     */
+    static generateTournamentId() {
+        return `pvp_tournament_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    static formatName(format) {
+        return format === this.FORMATS.SWISS ? 'Swiss' : 'Single Elimination';
+    }
+
+    static formatCurrency(currency = {}) {
+        const entries = Object.entries(currency);
+        if (entries.length === 0) return 'None';
+        return entries.map(([type, amount]) => `${amount.toLocaleString()} ${type.toUpperCase()}`).join(', ');
+    }
+}
@@ -1,16 +1,20 @@
 import { EmbedBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
 import { logger } from '../../utils/logger.js';
 import { auditLogger } from '../../utils/auditLogger.js';
+import { EscrowService } from '../../services/EscrowService.js';
+import { TreasuryService } from '../../services/TreasuryService.js';
 
 /**
  * P2PTradeHandler - Manages peer-to-peer asset trading
  * Mutual offer, confirm, and exchange process
+ * Currency received in a trade pays the marketplace fee to the trade's server treasury
  */
 export class P2PTradeHandler {
     
     // Trade status constants
     static TRADE_STATUS = {
         PENDING: 'pending',
+        NEGOTIATING: 'negotiating',
         ACCEPTED: 'accepted',
         REJECTED: 'rejected',
         CANCELLED: 'cancelled',
@@ -26,6 +30,26 @@ export class P2PTradeHandler {
         MIXED: 'mixed'
     };
 
+    // Counter-offer limits
+    static NEGOTIATION_SETTINGS = {
+        MAX_VERSIONS: 10
+    };
+
+    static expiryInterval = null;
+
+    /**
+     * Start the periodic sweep that expires stale offers and returns their escrowed items
+     */
+    static initialize() {
+        if (!this.expiryInterval) {
+            this.expiryInterval = setInterval(() => {
+                this.expireTrades().catch(error => logger.error('Error expiring trade offers:', error));
+            }, 5 * 60 * 1000);
+
+            logger.info('P2PTradeHandler initialized with offer expiry sweep');
+        }
+    }
+
     /**
      * Show P2P trading main menu
      */
@@ -118,7 +142,7 @@ export class P2PTradeHandler {
         try {
             switch (selectedValue) {
                 case 'create_trade':
-                    await this.showCreateTradeMenu(interaction);
+                    await this.showCreateTradeModal(interaction);
                     break;
                 case 'browse_trades':
                     await this.showBrowseTrades(interaction);
@@ -153,68 +177,104 @@ export class P2PTradeHandler {
     }
 
     /**
-     * Show create trade menu
+     * Handle the browse and my-trades lists
+     * Picking a trade opens its negotiation thread
      */
-    static async showCreateTradeMenu(interaction) {
-        try {
-            const embed = new EmbedBuilder()
-                .setTitle('📝 **CREATE TRADE OFFER** 📝')
-                .setDescription(
-                    '**Create a new trade offer:**\n\n' +
-                    '**📦 What you can offer:**\n' +
-                    '• Items from your inventory\n' +
-                    '• Currency (gold, tokens, etc.)\n' +
-                    '• Combination of both\n\n' +
-                    '**🎯 What you can request:**\n' +
-                    '• Specific items you want\n' +
-                    '• Currency amounts\n' +
-                    '• Open to offers\n\n' +
-                    '**⚙️ Trade Options:**\n' +
-                    '• Set expiration time (1-24 hours)\n' +
-                    '• Add trade message/description\n' +
-                    '• Choose public or private trade\n\n' +
-                    '*Select what you want to offer:*'
-                )
-                .setColor(0x00ff00)
-                .setFooter({ text: 'Create Trade • Step 1 of 3' })
-                .setTimestamp();
+    static async handleTradeListSelection(interaction, selectedValue) {
+        if (selectedValue.startsWith('manage_trade_')) {
+            await this.showTradeNegotiation(interaction, selectedValue.replace('manage_trade_', ''));
+        } else if (selectedValue.startsWith('view_trade_')) {
+            await this.showTradeNegotiation(interaction, selectedValue.replace('view_trade_', ''));
+        } else if (selectedValue === 'refresh_trades') {
+            await this.showBrowseTrades(interaction);
+        } else {
+            const { MarketplaceHandler } = await import('../marketplace/MarketplaceHandler.js');
+            await MarketplaceHandler.showTradingPostMenu(interaction);
+        }
+    }
 
-            const options = [
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🎒 Offer Items')
-                    .setDescription('Select items from your inventory to offer')
-                    .setValue('offer_items'),
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('💰 Offer Currency')
-                    .setDescription('Offer gold, tokens, or other currency')
-                    .setValue('offer_currency'),
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🔄 Mixed Offer')
-                    .setDescription('Offer both items and currency')
-                    .setValue('offer_mixed'),
-                new StringSelectMenuOptionBuilder()
-                    .setLabel('🔙 Back')
-                    .setDescription('Return to trading menu')
-                    .setValue('back_to_trading')
-            ];
+    /**
+     * Show the create trade offer modal
+     * Both sides are described from the creator's point of view, as in counter-offers
+     */
+    static async showCreateTradeModal(interaction) {
+        const modal = new ModalBuilder()
+            .setCustomId('trade_create_modal')
+            .setTitle('📝 Create Trade Offer');
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('create_offering_gold')
+                .setLabel('You give (gold)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('0')
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('create_offering_items')
+                .setLabel('You give (items, e.g. sword x2, bow)')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(200)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('create_requesting_gold')
+                .setLabel('You get (gold)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('0')
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('create_requesting_items')
+                .setLabel('You get (items, e.g. shield)')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(200)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('create_message')
+                .setLabel('Message')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(300)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
 
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('create_trade_type')
-                .setPlaceholder('Select offer type...')
-                .addOptions(options);
+    /**
+     * Handle the create trade offer modal
+     * The offer is tied to the server it was made in so its fees reach that server's treasury
+     */
+    static async handleCreateTradeModal(interaction) {
+        try {
+            const fields = interaction.fields;
+            const offering = this.parseAssetsInput(
+                fields.getTextInputValue('create_offering_gold'),
+                fields.getTextInputValue('create_offering_items')
+            );
+            const requesting = this.parseAssetsInput(
+                fields.getTextInputValue('create_requesting_gold'),
+                fields.getTextInputValue('create_requesting_items')
+            );
 
-            const row = new ActionRowBuilder().addComponents(selectMenu);
+            const trade = await this.createTradeOffer(interaction.user.id, {
+                creatorUsername: interaction.user.username,
+                offering,
+                requesting,
+                message: fields.getTextInputValue('create_message').trim(),
+                tradeType: this.getTradeType(offering, requesting),
+                guildId: interaction.guild?.id
+            });
 
             await interaction.reply({
-                embeds: [embed],
-                components: [row],
+                content: `✅ Trade offer created: ${this.formatTradeItems(trade.offering)} → ${this.formatTradeItems(trade.requesting)}. Your side is held in escrow until the trade settles.`,
                 ephemeral: true
             });
 
         } catch (error) {
-            logger.error('Error showing create trade menu:', error);
+            logger.error('Error handling create trade modal:', error);
             await interaction.reply({
-                content: '❌ Error loading create trade menu.',
+                content: `❌ ${error.message}`,
                 ephemeral: true
             });
         }
@@ -316,6 +376,7 @@ export class P2PTradeHandler {
             myTrades.forEach((trade, index) => {
                 const timeLeft = this.getTimeRemaining(trade.expiresAt);
                 const status = trade.status === 'pending' ? '⏳ Pending' : 
+                             trade.status === 'negotiating' ? `🔁 Negotiating (v${trade.version})` :
                              trade.status === 'accepted' ? '✅ Accepted' : '❌ Rejected';
                 
                 description += `**${index + 1}.** ${status}\n`;
@@ -376,6 +437,7 @@ export class P2PTradeHandler {
 
     /**
      * Create a new trade offer
+     * The offered items and currency leave the creator's inventory until the offer settles
      */
     static async createTradeOffer(creatorId, offerData) {
         try {
@@ -395,21 +457,40 @@ export class P2PTradeHandler {
                 requesting: offerData.requesting,
                 message: offerData.message || '',
                 tradeType: offerData.tradeType,
+                guildId: offerData.guildId || null,
                 status: this.TRADE_STATUS.PENDING,
                 isPublic: offerData.isPublic !== false,
                 createdAt: new Date(),
                 expiresAt: new Date(Date.now() + (offerData.expirationHours || 24) * 60 * 60 * 1000),
-                interestedParties: []
+                interestedParties: [],
+                counterpartyId: null,
+                version: 1,
+                history: [{
+                    version: 1,
+                    proposedBy: creatorId,
+                    offering: offerData.offering,
+                    requesting: offerData.requesting,
+                    message: offerData.message || '',
+                    proposedAt: new Date()
+                }]
             };
 
-            await DatabaseManager.createTrade(trade);
+            // Move offered items to escrow - fails if the creator no longer owns them
+            const escrow = await this.moveItemsToEscrow(creatorId, offerData.offering, trade.id);
+            trade.creatorEscrowId = escrow.escrowId;
+            trade.escrowedOffering = offerData.offering;
 
-            // Move offered items to escrow
-            await this.moveItemsToEscrow(creatorId, offerData.offering);
+            try {
+                await DatabaseManager.createTrade(trade);
+            } catch (error) {
+                await EscrowService.refundReference(trade.id, 'trade_create_failed');
+                throw error;
+            }
 
-            auditLogger.log('trade_created', {
+            auditLogger.log('TRADE', `Trade ${trade.id} created by ${creatorId}`, 'trade_created', {
                 tradeId: trade.id,
                 creatorId: creatorId,
+                escrowId: escrow.escrowId,
                 offering: offerData.offering,
                 requesting: offerData.requesting
             });
@@ -424,47 +505,74 @@ export class P2PTradeHandler {
 
     /**
      * Accept a trade offer
+     * Confirms the latest version; the trade executes once both sides have confirmed it
      */
-    static async acceptTradeOffer(tradeId, acceptorId) {
+    static async acceptTradeOffer(tradeId, playerId, version = null) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
-            const trade = await DatabaseManager.getTrade(tradeId);
+            let trade = await DatabaseManager.getTrade(tradeId);
 
             if (!trade) {
                 throw new Error('Trade not found');
             }
 
-            if (trade.status !== this.TRADE_STATUS.PENDING) {
+            if (!this.isOpen(trade)) {
                 throw new Error('Trade is no longer available');
             }
 
-            if (trade.creatorId === acceptorId) {
-                throw new Error('Cannot accept your own trade');
+            if (new Date(trade.expiresAt) <= new Date()) {
+                await this.expireTrade(trade);
+                throw new Error('Trade has expired');
+            }
+
+            const currentVersion = trade.version || 1;
+            if (version !== null && version !== currentVersion) {
+                throw new Error('The offer has changed - review the latest version before confirming');
             }
 
+            // Proposing a version counts as confirming it, so only the other side can confirm
+            if (this.getLatestVersion(trade).proposedBy === playerId) {
+                throw new Error('Waiting for the other player to respond to your proposal');
+            }
+
+            const acceptorId = playerId === trade.creatorId ? trade.counterpartyId : playerId;
+            if (trade.counterpartyId && acceptorId !== trade.counterpartyId) {
+                throw new Error('This trade is being negotiated with another player');
+            }
+
+            // The creator's escrow has to cover the version being confirmed
+            trade = await this.syncCreatorEscrow(trade);
+
             // Validate acceptor has requested items
-            const acceptorData = await DatabaseManager.getPlayer(acceptorId);
-            if (!this.validatePlayerHasItems(acceptorData, trade.requesting)) {
-                throw new Error('You do not have the requested items');
+            if (!await this.validatePlayerHasItems(acceptorId, trade.requesting)) {
+                throw new Error(playerId === acceptorId ?
+                    'You do not have the requested items' :
+                    'The other player no longer has the items for this version');
             }
 
             // Move acceptor's items to escrow
-            await this.moveItemsToEscrow(acceptorId, trade.requesting);
+            const escrow = await this.moveItemsToEscrow(acceptorId, trade.requesting, tradeId);
 
-            // Update trade status
-            await DatabaseManager.updateTrade(tradeId, {
-                status: this.TRADE_STATUS.ACCEPTED,
+            // Claim the offer - only one confirmation of this exact version can move it forward
+            const claimed = await DatabaseManager.transitionTrade(tradeId, trade.status, this.TRADE_STATUS.ACCEPTED, {
                 acceptorId: acceptorId,
+                acceptorEscrowId: escrow.escrowId,
                 acceptedAt: new Date()
-            });
+            }, currentVersion);
+
+            if (!claimed) {
+                await EscrowService.refund(escrow.escrowId, 'trade_unavailable');
+                throw new Error('Trade is no longer available');
+            }
 
             // Execute the trade
-            await this.executeTrade(trade, acceptorId);
+            await this.executeTrade(claimed, acceptorId);
 
-            auditLogger.log('trade_accepted', {
+            auditLogger.log('TRADE', `Trade ${tradeId} accepted by ${acceptorId}`, 'trade_accepted', {
                 tradeId: tradeId,
                 creatorId: trade.creatorId,
-                acceptorId: acceptorId
+                acceptorId: acceptorId,
+                version: currentVersion
             });
 
             return true;
@@ -475,16 +583,351 @@ export class P2PTradeHandler {
         }
     }
 
+    /**
+     * Propose a counter-offer on an open trade
+     * The first counter locks the trade to that player; after that only the two of them can propose
+     */
+    static async proposeCounterOffer(tradeId, playerId, counterData) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            let trade = await DatabaseManager.getTrade(tradeId);
+
+            if (!trade) {
+                throw new Error('Trade not found');
+            }
+
+            if (!this.isOpen(trade)) {
+                throw new Error('Trade is no longer available');
+            }
+
+            if (new Date(trade.expiresAt) <= new Date()) {
+                await this.expireTrade(trade);
+                throw new Error('Trade has expired');
+            }
+
+            if (!this.validateTradeOffer(counterData)) {
+                throw new Error('Invalid counter-offer');
+            }
+
+            const isCreator = playerId === trade.creatorId;
+            if (isCreator && !trade.counterpartyId) {
+                throw new Error('Nobody has countered your offer yet');
+            }
+            if (!isCreator && trade.counterpartyId && trade.counterpartyId !== playerId) {
+                throw new Error('This trade is being negotiated with another player');
+            }
+
+            if (this.getLatestVersion(trade).proposedBy === playerId) {
+                throw new Error('Wait for the other player to respond before proposing again');
+            }
+
+            const currentVersion = trade.version || 1;
+            if (currentVersion >= this.NEGOTIATION_SETTINGS.MAX_VERSIONS) {
+                throw new Error('This negotiation has reached its limit - confirm the latest version or cancel');
+            }
+
+            const proposal = {
+                version: currentVersion + 1,
+                proposedBy: playerId,
+                offering: counterData.offering,
+                requesting: counterData.requesting,
+                message: counterData.message || '',
+                proposedAt: new Date()
+            };
+
+            if (isCreator) {
+                // The creator backs their own proposal straight away
+                trade = await this.syncCreatorEscrow({ ...trade, offering: proposal.offering });
+            } else if (!await this.validatePlayerHasItems(playerId, proposal.requesting)) {
+                throw new Error('You do not have the items you are offering');
+            }
+
+            const updated = await DatabaseManager.transitionTrade(tradeId, trade.status, this.TRADE_STATUS.NEGOTIATING, {
+                counterpartyId: isCreator ? trade.counterpartyId : playerId,
+                counterpartyUsername: isCreator ? trade.counterpartyUsername : counterData.username,
+                offering: proposal.offering,
+                requesting: proposal.requesting,
+                message: proposal.message,
+                version: proposal.version,
+                history: [...(trade.history || [this.getLatestVersion(trade)]), proposal]
+            }, currentVersion);
+
+            if (!updated) {
+                throw new Error('The offer changed while you were editing - review the latest version');
+            }
+
+            auditLogger.log('TRADE', `Trade ${tradeId} countered by ${playerId}`, 'trade_countered', {
+                tradeId: tradeId,
+                playerId: playerId,
+                version: proposal.version,
+                offering: proposal.offering,
+                requesting: proposal.requesting
+            });
+
+            return updated;
+
+        } catch (error) {
+            logger.error('Error proposing counter-offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure the creator's escrow holds exactly what the trade currently offers
+     * A changed offering is swapped in; if the creator can't cover it, the previous escrow is restored
+     */
+    static async syncCreatorEscrow(trade) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const escrowedOffering = trade.escrowedOffering || trade.offering;
+
+        if (this.getAssetsKey(escrowedOffering) === this.getAssetsKey(trade.offering)) {
+            return trade;
+        }
+
+        await EscrowService.refund(trade.creatorEscrowId, 'trade_renegotiated');
+
+        let escrow;
+        try {
+            escrow = await this.moveItemsToEscrow(trade.creatorId, trade.offering, trade.id);
+        } catch (error) {
+            const restored = await this.moveItemsToEscrow(trade.creatorId, escrowedOffering, trade.id);
+            await DatabaseManager.updateTrade(trade.id, { creatorEscrowId: restored.escrowId });
+            throw new Error('The trade creator does not have the items for this version');
+        }
+
+        await DatabaseManager.updateTrade(trade.id, {
+            creatorEscrowId: escrow.escrowId,
+            escrowedOffering: trade.offering
+        });
+
+        return { ...trade, creatorEscrowId: escrow.escrowId, escrowedOffering: trade.offering };
+    }
+
+    /**
+     * Show a trade's negotiation thread with confirm and counter buttons
+     */
+    static async showTradeNegotiation(interaction, tradeId) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const trade = await DatabaseManager.getTrade(tradeId);
+
+            if (!trade) {
+                await interaction.reply({ content: '❌ Trade not found.', ephemeral: true });
+                return;
+            }
+
+            const names = {
+                [trade.creatorId]: trade.creatorUsername || 'Creator',
+                [trade.counterpartyId]: trade.counterpartyUsername || 'Counterparty'
+            };
+            const history = trade.history || [this.getLatestVersion(trade)];
+
+            let description = `**Status:** ${trade.status} • ⏰ ${this.getTimeRemaining(trade.expiresAt)}\n\n`;
+            history.forEach(entry => {
+                const latest = entry.version === (trade.version || 1);
+                description += `**v${entry.version}** by ${names[entry.proposedBy]}${latest ? ' *(latest)*' : ''}\n`;
+                description += `   📦 ${names[trade.creatorId]} gives: ${this.formatTradeItems(entry.offering)}\n`;
+                description += `   🎯 ${names[trade.creatorId]} gets: ${this.formatTradeItems(entry.requesting)}\n`;
+                if (entry.message) {
+                    description += `   💬 *${entry.message}*\n`;
+                }
+                description += '\n';
+            });
+
+            const latest = this.getLatestVersion(trade);
+            const canRespond = this.isOpen(trade) && latest.proposedBy !== interaction.user.id &&
+                (!trade.counterpartyId || [trade.creatorId, trade.counterpartyId].includes(interaction.user.id));
+
+            const embed = new EmbedBuilder()
+                .setTitle('🤝 **TRADE NEGOTIATION** 🤝')
+                .setDescription(description)
+                .setColor(0x9932cc)
+                .setFooter({ text: `Trade ${trade.id} • Version ${trade.version || 1}` })
+                .setTimestamp();
+
+            const buttons = [];
+            if (canRespond) {
+                buttons.push(
+                    new ButtonBuilder()
+                        .setCustomId(`trade_confirm_${trade.id}_${trade.version || 1}`)
+                        .setLabel(`Confirm v${trade.version || 1}`)
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('✅'),
+                    new ButtonBuilder()
+                        .setCustomId(`trade_counter_${trade.id}`)
+                        .setLabel('Counter-offer')
+                        .setStyle(ButtonStyle.Primary)
+                        .setEmoji('🔁')
+                        .setDisabled(interaction.user.id === trade.creatorId && !trade.counterpartyId)
+                );
+            }
+            if (this.isOpen(trade) && interaction.user.id === trade.creatorId) {
+                buttons.push(
+                    new ButtonBuilder()
+                        .setCustomId(`trade_cancel_${trade.id}`)
+                        .setLabel('Cancel Offer')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('🗑️')
+                );
+            }
+            const components = buttons.length > 0 ? [new ActionRowBuilder().addComponents(...buttons)] : [];
+
+            await interaction.reply({
+                embeds: [embed],
+                components,
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error showing trade negotiation:', error);
+            await interaction.reply({
+                content: '❌ Error loading trade.',
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Show the counter-offer modal
+     * Both sides are described from the trade creator's point of view
+     */
+    static async showCounterOfferModal(interaction, tradeId) {
+        const modal = new ModalBuilder()
+            .setCustomId(`trade_counter_modal_${tradeId}`)
+            .setTitle('🔁 Counter-offer');
+
+        const fields = [
+            new TextInputBuilder()
+                .setCustomId('counter_offering_gold')
+                .setLabel('Creator gives (gold)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('0')
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('counter_offering_items')
+                .setLabel('Creator gives (items, e.g. sword x2, bow)')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(200)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('counter_requesting_gold')
+                .setLabel('Creator gets (gold)')
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder('0')
+                .setMaxLength(10)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('counter_requesting_items')
+                .setLabel('Creator gets (items, e.g. shield)')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(200)
+                .setRequired(false),
+            new TextInputBuilder()
+                .setCustomId('counter_message')
+                .setLabel('Message')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(300)
+                .setRequired(false)
+        ];
+
+        fields.forEach(field => modal.addComponents(new ActionRowBuilder().addComponents(field)));
+        await interaction.showModal(modal);
+    }
+
+    /**
+     * Handle the counter-offer modal
+     */
+    static async handleCounterOfferModal(interaction, tradeId) {
+        try {
+            const fields = interaction.fields;
+            await this.proposeCounterOffer(tradeId, interaction.user.id, {
+                username: interaction.user.username,
+                offering: this.parseAssetsInput(
+                    fields.getTextInputValue('counter_offering_gold'),
+                    fields.getTextInputValue('counter_offering_items')
+                ),
+                requesting: this.parseAssetsInput(
+                    fields.getTextInputValue('counter_requesting_gold'),
+                    fields.getTextInputValue('counter_requesting_items')
+                ),
+                message: fields.getTextInputValue('counter_message').trim()
+            });
+
+            await interaction.reply({
+                content: '🔁 Counter-offer sent! The trade executes once the other player confirms it.',
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error handling counter-offer modal:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    /**
+     * Handle negotiation buttons - confirm, counter-offer and the creator's cancel
+     */
+    static async handleNegotiationButton(interaction, customId) {
+        try {
+            if (customId.startsWith('trade_counter_')) {
+                await this.showCounterOfferModal(interaction, customId.replace('trade_counter_', ''));
+                return;
+            }
+
+            if (customId.startsWith('trade_cancel_')) {
+                await this.cancelTradeOffer(customId.replace('trade_cancel_', ''), interaction.user.id);
+                await interaction.reply({
+                    content: '🗑️ Trade offer cancelled. Your side has been returned to you.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const rest = customId.replace('trade_confirm_', '');
+            const separator = rest.lastIndexOf('_');
+            await this.acceptTradeOffer(rest.substring(0, separator), interaction.user.id, parseInt(rest.substring(separator + 1), 10));
+
+            await interaction.reply({
+                content: '✅ Trade completed! Items have been exchanged.',
+                ephemeral: true
+            });
+
+        } catch (error) {
+            logger.error('Error handling trade negotiation button:', error);
+            await interaction.reply({
+                content: `❌ ${error.message}`,
+                ephemeral: true
+            });
+        }
+    }
+
     /**
      * Execute completed trade
+     * Both escrows must still be held before either side is paid out
      */
     static async executeTrade(trade, acceptorId) {
         try {
             const { DatabaseManager } = await import('../../database/DatabaseManager.js');
 
-            // Transfer items from escrow to new owners
-            await this.transferItemsFromEscrow(trade.creatorId, acceptorId, trade.requesting);
-            await this.transferItemsFromEscrow(acceptorId, trade.creatorId, trade.offering);
+            const held = await DatabaseManager.getEscrowsByReference(trade.id, EscrowService.STATUS.HELD);
+            const creatorEscrow = held.find(escrow => escrow.escrowId === trade.creatorEscrowId);
+            const acceptorEscrow = held.find(escrow => escrow.escrowId === trade.acceptorEscrowId);
+
+            if (!creatorEscrow || !acceptorEscrow) {
+                // One side can no longer complete - give everything back
+                await this.rollbackTrade(trade, 'escrow_missing');
+                throw new Error('Trade could not be completed and has been rolled back');
+            }
+
+            // Transfer items from escrow to new owners, keeping back the fee on any currency
+            const fees = {
+                acceptor: await this.transferItemsFromEscrow(trade, creatorEscrow, acceptorId),
+                creator: await this.transferItemsFromEscrow(trade, acceptorEscrow, trade.creatorId)
+            };
 
             // Update trade status
             await DatabaseManager.updateTrade(trade.id, {
@@ -496,14 +939,15 @@ export class P2PTradeHandler {
             await this.updateTradeStats(trade.creatorId, 'completed');
             await this.updateTradeStats(acceptorId, 'completed');
 
-            auditLogger.log('trade_completed', {
+            auditLogger.log('TRADE', `Trade ${trade.id} completed`, 'trade_completed', {
                 tradeId: trade.id,
                 creatorId: trade.creatorId,
                 acceptorId: acceptorId,
                 itemsTraded: {
                     creatorOffered: trade.offering,
                     acceptorOffered: trade.requesting
-                }
+                },
+                fees
             });
 
         } catch (error) {
@@ -512,6 +956,106 @@ export class P2PTradeHandler {
         }
     }
 
+    /**
+     * Cancel a pending offer and return the creator's items
+     */
+    static async cancelTradeOffer(tradeId, playerId) {
+        try {
+            const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+            const trade = await DatabaseManager.getTrade(tradeId);
+
+            if (!trade) {
+                throw new Error('Trade not found');
+            }
+
+            if (trade.creatorId !== playerId) {
+                throw new Error('Only the creator can cancel this trade');
+            }
+
+            const cancelled = this.isOpen(trade) && await DatabaseManager.transitionTrade(tradeId, trade.status, this.TRADE_STATUS.CANCELLED, {
+                cancelledAt: new Date()
+            });
+
+            if (!cancelled) {
+                throw new Error('Trade is no longer open');
+            }
+
+            await EscrowService.refundReference(tradeId, 'trade_cancelled');
+            await this.updateTradeStats(playerId, 'cancelled');
+
+            auditLogger.log('TRADE', `Trade ${tradeId} cancelled by ${playerId}`, 'trade_cancelled', {
+                tradeId: tradeId,
+                creatorId: playerId
+            });
+
+            return true;
+
+        } catch (error) {
+            logger.error('Error cancelling trade offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Expire every open offer past its deadline
+     */
+    static async expireTrades() {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+        const expiredTrades = await DatabaseManager.getExpiredTrades(new Date());
+
+        for (const trade of expiredTrades) {
+            try {
+                await this.expireTrade(trade);
+            } catch (error) {
+                logger.error(`Error expiring trade ${trade.id}:`, error);
+            }
+        }
+
+        return expiredTrades.length;
+    }
+
+    /**
+     * Expire a single offer and return the creator's items
+     */
+    static async expireTrade(trade) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        const expired = this.isOpen(trade) && await DatabaseManager.transitionTrade(trade.id, trade.status, this.TRADE_STATUS.EXPIRED, {
+            expiredAt: new Date()
+        });
+
+        // Already accepted, cancelled or expired elsewhere
+        if (!expired) return;
+
+        await EscrowService.refundReference(trade.id, 'trade_expired');
+
+        auditLogger.log('TRADE', `Trade ${trade.id} expired`, 'trade_expired', {
+            tradeId: trade.id,
+            creatorId: trade.creatorId
+        });
+    }
+
+    /**
+     * Return every escrow still held for a trade and mark it cancelled
+     */
+    static async rollbackTrade(trade, reason) {
+        const { DatabaseManager } = await import('../../database/DatabaseManager.js');
+
+        await EscrowService.refundReference(trade.id, reason);
+        await DatabaseManager.updateTrade(trade.id, {
+            status: this.TRADE_STATUS.CANCELLED,
+            cancelledAt: new Date(),
+            cancelReason: reason
+        });
+
+        auditLogger.log('TRADE', `Trade ${trade.id} rolled back`, 'trade_rolled_back', {
+            tradeId: trade.id,
+            creatorId: trade.creatorId,
+            acceptorId: trade.acceptorId,
+            reason
+        });
+    }
+
     /**
      * Utility methods
      */
@@ -525,10 +1069,67 @@ export class P2PTradeHandler {
                (offerData.requesting.items?.length > 0 || offerData.requesting.currency);
     }
 
-    static validatePlayerHasItems(playerData, requestedItems) {
-        // This would check if player has the requested items
-        // Implementation would depend on inventory structure
-        return true; // Placeholder
+    static getTradeType(offering, requesting) {
+        const hasItems = assets => (assets.items || []).length > 0;
+        const hasCurrency = assets => Object.keys(EscrowService.normalizeCurrency(assets.currency)).length > 0;
+
+        if (hasItems(offering) && hasItems(requesting) && !hasCurrency(offering) && !hasCurrency(requesting)) {
+            return this.TRADE_TYPES.ITEM_FOR_ITEM;
+        }
+        if (hasItems(offering) && !hasCurrency(offering) && hasCurrency(requesting) && !hasItems(requesting)) {
+            return this.TRADE_TYPES.ITEM_FOR_CURRENCY;
+        }
+        if (hasCurrency(offering) && !hasItems(offering) && hasItems(requesting) && !hasCurrency(requesting)) {
+            return this.TRADE_TYPES.CURRENCY_FOR_ITEM;
+        }
+        return this.TRADE_TYPES.MIXED;
+    }
+
+    static isOpen(trade) {
+        return trade.status === this.TRADE_STATUS.PENDING || trade.status === this.TRADE_STATUS.NEGOTIATING;
+    }
+
+    static getLatestVersion(trade) {
+        return trade.history?.[trade.history.length - 1] || {
+            version: 1,
+            proposedBy: trade.creatorId,
+            offering: trade.offering,
+            requesting: trade.requesting
+        };
+    }
+
+    /**
+     * Order-independent key for comparing two sets of trade assets
+     */
+    static getAssetsKey(assets = {}) {
+        const currency = Object.entries(EscrowService.normalizeCurrency(assets.currency)).sort();
+        const items = (assets.items || [])
+            .map(item => [item.id, item.quantity || 1])
+            .sort();
+        return JSON.stringify({ currency, items });
+    }
+
+    /**
+     * Parse gold and "id x2, id" item text from the create and counter-offer modals
+     */
+    static parseAssetsInput(goldInput, itemsInput) {
+        const assets = { items: [] };
+
+        const gold = parseInt(goldInput, 10);
+        if (gold > 0) {
+            assets.currency = { gold };
+        }
+
+        (itemsInput || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(.+?)(?:\s*x\s*(\d+))?$/i);
+            assets.items.push({ id: match[1], name: match[1], quantity: parseInt(match[2], 10) || 1 });
+        });
+
+        return assets;
+    }
+
+    static async validatePlayerHasItems(playerId, requestedItems) {
+        return EscrowService.canAfford(playerId, requestedItems);
     }
 
     static formatTradeItems(items) {
@@ -583,14 +1184,42 @@ export class P2PTradeHandler {
         return '⭐ Poor';
     }
 
-    static async moveItemsToEscrow(playerId, items) {
-        // Implementation would move items from player inventory to escrow
-        logger.info(`Moving items to escrow for player ${playerId}`);
+    static async moveItemsToEscrow(playerId, items, tradeId) {
+        return EscrowService.lock(playerId, items, { referenceId: tradeId, referenceType: 'trade' });
+    }
+
+    /**
+     * Release an escrow to its new owner minus the marketplace fee on its currency
+     * Returns the fee taken per currency
+     */
+    static async transferItemsFromEscrow(trade, escrow, toPlayerId) {
+        const { PlayerMarketHandler } = await import('../marketplace/PlayerMarketHandler.js');
+        const fees = {};
+        for (const [currencyType, amount] of Object.entries(escrow.currency || {})) {
+            if (amount > 0) fees[currencyType] = PlayerMarketHandler.calculateFee(amount);
+        }
+
+        const released = await EscrowService.release(escrow.escrowId, toPlayerId, 'trade_completed', null, fees);
+        if (!released) {
+            throw new Error(`Escrow ${escrow.escrowId} was already settled`);
+        }
+
+        await this.collectCurrencyFees(trade, fees);
+        return fees;
     }
 
-    static async transferItemsFromEscrow(fromPlayerId, toPlayerId, items) {
-        // Implementation would transfer items from escrow to player inventory
-        logger.info(`Transferring items from ${fromPlayerId} to ${toPlayerId}`);
+    /**
+     * Pay the fees kept back from a trade's escrows into the trade's server treasury
+     */
+    static async collectCurrencyFees(trade, fees) {
+        for (const [currencyType, fee] of Object.entries(fees)) {
+            if (fee <= 0) continue;
+
+            await TreasuryService.collectFee(trade.guildId, currencyType, fee, {
+                source: 'trade',
+                referenceId: trade.id
+            });
+        }
     }
 
     static async updateTradeStats(playerId, action) {
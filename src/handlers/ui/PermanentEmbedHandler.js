@@ -295,9 +295,15 @@ export class PermanentEmbedHandler {
                     .setValue('player_chests')
             ]);
 
+        const treasuryButton = new ButtonBuilder()
+            .setCustomId('permanent_marketplace_treasury')
+            .setLabel('🏦 Treasury')
+            .setStyle(ButtonStyle.Secondary);
+
         const row = new ActionRowBuilder().addComponents(selectMenu);
+        const adminRow = new ActionRowBuilder().addComponents(treasuryButton);
 
-        return { embed, components: [row] };
+        return { embed, components: [row, adminRow] };
     }
 
     /**
@@ -360,14 +366,15 @@ export class PermanentEmbedHandler {
                 '• 50/50 chance to double your bet\n' +
                 '• Available in all divisions\n' +
                 '• Quick and simple gambling\n\n' +
-                '🎲 **Dice Games**: Coming Soon!\n' +
-                '• Various dice betting options\n' +
-                '• Multiple payout ratios\n' +
-                '• Tournament modes\n\n' +
-                '🃏 **Card Games**: Coming Soon!\n' +
-                '• Blackjack variations\n' +
-                '• Poker tournaments\n' +
-                '• Player vs player modes\n\n' +
+                '🎲 **Dice**: Roll under your target\n' +
+                '• Pick your odds from 10% to 90%\n' +
+                '• Lower odds pay bigger multipliers\n\n' +
+                '🃏 **High-Low**: Call the next card\n' +
+                '• Every correct call grows your multiplier\n' +
+                '• Cash out before your streak breaks\n\n' +
+                '🎰 **Slots**: Spin three reels\n' +
+                '• Three of a kind pays the most\n\n' +
+                '🔐 Every game is provably fair and uses your division\'s currency\n\n' +
                 '**⚠️ Gamble responsibly! Set limits and have fun!**'
             )
             .setColor(0xffd700)
@@ -381,24 +388,33 @@ export class PermanentEmbedHandler {
 
         const diceButton = new ButtonBuilder()
             .setCustomId('permanent_dice_games')
-            .setLabel('🎲 Dice Games')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true); // Coming soon
+            .setLabel('🎲 Dice')
+            .setStyle(ButtonStyle.Primary);
 
         const cardButton = new ButtonBuilder()
             .setCustomId('permanent_card_games')
-            .setLabel('🃏 Card Games')
-            .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true);
+            .setLabel('🃏 High-Low')
+            .setStyle(ButtonStyle.Primary);
+
+        const slotsButton = new ButtonBuilder()
+            .setCustomId('permanent_slots')
+            .setLabel('🎰 Slots')
+            .setStyle(ButtonStyle.Primary);
 
         const leaderboardButton = new ButtonBuilder()
             .setCustomId('permanent_casino_leaderboard')
             .setLabel('🏆 Leaderboard')
             .setStyle(ButtonStyle.Secondary);
 
-        const row = new ActionRowBuilder().addComponents(coinFlipButton, diceButton, cardButton, leaderboardButton);
+        const settingsButton = new ButtonBuilder()
+            .setCustomId('permanent_casino_settings')
+            .setLabel('⚙️ Casino Settings')
+            .setStyle(ButtonStyle.Secondary);
 
-        return { embed, components: [row] };
+        const row = new ActionRowBuilder().addComponents(coinFlipButton, diceButton, cardButton, slotsButton);
+        const adminRow = new ActionRowBuilder().addComponents(leaderboardButton, settingsButton);
+
+        return { embed, components: [row, adminRow] };
     }
 
     /**
@@ -761,6 +777,20 @@ export class PermanentEmbedHandler {
                     threadTitle = `🪙 ${interaction.user.username}'s Coin Flip`;
                     break;
 
+                case 'dice':
+                case 'highlow':
+                case 'slots': {
+                    const { CASINO_GAMES } = await import('../../data/casinoData.js');
+                    const game = CASINO_GAMES[selectedValue];
+                    responseData = {
+                        content: `${game.emoji} **Starting ${game.name}...**\n\nPreparing your table.`,
+                        embeds: [],
+                        components: []
+                    };
+                    threadTitle = `${game.emoji} ${interaction.user.username}'s ${game.name}`;
+                    break;
+                }
+
                 case 'casino_leaderboard':
                     responseData = {
                         content: '🏆 **Loading Casino Leaderboard...**\n\nShowing top gamblers and biggest wins.',
@@ -953,8 +983,21 @@ export class PermanentEmbedHandler {
                         channel: thread
                     };
 
-                    await MarketplaceHandler.showCoinflipDivisionSelection(threadWrapper);
+                    await MarketplaceHandler.handleCoinflipStart(threadWrapper);
+                    break;
+
+                case 'dice':
+                case 'highlow':
+                case 'slots': {
+                    const { CasinoHandler } = await import('../marketplace/CasinoHandler.js');
+                    await CasinoHandler.showDivisionSelect({
+                        reply: async (options) => await thread.send(options),
+                        update: async (options) => await thread.send(options),
+                        user: user,
+                        channel: thread
+                    }, feature);
                     break;
+                }
                     
                 default:
                     await thread.send('🎰 **Casino Feature Coming Soon!**\n\nThis feature is under development.');
@@ -0,0 +1,307 @@
+import { DatabaseManager } from '../database/DatabaseManager.js';
+import { logger } from '../utils/logger.js';
+import { auditLogger } from '../utils/auditLogger.js';
+
+const INVENTORY_CATEGORIES = ['weapons', 'armor', 'consumables', 'special', 'materials', 'shards', 'scrolls'];
+
+// Times an inventory change is retried when another write lands between the read and the write
+const MAX_INVENTORY_ATTEMPTS = 5;
+
+/**
+ * EscrowService - Holds currency and items on behalf of players until a deal settles.
+ * Assets are debited when locked and can only leave escrow once, either released
+ * to a recipient or refunded to the owner.
+ *
+ * Assets use the shape { currency: { gold: 100 }, items: [{ id: 'sword', quantity: 1 }] }
+ */
+export class EscrowService {
+    static STATUS = {
+        HELD: 'held',
+        RELEASED: 'released',
+        REFUNDED: 'refunded'
+    };
+
+    /**
+     * Check whether a player currently owns the given assets.
+     */
+    static async canAfford(playerId, assets) {
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        if (!playerData) return false;
+
+        const economy = playerData.economy || {};
+        for (const [currencyType, amount] of Object.entries(assets.currency || {})) {
+            if ((economy[currencyType] || 0) < amount) {
+                return false;
+            }
+        }
+
+        for (const { id, quantity = 1 } of assets.items || []) {
+            if (this.countItem(playerData.inventory, id) < quantity) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Debit assets from a player and hold them in a new escrow record.
+     */
+    static async lock(playerId, assets, { referenceId, referenceType }) {
+        const currency = this.normalizeCurrency(assets.currency);
+
+        if (Object.keys(currency).length > 0) {
+            const debited = await DatabaseManager.debitPlayerEconomy(playerId, currency);
+            if (!debited) {
+                throw new Error('Insufficient funds');
+            }
+        }
+
+        let heldItems = [];
+        try {
+            heldItems = await this.takeItems(playerId, assets.items || []);
+        } catch (error) {
+            // Give back the currency taken above before surfacing the error
+            if (Object.keys(currency).length > 0) {
+                await DatabaseManager.creditPlayerEconomy(playerId, currency);
+            }
+            throw error;
+        }
+
+        const escrow = {
+            escrowId: this.generateEscrowId(),
+            referenceId,
+            referenceType,
+            ownerId: playerId,
+            currency,
+            items: heldItems,
+            status: this.STATUS.HELD
+        };
+
+        await DatabaseManager.createEscrow(escrow);
+
+        auditLogger.log('ESCROW', `Escrow ${escrow.escrowId} locked for ${playerId}`, 'escrow_locked', {
+            escrowId: escrow.escrowId,
+            referenceId,
+            referenceType,
+            currency,
+            items: heldItems.map(held => held.item.id)
+        });
+
+        return escrow;
+    }
+
+    /**
+     * Pay a held escrow out to a recipient.
+     * When a currency payout is given, only that much goes to the recipient and the
+     * remaining currency returns to the owner.
+     * A fee is kept back from the recipient's share for the caller to pay into a treasury.
+     */
+    static async release(escrowId, recipientId, reason = 'settled', payout = null, fee = null) {
+        const escrow = await DatabaseManager.transitionEscrow(escrowId, this.STATUS.HELD, this.STATUS.RELEASED, {
+            recipientId,
+            reason,
+            payout,
+            fee,
+            settledAt: new Date()
+        });
+
+        if (!escrow) {
+            logger.warn(`Escrow ${escrowId} is not held - skipping release`);
+            return null;
+        }
+
+        if (payout || fee) {
+            const paid = {};
+            const remainder = {};
+            for (const [currencyType, amount] of Object.entries(escrow.currency || {})) {
+                const share = payout ? Math.min(amount, payout[currencyType] || 0) : amount;
+                paid[currencyType] = share - Math.min(share, fee?.[currencyType] || 0);
+                remainder[currencyType] = amount - share;
+            }
+            await this.deliver(recipientId, { ...escrow, currency: this.normalizeCurrency(paid) });
+            await this.deliver(escrow.ownerId, { currency: this.normalizeCurrency(remainder) });
+        } else {
+            await this.deliver(recipientId, escrow);
+        }
+
+        auditLogger.log('ESCROW', `Escrow ${escrowId} released to ${recipientId}`, 'escrow_released', {
+            escrowId,
+            referenceId: escrow.referenceId,
+            ownerId: escrow.ownerId,
+            recipientId,
+            payout,
+            fee,
+            reason
+        });
+
+        return escrow;
+    }
+
+    /**
+     * Return a held escrow to its owner.
+     */
+    static async refund(escrowId, reason = 'cancelled') {
+        const escrow = await DatabaseManager.transitionEscrow(escrowId, this.STATUS.HELD, this.STATUS.REFUNDED, {
+            reason,
+            settledAt: new Date()
+        });
+
+        if (!escrow) {
+            logger.warn(`Escrow ${escrowId} is not held - skipping refund`);
+            return null;
+        }
+
+        await this.deliver(escrow.ownerId, escrow);
+
+        auditLogger.log('ESCROW', `Escrow ${escrowId} refunded to ${escrow.ownerId}`, 'escrow_refunded', {
+            escrowId,
+            referenceId: escrow.referenceId,
+            ownerId: escrow.ownerId,
+            reason
+        });
+
+        return escrow;
+    }
+
+    /**
+     * Release every escrow held for a reference to one recipient.
+     */
+    static async releaseReference(referenceId, recipientId, reason = 'settled') {
+        const held = await DatabaseManager.getEscrowsByReference(referenceId, this.STATUS.HELD);
+        const released = [];
+        for (const escrow of held) {
+            const result = await this.release(escrow.escrowId, recipientId, reason);
+            if (result) released.push(result);
+        }
+        return released;
+    }
+
+    /**
+     * Refund every escrow held for a reference to its owner.
+     */
+    static async refundReference(referenceId, reason = 'cancelled') {
+        const held = await DatabaseManager.getEscrowsByReference(referenceId, this.STATUS.HELD);
+        const refunded = [];
+        for (const escrow of held) {
+            const result = await this.refund(escrow.escrowId, reason);
+            if (result) refunded.push(result);
+        }
+        return refunded;
+    }
+
+    /**
+     * Remove item objects from a player's inventory, keeping their category.
+     * Concurrent escrows of the same item cannot both take it - the losing write re-reads and re-checks.
+     */
+    static async takeItems(playerId, items) {
+        if (items.length === 0) return [];
+
+        return await this.modifyInventory(playerId, inventory => {
+            for (const { id, quantity = 1 } of items) {
+                if (this.countItem(inventory, id) < quantity) {
+                    throw new Error(`Not enough ${id} in inventory`);
+                }
+            }
+
+            const taken = [];
+            for (const { id, quantity = 1 } of items) {
+                let remaining = quantity;
+                for (const category of INVENTORY_CATEGORIES) {
+                    const list = inventory[category] || [];
+                    for (let i = list.length - 1; i >= 0 && remaining > 0; i--) {
+                        if (list[i].id === id) {
+                            taken.push({ category, item: list.splice(i, 1)[0] });
+                            remaining--;
+                        }
+                    }
+                }
+            }
+            return taken;
+        });
+    }
+
+    /**
+     * Credit an escrow's currency and items to a player.
+     */
+    static async deliver(playerId, escrow) {
+        if (Object.keys(escrow.currency || {}).length > 0) {
+            await DatabaseManager.creditPlayerEconomy(playerId, escrow.currency);
+        }
+
+        if ((escrow.items || []).length > 0) {
+            await this.modifyInventory(playerId, inventory => {
+                for (const { category, item } of escrow.items) {
+                    inventory[category] = inventory[category] || [];
+                    inventory[category].push(item);
+                }
+            });
+        }
+    }
+
+    /**
+     * Apply a change to a copy of a player's inventory and save it only if the inventory
+     * is still at the version that was read, retrying from a fresh read otherwise.
+     * Returns whatever the change returns.
+     */
+    static async modifyInventory(playerId, change) {
+        for (let attempt = 0; attempt < MAX_INVENTORY_ATTEMPTS; attempt++) {
+            const playerData = await DatabaseManager.getPlayer(playerId);
+            const inventory = structuredClone(playerData?.inventory || {});
+            const result = change(inventory);
+
+            // A brand new player has nothing to race with
+            if (!playerData) {
+                await DatabaseManager.updatePlayerInventory(playerId, inventory);
+                return result;
+            }
+
+            if (await DatabaseManager.updatePlayerInventoryIfUnchanged(playerId, inventory, playerData.inventoryVersion ?? null)) {
+                return result;
+            }
+            logger.debug(`Inventory for ${playerId} changed during an escrow update, retrying`);
+        }
+
+        throw new Error('Your inventory is changing too quickly, please try again');
+    }
+
+    /**
+     * Find the first copy of an item in a player's inventory along with its category.
+     */
+    static findItem(inventory, itemId) {
+        if (!inventory) return null;
+        for (const category of INVENTORY_CATEGORIES) {
+            const item = (inventory[category] || []).find(entry => entry.id === itemId);
+            if (item) {
+                return { category, item };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Count how many copies of an item a player holds.
+     */
+    static countItem(inventory, itemId) {
+        if (!inventory) return 0;
+        return INVENTORY_CATEGORIES.reduce((count, category) =>
+            count + (inventory[category] || []).filter(item => item.id === itemId).length, 0);
+    }
+
+    /**
+     * Drop zero and invalid amounts from a currency map.
+     */
+    static normalizeCurrency(currency = {}) {
+        const normalized = {};
+        for (const [currencyType, amount] of Object.entries(currency)) {
+            if (Number.isFinite(amount) && amount > 0) {
+                normalized[currencyType] = amount;
+            }
+        }
+        return normalized;
+    }
+
+    static generateEscrowId() {
+        return `escrow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
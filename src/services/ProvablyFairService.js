@@ -0,0 +1,134 @@
+import { DatabaseManager } from '../database/DatabaseManager.js';
+import { auditLogger } from '../utils/auditLogger.js';
+import {
+    generateServerSeed,
+    generateClientSeed,
+    hashServerSeed,
+    generateFloats
+} from '../utils/provablyFair.js';
+
+/**
+ * ProvablyFairService - Per-player commit-reveal seed pairs for casino games.
+ * Each player has a secret server seed (only its hash is shown), a client seed they
+ * may choose, and a nonce that increases with every bet. Rotating the seed pair
+ * reveals the old server seed so every bet made with it can be verified.
+ */
+export class ProvablyFairService {
+    static MAX_CLIENT_SEED_LENGTH = 64;
+
+    // Tail of each player's queue of seed-state changes
+    static pending = new Map();
+
+    /**
+     * Load a player's seed state, creating a committed seed pair on first use.
+     */
+    static async getState(playerId) {
+        const playerData = await DatabaseManager.getPlayer(playerId);
+        if (playerData?.fairness?.serverSeed) {
+            return playerData.fairness;
+        }
+
+        const fairness = this.createSeedPair(generateClientSeed());
+        await DatabaseManager.updatePlayerFairness(playerId, fairness);
+        return fairness;
+    }
+
+    /**
+     * Public view of the active seed pair - never includes the server seed.
+     */
+    static async getCommitment(playerId) {
+        const state = await this.getState(playerId);
+        return {
+            serverSeedHash: state.serverSeedHash,
+            clientSeed: state.clientSeed,
+            nonce: state.nonce,
+            previous: state.previous || null
+        };
+    }
+
+    /**
+     * Roll floats for one bet and advance the nonce.
+     */
+    static async roll(playerId, count = 1) {
+        return this.withLock(playerId, async () => {
+            const state = await this.getState(playerId);
+            const floats = generateFloats(state.serverSeed, state.clientSeed, state.nonce, count);
+
+            await DatabaseManager.updatePlayerFairness(playerId, { ...state, nonce: state.nonce + 1 });
+
+            return {
+                floats,
+                serverSeedHash: state.serverSeedHash,
+                clientSeed: state.clientSeed,
+                nonce: state.nonce
+            };
+        });
+    }
+
+    /**
+     * Reveal the active server seed and commit to a new one.
+     * Changing the client seed always rotates too, so a seed can't be chosen against a known server seed.
+     */
+    static async rotateSeed(playerId, clientSeed = null) {
+        if (clientSeed !== null) {
+            clientSeed = clientSeed.trim();
+            if (!clientSeed || clientSeed.length > this.MAX_CLIENT_SEED_LENGTH) {
+                throw new Error(`Client seed must be 1-${this.MAX_CLIENT_SEED_LENGTH} characters`);
+            }
+        }
+
+        return this.withLock(playerId, async () => {
+            const state = await this.getState(playerId);
+            const revealed = {
+                serverSeed: state.serverSeed,
+                serverSeedHash: state.serverSeedHash,
+                clientSeed: state.clientSeed,
+                nonce: state.nonce
+            };
+
+            const fairness = { ...this.createSeedPair(clientSeed || state.clientSeed), previous: revealed };
+            await DatabaseManager.updatePlayerFairness(playerId, fairness);
+
+            auditLogger.log('CASINO', `Seed pair rotated for ${playerId}`, 'seed_rotated', {
+                playerId,
+                revealedServerSeed: revealed.serverSeed,
+                revealedServerSeedHash: revealed.serverSeedHash,
+                betsMade: revealed.nonce,
+                nextServerSeedHash: fairness.serverSeedHash
+            });
+
+            return { revealed, serverSeedHash: fairness.serverSeedHash, clientSeed: fairness.clientSeed };
+        });
+    }
+
+    /**
+     * Run seed-state changes for a player one at a time so two bets can never share a nonce.
+     */
+    static async withLock(playerId, task) {
+        const previous = this.pending.get(playerId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.pending.set(playerId, next);
+        try {
+            return await next;
+        } finally {
+            if (this.pending.get(playerId) === next) {
+                this.pending.delete(playerId);
+            }
+        }
+    }
+
+    /**
+     * Build a fresh seed pair starting at nonce 0.
+     */
+    static createSeedPair(clientSeed) {
+        const serverSeed = generateServerSeed();
+        return {
+            serverSeed,
+            serverSeedHash: hashServerSeed(serverSeed),
+            clientSeed,
+            nonce: 0,
+            createdAt: new Date()
+        };
+    }
+}
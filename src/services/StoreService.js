@@ -0,0 +1,118 @@
+import { DatabaseManager } from '../database/DatabaseManager.js';
+import { marketplaceDb } from '../database/MarketplaceDatabase.js';
+import { EscrowService } from './EscrowService.js';
+import { logger } from '../utils/logger.js';
+import { auditLogger } from '../utils/auditLogger.js';
+import {
+    getRefreshDate,
+    getStorePrice,
+    rollStoreSlots,
+    createStoreItem
+} from '../data/storeData.js';
+
+/**
+ * StoreService - The daily NPC store. Each division's slots are rolled once per
+ * store day and saved to store_inventory, so every player sees (and buys) the
+ * same items until the next refresh at 0 UTC. Rotating slots have a shared stock
+ * and a per-player cap that both reset with the refresh.
+ */
+export class StoreService {
+    /**
+     * Get a division's slots for today, rolling and saving them on first visit.
+     */
+    static async getDailyInventory(division, priceMultiplier = 1, date = new Date()) {
+        const refreshDate = getRefreshDate(date);
+        const existing = await marketplaceDb.getStoreInventory(division, refreshDate);
+        if (existing.length > 0) {
+            return existing;
+        }
+
+        const slots = rollStoreSlots(division).map(slot => ({
+            ...slot,
+            division,
+            refreshDate,
+            price: getStorePrice(slot.goldValue, priceMultiplier)
+        }));
+
+        await marketplaceDb.saveStoreInventory(slots);
+        marketplaceDb.updateSetting('last_store_refresh', refreshDate);
+        logger.info(`Rolled ${slots.length} store slots for the ${division} division on ${refreshDate}`);
+
+        return marketplaceDb.getStoreInventory(division, refreshDate);
+    }
+
+    /**
+     * How many of each slot a player has bought today, keyed by slot number.
+     */
+    static async getPlayerPurchases(playerId, division, refreshDate = getRefreshDate()) {
+        return marketplaceDb.getPlayerStorePurchases(playerId, division, refreshDate);
+    }
+
+    /**
+     * Buy one store slot. The refresh date the player browsed must still be current
+     * so a purchase never lands on a slot that rotated to a different item.
+     */
+    static async purchase(playerId, { division, currency, slotNumber, refreshDate }) {
+        if (refreshDate !== getRefreshDate()) {
+            throw new Error('The store has restocked since you opened it - please browse again');
+        }
+
+        const slot = await marketplaceDb.getStoreSlot(division, slotNumber, refreshDate);
+        const storeItem = slot && createStoreItem(slot.item_type, slot.item_id);
+        if (!storeItem) {
+            throw new Error('That item is no longer available');
+        }
+
+        // Reserve the unit before taking payment so stock and caps can't be oversold
+        const claim = await marketplaceDb.claimStoreSlot(division, slotNumber, refreshDate, playerId);
+        if (claim === 'sold_out') {
+            throw new Error(`${slot.item_name} is sold out until the next refresh`);
+        }
+        if (claim === 'limit_reached') {
+            throw new Error(`You can only buy ${slot.per_player_limit} ${slot.item_name} per day`);
+        }
+
+        const debited = await DatabaseManager.debitPlayerEconomy(playerId, { [currency]: slot.price });
+        if (!debited) {
+            await marketplaceDb.unclaimStoreSlot(division, slotNumber, refreshDate, playerId);
+            throw new Error(`Insufficient funds - you need ${slot.price} ${currency.toUpperCase()}`);
+        }
+
+        try {
+            await EscrowService.deliver(playerId, { items: [storeItem] });
+        } catch (error) {
+            logger.error(`Store delivery of ${slot.item_id} to ${playerId} failed, refunding:`, error);
+            await DatabaseManager.creditPlayerEconomy(playerId, { [currency]: slot.price });
+            await marketplaceDb.unclaimStoreSlot(division, slotNumber, refreshDate, playerId);
+            throw new Error(`${slot.item_name} could not be delivered - your ${currency.toUpperCase()} has been refunded`);
+        }
+
+        await marketplaceDb.recordTransaction({
+            type: 'store_buy',
+            sellerId: 'store',
+            buyerId: playerId,
+            itemDetails: {
+                itemId: slot.item_id,
+                itemName: slot.item_name,
+                itemType: slot.item_type,
+                rarity: slot.rarity,
+                division,
+                slotNumber,
+                refreshDate
+            },
+            currencyType: currency,
+            amount: slot.price
+        });
+
+        auditLogger.log('MARKETPLACE', `${playerId} bought ${slot.item_id} from the ${division} store`, 'store_purchase', {
+            playerId,
+            itemId: slot.item_id,
+            division,
+            slotNumber,
+            price: slot.price,
+            currency
+        });
+
+        return { slot, item: storeItem.item };
+    }
+}
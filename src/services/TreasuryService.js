@@ -0,0 +1,154 @@
+import { marketplaceDb } from '../database/MarketplaceDatabase.js';
+import { logger } from '../utils/logger.js';
+import { auditLogger } from '../utils/auditLogger.js';
+import { TREASURY_BUCKETS, DEFAULT_TREASURY_SPLIT, validateSplit, splitFee } from '../utils/treasury.js';
+
+/**
+ * TreasuryService - Accounts for every marketplace fee. Fees are credited to the
+ * server the deal was made on, per currency, and divided between burn, the server
+ * treasury and prize pools by the split the server owner configured. The ledger is
+ * append-only; draws are recorded as negative entries.
+ */
+export class TreasuryService {
+    // Ledger for fees on deals made before servers were recorded, or outside a server
+    static UNASSIGNED_GUILD = 'unassigned';
+
+    // Burned fees are gone for good and can't be drawn
+    static DRAWABLE_BUCKETS = ['treasury', 'prize_pool'];
+
+    /**
+     * Credit a collected fee to a server's ledger, divided by its split.
+     */
+    static async collectFee(guildId, currencyType, amount, { source, referenceId = null }) {
+        if (!Number.isInteger(amount) || amount <= 0) return null;
+
+        const ledgerGuild = guildId || this.UNASSIGNED_GUILD;
+        const shares = splitFee(amount, await this.getSplit(ledgerGuild));
+
+        await marketplaceDb.addTreasuryEntries(TREASURY_BUCKETS
+            .filter(bucket => shares[bucket] > 0)
+            .map(bucket => ({
+                guildId: ledgerGuild,
+                currencyType,
+                bucket,
+                amount: shares[bucket],
+                source,
+                referenceId
+            })));
+
+        auditLogger.log('MARKETPLACE', `${amount} ${currencyType} ${source} fee credited to the treasury of ${ledgerGuild}`, 'treasury_fee', {
+            guildId: ledgerGuild,
+            currencyType,
+            amount,
+            source,
+            referenceId,
+            shares
+        });
+
+        return shares;
+    }
+
+    /**
+     * Balances as { currency: { burn, treasury, prize_pool } }.
+     */
+    static async getBalances(guildId) {
+        const balances = {};
+        for (const row of await marketplaceDb.getTreasuryBalances(guildId)) {
+            balances[row.currency_type] = balances[row.currency_type] || { burn: 0, treasury: 0, prize_pool: 0 };
+            balances[row.currency_type][row.bucket] = row.balance;
+        }
+        return balances;
+    }
+
+    /**
+     * The server's split, or the default when the owner never set one.
+     */
+    static async getSplit(guildId) {
+        const row = await marketplaceDb.getTreasurySplit(guildId);
+        if (!row) return { ...DEFAULT_TREASURY_SPLIT };
+
+        return {
+            burn: row.burn_percent,
+            treasury: row.treasury_percent,
+            prize_pool: row.prize_pool_percent
+        };
+    }
+
+    /**
+     * Change how future fees are divided. Balances already collected stay where they are.
+     */
+    static async setSplit(guildId, split, updatedBy) {
+        const error = validateSplit(split);
+        if (error) {
+            throw new Error(error);
+        }
+
+        await marketplaceDb.setTreasurySplit(guildId, split, updatedBy);
+
+        auditLogger.log('MARKETPLACE', `Treasury split for ${guildId} set to ${split.burn}/${split.treasury}/${split.prize_pool} by ${updatedBy}`, 'treasury_split_updated', {
+            guildId,
+            split,
+            updatedBy
+        });
+    }
+
+    /**
+     * Take currency out of the treasury or prize pool, e.g. to fund quest rewards.
+     */
+    static async draw(guildId, bucket, currencyType, amount, { drawnBy, reason, referenceId = null }) {
+        if (!this.DRAWABLE_BUCKETS.includes(bucket)) {
+            throw new Error(`Can only draw from: ${this.DRAWABLE_BUCKETS.join(', ')}`);
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+            throw new Error('Amount must be a positive whole number');
+        }
+
+        const entryId = await marketplaceDb.withdrawTreasury(guildId, currencyType, bucket, amount, {
+            referenceId,
+            createdBy: drawnBy
+        });
+        if (!entryId) {
+            throw new Error(`The ${bucket.replace('_', ' ')} doesn't hold ${amount} ${currencyType}`);
+        }
+
+        logger.info(`${drawnBy} drew ${amount} ${currencyType} from the ${bucket} of ${guildId}`);
+        auditLogger.log('MARKETPLACE', `${amount} ${currencyType} drawn from the ${bucket} of ${guildId} by ${drawnBy}`, 'treasury_draw', {
+            guildId,
+            bucket,
+            currencyType,
+            amount,
+            drawnBy,
+            reason,
+            referenceId,
+            entryId
+        });
+
+        return entryId;
+    }
+
+    /**
+     * Put a draw back into the bucket it came from, e.g. when the quest it funded can't be updated.
+     */
+    static async returnDraw(guildId, bucket, currencyType, amount, { returnedBy, reason, referenceId = null }) {
+        await marketplaceDb.addTreasuryEntries([{
+            guildId,
+            currencyType,
+            bucket,
+            amount,
+            source: 'draw_return',
+            referenceId,
+            createdBy: returnedBy
+        }]);
+
+        logger.info(`${amount} ${currencyType} returned to the ${bucket} of ${guildId}`);
+        auditLogger.log('MARKETPLACE', `${amount} ${currencyType} returned to the ${bucket} of ${guildId}`, 'treasury_draw_returned', {
+            guildId,
+            bucket,
+            currencyType,
+            amount,
+            returnedBy,
+            reason,
+            referenceId
+        });
+    }
+}
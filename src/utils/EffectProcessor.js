@@ -1,8 +1,13 @@
 import { logger } from './logger.js';
 import { abilitiesData, calculateAbilityEffect } from '../data/abilitiesData.js';
 import { weaponsData } from '../data/weaponsData.js';
+import { spellsData } from '../data/spellsData.js';
 import { effects } from '../data/effectsData.js';
 import { calculateWeaponDamageScaling, calculateMonsterScalingFactor } from './floorScaling.js';
+import { getBattleRng } from './combatRng.js';
+import { calculateArmorRating, mitigateDamage } from './equipment.js';
+import { resolveDamageType, applyDamageType, formatDamageTypeMessage } from './elementalDamage.js';
+import { DEFAULT_DAMAGE_TYPE } from '../data/damageTypesData.js';
 
 /**
  * EffectProcessor - Centralized combat and effect processing system
@@ -12,8 +17,9 @@ export class EffectProcessor {
     
     /**
      * Process a complete combat turn with both player and monster actions
+     * Every roll comes from `random`, by default the battle's seeded generator
      */
-    static processCombatTurn(gameState, playerAction, monsterAction) {
+    static processCombatTurn(gameState, playerAction, monsterAction, random = getBattleRng(gameState.battle)) {
         const result = {
             playerDamage: 0,
             monsterDamage: 0,
@@ -38,7 +44,8 @@ export class EffectProcessor {
             playerAction, 
             gameState.player, 
             gameState.battle.currentMonster, 
-            gameState.currentFloor || 1
+            gameState.currentFloor || 1,
+            random
         );
 
         // Process monster action effects
@@ -46,7 +53,8 @@ export class EffectProcessor {
             monsterAction, 
             gameState.battle.currentMonster, 
             gameState.player, 
-            gameState.currentFloor || 1
+            gameState.currentFloor || 1,
+            random
         );
 
         // Apply simultaneous effects with counters and negations
@@ -64,21 +72,58 @@ export class EffectProcessor {
         return result;
     }
 
+    /**
+     * Apply a turn's result to the player and monster, capped at their max health and mana
+     */
+    static applyCombatResult(gameState, combatResult) {
+        const player = gameState.player;
+        const monster = gameState.battle.currentMonster;
+
+        player.currentHealth = Math.max(0, player.currentHealth - combatResult.playerDamage);
+        player.currentMana = Math.max(0, player.currentMana - combatResult.playerManaCost);
+
+        // Apply healing
+        if (combatResult.playerHealing > 0) {
+            player.currentHealth = Math.min(player.hero.health, player.currentHealth + combatResult.playerHealing);
+        }
+
+        // Apply mana restoration from effects
+        if (combatResult.playerManaRestore > 0) {
+            player.currentMana = Math.min(player.hero.mana, player.currentMana + combatResult.playerManaRestore);
+        }
+
+        if (!monster.currentHealth) monster.currentHealth = monster.health;
+        if (monster.currentMana === undefined) monster.currentMana = monster.mana;
+
+        monster.currentHealth = Math.max(0, monster.currentHealth - combatResult.monsterDamage);
+        monster.currentMana = Math.max(0, monster.currentMana - combatResult.monsterManaCost);
+
+        // Apply monster healing
+        if (combatResult.monsterHealing > 0) {
+            monster.currentHealth = Math.min(monster.health, monster.currentHealth + combatResult.monsterHealing);
+        }
+
+        // Apply monster mana restoration from effects
+        if (combatResult.monsterManaRestore > 0) {
+            monster.currentMana = Math.min(monster.mana, monster.currentMana + combatResult.monsterManaRestore);
+        }
+    }
+
     /**
      * Process a single action (weapon, ability, spell) and return effects
      */
-    static processAction(action, attacker, target, currentFloor) {
+    static processAction(action, attacker, target, currentFloor, random = Math.random) {
         const effects = [];
         
         switch (action.type) {
             case 'weapon':
-                effects.push(...this.processWeaponAction(action, attacker, target, currentFloor));
+                effects.push(...this.processWeaponAction(action, attacker, target, currentFloor, random));
                 break;
             case 'ability':
-                effects.push(...this.processAbilityAction(action, attacker, target, currentFloor));
+                effects.push(...this.processAbilityAction(action, attacker, target, currentFloor, random));
                 break;
             case 'spell':
-                effects.push(...this.processSpellAction(action, attacker, target, currentFloor));
+                effects.push(...this.processSpellAction(action, attacker, target, currentFloor, random));
                 break;
         }
 
@@ -88,7 +133,7 @@ export class EffectProcessor {
     /**
      * Process weapon action and return damage/effects
      */
-    static processWeaponAction(action, attacker, target, currentFloor) {
+    static processWeaponAction(action, attacker, target, currentFloor, random = Math.random) {
         const effects = [];
         const weaponData = weaponsData.find(w => w.id === action.value);
         
@@ -102,7 +147,7 @@ export class EffectProcessor {
             logger.info(`[WEAPON_DEBUG] Weapon ${weaponData.name} base damage: ${weaponData.damage}, calculated damage: ${damage}, floor: ${currentFloor}`);
             
             // Apply crit chance
-            const critRoll = Math.random() * 100;
+            const critRoll = random() * 100;
             const critChance = attacker.critChance || 0;
             
             if (critRoll < critChance) {
@@ -118,6 +163,7 @@ export class EffectProcessor {
                 type: 'damage',
                 amount: damage,
                 source: 'weapon',
+                damageType: resolveDamageType(weaponData.damageType, random),
                 weaponId: action.value,
                 weaponType: weaponData.weaponType || 'melee', // Add weapon type for counter checking
                 attacker: attacker,
@@ -155,6 +201,7 @@ export class EffectProcessor {
                 type: 'damage',
                 amount: 1,
                 source: 'weapon',
+                damageType: DEFAULT_DAMAGE_TYPE,
                 weaponType: 'melee', // Basic attacks are melee
                 attacker: attacker,
                 target: target
@@ -167,7 +214,7 @@ export class EffectProcessor {
     /**
      * Process ability action and return effects
      */
-    static processAbilityAction(action, attacker, target, currentFloor) {
+    static processAbilityAction(action, attacker, target, currentFloor, random = Math.random) {
         const effects = [];
         const ability = abilitiesData.find(a => a.id === action.value);
         
@@ -213,10 +260,12 @@ export class EffectProcessor {
                     });
                 }
 
-                // Convert ability effects to our format
+                // Convert ability effects to our format, damage dealing the ability's type
+                const damageType = resolveDamageType(ability.damageType, random);
                 abilityEffects.forEach(effect => {
                     effects.push({
                         ...effect,
+                        ...(effect.type === 'damage' && { damageType }),
                         source: 'ability',
                         abilityId: action.value,
                         attacker: attacker
@@ -234,244 +283,9 @@ export class EffectProcessor {
     /**
      * Process spell action and return effects
      */
-    static processSpellAction(action, attacker, target, currentFloor) {
+    static processSpellAction(action, attacker, target, currentFloor, random = Math.random) {
         const effects = [];
-        
-        // Spell definitions based on RULES.txt
-        const spellData = {
-            // Common Spells
-            'heal': { 
-                damage: 0, 
-                manaCost: 1, 
-                healing: 2, 
-                rarity: 'common',
-                description: 'Heals 2 health'
-            },
-            
-            // Uncommon Spells
-            'ancient_curse': { 
-                damage: 2, 
-                manaCost: 2, 
-                rarity: 'uncommon',
-                effects: [{ type: 'decay', chance: 30 }],
-                description: '30% chance of decay'
-            },
-            'frost_touch': { 
-                damage: 2, 
-                manaCost: 2, 
-                rarity: 'uncommon',
-                effects: [{ type: 'frozen', chance: 100 }],
-                description: 'Freezes enemy'
-            },
-            'blizzard': { 
-                damage: 2, 
-                manaCost: 4, 
-                rarity: 'uncommon',
-                effects: [{ type: 'frozen', chance: 100 }],
-                description: 'Freezes enemy'
-            },
-            
-            // Rare Spells
-            'soul_drain': { 
-                damage: 3, 
-                manaCost: 2, 
-                rarity: 'rare',
-                effects: [{ type: 'health_drain', chance: 50 }],
-                description: '50% chance of health drain'
-            },
-            'death_bolt': { 
-                damage: 3, 
-                manaCost: 2, 
-                rarity: 'rare',
-                description: 'Pure damage spell'
-            },
-            'war_cry': { 
-                damage: 3, 
-                manaCost: 2, 
-                rarity: 'rare',
-                effects: [{ type: 'enraged', chance: 100 }],
-                description: 'Enrages caster'
-            },
-            'wyverns_breath': { 
-                damage: 3, 
-                manaCost: 3, 
-                rarity: 'rare',
-                effects: [{ type: 'burning', chance: 100 }],
-                description: 'Burning effect'
-            },
-            'ground_stomp': { 
-                damage: 3, 
-                manaCost: 3, 
-                rarity: 'rare',
-                effects: [{ type: 'stunned', chance: 50 }],
-                description: '50% chance to stun'
-            },
-            'rage': { 
-                damage: 3, 
-                manaCost: 2, 
-                rarity: 'rare',
-                effects: [{ type: 'enraged', chance: 100 }],
-                description: 'Enrages caster'
-            },
-            
-            // Epic Spells
-            'firestorm': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'burning', chance: 100 }],
-                description: 'Burns enemy'
-            },
-            'healing_rain': { 
-                damage: 0, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'healing_rain', chance: 100 }],
-                description: 'Healing rain effect'
-            },
-            'mana_rain': { 
-                damage: 0, 
-                manaCost: 0, 
-                rarity: 'epic',
-                effects: [{ type: 'mana_rain', chance: 100 }],
-                description: 'Single use mana rain effect'
-            },
-            'sacrificial_unholiness': { 
-                damage: 3, 
-                manaCost: 0, 
-                healthCost: 3, 
-                rarity: 'epic',
-                description: 'Deals 3 damage to both caster and target'
-            },
-            'soul_harvest': { 
-                damage: 4, 
-                manaCost: 3, 
-                rarity: 'epic',
-                effects: [{ type: 'health_drain', chance: 60 }],
-                description: '60% chance of health drain'
-            },
-            'rising_flames': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'burning', chance: 60 }],
-                description: '60% chance to burn'
-            },
-            'lightning_strike': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'paralyzed', chance: 70 }],
-                description: '70% chance to paralyze'
-            },
-            'death_ray': { 
-                damage: 5, 
-                manaCost: 5, 
-                rarity: 'epic',
-                description: 'Pure damage spell'
-            },
-            'mind_blast': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'stunned', chance: 60 }],
-                description: '60% chance to stun'
-            },
-            'poison_cloud': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'poison', chance: 100 }],
-                description: 'Poisons enemy'
-            },
-            'acid_breath': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'poison', chance: 60 }],
-                description: '60% chance to poison'
-            },
-            'regeneration': { 
-                damage: 0, 
-                manaCost: 3, 
-                rarity: 'epic',
-                effects: [{ type: 'regeneration', chance: 100 }],
-                description: 'Healing effect'
-            },
-            'stone_gaze': { 
-                damage: 5, 
-                manaCost: 5, 
-                rarity: 'epic',
-                effects: [{ type: 'petrified', chance: 40 }],
-                description: '40% chance to petrify'
-            },
-            'petrifying_scream': { 
-                damage: 4, 
-                manaCost: 4, 
-                rarity: 'epic',
-                effects: [{ type: 'petrified', chance: 70 }],
-                description: '70% chance to petrify'
-            },
-            
-            // Legendary Spells
-            'black_dragons_breath': { 
-                damage: 5, 
-                manaCost: 10, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 100 }],
-                description: 'Burns enemy'
-            },
-            'infernal_breath': { 
-                damage: 5, 
-                manaCost: 7, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 80 }],
-                description: '80% chance to burn'
-            },
-            'whirlpool': { 
-                damage: 5, 
-                manaCost: 7, 
-                rarity: 'legendary',
-                effects: [{ type: 'paralyzed', chance: 40 }],
-                description: '40% chance to paralyze'
-            },
-            'ancient_flame': { 
-                damage: 5, 
-                manaCost: 8, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 70 }],
-                description: '70% chance to burn'
-            },
-            'dragons_roar': { 
-                damage: 5, 
-                manaCost: 7, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 60 }],
-                description: '60% chance to burn'
-            },
-            'fire_breath': { 
-                damage: 5, 
-                manaCost: 8, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 70 }],
-                description: '70% chance to burn'
-            },
-            'inferno': { 
-                damage: 8, 
-                manaCost: 9, 
-                rarity: 'legendary',
-                effects: [{ type: 'burning', chance: 80 }],
-                description: 'Deals 8 damage with 80% chance to burn'
-            },
-            'meteor_strike': { 
-                damage: 10, 
-                manaCost: 10, 
-                rarity: 'legendary',
-                description: 'Deals 10 damage to all enemies'
-            }
-        };
-        
-        const spell = spellData[action.value];
+        const spell = spellsData[action.value];
         
         if (spell) {
             // Add mana cost
@@ -499,6 +313,7 @@ export class EffectProcessor {
                     type: 'damage',
                     amount: spell.damage,
                     source: 'spell',
+                    damageType: resolveDamageType(spell.damageType, random),
                     spellId: action.value,
                     attacker: attacker,
                     target: target
@@ -521,7 +336,7 @@ export class EffectProcessor {
             if (spell.effects && spell.effects.length > 0) {
                 spell.effects.forEach(effectData => {
                     // Roll for effect chance
-                    const roll = Math.random() * 100;
+                    const roll = random() * 100;
                     if (roll < effectData.chance) {
                         const statusEffect = effects[effectData.type];
                         if (statusEffect) {
@@ -544,6 +359,7 @@ export class EffectProcessor {
                 type: 'damage',
                 amount: 2,
                 source: 'spell',
+                damageType: DEFAULT_DAMAGE_TYPE,
                 spellId: action.value,
                 attacker: attacker,
                 target: target
@@ -570,15 +386,15 @@ export class EffectProcessor {
                 logger.info(`[DAMAGE_DEBUG] Player damage effect: amount=${effect.amount}, source=${effect.source}, weaponType=${effect.weaponType}, weaponId=${effect.weaponId}, negated=${isNegated}`);
                 
                 if (!isNegated) {
-                    let damage = effect.amount;
+                    let damage = this.applyDamageTypeModifier(result, effect, gameState.battle.currentMonster);
                     
-                    // Apply armor reduction
-                    const armor = gameState.battle.currentMonster.armor || 0;
+                    // Apply armor mitigation
+                    const armor = calculateArmorRating(gameState.battle.currentMonster, gameState.currentFloor || 1);
                     if (!effect.ignoreArmor) {
-                        damage = Math.max(0, damage - armor);
+                        damage = mitigateDamage(damage, armor);
                     }
                     
-                    logger.info(`[DAMAGE_DEBUG] Final damage to monster: ${damage} (after armor reduction from ${armor})`);
+                    logger.info(`[DAMAGE_DEBUG] Final damage to monster: ${damage} (after armor mitigation from ${armor})`);
                     result.monsterDamage += damage;
                 } else {
                     logger.info(`[DAMAGE_DEBUG] Player attack was negated by monster counter ability`);
@@ -603,12 +419,12 @@ export class EffectProcessor {
                 logger.info(`[DAMAGE_DEBUG] Monster damage effect: amount=${effect.amount}, source=${effect.source}, weaponType=${effect.weaponType}, weaponId=${effect.weaponId}, negated=${isNegated}`);
                 
                 if (!isNegated) {
-                    let damage = effect.amount;
+                    let damage = this.applyDamageTypeModifier(result, effect, gameState.player);
                     
-                    // Apply armor reduction
-                    const armor = gameState.player.currentArmor || gameState.player.armor || 0;
+                    // Apply armor mitigation, including equipped armor and set bonuses
+                    const armor = calculateArmorRating(gameState.player, gameState.currentFloor || 1);
                     if (!effect.ignoreArmor) {
-                        damage = Math.max(0, damage - armor);
+                        damage = mitigateDamage(damage, armor);
                     }
                     
                     result.playerDamage += damage;
@@ -617,6 +433,8 @@ export class EffectProcessor {
                 }
             } else if (effect.type === 'mana_cost') {
                 result.monsterManaCost += effect.amount;
+            } else if (effect.type === 'self_damage') {
+                result.monsterDamage += effect.amount;
             } else if (effect.type === 'healing') {
                 result.monsterHealing += effect.amount;
             } else if (effect.type === 'critical_hit') {
@@ -656,6 +474,21 @@ export class EffectProcessor {
         });
     }
 
+    /**
+     * Apply the target's resistances and weaknesses to a damage effect, noting super effective and resisted hits
+     */
+    static applyDamageTypeModifier(result, effect, target) {
+        const damageType = effect.damageType || DEFAULT_DAMAGE_TYPE;
+        const { damage, outcome } = applyDamageType(effect.amount, damageType, target);
+
+        if (outcome) {
+            const targetName = target.hero?.name || target.name || 'Target';
+            result.messages.push(formatDamageTypeMessage(outcome, damageType, targetName));
+        }
+
+        return damage;
+    }
+
     /**
      * Get counter effects from action effects
      */
@@ -0,0 +1,81 @@
+/**
+ * Auction Bidding for Dungeonites Heroes Challenge
+ * Works out the visible price and leader when a bid meets the current leader's max bid (proxy bidding)
+ */
+
+// Each step is this share of the current price, but never less than the minimum
+export const BID_INCREMENT = { PERCENT: 0.05, MINIMUM: 1 };
+
+/**
+ * Size of the next step up from an amount
+ */
+function getBidIncrement(amount) {
+    return Math.max(BID_INCREMENT.MINIMUM, Math.ceil(amount * BID_INCREMENT.PERCENT));
+}
+
+/**
+ * Lowest bid an auction accepts - the starting bid, or one step above the price once someone leads
+ */
+function getMinimumBid(auction) {
+    return auction.highest_bidder_id ?
+        auction.current_bid + getBidIncrement(auction.current_bid) :
+        auction.starting_bid;
+}
+
+/**
+ * Resolve a bid from someone who is not leading against the auction's current leader
+ * Returns the auction update and the bid rows to record
+ */
+function resolveBid(auction, { bidderId, bidderUsername, amount, maxBid }) {
+    const previousLeader = auction.highest_bidder_id;
+    const leaderMax = auction.highest_max_bid || 0;
+
+    if (!previousLeader) {
+        return {
+            update: { currentBid: amount, highestBidderId: bidderId, highestBidderUsername: bidderUsername, highestMaxBid: maxBid },
+            bids: [{ bidderId, bidderUsername, amount, maxBid, status: 'active' }]
+        };
+    }
+
+    if (maxBid > leaderMax) {
+        // New max beats the leader's - price moves one step past the old max
+        const currentBid = Math.min(maxBid, Math.max(amount, leaderMax + getBidIncrement(leaderMax)));
+        const bids = [];
+        if (leaderMax > auction.current_bid) {
+            bids.push({ bidderId: previousLeader, bidderUsername: auction.highest_bidder_username, amount: leaderMax, isProxy: true, status: 'outbid' });
+        }
+        bids.push({ bidderId, bidderUsername, amount: currentBid, maxBid, status: 'active' });
+
+        return {
+            update: {
+                currentBid,
+                highestBidderId: bidderId,
+                highestBidderUsername: bidderUsername,
+                highestMaxBid: maxBid,
+                outbidBidderId: previousLeader
+            },
+            bids
+        };
+    }
+
+    // The leader's max holds - their proxy answers one step above this bid; ties go to the earlier bid
+    const currentBid = Math.min(leaderMax, maxBid + getBidIncrement(maxBid));
+    return {
+        update: {
+            currentBid,
+            highestBidderId: previousLeader,
+            highestBidderUsername: auction.highest_bidder_username,
+            highestMaxBid: leaderMax
+        },
+        bids: [
+            { bidderId, bidderUsername, amount: maxBid, maxBid, status: 'outbid' },
+            { bidderId: previousLeader, bidderUsername: auction.highest_bidder_username, amount: currentBid, isProxy: true, status: 'active' }
+        ]
+    };
+}
+
+export {
+    getBidIncrement,
+    getMinimumBid,
+    resolveBid
+};
@@ -0,0 +1,211 @@
+/**
+ * Balance Simulator for Dungeonites Heroes Challenge
+ * Fights heroes against monsters headlessly through the real combat rules,
+ * with no Discord client or database, and summarises the results
+ */
+import { EffectProcessor } from './EffectProcessor.js';
+import { initBattleRng, getBattleRng } from './combatRng.js';
+import { selectMonsterAction } from './monsterBehavior.js';
+import { abilitiesData } from '../data/abilitiesData.js';
+import { weaponsData } from '../data/weaponsData.js';
+
+// Battles still running after this many turns count as timeouts
+export const DEFAULT_MAX_TURNS = 100;
+
+/**
+ * Actions the hero could pick from the battle menu this turn
+ * Weapons are always available, abilities only when the hero has the mana
+ */
+function getPlayerActions(player) {
+    const actions = (player.hero.weapons || []).map(value => ({ type: 'weapon', value }));
+
+    (player.hero.abilities || []).forEach(abilityId => {
+        const ability = abilitiesData.find(a => a.id === abilityId);
+        if (ability && player.currentMana >= (ability.manaCost || 0)) {
+            actions.push({ type: 'ability', value: abilityId });
+        }
+    });
+
+    return actions;
+}
+
+/**
+ * Strongest weapon in a list of actions
+ */
+function strongestWeapon(actions) {
+    const damageOf = action => weaponsData.find(w => w.id === action.value)?.damage || 1;
+    return actions
+        .filter(action => action.type === 'weapon')
+        .reduce((best, action) => (!best || damageOf(action) > damageOf(best) ? action : best), null);
+}
+
+/**
+ * Player strategies - each gets { player, monster, actions, random } and returns one of the actions
+ */
+export const SIMULATION_STRATEGIES = {
+    // Picks anything on the menu
+    random: ({ actions, random }) => actions[Math.floor(random() * actions.length)],
+
+    // Always swings the hardest-hitting weapon
+    aggressive: ({ actions, random }) => strongestWeapon(actions) || SIMULATION_STRATEGIES.random({ actions, random }),
+
+    // Heals when hurt, otherwise attacks with the best weapon
+    cautious: ({ player, actions, random }) => {
+        const heal = actions.find(action => action.value === 'heal');
+        if (heal && player.currentHealth / player.hero.health < 0.4) {
+            return heal;
+        }
+        return SIMULATION_STRATEGIES.aggressive({ actions, random });
+    }
+};
+
+/**
+ * Fight one battle to the end
+ * The player dying first counts as a loss, like in BattleHandler
+ */
+function simulateBattle(hero, monster, floor, { strategy = SIMULATION_STRATEGIES.random, seed, maxTurns = DEFAULT_MAX_TURNS } = {}) {
+    const scaledMonster = EffectProcessor.scaleMonsterForFloor(monster, floor);
+    scaledMonster.currentHealth = scaledMonster.health;
+    scaledMonster.currentMana = scaledMonster.mana;
+
+    const gameState = {
+        currentFloor: floor,
+        player: {
+            hero: { ...hero },
+            currentHealth: hero.health,
+            currentMana: hero.mana,
+            currentArmor: hero.armor,
+            effects: []
+        },
+        battle: {
+            active: true,
+            currentMonster: scaledMonster,
+            turnNumber: 1,
+            playerLastMove: null,
+            monsterLastAction: null,
+            playerEffects: [],
+            monsterEffects: [],
+            playerDeathPreventionUsed: false,
+            monsterDeathPreventionUsed: false
+        }
+    };
+    initBattleRng(gameState.battle, seed);
+    const random = getBattleRng(gameState.battle);
+
+    let damageDealt = 0;
+    let damageTaken = 0;
+    let outcome = 'timeout';
+    let turns = 0;
+
+    while (turns < maxTurns) {
+        turns++;
+
+        const playerAction = strategy({
+            player: gameState.player,
+            monster: scaledMonster,
+            actions: getPlayerActions(gameState.player),
+            random
+        });
+        const monsterAction = selectMonsterAction(scaledMonster, gameState.battle, random);
+        gameState.battle.monsterLastAction = monsterAction;
+
+        const combatResult = EffectProcessor.processCombatTurn(gameState, playerAction, monsterAction, random);
+        gameState.battle.playerLastMove = playerAction;
+        EffectProcessor.applyCombatResult(gameState, combatResult);
+
+        damageDealt += combatResult.monsterDamage;
+        damageTaken += combatResult.playerDamage;
+
+        if (gameState.player.currentHealth <= 0) {
+            outcome = 'loss';
+            break;
+        }
+        if (scaledMonster.currentHealth <= 0) {
+            outcome = 'win';
+            break;
+        }
+        gameState.battle.turnNumber++;
+    }
+
+    return { outcome, turns, damageDealt, damageTaken, seed: gameState.battle.rngSeed };
+}
+
+/**
+ * Fight every hero against every monster on every floor
+ * Battle n of a run uses seed + n, so a run with the same seed reproduces exactly
+ */
+function runSimulation({ heroes, monsters, floors, battles = 100, strategy = SIMULATION_STRATEGIES.random, seed = 1, maxTurns = DEFAULT_MAX_TURNS }) {
+    const rows = [];
+    let battleNumber = 0;
+
+    for (const floor of floors) {
+        for (const hero of heroes) {
+            for (const monster of monsters) {
+                const totals = { win: 0, loss: 0, timeout: 0, turns: 0, damageDealt: 0, damageTaken: 0 };
+
+                for (let i = 0; i < battles; i++) {
+                    const result = simulateBattle(hero, monster, floor, { strategy, seed: seed + battleNumber++, maxTurns });
+                    totals[result.outcome]++;
+                    totals.turns += result.turns;
+                    totals.damageDealt += result.damageDealt;
+                    totals.damageTaken += result.damageTaken;
+                }
+
+                rows.push({
+                    floor,
+                    hero: hero.id,
+                    monster: monster.id,
+                    battles,
+                    winRate: totals.win / battles,
+                    timeoutRate: totals.timeout / battles,
+                    avgTurns: totals.turns / battles,
+                    damagePerTurn: totals.damageDealt / totals.turns,
+                    damageTakenPerTurn: totals.damageTaken / totals.turns
+                });
+            }
+        }
+    }
+
+    return rows;
+}
+
+const COLUMNS = [
+    { key: 'floor', label: 'Floor' },
+    { key: 'hero', label: 'Hero' },
+    { key: 'monster', label: 'Monster' },
+    { key: 'battles', label: 'Battles' },
+    { key: 'winRate', label: 'Win %', format: value => (value * 100).toFixed(1) },
+    { key: 'timeoutRate', label: 'Timeout %', format: value => (value * 100).toFixed(1) },
+    { key: 'avgTurns', label: 'Avg Turns', format: value => value.toFixed(2) },
+    { key: 'damagePerTurn', label: 'Dmg/Turn', format: value => value.toFixed(2) },
+    { key: 'damageTakenPerTurn', label: 'Taken/Turn', format: value => value.toFixed(2) }
+];
+
+const formatCell = (column, row) => (column.format ? column.format(row[column.key]) : String(row[column.key]));
+
+/**
+ * Render results as an aligned text table
+ */
+function formatTable(rows) {
+    const cells = [COLUMNS.map(column => column.label), ...rows.map(row => COLUMNS.map(column => formatCell(column, row)))];
+    const widths = COLUMNS.map((column, i) => Math.max(...cells.map(line => line[i].length)));
+
+    return cells
+        .map(line => line.map((cell, i) => (i < 3 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  '))
+        .join('\n');
+}
+
+/**
+ * Render results as CSV with raw (unrounded) numbers
+ */
+function formatCsv(rows) {
+    return [COLUMNS.map(column => column.key).join(','), ...rows.map(row => COLUMNS.map(column => row[column.key]).join(','))].join('\n');
+}
+
+export {
+    getPlayerActions,
+    simulateBattle,
+    runSimulation,
+    formatTable,
+    formatCsv
+};
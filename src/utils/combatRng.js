@@ -0,0 +1,72 @@
+/**
+ * Combat RNG for Dungeonites Heroes Challenge
+ * Seedable mulberry32 generator for crits, procs and monster choices. The seed and
+ * the generator state are kept on the battle, so a battle can be replayed roll for
+ * roll from its seed and the actions taken each turn
+ */
+
+import crypto from 'crypto';
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Generate a new 32-bit battle seed
+ */
+export function generateCombatSeed() {
+    return crypto.randomInt(0, UINT32_RANGE);
+}
+
+/**
+ * Advance a mulberry32 state by one roll
+ * Returns the float in [0, 1) and the state for the next roll
+ */
+export function nextRoll(state) {
+    const nextState = (state + 0x6D2B79F5) >>> 0;
+
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return {
+        value: ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE,
+        state: nextState
+    };
+}
+
+/**
+ * Create a standalone generator from a seed, for tests and simulations
+ */
+export function createCombatRng(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        const roll = nextRoll(state);
+        state = roll.state;
+        return roll.value;
+    };
+}
+
+/**
+ * Seed a battle's generator - the seed is kept so the battle can be replayed
+ */
+export function initBattleRng(battle, seed = generateCombatSeed()) {
+    battle.rngSeed = seed >>> 0;
+    battle.rngState = battle.rngSeed;
+    return battle.rngSeed;
+}
+
+/**
+ * Generator that rolls from, and advances, the state stored on the battle
+ * Battles started before seeding get a fresh seed on their first roll
+ */
+export function getBattleRng(battle) {
+    if (!Number.isInteger(battle.rngState)) {
+        initBattleRng(battle);
+    }
+
+    return () => {
+        const roll = nextRoll(battle.rngState);
+        battle.rngState = roll.state;
+        return roll.value;
+    };
+}
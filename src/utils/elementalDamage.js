@@ -0,0 +1,126 @@
+/**
+ * Elemental Damage for Dungeonites Heroes Challenge
+ * Resolves damage types and applies resistances and weaknesses from monsters
+ * and equipped armor
+ *
+ * A resisted hit deals half damage (at least 1), a hit against a weakness deals
+ * 50% more. Resisting and being weak to the same type cancel out.
+ */
+import {
+    DAMAGE_TYPES,
+    DEFAULT_DAMAGE_TYPE,
+    RANDOM_DAMAGE_TYPE,
+    ELEMENTAL_DAMAGE_TYPES,
+    WEAKNESS_MULTIPLIER,
+    RESISTANCE_MULTIPLIER
+} from '../data/damageTypesData.js';
+import { ARMOR_SLOTS, getArmorById } from '../data/armorData.js';
+import { getEquipment } from './equipment.js';
+
+/**
+ * Display info for a damage type, falling back to physical
+ */
+function getDamageTypeInfo(damageType) {
+    return DAMAGE_TYPES[damageType] || DAMAGE_TYPES[DEFAULT_DAMAGE_TYPE];
+}
+
+/**
+ * The damage type a hit actually deals - random types roll an element
+ */
+function resolveDamageType(damageType, random = Math.random) {
+    if (damageType === RANDOM_DAMAGE_TYPE) {
+        return ELEMENTAL_DAMAGE_TYPES[Math.floor(random() * ELEMENTAL_DAMAGE_TYPES.length)];
+    }
+    return DAMAGE_TYPES[damageType] ? damageType : DEFAULT_DAMAGE_TYPE;
+}
+
+/**
+ * Resistances and weaknesses of a player or monster
+ * Players get those of every equipped armor piece
+ */
+function getDefenses(combatant) {
+    const resistances = new Set(combatant.resistances || []);
+    const weaknesses = new Set(combatant.weaknesses || []);
+
+    if (combatant.hero) {
+        const equipment = getEquipment(combatant.hero);
+        ARMOR_SLOTS.forEach(slot => {
+            const armor = equipment[slot] && getArmorById(equipment[slot]);
+            (armor?.resistances || []).forEach(type => resistances.add(type));
+            (armor?.weaknesses || []).forEach(type => weaknesses.add(type));
+        });
+    }
+
+    return { resistances: [...resistances], weaknesses: [...weaknesses] };
+}
+
+/**
+ * How a damage type fares against a set of defenses
+ * Returns { multiplier, outcome } where outcome is 'super_effective', 'resisted' or null
+ */
+function getDamageTypeModifier(damageType, defenses) {
+    const resisted = defenses.resistances.includes(damageType);
+    const weak = defenses.weaknesses.includes(damageType);
+
+    if (weak && !resisted) {
+        return { multiplier: WEAKNESS_MULTIPLIER, outcome: 'super_effective' };
+    }
+    if (resisted && !weak) {
+        return { multiplier: RESISTANCE_MULTIPLIER, outcome: 'resisted' };
+    }
+    return { multiplier: 1, outcome: null };
+}
+
+/**
+ * Damage after the target's resistances and weaknesses - returns { damage, outcome }
+ */
+function applyDamageType(damage, damageType, target) {
+    const { multiplier, outcome } = getDamageTypeModifier(damageType, getDefenses(target));
+
+    if (damage <= 0 || multiplier === 1) {
+        return { damage, outcome: null };
+    }
+    if (multiplier > 1) {
+        return { damage: Math.ceil(damage * multiplier), outcome };
+    }
+    return { damage: Math.max(1, Math.floor(damage * multiplier)), outcome };
+}
+
+/**
+ * Battle message for a super effective or resisted hit
+ */
+function formatDamageTypeMessage(outcome, damageType, targetName) {
+    const { name, emoji } = getDamageTypeInfo(damageType);
+
+    if (outcome === 'super_effective') {
+        return `${emoji} ${name} is super effective against ${targetName}!`;
+    }
+    if (outcome === 'resisted') {
+        return `🛡️ ${targetName} resisted ${name} damage!`;
+    }
+    return null;
+}
+
+/**
+ * One-line summary of a combatant's weaknesses and resistances for battle screens
+ */
+function formatDefenses(combatant) {
+    const { resistances, weaknesses } = getDefenses(combatant);
+    const list = types => types.map(type => `${getDamageTypeInfo(type).emoji} ${getDamageTypeInfo(type).name}`).join(', ');
+    const parts = [];
+
+    if (weaknesses.length > 0) parts.push(`Weak to: ${list(weaknesses)}`);
+    if (resistances.length > 0) parts.push(`Resists: ${list(resistances)}`);
+
+    return parts.join(' | ');
+}
+
+export {
+    getDamageTypeInfo,
+    resolveDamageType,
+    getDefenses,
+    getDamageTypeModifier,
+    applyDamageType,
+    formatDamageTypeMessage,
+    formatDefenses
+};
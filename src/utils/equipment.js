@@ -0,0 +1,180 @@
+/**
+ * Equipment for Dungeonites Heroes Challenge
+ * One item per armor slot plus a main and off-hand weapon, armor set bonuses,
+ * and the armor mitigation formula used in combat
+ *
+ * Mitigation: armor blocks armor / (armor + 10) of each hit, at most 75%.
+ * A hit of 1 or more always deals at least 1 damage. Equipped armor and set
+ * bonuses scale with the floor like weapon damage (floorScaling).
+ */
+import { ARMOR_SLOTS, ARMOR_SETS, getArmorById } from '../data/armorData.js';
+import { calculateArmorScaling } from './floorScaling.js';
+
+export const WEAPON_SLOTS = ['mainHand', 'offHand'];
+export const EQUIPMENT_SLOTS = [...WEAPON_SLOTS, ...ARMOR_SLOTS];
+
+export const EQUIPMENT_SLOT_NAMES = {
+    mainHand: 'Main Hand',
+    offHand: 'Off Hand',
+    helmet: 'Helmet',
+    chest: 'Chest',
+    legs: 'Legs',
+    boots: 'Boots'
+};
+
+// Armor needed to block half of a hit
+export const ARMOR_MITIGATION_CONSTANT = 10;
+export const MAX_MITIGATION = 0.75;
+
+/**
+ * Empty equipment with every slot present
+ */
+function createEquipment() {
+    return Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, null]));
+}
+
+/**
+ * Keep the flat equippedWeapons / equippedArmor lists that menus read in step with the slots
+ */
+function syncEquippedLists(hero) {
+    hero.equippedWeapons = WEAPON_SLOTS.map(slot => hero.equipment[slot]).filter(Boolean);
+    hero.equippedArmor = ARMOR_SLOTS.map(slot => hero.equipment[slot]).filter(Boolean);
+}
+
+/**
+ * The hero's equipment, built from the legacy equipped lists the first time
+ */
+function getEquipment(hero) {
+    if (!hero.equipment) {
+        const equipment = createEquipment();
+
+        (hero.equippedWeapons || []).slice(0, WEAPON_SLOTS.length).forEach((weaponId, i) => {
+            equipment[WEAPON_SLOTS[i]] = weaponId;
+        });
+        (hero.equippedArmor || []).forEach(armorId => {
+            const armor = getArmorById(armorId);
+            if (armor && !equipment[armor.slot]) {
+                equipment[armor.slot] = armorId;
+            }
+        });
+
+        hero.equipment = equipment;
+        syncEquippedLists(hero);
+    }
+    return hero.equipment;
+}
+
+/**
+ * Equip a weapon or armor piece
+ * Weapons fill the main hand, then the off hand, then replace the off hand;
+ * armor replaces whatever is in its slot. Returns { slot, replaced }
+ */
+function equipItem(hero, itemType, itemId) {
+    const equipment = getEquipment(hero);
+    let slot;
+
+    if (itemType === 'weapon') {
+        slot = WEAPON_SLOTS.find(weaponSlot => !equipment[weaponSlot]) || 'offHand';
+    } else {
+        slot = getArmorById(itemId)?.slot;
+        if (!slot) {
+            throw new Error(`${itemId} doesn't fit any armor slot`);
+        }
+    }
+
+    const replaced = equipment[slot];
+    equipment[slot] = itemId;
+    syncEquippedLists(hero);
+
+    return { slot, replaced };
+}
+
+/**
+ * Unequip an item by id - returns the slot it was in, or null when it wasn't equipped
+ */
+function unequipItem(hero, itemId) {
+    const equipment = getEquipment(hero);
+    const slot = EQUIPMENT_SLOTS.find(equipmentSlot => equipment[equipmentSlot] === itemId) || null;
+
+    if (slot) {
+        equipment[slot] = null;
+        // The off-hand weapon moves up when the main hand is emptied
+        if (slot === 'mainHand' && equipment.offHand) {
+            equipment.mainHand = equipment.offHand;
+            equipment.offHand = null;
+        }
+        syncEquippedLists(hero);
+    }
+
+    return slot;
+}
+
+/**
+ * Set bonuses earned by the equipped armor - the highest tier reached per set
+ */
+function getActiveSetBonuses(equipment) {
+    const counts = {};
+    ARMOR_SLOTS.forEach(slot => {
+        const setId = equipment[slot] && getArmorById(equipment[slot])?.setId;
+        if (setId) {
+            counts[setId] = (counts[setId] || 0) + 1;
+        }
+    });
+
+    return Object.entries(counts)
+        .map(([setId, pieces]) => {
+            const tier = ARMOR_SETS[setId].tiers.filter(t => pieces >= t.pieces).pop();
+            return tier ? { setId, name: ARMOR_SETS[setId].name, pieces, armor: tier.armor } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Unscaled armor from equipped pieces and set bonuses
+ */
+function getEquipmentArmor(hero) {
+    const equipment = getEquipment(hero);
+    const pieces = ARMOR_SLOTS.reduce((sum, slot) => sum + (getArmorById(equipment[slot])?.armor || 0), 0);
+    const setBonus = getActiveSetBonuses(equipment).reduce((sum, bonus) => sum + bonus.armor, 0);
+
+    return { pieces, setBonus, total: pieces + setBonus };
+}
+
+/**
+ * Combat armor for a player or monster on a floor
+ * Base armor (already floor-scaled for monsters) plus floor-scaled equipment
+ */
+function calculateArmorRating(combatant, currentFloor = 1) {
+    const baseArmor = combatant.currentArmor || combatant.armor || 0;
+    if (!combatant.hero) return baseArmor;
+
+    return baseArmor + calculateArmorScaling(getEquipmentArmor(combatant.hero).total, currentFloor);
+}
+
+/**
+ * Share of a hit blocked by an armor rating
+ */
+function calculateMitigation(armor) {
+    if (armor <= 0) return 0;
+    return Math.min(MAX_MITIGATION, armor / (armor + ARMOR_MITIGATION_CONSTANT));
+}
+
+/**
+ * Damage left after armor
+ */
+function mitigateDamage(damage, armor) {
+    if (damage <= 0) return 0;
+    return Math.max(1, Math.round(damage * (1 - calculateMitigation(armor))));
+}
+
+export {
+    createEquipment,
+    getEquipment,
+    equipItem,
+    unequipItem,
+    getActiveSetBonuses,
+    getEquipmentArmor,
+    calculateArmorRating,
+    calculateMitigation,
+    mitigateDamage
+};
@@ -53,6 +53,14 @@ export function calculateWeaponDamageScaling(baseDamage, currentFloor) {
     return Math.ceil(baseDamage * (1 + scaleMultiplier));
 }
 
+/**
+ * Calculate armor scaling with floor cap
+ * Armor grows at the same rate as weapon damage so gear keeps its value on deep floors
+ */
+export function calculateArmorScaling(baseArmor, currentFloor) {
+    return calculateWeaponDamageScaling(baseArmor, currentFloor);
+}
+
 /**
  * Calculate gold reward scaling with floor cap
  * Gold rewards scale with floor progression but cap at floor 500
@@ -0,0 +1,151 @@
+/**
+ * Monster Behavior for Dungeonites Heroes Challenge
+ * Picks a monster's action from its behavior profile, its remaining health and
+ * mana, and the move the player made last turn
+ */
+import { MONSTER_BEHAVIORS } from '../data/monstersData.js';
+import { abilitiesData } from '../data/abilitiesData.js';
+import { spellsData } from '../data/spellsData.js';
+
+// Profile used for monsters that don't declare one
+export const DEFAULT_BEHAVIOR = 'aggressive';
+
+// Accepting Fate is only worth its mana when the monster is close to dying
+const DEATH_PREVENTION_BELOW = 0.35;
+
+/**
+ * Mana an action costs, as charged by EffectProcessor
+ * Weapons and special moves never spend mana in combat
+ */
+function getActionManaCost(action) {
+    if (action.type === 'ability') {
+        return abilitiesData.find(a => a.id === action.value)?.manaCost || 0;
+    }
+    if (action.type === 'spell') {
+        return spellsData[action.value]?.manaCost || 0;
+    }
+    return 0;
+}
+
+/**
+ * Whether a spell only heals the caster
+ */
+function isHealingSpell(spellId) {
+    const spell = spellsData[spellId];
+    return !!spell && spell.healing > 0 && !spell.damage;
+}
+
+/**
+ * How much more or less likely an action is, given the player's last move
+ * Counter and Dodge only stop weapons, Silence only stops spells
+ */
+function getReactionMultiplier(action, playerLastMove) {
+    if (!playerLastMove) return 1;
+
+    if (playerLastMove.type === 'spell') {
+        if (action.value === 'silence') return 3;
+    } else if (playerLastMove.type === 'weapon') {
+        if (action.value === 'counter' || action.value === 'dodge') return 2;
+    } else if (playerLastMove.type === 'ability') {
+        if (playerLastMove.value === 'counter' || playerLastMove.value === 'dodge') {
+            if (action.type === 'weapon') return 0.5;
+            if (action.type === 'spell') return 2;
+        } else if (playerLastMove.value === 'silence' && action.type === 'spell') {
+            return 0.5;
+        }
+    }
+
+    return 1;
+}
+
+/**
+ * Weight every action the monster can take this turn
+ * Returns [{ action, weight }] with unaffordable and pointless actions left out
+ */
+function getWeightedMonsterActions(monster, battle = {}) {
+    const profile = MONSTER_BEHAVIORS[monster.behavior] || MONSTER_BEHAVIORS[DEFAULT_BEHAVIOR];
+    const maxHealth = monster.health || 1;
+    const healthRatio = (monster.currentHealth ?? monster.health) / maxHealth;
+    const currentMana = monster.currentMana ?? monster.mana ?? 0;
+
+    const weights = profile.lowHealth && healthRatio < profile.lowHealth.below
+        ? profile.lowHealth.weights
+        : profile.weights;
+
+    const categories = {
+        weapon: (monster.weapons || []).map(value => ({ type: 'weapon', value })),
+        special: (monster.specialMoves || []).map(value => ({ type: 'weapon', value, special: true })),
+        ability: (monster.abilities || []).map(value => ({ type: 'ability', value })),
+        spell: (monster.spells || []).map(value => ({ type: 'spell', value }))
+    };
+
+    const lastMonsterMove = battle.monsterLastAction;
+    const weighted = [];
+
+    Object.entries(categories).forEach(([category, actions]) => {
+        const share = (weights[category] || 0) / (actions.length || 1);
+
+        actions.forEach(action => {
+            if (getActionManaCost(action) > currentMana) return;
+
+            let weight = share * getReactionMultiplier(action, battle.playerLastMove);
+
+            if (action.type === 'spell' && isHealingSpell(action.value)) {
+                if (healthRatio >= profile.healBelow) return;
+                // The lower the health, the more urgent the heal
+                weight *= 1 + (1 - healthRatio) * 2;
+            }
+
+            if (action.value === 'accepting_fate' &&
+                (healthRatio >= DEATH_PREVENTION_BELOW || battle.monsterDeathPreventionUsed)) {
+                return;
+            }
+
+            // Special moves can't be used twice in a row
+            if (action.special && lastMonsterMove?.special && lastMonsterMove.value === action.value) {
+                return;
+            }
+
+            if (weight > 0) {
+                weighted.push({ action, weight });
+            }
+        });
+    });
+
+    return weighted;
+}
+
+/**
+ * Choose the monster's action for this turn
+ * Falls back to a plain weapon attack when nothing else is possible
+ */
+function selectMonsterAction(monster, battle = {}, random = Math.random) {
+    const weighted = getWeightedMonsterActions(monster, battle);
+
+    if (weighted.length === 0) {
+        const weapons = monster.weapons || [];
+        if (weapons.length > 0) {
+            return { type: 'weapon', value: weapons[Math.floor(random() * weapons.length)] };
+        }
+        return { type: 'weapon', value: 'basic_attack' };
+    }
+
+    const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = random() * totalWeight;
+
+    for (const entry of weighted) {
+        roll -= entry.weight;
+        if (roll < 0) {
+            return { ...entry.action };
+        }
+    }
+
+    return { ...weighted[weighted.length - 1].action };
+}
+
+export {
+    getActionManaCost,
+    isHealingSpell,
+    getWeightedMonsterActions,
+    selectMonsterAction
+};
@@ -0,0 +1,102 @@
+/**
+ * Price History for Dungeonites Heroes Challenge
+ * Turns recorded marketplace sales into per-item price statistics
+ */
+
+// Transaction types where an item changed hands at a price
+export const MARKET_SALE_TYPES = ['sale', 'auction', 'buy_order', 'store_buy'];
+
+// Days covered by the average, volume, range and chart
+export const PRICE_HISTORY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPARKLINE_BARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+/**
+ * Parse a transaction_history timestamp - SQLite stores UTC as "YYYY-MM-DD HH:MM:SS"
+ */
+function parseSaleTime(createdAt) {
+    return new Date(`${createdAt.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP does, for range queries
+ */
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Summarize sales ({ amount, created_at }) into last sale, average, volume, range
+ * and one average per day for the chart (oldest first, null on days without sales)
+ */
+function summarizeSales(sales, now = new Date()) {
+    const timed = sales
+        .map(sale => ({ price: sale.amount, soldAt: parseSaleTime(sale.created_at) }))
+        .sort((a, b) => b.soldAt - a.soldAt);
+
+    const windowStart = now.getTime() - PRICE_HISTORY_DAYS * DAY_MS;
+    const recent = timed.filter(sale => sale.soldAt.getTime() >= windowStart);
+    const prices = recent.map(sale => sale.price);
+
+    const daily = Array.from({ length: PRICE_HISTORY_DAYS }, (_, index) => {
+        const dayStart = windowStart + index * DAY_MS;
+        const dayPrices = recent
+            .filter(sale => sale.soldAt.getTime() >= dayStart && sale.soldAt.getTime() < dayStart + DAY_MS)
+            .map(sale => sale.price);
+        return dayPrices.length > 0 ? Math.round(dayPrices.reduce((sum, price) => sum + price, 0) / dayPrices.length) : null;
+    });
+
+    return {
+        lastSale: timed[0] || null,
+        average: prices.length > 0 ? Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+        volume: prices.length,
+        min: prices.length > 0 ? Math.min(...prices) : null,
+        max: prices.length > 0 ? Math.max(...prices) : null,
+        daily
+    };
+}
+
+/**
+ * Suggested listing price - the median recent sale so one outlier can't drag it,
+ * falling back to the last sale, or null with no history
+ */
+function getSuggestedPrice(sales, now = new Date()) {
+    const windowStart = now.getTime() - PRICE_HISTORY_DAYS * DAY_MS;
+    const prices = sales
+        .filter(sale => parseSaleTime(sale.created_at).getTime() >= windowStart)
+        .map(sale => sale.amount)
+        .sort((a, b) => a - b);
+
+    if (prices.length === 0) {
+        return summarizeSales(sales, now).lastSale?.price ?? null;
+    }
+
+    const middle = Math.floor(prices.length / 2);
+    return prices.length % 2 === 1 ? prices[middle] : Math.round((prices[middle - 1] + prices[middle]) / 2);
+}
+
+/**
+ * Text chart of daily prices - days without sales show as a dot
+ */
+function formatSparkline(values) {
+    const known = values.filter(value => value !== null);
+    if (known.length === 0) return '';
+
+    const low = Math.min(...known);
+    const high = Math.max(...known);
+
+    return values.map(value => {
+        if (value === null) return '·';
+        if (high === low) return SPARKLINE_BARS[3];
+        return SPARKLINE_BARS[Math.round((value - low) / (high - low) * (SPARKLINE_BARS.length - 1))];
+    }).join('');
+}
+
+export {
+    parseSaleTime,
+    toSqlTimestamp,
+    summarizeSales,
+    getSuggestedPrice,
+    formatSparkline
+};
@@ -0,0 +1,79 @@
+/**
+ * Provably Fair Utility
+ * Commit-reveal rolls for casino games
+ * The server seed's SHA-256 hash is published before play; every roll is
+ * HMAC-SHA256(serverSeed, "clientSeed:nonce:round") so anyone holding the revealed
+ * server seed can recompute each result
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Bytes used per float - 4 bytes gives 2^32 evenly spaced outcomes
+ */
+const BYTES_PER_FLOAT = 4;
+
+/**
+ * Generate a new secret server seed
+ */
+export function generateServerSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Generate a default client seed for players who haven't chosen one
+ */
+export function generateClientSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Hash a server seed for publishing before it is used
+ */
+export function hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Derive floats in [0, 1) from a seed pair and nonce
+ * Each HMAC round yields 8 floats; further rounds are used when more are needed
+ */
+export function generateFloats(serverSeed, clientSeed, nonce, count = 1) {
+    const floats = [];
+
+    for (let round = 0; floats.length < count; round++) {
+        const bytes = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${round}`).digest();
+
+        for (let offset = 0; offset + BYTES_PER_FLOAT <= bytes.length && floats.length < count; offset += BYTES_PER_FLOAT) {
+            let float = 0;
+            for (let i = 0; i < BYTES_PER_FLOAT; i++) {
+                float += bytes[offset + i] / Math.pow(256, i + 1);
+            }
+            floats.push(float);
+        }
+    }
+
+    return floats;
+}
+
+/**
+ * Coinflip outcome for a roll
+ */
+export function coinflipResult(float) {
+    return float < 0.5 ? 'heads' : 'tails';
+}
+
+/**
+ * Recompute a coinflip and check the server seed against its published hash
+ */
+export function verifyCoinflip({ serverSeed, serverSeedHash = null, clientSeed, nonce }) {
+    const computedHash = hashServerSeed(serverSeed);
+    const [roll] = generateFloats(serverSeed, clientSeed, nonce);
+
+    return {
+        computedHash,
+        hashMatches: serverSeedHash ? computedHash === serverSeedHash.toLowerCase() : null,
+        roll,
+        result: coinflipResult(roll)
+    };
+}
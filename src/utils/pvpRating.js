@@ -0,0 +1,171 @@
+/**
+ * PvP Rating Utility
+ * Glicko-2 rating model for PvP matches
+ * Each match is treated as its own rating period, with rating deviation
+ * growing back while a player is inactive
+ */
+
+/**
+ * Default rating values for new players
+ */
+export const DEFAULT_RATING = 1000;
+export const DEFAULT_DEVIATION = 350;
+export const DEFAULT_VOLATILITY = 0.06;
+
+/**
+ * Lowest rating deviation a player can reach
+ * Keeps established ratings from freezing completely
+ */
+export const MIN_DEVIATION = 30;
+
+/**
+ * Inactivity period after which rating deviation grows by one step
+ */
+export const RATING_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Glicko-2 system constant - limits how quickly volatility changes
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+/**
+ * Fill in missing rating fields on a player's PvP stats
+ */
+export function getRatingState(pvpStats = {}) {
+    return {
+        rating: pvpStats.rating ?? DEFAULT_RATING,
+        ratingDeviation: pvpStats.ratingDeviation ?? DEFAULT_DEVIATION,
+        volatility: pvpStats.volatility ?? DEFAULT_VOLATILITY,
+        lastMatchAt: pvpStats.lastMatchAt || null
+    };
+}
+
+/**
+ * Grow rating deviation for every full rating period without a match
+ * Capped at the default deviation of a brand new player
+ */
+export function applyInactivity(state, now = Date.now()) {
+    if (!state.lastMatchAt) {
+        return { ...state };
+    }
+
+    const periods = Math.floor((now - new Date(state.lastMatchAt).getTime()) / RATING_PERIOD_MS);
+    if (periods <= 0) {
+        return { ...state };
+    }
+
+    const phi = state.ratingDeviation / SCALE;
+    const inflated = Math.sqrt(phi * phi + periods * state.volatility * state.volatility) * SCALE;
+
+    return {
+        ...state,
+        ratingDeviation: Math.min(DEFAULT_DEVIATION, inflated)
+    };
+}
+
+/**
+ * Expected score of a player against an opponent (0..1)
+ */
+export function expectedScore(player, opponent) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.ratingDeviation / SCALE;
+
+    return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * Rate a single match result
+ * score is 1 for a win, 0 for a loss and 0.5 for a draw
+ */
+export function rateMatch(player, opponent, score) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.ratingDeviation / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.ratingDeviation / SCALE;
+
+    const gPhi = g(opponentPhi);
+    const expected = 1 / (1 + Math.exp(-gPhi * (mu - opponentMu)));
+    const variance = 1 / (gPhi * gPhi * expected * (1 - expected));
+    const delta = variance * gPhi * (score - expected);
+
+    const volatility = updateVolatility(phi, player.volatility, variance, delta);
+
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+    return {
+        rating: Math.round(newMu * SCALE + DEFAULT_RATING),
+        ratingDeviation: Math.max(MIN_DEVIATION, Math.round(newPhi * SCALE * 100) / 100),
+        volatility: volatility
+    };
+}
+
+/**
+ * Rate both sides of a decided match
+ */
+export function rateDecidedMatch(winner, loser) {
+    return {
+        winner: rateMatch(winner, loser, 1),
+        loser: rateMatch(loser, winner, 0)
+    };
+}
+
+/**
+ * Soft reset used between ranked seasons
+ * Pulls ratings part of the way back to the default and reopens deviation
+ */
+export function softResetRating(state, { factor = 0.5, deviation = 200 } = {}) {
+    return {
+        ...state,
+        rating: Math.round(DEFAULT_RATING + (state.rating - DEFAULT_RATING) * factor),
+        ratingDeviation: Math.max(state.ratingDeviation, deviation)
+    };
+}
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Glicko-2 volatility iteration (Illinois algorithm)
+ */
+function updateVolatility(phi, sigma, variance, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const denominator = phi * phi + variance + ex;
+        return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denominator * denominator) -
+               (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+        B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) {
+            k++;
+        }
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
@@ -0,0 +1,46 @@
+/**
+ * Treasury Split for Dungeonites Heroes Challenge
+ * Divides collected marketplace fees between burn, the server treasury and prize pools
+ */
+
+// Where a server's share of each fee can go
+export const TREASURY_BUCKETS = ['burn', 'treasury', 'prize_pool'];
+
+// Split used until a server owner configures one - every fee goes to the treasury
+export const DEFAULT_TREASURY_SPLIT = { burn: 0, treasury: 100, prize_pool: 0 };
+
+/**
+ * Check a split is whole percentages for every bucket adding up to 100
+ * Returns an error message, or null when the split is valid
+ */
+function validateSplit(split) {
+    for (const bucket of TREASURY_BUCKETS) {
+        const percent = split[bucket];
+        if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+            return `${bucket} must be a whole percentage between 0 and 100`;
+        }
+    }
+
+    const total = TREASURY_BUCKETS.reduce((sum, bucket) => sum + split[bucket], 0);
+    return total === 100 ? null : `Percentages must add up to 100 (got ${total})`;
+}
+
+/**
+ * Divide a fee between the buckets - burn and prize pool round down
+ * and the treasury takes the remainder, so nothing is lost to rounding
+ */
+function splitFee(amount, split = DEFAULT_TREASURY_SPLIT) {
+    const burn = Math.floor(amount * split.burn / 100);
+    const prizePool = Math.floor(amount * split.prize_pool / 100);
+
+    return {
+        burn,
+        treasury: amount - burn - prizePool,
+        prize_pool: prizePool
+    };
+}
+
+export {
+    validateSplit,
+    splitFee
+};
@@ -0,0 +1,75 @@
+import assert from 'assert';
+import {
+    BID_INCREMENT,
+    getBidIncrement,
+    getMinimumBid,
+    resolveBid
+} from '../src/utils/auctionBidding.js';
+
+console.log('Running auction bidding tests');
+
+// Steps are 5% of the price rounded up, never below the minimum step
+assert.equal(BID_INCREMENT.PERCENT, 0.05);
+assert.equal(getBidIncrement(0), 1);
+assert.equal(getBidIncrement(10), 1);
+assert.equal(getBidIncrement(100), 5);
+assert.equal(getBidIncrement(101), 6);
+assert.equal(getBidIncrement(1000), 50);
+
+// The first bid needs the starting bid, later bids one step above the price
+const fresh = { starting_bid: 200, current_bid: 200, highest_bidder_id: null, highest_max_bid: null };
+assert.equal(getMinimumBid(fresh), 200);
+assert.equal(getMinimumBid({ ...fresh, highest_bidder_id: 'a', current_bid: 300 }), 315);
+
+// The first bidder leads at their bid and holds their full max
+let result = resolveBid(fresh, { bidderId: 'a', bidderUsername: 'A', amount: 200, maxBid: 1000 });
+assert.deepEqual(result.update, { currentBid: 200, highestBidderId: 'a', highestBidderUsername: 'A', highestMaxBid: 1000 });
+assert.deepEqual(result.bids, [{ bidderId: 'a', bidderUsername: 'A', amount: 200, maxBid: 1000, status: 'active' }]);
+
+const led = { starting_bid: 200, current_bid: 200, highest_bidder_id: 'a', highest_bidder_username: 'A', highest_max_bid: 1000 };
+
+// A lower max is answered by the leader's proxy one step above it
+result = resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 300, maxBid: 300 });
+assert.equal(result.update.highestBidderId, 'a');
+assert.equal(result.update.currentBid, 315);
+assert.equal(result.update.highestMaxBid, 1000);
+assert.equal(result.update.outbidBidderId, undefined);
+assert.deepEqual(result.bids.map(bid => [bid.bidderId, bid.amount, bid.status, !!bid.isProxy]), [
+    ['b', 300, 'outbid', false],
+    ['a', 315, 'active', true]
+]);
+
+// The proxy never answers above the leader's max
+result = resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 990, maxBid: 990 });
+assert.equal(result.update.highestBidderId, 'a');
+assert.equal(result.update.currentBid, 1000);
+
+// Matching the leader's max is a tie, which the earlier bid wins at their max
+result = resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 1000, maxBid: 1000 });
+assert.equal(result.update.highestBidderId, 'a');
+assert.equal(result.update.currentBid, 1000);
+
+// A higher max takes the lead one step past the old max and records the old leader's proxy as outbid
+result = resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 300, maxBid: 2000 });
+assert.deepEqual(result.update, {
+    currentBid: 1050,
+    highestBidderId: 'b',
+    highestBidderUsername: 'B',
+    highestMaxBid: 2000,
+    outbidBidderId: 'a'
+});
+assert.deepEqual(result.bids.map(bid => [bid.bidderId, bid.amount, bid.status, !!bid.isProxy]), [
+    ['a', 1000, 'outbid', true],
+    ['b', 1050, 'active', false]
+]);
+
+// ...but never past the new max, and never below the bid that was typed in
+assert.equal(resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 300, maxBid: 1010 }).update.currentBid, 1010);
+assert.equal(resolveBid(led, { bidderId: 'b', bidderUsername: 'B', amount: 1500, maxBid: 2000 }).update.currentBid, 1500);
+
+// No proxy row is recorded when the old leader's max was already the price
+result = resolveBid({ ...led, current_bid: 1000 }, { bidderId: 'b', bidderUsername: 'B', amount: 1050, maxBid: 1050 });
+assert.deepEqual(result.bids.map(bid => bid.bidderId), ['b']);
+assert.equal(result.update.currentBid, 1050);
+
+console.log('✅ All auction bidding tests passed');
@@ -0,0 +1,56 @@
+import assert from 'assert';
+import { logger } from '../src/utils/logger.js';
+import { getHeroById } from '../src/data/heroesData.js';
+import { getMonsterById } from '../src/data/monstersData.js';
+import {
+    SIMULATION_STRATEGIES,
+    getPlayerActions,
+    simulateBattle,
+    runSimulation,
+    formatTable,
+    formatCsv
+} from '../src/utils/balanceSimulator.js';
+
+console.log('Running balanceSimulator tests');
+logger.baseLogger.silent = true;
+
+const grim = getHeroById('grim_stonebeard');
+const rat = getMonsterById('rat');
+const dragon = getMonsterById('black_dragon');
+
+// The menu offers weapons always and abilities only with the mana for them
+const broke = getPlayerActions({ hero: grim, currentMana: 0 });
+assert.deepEqual(broke.map(action => action.value), ['hammer', 'sword']);
+assert.ok(getPlayerActions({ hero: grim, currentMana: 5 }).some(action => action.value === 'heal'));
+
+// Battles end in a result and replay exactly from their seed
+const battle = simulateBattle(grim, dragon, 20, { seed: 7 });
+assert.ok(['win', 'loss', 'timeout'].includes(battle.outcome));
+assert.deepEqual(simulateBattle(grim, dragon, 20, { seed: 7 }), battle);
+
+// One row per floor, hero and monster; the same seed gives the same run
+const options = { heroes: [grim], monsters: [rat, dragon], floors: [1, 100], battles: 10, seed: 3 };
+const rows = runSimulation(options);
+assert.equal(rows.length, 4);
+assert.deepEqual(runSimulation(options), rows);
+rows.forEach(row => {
+    assert.ok(row.winRate >= 0 && row.winRate <= 1);
+    assert.ok(row.avgTurns >= 1);
+});
+assert.equal(rows.find(row => row.floor === 1 && row.monster === 'rat').winRate, 1);
+
+// Custom strategies are called with the available actions
+let calls = 0;
+runSimulation({ ...options, floors: [1], monsters: [rat], strategy: context => {
+    calls++;
+    return SIMULATION_STRATEGIES.aggressive(context);
+} });
+assert.ok(calls >= 10);
+
+// Both output formats carry every row
+assert.equal(formatCsv(rows).split('\n').length, rows.length + 1);
+assert.match(formatCsv(rows), /^floor,hero,monster,battles,winRate/);
+assert.equal(formatTable(rows).split('\n').length, rows.length + 1);
+assert.match(formatTable(rows), /Win %/);
+
+console.log('✅ All balanceSimulator tests passed');
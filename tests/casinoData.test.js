@@ -0,0 +1,70 @@
+import assert from 'assert';
+import {
+    DICE_CHANCES,
+    CARD_RANKS,
+    SLOT_SYMBOLS,
+    rollDice,
+    getDiceMultiplier,
+    drawCard,
+    getHighLowChance,
+    getHighLowMultiplier,
+    getSlotsPaytable,
+    spinReels,
+    getSlotsMultiplier,
+    getPayout
+} from '../src/data/casinoData.js';
+
+console.log('Running casinoData tests');
+
+const houseEdge = 2;
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.001, `expected ~${expected}, got ${actual}`);
+
+// Dice rolls cover 0.00-99.99 and every target returns (100 - edge)% of wagers
+assert.equal(rollDice(0), 0);
+assert.equal(rollDice(0.99999999), 99.99);
+for (const chance of DICE_CHANCES) {
+    close(chance / 100 * getDiceMultiplier(chance, houseEdge), 1 - houseEdge / 100);
+}
+assert.equal(getDiceMultiplier(50, houseEdge), 1.96);
+
+// Cards are drawn evenly from Ace to King
+assert.equal(drawCard(0), 1);
+assert.equal(drawCard(0.99999999), CARD_RANKS.length);
+
+// High-low calls return (100 - edge)% and impossible calls have no multiplier
+for (let rank = 1; rank <= CARD_RANKS.length; rank++) {
+    for (const guess of ['higher', 'lower']) {
+        const multiplier = getHighLowMultiplier(rank, guess, houseEdge);
+        if (multiplier === null) {
+            assert.equal(getHighLowChance(rank, guess), 0);
+        } else {
+            close(getHighLowChance(rank, guess) * multiplier, 1 - houseEdge / 100);
+        }
+    }
+}
+assert.equal(getHighLowMultiplier(13, 'higher', houseEdge), null);
+assert.equal(getHighLowMultiplier(1, 'lower', houseEdge), null);
+
+// Slot returns summed over every reel combination match the house edge
+const paytable = getSlotsPaytable(houseEdge);
+const totalWeight = SLOT_SYMBOLS.reduce((sum, symbol) => sum + symbol.weight, 0);
+let expectedReturn = 0;
+for (const a of SLOT_SYMBOLS) {
+    for (const b of SLOT_SYMBOLS) {
+        for (const c of SLOT_SYMBOLS) {
+            const probability = a.weight * b.weight * c.weight / Math.pow(totalWeight, 3);
+            expectedReturn += probability * getSlotsMultiplier([a, b, c], paytable);
+        }
+    }
+}
+close(expectedReturn, 1 - houseEdge / 100);
+assert.ok(paytable.three.seven > paytable.three.cherry);
+
+// Reels map floats onto symbol weights
+assert.equal(spinReels([0, 0.6, 0.99999999]).map(symbol => symbol.id).join(','), 'cherry,bell,seven');
+
+// Payouts round down to whole currency
+assert.equal(getPayout(10, 1.96), 19);
+assert.equal(getPayout(10, 0), 0);
+
+console.log('✅ All casinoData tests passed');
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import { nextRoll, createCombatRng, initBattleRng, getBattleRng } from '../src/utils/combatRng.js';
+import { EffectProcessor } from '../src/utils/EffectProcessor.js';
+import { getMonsterById } from '../src/data/monstersData.js';
+import { selectMonsterAction } from '../src/utils/monsterBehavior.js';
+
+console.log('Running combatRng tests');
+
+// The same seed always gives the same rolls, in [0, 1)
+const first = createCombatRng(1234);
+const second = createCombatRng(1234);
+const rolls = Array.from({ length: 100 }, () => first());
+assert.deepEqual(Array.from({ length: 100 }, () => second()), rolls);
+assert.ok(rolls.every(roll => roll >= 0 && roll < 1));
+assert.notDeepEqual(Array.from({ length: 100 }, createCombatRng(1235)), rolls);
+assert.equal(nextRoll(1234).value, rolls[0]);
+
+// The battle keeps its seed and carries the state between turns
+const battle = {};
+assert.equal(initBattleRng(battle, 1234), 1234);
+const battleRolls = [...Array.from({ length: 50 }, getBattleRng(battle)), ...Array.from({ length: 50 }, getBattleRng(battle))];
+assert.deepEqual(battleRolls, rolls);
+assert.equal(battle.rngSeed, 1234);
+
+// Unseeded battles get a seed on their first roll
+const legacy = {};
+getBattleRng(legacy)();
+assert.ok(Number.isInteger(legacy.rngSeed));
+
+// A whole fight replays identically from its seed and the player's actions
+function fight(seed) {
+    const gameState = {
+        currentFloor: 6,
+        player: { name: 'Hero', critChance: 50, currentHealth: 20, currentMana: 10 },
+        battle: { currentMonster: { ...getMonsterById('goblin'), currentHealth: 8, currentMana: 0 }, playerEffects: [], monsterEffects: [] }
+    };
+    initBattleRng(gameState.battle, seed);
+
+    const log = [];
+    for (let turn = 0; turn < 10; turn++) {
+        const monsterAction = selectMonsterAction(gameState.battle.currentMonster, gameState.battle, getBattleRng(gameState.battle));
+        const result = EffectProcessor.processCombatTurn(gameState, { type: 'weapon', value: 'sword' }, monsterAction);
+        log.push([monsterAction.value, result.playerDamage, result.monsterDamage, result.criticalHits.length]);
+    }
+    return log;
+}
+
+const replay = fight(42);
+assert.deepEqual(fight(42), replay);
+assert.ok(replay.some(turn => turn[3] > 0), 'expected at least one crit in ten turns');
+
+console.log('✅ All combatRng tests passed');
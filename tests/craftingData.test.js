@@ -0,0 +1,61 @@
+import assert from 'assert';
+import {
+    RARITY_ORDER,
+    craftingRecipes,
+    salvageYields,
+    upgradePaths,
+    getMaterialById,
+    createCraftedItem,
+    getUpgradeWeapon,
+    getUpgradeArmor
+} from '../src/data/craftingData.js';
+import { getWeaponById } from '../src/data/weaponsData.js';
+import { getArmorById } from '../src/data/armorData.js';
+
+console.log('Running craftingData tests');
+
+// Every recipe ingredient and output resolves to a real item
+const ids = new Set();
+for (const recipe of craftingRecipes) {
+    assert.ok(!ids.has(recipe.id), `duplicate recipe ${recipe.id}`);
+    ids.add(recipe.id);
+    for (const input of recipe.inputs) {
+        assert.ok(getMaterialById(input.id), `${recipe.id} uses unknown material ${input.id}`);
+        assert.ok(input.quantity > 0);
+    }
+    assert.ok(createCraftedItem(recipe.output.id), `${recipe.id} makes unknown item ${recipe.output.id}`);
+}
+
+// Salvage yields and upgrade costs only use known materials
+for (const stacks of [...Object.values(salvageYields), ...Object.values(upgradePaths).map(path => path.inputs)]) {
+    for (const { id } of stacks) {
+        assert.ok(getMaterialById(id), `unknown material ${id}`);
+    }
+}
+
+// Upgrades step one rarity at a time and always have a weapon to roll
+for (const [rarity, path] of Object.entries(upgradePaths)) {
+    assert.equal(RARITY_ORDER.indexOf(path.next), RARITY_ORDER.indexOf(rarity) + 1);
+    assert.ok(path.successChance > 0 && path.successChance <= 1);
+    const upgraded = getUpgradeWeapon({ weaponType: 'ranged' }, path.next, () => 0);
+    assert.equal(upgraded.rarity, path.next);
+    assert.ok(upgraded.goldValue > 0);
+}
+
+// Upgrades keep the weapon type when one exists at the next rarity
+assert.equal(getUpgradeWeapon(getWeaponById('bow'), 'uncommon', () => 0).weaponType, 'ranged');
+
+// Armor upgrades become a real piece for the same slot, so the new stats come with it
+const helm = getUpgradeArmor(getArmorById('leather_cap'), 'uncommon', () => 0);
+assert.equal(helm.id, 'chainmail_coif');
+assert.ok(helm.armor > getArmorById('leather_cap').armor);
+assert.equal(getUpgradeArmor({ id: 'chainmail_armor' }, 'rare', () => 0.99).slot, 'chest');
+assert.equal(getUpgradeArmor(getArmorById('dragon_scale_boots'), 'mythical', () => 0), null);
+
+// Crafted materials are fresh copies in their own category
+const dust = createCraftedItem('arcane_dust');
+assert.equal(dust.category, 'materials');
+assert.equal(dust.item.id, 'arcane_dust');
+assert.notStrictEqual(createCraftedItem('steel_sword').item, getWeaponById('steel_sword'));
+
+console.log('✅ All craftingData tests passed');
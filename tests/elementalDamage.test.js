@@ -0,0 +1,59 @@
+import assert from 'assert';
+import { DAMAGE_TYPES, ELEMENTAL_DAMAGE_TYPES } from '../src/data/damageTypesData.js';
+import { weaponsData } from '../src/data/weaponsData.js';
+import { spellsData } from '../src/data/spellsData.js';
+import { abilitiesData } from '../src/data/abilitiesData.js';
+import { monstersData } from '../src/data/monstersData.js';
+import { armorData } from '../src/data/armorData.js';
+import { equipItem } from '../src/utils/equipment.js';
+import {
+    resolveDamageType,
+    getDefenses,
+    applyDamageType,
+    formatDamageTypeMessage,
+    formatDefenses
+} from '../src/utils/elementalDamage.js';
+
+console.log('Running elemental damage tests');
+
+// Every damage dealer declares a known type; defenses only list known types
+const isKnownType = type => Boolean(DAMAGE_TYPES[type]);
+weaponsData.filter(weapon => weapon.type === 'weapon').forEach(weapon => assert.ok(isKnownType(weapon.damageType), weapon.id));
+Object.entries(spellsData).forEach(([id, spell]) => assert.ok(isKnownType(spell.damageType), id));
+abilitiesData.forEach(ability => assert.ok(isKnownType(ability.damageType) || ability.damageType === 'random', ability.id));
+[...monstersData, ...armorData].forEach(entry => {
+    [...(entry.resistances || []), ...(entry.weaknesses || [])].forEach(type => assert.ok(isKnownType(type), entry.id));
+});
+
+// Random types roll an element, unknown types fall back to physical
+assert.equal(resolveDamageType('random', () => 0), ELEMENTAL_DAMAGE_TYPES[0]);
+assert.equal(resolveDamageType('random', () => 0.99), ELEMENTAL_DAMAGE_TYPES[ELEMENTAL_DAMAGE_TYPES.length - 1]);
+assert.equal(resolveDamageType('fire'), 'fire');
+assert.equal(resolveDamageType(undefined), 'physical');
+
+// Weaknesses round up, resistances round down but never below 1
+const vampire = { name: 'Vampire', resistances: ['shadow'], weaknesses: ['holy', 'fire'] };
+assert.deepEqual(applyDamageType(3, 'fire', vampire), { damage: 5, outcome: 'super_effective' });
+assert.deepEqual(applyDamageType(3, 'shadow', vampire), { damage: 1, outcome: 'resisted' });
+assert.deepEqual(applyDamageType(1, 'shadow', vampire), { damage: 1, outcome: 'resisted' });
+assert.deepEqual(applyDamageType(3, 'physical', vampire), { damage: 3, outcome: null });
+assert.deepEqual(applyDamageType(0, 'fire', vampire), { damage: 0, outcome: null });
+assert.deepEqual(applyDamageType(4, 'fire', { resistances: ['fire'], weaknesses: ['fire'] }), { damage: 4, outcome: null });
+
+// Players get the resistances and weaknesses of their equipped armor
+const hero = { name: 'Knight' };
+equipItem(hero, 'armor', 'leather_armor');
+assert.deepEqual(applyDamageType(2, 'fire', { hero }), { damage: 3, outcome: 'super_effective' });
+equipItem(hero, 'armor', 'dragon_scale_armor');
+equipItem(hero, 'armor', 'crown_of_the_titans');
+assert.deepEqual(getDefenses({ hero }), { resistances: ['holy', 'fire'], weaknesses: [] });
+assert.deepEqual(applyDamageType(2, 'fire', { hero }), { damage: 1, outcome: 'resisted' });
+
+// Battle feedback
+assert.equal(formatDamageTypeMessage('super_effective', 'fire', 'Vampire'), '🔥 Fire is super effective against Vampire!');
+assert.equal(formatDamageTypeMessage('resisted', 'shadow', 'Vampire'), '🛡️ Vampire resisted Shadow damage!');
+assert.equal(formatDamageTypeMessage(null, 'fire', 'Vampire'), null);
+assert.equal(formatDefenses(vampire), 'Weak to: ✨ Holy, 🔥 Fire | Resists: 🌑 Shadow');
+assert.equal(formatDefenses({}), '');
+
+console.log('✅ All elemental damage tests passed');
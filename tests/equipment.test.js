@@ -0,0 +1,66 @@
+import assert from 'assert';
+import { armorData, ARMOR_SETS } from '../src/data/armorData.js';
+import {
+    getEquipment,
+    equipItem,
+    unequipItem,
+    getActiveSetBonuses,
+    getEquipmentArmor,
+    calculateArmorRating,
+    calculateMitigation,
+    mitigateDamage
+} from '../src/utils/equipment.js';
+
+console.log('Running equipment tests');
+
+// Every set piece points at a known set
+armorData.filter(armor => armor.setId).forEach(armor => assert.ok(ARMOR_SETS[armor.setId], armor.id));
+
+// Legacy equipped lists become slots the first time
+const legacy = { equippedWeapons: ['hammer', 'sword'], equippedArmor: ['leather_cap', 'steel_helm', 'leather_boots'] };
+assert.deepEqual(getEquipment(legacy), {
+    mainHand: 'hammer', offHand: 'sword', helmet: 'leather_cap', chest: null, legs: null, boots: 'leather_boots'
+});
+assert.deepEqual(legacy.equippedArmor, ['leather_cap', 'leather_boots']);
+
+// Weapons fill main then off hand, then replace the off hand; armor replaces its slot
+const hero = { armor: 0 };
+assert.deepEqual(equipItem(hero, 'weapon', 'sword'), { slot: 'mainHand', replaced: null });
+assert.deepEqual(equipItem(hero, 'weapon', 'bow'), { slot: 'offHand', replaced: null });
+assert.deepEqual(equipItem(hero, 'weapon', 'staff'), { slot: 'offHand', replaced: 'bow' });
+assert.deepEqual(equipItem(hero, 'armor', 'leather_cap'), { slot: 'helmet', replaced: null });
+assert.deepEqual(equipItem(hero, 'armor', 'steel_helm'), { slot: 'helmet', replaced: 'leather_cap' });
+assert.throws(() => equipItem(hero, 'armor', 'sword'), /armor slot/);
+assert.deepEqual(hero.equippedWeapons, ['sword', 'staff']);
+
+// Emptying the main hand moves the off hand up
+assert.equal(unequipItem(hero, 'sword'), 'mainHand');
+assert.deepEqual(hero.equippedWeapons, ['staff']);
+assert.equal(hero.equipment.offHand, null);
+assert.equal(unequipItem(hero, 'sword'), null);
+
+// Set bonuses use the highest tier reached
+const knight = {};
+['steel_helm', 'plate_armor'].forEach(id => equipItem(knight, 'armor', id));
+assert.deepEqual(getActiveSetBonuses(knight.equipment), [{ setId: 'steel', name: 'Steel', pieces: 2, armor: 2 }]);
+['steel_greaves', 'steel_sabatons'].forEach(id => equipItem(knight, 'armor', id));
+assert.deepEqual(getEquipmentArmor(knight), { pieces: 13, setBonus: 4, total: 17 });
+equipItem(knight, 'armor', 'enchanted_robe');
+assert.deepEqual(getActiveSetBonuses(knight.equipment), [{ setId: 'steel', name: 'Steel', pieces: 3, armor: 2 }]);
+
+// Equipment scales with the floor like weapon damage; monster armor is used as is
+const player = { currentArmor: 0, hero: knight };
+assert.equal(calculateArmorRating(player, 1), 14);
+assert.equal(calculateArmorRating(player, 100), 21);
+assert.equal(calculateArmorRating({ armor: 3 }, 100), 3);
+
+// Mitigation: armor / (armor + 10), capped, never below 1 damage
+assert.equal(calculateMitigation(0), 0);
+assert.equal(calculateMitigation(10), 0.5);
+assert.equal(calculateMitigation(1000), 0.75);
+assert.equal(mitigateDamage(4, 10), 2);
+assert.equal(mitigateDamage(1, 50), 1);
+assert.equal(mitigateDamage(0, 0), 0);
+assert.equal(mitigateDamage(10, 0), 10);
+
+console.log('✅ All equipment tests passed');
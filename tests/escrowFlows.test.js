@@ -0,0 +1,341 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The marketplace database and logs live under the working directory, so the flows run in a
+// scratch directory, and against the in-memory player store with MongoDB pointed somewhere unreachable
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'escrow-flows-')));
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:1';
+
+const { DatabaseManager } = await import('../src/database/DatabaseManager.js');
+const { marketplaceDb } = await import('../src/database/MarketplaceDatabase.js');
+const { EscrowService } = await import('../src/services/EscrowService.js');
+const { TreasuryService } = await import('../src/services/TreasuryService.js');
+const { PvPHandler } = await import('../src/handlers/pvp/PvPHandler.js');
+const { TournamentHandler } = await import('../src/handlers/pvp/TournamentHandler.js');
+const { MatchmakingHandler } = await import('../src/handlers/pvp/MatchmakingHandler.js');
+const { P2PTradeHandler } = await import('../src/handlers/trading/P2PTradeHandler.js');
+const { AuctionHandler } = await import('../src/handlers/marketplace/AuctionHandler.js');
+const { PlayerMarketHandler } = await import('../src/handlers/marketplace/PlayerMarketHandler.js');
+const { BuyOrderHandler } = await import('../src/handlers/marketplace/BuyOrderHandler.js');
+
+console.log('Running escrow flow tests');
+
+await DatabaseManager.initialize();
+assert.equal(DatabaseManager.connected, false);
+
+const GUILD = 'guild_flows';
+
+async function seedPlayer(playerId, gold, weapons = [], rating = 1000) {
+    await DatabaseManager.savePlayer(playerId, {
+        economy: { gold },
+        inventory: { weapons: weapons.map(id => ({ id, name: id, rarity: 'common' })) },
+        pvpStats: { rating }
+    });
+}
+
+async function goldOf(playerId) {
+    return (await DatabaseManager.getPlayer(playerId)).economy.gold || 0;
+}
+
+async function weaponsOf(playerId) {
+    return (await DatabaseManager.getPlayer(playerId)).inventory.weapons.map(weapon => weapon.id);
+}
+
+async function heldFor(referenceId) {
+    return DatabaseManager.getEscrowsByReference(referenceId, EscrowService.STATUS.HELD);
+}
+
+async function treasuryGold() {
+    const balances = (await TreasuryService.getBalances(GUILD)).gold || {};
+    return Object.values(balances).reduce((sum, amount) => sum + amount, 0);
+}
+
+// Escrow: locking debits, a release splits payout, fee and remainder, and each escrow settles once
+await seedPlayer('alice', 1000, ['iron_sword']);
+await seedPlayer('bob', 0);
+
+const locked = await EscrowService.lock('alice', { currency: { gold: 300 }, items: [{ id: 'iron_sword' }] }, {
+    referenceId: 'flow_escrow',
+    referenceType: 'test'
+});
+assert.equal(await goldOf('alice'), 700);
+assert.deepEqual(await weaponsOf('alice'), []);
+assert.equal((await heldFor('flow_escrow')).length, 1);
+
+await assert.rejects(EscrowService.lock('alice', { currency: { gold: 5000 } }, { referenceId: 'flow_escrow', referenceType: 'test' }),
+    /Insufficient funds/);
+await assert.rejects(EscrowService.lock('alice', { currency: { gold: 50 }, items: [{ id: 'missing_item' }] }, { referenceId: 'flow_escrow', referenceType: 'test' }),
+    /Not enough missing_item/);
+assert.equal(await goldOf('alice'), 700, 'a failed item lock gives the currency back');
+
+assert.ok(await EscrowService.release(locked.escrowId, 'bob', 'test', { gold: 200 }, { gold: 10 }));
+assert.equal(await goldOf('bob'), 190);
+assert.deepEqual(await weaponsOf('bob'), ['iron_sword']);
+assert.equal(await goldOf('alice'), 800, 'currency above the payout returns to the owner');
+assert.equal(await EscrowService.release(locked.escrowId, 'bob'), null);
+assert.equal(await EscrowService.refund(locked.escrowId), null);
+
+const refundable = await EscrowService.lock('alice', { currency: { gold: 100 } }, { referenceId: 'flow_refund', referenceType: 'test' });
+assert.equal(await goldOf('alice'), 700);
+assert.ok(await EscrowService.refund(refundable.escrowId));
+assert.equal(await EscrowService.refund(refundable.escrowId), null);
+assert.equal(await goldOf('alice'), 800);
+
+// Wager: both stakes are held once the challenge is accepted and the winner takes both
+await seedPlayer('carl', 500);
+await seedPlayer('dina', 50);
+const wager = { currency: { gold: 100 } };
+
+const challenge = await PvPHandler.createChallenge('carl', {
+    challengerUsername: 'Carl',
+    opponentId: 'dina',
+    opponentUsername: 'Dina',
+    matchType: PvPHandler.MATCH_TYPES.CASUAL,
+    wager
+});
+await assert.rejects(PvPHandler.acceptChallenge(challenge.id, 'dina'), /Insufficient funds for wager/);
+assert.equal((await DatabaseManager.getPvPChallenge(challenge.id)).status, PvPHandler.MATCH_STATUS.PENDING);
+assert.equal(await goldOf('carl'), 500, 'nothing is held before the challenge is accepted');
+
+await DatabaseManager.creditPlayerEconomy('dina', { gold: 50 });
+const wagerBattle = await PvPHandler.acceptChallenge(challenge.id, 'dina');
+assert.equal(await goldOf('carl'), 400);
+assert.equal(await goldOf('dina'), 0);
+assert.equal((await heldFor(challenge.id)).length, 2);
+
+assert.equal(await PvPHandler.forfeitBattle(wagerBattle, 'dina'), true);
+assert.equal(await PvPHandler.forfeitBattle(wagerBattle, 'dina'), false, 'a finished battle is not settled twice');
+assert.equal(await goldOf('carl'), 600);
+assert.equal(await goldOf('dina'), 0);
+assert.equal((await heldFor(challenge.id)).length, 0);
+
+// Trade: both sides are escrowed and swapped, with the fee kept back from the currency side
+await seedPlayer('erin', 1000);
+await seedPlayer('finn', 0, ['steel_axe']);
+
+const trade = await P2PTradeHandler.createTradeOffer('erin', {
+    creatorUsername: 'Erin',
+    offering: { currency: { gold: 500 } },
+    requesting: { items: [{ id: 'steel_axe', quantity: 1 }] },
+    guildId: GUILD
+});
+assert.equal(await goldOf('erin'), 500);
+
+const tradeFee = PlayerMarketHandler.calculateFee(500);
+assert.ok(tradeFee > 0);
+assert.equal(await P2PTradeHandler.acceptTradeOffer(trade.id, 'finn'), true);
+assert.equal(await goldOf('finn'), 500 - tradeFee);
+assert.deepEqual(await weaponsOf('erin'), ['steel_axe']);
+assert.deepEqual(await weaponsOf('finn'), []);
+assert.equal((await DatabaseManager.getTrade(trade.id)).status, P2PTradeHandler.TRADE_STATUS.COMPLETED);
+assert.equal((await heldFor(trade.id)).length, 0);
+assert.equal(await treasuryGold(), tradeFee);
+
+const cancelledTrade = await P2PTradeHandler.createTradeOffer('erin', {
+    creatorUsername: 'Erin',
+    offering: { currency: { gold: 100 } },
+    requesting: { items: [{ id: 'steel_axe', quantity: 1 }] },
+    guildId: GUILD
+});
+assert.equal(await goldOf('erin'), 400);
+await P2PTradeHandler.cancelTradeOffer(cancelledTrade.id, 'erin');
+assert.equal(await goldOf('erin'), 500);
+
+// Auction: outbid max bids go back, the winner pays the final price and the seller is paid less the fee
+await seedPlayer('gwen', 0, ['gem_blade', 'rune_blade']);
+await seedPlayer('hugo', 1000);
+await seedPlayer('iris', 1000);
+let treasury = await treasuryGold();
+
+const auction = await AuctionHandler.createAuction('gwen', 'Gwen', { itemId: 'gem_blade', startingBid: 100, durationHours: 1, guildId: GUILD });
+assert.deepEqual(await weaponsOf('gwen'), ['rune_blade']);
+
+await AuctionHandler.placeBid(auction.id, 'hugo', 'Hugo', { amount: 100, maxBid: 300 });
+assert.equal(await goldOf('hugo'), 700, 'the leader holds their full max bid');
+
+let bid = await AuctionHandler.placeBid(auction.id, 'iris', 'Iris', { amount: 200 });
+assert.equal(bid.leading, false);
+assert.equal(bid.currentBid, 210);
+assert.equal(await goldOf('iris'), 1000);
+
+bid = await AuctionHandler.placeBid(auction.id, 'iris', 'Iris', { amount: 250, maxBid: 400 });
+assert.equal(bid.leading, true);
+assert.equal(bid.currentBid, 315);
+assert.equal(await goldOf('hugo'), 1000);
+assert.equal(await goldOf('iris'), 600);
+
+const auctionFee = PlayerMarketHandler.calculateFee(315);
+await AuctionHandler.settleAuction(await marketplaceDb.getAuction(auction.id));
+assert.equal((await marketplaceDb.getAuction(auction.id)).status, AuctionHandler.STATUS.SOLD);
+assert.deepEqual(await weaponsOf('iris'), ['gem_blade']);
+assert.equal(await goldOf('iris'), 1000 - 315);
+assert.equal(await goldOf('gwen'), 315 - auctionFee);
+assert.equal(await treasuryGold(), treasury + auctionFee);
+assert.equal((await heldFor(AuctionHandler.getReferenceId(auction.id))).length, 0);
+
+await AuctionHandler.settleAuction(await marketplaceDb.getAuction(auction.id));
+assert.equal(await goldOf('gwen'), 315 - auctionFee, 'a sold auction is not settled again');
+
+// A settlement that stopped after handing over the item resumes without delivering it twice
+treasury = await treasuryGold();
+const stalled = await AuctionHandler.createAuction('gwen', 'Gwen', { itemId: 'rune_blade', startingBid: 100, durationHours: 1, guildId: GUILD });
+await AuctionHandler.placeBid(stalled.id, 'hugo', 'Hugo', { amount: 100 });
+assert.ok(await marketplaceDb.transitionAuction(stalled.id, AuctionHandler.STATUS.ACTIVE, AuctionHandler.STATUS.SETTLING));
+await EscrowService.release(stalled.itemEscrowId, 'hugo', 'auction_won');
+
+const stalledFee = PlayerMarketHandler.calculateFee(100);
+await AuctionHandler.settleAuction(await marketplaceDb.getAuction(stalled.id));
+assert.equal((await marketplaceDb.getAuction(stalled.id)).status, AuctionHandler.STATUS.SOLD);
+assert.deepEqual(await weaponsOf('hugo'), ['rune_blade']);
+assert.equal(await goldOf('hugo'), 900);
+assert.equal(await goldOf('gwen'), 315 - auctionFee + 100 - stalledFee);
+assert.equal(await treasuryGold(), treasury + stalledFee);
+
+// Listing: the item is held until a buyer pays, then the seller is paid less the listing fee
+await seedPlayer('jude', 0, ['bronze_dagger', 'oak_staff']);
+await seedPlayer('kira', 500);
+treasury = await treasuryGold();
+
+const listing = await PlayerMarketHandler.createListing('jude', 'Jude', { itemId: 'bronze_dagger', price: 200, guildId: GUILD });
+assert.deepEqual(await weaponsOf('jude'), ['oak_staff']);
+await assert.rejects(PlayerMarketHandler.buyListing(listing.id, 'jude', 'Jude'), /cannot buy your own listing/);
+
+await PlayerMarketHandler.buyListing(listing.id, 'kira', 'Kira');
+assert.equal(await goldOf('kira'), 300);
+assert.deepEqual(await weaponsOf('kira'), ['bronze_dagger']);
+assert.equal(await goldOf('jude'), 200 - listing.listingFee);
+assert.equal(await treasuryGold(), treasury + listing.listingFee);
+await assert.rejects(PlayerMarketHandler.buyListing(listing.id, 'kira', 'Kira'), /no longer available/);
+
+const unsold = await PlayerMarketHandler.createListing('jude', 'Jude', { itemId: 'oak_staff', price: 50, guildId: GUILD });
+assert.deepEqual(await weaponsOf('jude'), []);
+await PlayerMarketHandler.cancelListing(unsold.id, 'jude');
+assert.deepEqual(await weaponsOf('jude'), ['oak_staff']);
+
+// Buy order: each unit is reserved up front, sold directly or from a cheaper listing, and unfilled units are refunded
+await seedPlayer('lena', 1000);
+await seedPlayer('milo', 0, ['iron_sword']);
+await seedPlayer('nora', 0, ['iron_sword']);
+treasury = await treasuryGold();
+
+const order = await BuyOrderHandler.createBuyOrder('lena', 'Lena', { itemId: 'iron_sword', priceEach: 150, quantity: 2, guildId: GUILD });
+assert.equal(order.filled, 0);
+assert.equal(await goldOf('lena'), 700);
+assert.equal((await heldFor(BuyOrderHandler.getReferenceId(order.id))).length, 2);
+
+const sale = await BuyOrderHandler.sellToBuyOrder(order.id, 'milo');
+assert.equal(await goldOf('milo'), 150 - sale.fee);
+assert.deepEqual(await weaponsOf('milo'), []);
+assert.deepEqual(await weaponsOf('lena'), ['iron_sword']);
+
+const matched = await PlayerMarketHandler.createListing('nora', 'Nora', { itemId: 'iron_sword', price: 120, guildId: GUILD });
+assert.equal(matched.filledOrder?.id, order.id);
+assert.equal(await goldOf('nora'), 120 - matched.listingFee);
+assert.equal(await goldOf('lena'), 730, 'the difference below the order price goes back to the buyer');
+assert.deepEqual(await weaponsOf('lena'), ['iron_sword', 'iron_sword']);
+assert.equal((await marketplaceDb.getBuyOrder(order.id)).status, BuyOrderHandler.STATUS.FILLED);
+assert.equal(await treasuryGold(), treasury + sale.fee + matched.listingFee);
+await assert.rejects(BuyOrderHandler.sellToBuyOrder(order.id, 'milo'), /no longer open/);
+
+const cancelledOrder = await BuyOrderHandler.createBuyOrder('lena', 'Lena', { itemId: 'iron_sword', priceEach: 100, guildId: GUILD });
+assert.equal(await goldOf('lena'), 630);
+await BuyOrderHandler.cancelBuyOrder(cancelledOrder.id, 'lena');
+assert.equal(await goldOf('lena'), 730);
+
+// Tournament: a decided final pays the prize pool by placement, whether played out or a walkover
+async function createTournament(name, prizePool) {
+    const tournament = {
+        id: TournamentHandler.generateTournamentId(),
+        name,
+        format: TournamentHandler.FORMATS.SINGLE_ELIMINATION,
+        status: TournamentHandler.STATUS.REGISTRATION,
+        createdBy: 'admin',
+        createdAt: new Date(),
+        registrationClosesAt: new Date(Date.now() + 60 * 60 * 1000),
+        maxPlayers: 2,
+        swissRounds: null,
+        roundsPerMatch: TournamentHandler.SETTINGS.ROUNDS_PER_MATCH,
+        prizePool,
+        prizeDistribution: TournamentHandler.SETTINGS.PRIZE_DISTRIBUTION,
+        participants: [],
+        currentRound: 0,
+        rounds: [],
+        placements: []
+    };
+    await DatabaseManager.createTournament(tournament);
+    return tournament;
+}
+
+await seedPlayer('otto', 0, [], 1200);
+await seedPlayer('pia', 0, [], 1000);
+
+const cup = await createTournament('Flow Cup', { gold: 1000 });
+await TournamentHandler.joinTournament(cup.id, 'otto', 'Otto');
+await TournamentHandler.joinTournament(cup.id, 'pia', 'Pia');
+let started = await TournamentHandler.startTournament(await DatabaseManager.getTournament(cup.id));
+const final = started.rounds[0].matches[0];
+
+assert.equal(await PvPHandler.forfeitBattle(await DatabaseManager.getPvPBattle(final.battleId), 'otto'), true);
+let finished = await DatabaseManager.getTournament(cup.id);
+assert.equal(finished.status, TournamentHandler.STATUS.COMPLETED);
+assert.deepEqual(finished.placements.map(placement => placement.playerId), ['pia', 'otto']);
+assert.equal(await goldOf('pia'), 500);
+assert.equal(await goldOf('otto'), 300);
+
+const shield = await createTournament('Flow Shield', { gold: 100 });
+await TournamentHandler.joinTournament(shield.id, 'otto', 'Otto');
+await TournamentHandler.joinTournament(shield.id, 'pia', 'Pia');
+started = await TournamentHandler.startTournament(await DatabaseManager.getTournament(shield.id));
+started.rounds[0].matches[0].deadline = new Date(Date.now() - 1000);
+await DatabaseManager.updateTournament(shield.id, started);
+
+await TournamentHandler.processNoShows(await DatabaseManager.getTournament(shield.id));
+finished = await DatabaseManager.getTournament(shield.id);
+assert.equal(finished.status, TournamentHandler.STATUS.COMPLETED);
+assert.equal(finished.rounds[0].matches[0].status, TournamentHandler.MATCH_STATUS.WALKOVER);
+assert.equal(finished.rounds[0].matches[0].winnerId, 'otto', 'a double no-show advances the higher seed');
+assert.equal(await goldOf('otto'), 350);
+assert.equal(await goldOf('pia'), 530);
+
+// Matchmaking: paired wager players stake through escrow, and players already fighting are kept out
+await seedPlayer('quin', 1000);
+await seedPlayer('rosa', 1000);
+const tier = { currency: { gold: MatchmakingHandler.WAGER_TIERS[0] } };
+
+let queued = await MatchmakingHandler.joinQueue('quin', 'Quin', PvPHandler.MATCH_TYPES.WAGER, tier);
+assert.equal(queued.battle, null);
+queued = await MatchmakingHandler.joinQueue('rosa', 'Rosa', PvPHandler.MATCH_TYPES.WAGER, tier);
+assert.ok(queued.battle);
+assert.equal(await goldOf('quin'), 900);
+assert.equal(await goldOf('rosa'), 900);
+
+await assert.rejects(MatchmakingHandler.joinQueue('quin', 'Quin', PvPHandler.MATCH_TYPES.CASUAL), /Finish your current battle/);
+
+assert.equal(await PvPHandler.forfeitBattle(queued.battle, 'rosa'), true);
+assert.equal(await goldOf('quin'), 1100);
+assert.equal(await goldOf('rosa'), 900);
+
+await seedPlayer('sven', 0);
+await seedPlayer('tess', 0);
+await seedPlayer('ugo', 0);
+
+await MatchmakingHandler.joinQueue('sven', 'Sven', PvPHandler.MATCH_TYPES.CASUAL);
+const direct = await PvPHandler.createChallenge('tess', {
+    challengerUsername: 'Tess',
+    opponentId: 'sven',
+    opponentUsername: 'Sven',
+    matchType: PvPHandler.MATCH_TYPES.CASUAL
+});
+await PvPHandler.acceptChallenge(direct.id, 'sven');
+
+queued = await MatchmakingHandler.joinQueue('ugo', 'Ugo', PvPHandler.MATCH_TYPES.CASUAL);
+assert.equal(queued.battle, null, 'a queued player who started another battle is not paired');
+assert.ok(!await DatabaseManager.getPvPQueueEntry('sven'));
+assert.equal((await DatabaseManager.getPvPQueueEntry('ugo')).status, MatchmakingHandler.QUEUE_STATUS.WAITING);
+
+console.log('✅ All escrow flow tests passed');
+
+// The database and loggers keep handles open
+process.exit(0);
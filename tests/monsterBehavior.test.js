@@ -0,0 +1,77 @@
+import assert from 'assert';
+import { monstersData, MONSTER_BEHAVIORS, getMonsterById } from '../src/data/monstersData.js';
+import { weaponsData } from '../src/data/weaponsData.js';
+import {
+    getActionManaCost,
+    isHealingSpell,
+    getWeightedMonsterActions,
+    selectMonsterAction
+} from '../src/utils/monsterBehavior.js';
+
+console.log('Running monsterBehavior tests');
+
+const weightOf = (weighted, value) => weighted
+    .filter(entry => entry.action.value === value)
+    .reduce((sum, entry) => sum + entry.weight, 0);
+
+// Every monster declares a known profile and its special moves are real weapons
+monstersData.forEach(monster => {
+    assert.ok(MONSTER_BEHAVIORS[monster.behavior], `${monster.id} has no behavior profile`);
+    monster.specialMoves.forEach(move => {
+        assert.ok(weaponsData.some(w => w.id === move), `${monster.id} special move ${move} is not a weapon`);
+    });
+});
+
+// Costs mirror what combat charges: spells and abilities, never weapons
+assert.equal(getActionManaCost({ type: 'spell', value: 'death_bolt' }), 2);
+assert.equal(getActionManaCost({ type: 'ability', value: 'accepting_fate' }), 4);
+assert.equal(getActionManaCost({ type: 'weapon', value: 'dirty_trick' }), 0);
+assert.ok(isHealingSpell('heal'));
+assert.ok(!isHealingSpell('soul_drain'));
+
+// Spells the monster can't afford are never picked
+const necromancer = { ...getMonsterById('necromancer'), currentHealth: 6, currentMana: 1 };
+const broke = getWeightedMonsterActions(necromancer);
+assert.deepEqual(broke.map(entry => entry.action.value), ['dark_staff']);
+for (let i = 0; i < 50; i++) {
+    assert.equal(selectMonsterAction(necromancer, {}, Math.random).value, 'dark_staff');
+}
+
+// Casters favour spells when they have the mana
+const caster = getWeightedMonsterActions({ ...necromancer, currentMana: 6 });
+assert.ok(weightOf(caster, 'soul_drain') + weightOf(caster, 'death_bolt') > weightOf(caster, 'dark_staff'));
+
+// Heals are held back at full health and used when hurt
+const lych = getMonsterById('lych');
+assert.equal(weightOf(getWeightedMonsterActions({ ...lych, currentHealth: 8, currentMana: 6 }), 'heal'), 0);
+const hurtLych = getWeightedMonsterActions({ ...lych, currentHealth: 2, currentMana: 6 });
+assert.ok(weightOf(hurtLych, 'heal') > weightOf(hurtLych, 'lych_staff'));
+
+// Accepting Fate only near death and only once
+const vampire = getMonsterById('vampire');
+assert.equal(weightOf(getWeightedMonsterActions({ ...vampire, currentHealth: 8, currentMana: 4 }), 'accepting_fate'), 0);
+
+// Berserkers lean on their special move at low health, but never twice in a row
+const orc = getMonsterById('orc');
+const calmOrc = getWeightedMonsterActions({ ...orc, currentHealth: 7, currentMana: 2 });
+const ragingOrc = getWeightedMonsterActions({ ...orc, currentHealth: 2, currentMana: 2 });
+assert.ok(weightOf(ragingOrc, 'brutal_slam') > weightOf(calmOrc, 'brutal_slam'));
+assert.equal(weightOf(ragingOrc, 'dodge'), 0);
+const afterSlam = getWeightedMonsterActions({ ...orc, currentHealth: 2, currentMana: 2 }, {
+    monsterLastAction: { type: 'weapon', value: 'brutal_slam', special: true }
+});
+assert.equal(weightOf(afterSlam, 'brutal_slam'), 0);
+
+// Reacts to the player's last move: Silence after a spell, Counter after a weapon
+const harpy = { ...getMonsterById('harpy'), currentHealth: 10, currentMana: 6 };
+const neutral = getWeightedMonsterActions(harpy);
+const afterSpell = getWeightedMonsterActions(harpy, { playerLastMove: { type: 'spell', value: 'firestorm' } });
+const afterWeapon = getWeightedMonsterActions(harpy, { playerLastMove: { type: 'weapon', value: 'sword' } });
+assert.ok(weightOf(afterSpell, 'silence') > weightOf(neutral, 'silence'));
+assert.ok(weightOf(afterWeapon, 'counter') > weightOf(neutral, 'counter'));
+
+// The roll walks the weights in order, and monsters with nothing fall back to a basic attack
+assert.equal(selectMonsterAction(harpy, {}, () => 0).value, 'village_staff');
+assert.equal(selectMonsterAction({ id: 'dummy', health: 1, mana: 0 }, {}, () => 0).value, 'basic_attack');
+
+console.log('✅ All monsterBehavior tests passed');
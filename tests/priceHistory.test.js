@@ -0,0 +1,51 @@
+import assert from 'assert';
+import {
+    PRICE_HISTORY_DAYS,
+    parseSaleTime,
+    toSqlTimestamp,
+    summarizeSales,
+    getSuggestedPrice,
+    formatSparkline
+} from '../src/utils/priceHistory.js';
+
+console.log('Running priceHistory tests');
+
+const now = new Date('2026-05-10T12:00:00Z');
+const daysAgo = (days, price) => ({
+    amount: price,
+    created_at: toSqlTimestamp(new Date(now.getTime() - days * 24 * 60 * 60 * 1000))
+});
+
+// Timestamps round-trip through SQLite's CURRENT_TIMESTAMP format
+assert.equal(toSqlTimestamp(now), '2026-05-10 12:00:00');
+assert.equal(parseSaleTime('2026-05-10 12:00:00').getTime(), now.getTime());
+
+// Stats cover the window; daily buckets are 24h steps ending now; the last sale is the newest regardless of order
+const sales = [daysAgo(3, 120), daysAgo(0.5, 100), daysAgo(6, 80), daysAgo(10, 999)];
+const summary = summarizeSales(sales, now);
+assert.equal(summary.lastSale.price, 100);
+assert.equal(summary.volume, 3);
+assert.equal(summary.average, 100);
+assert.equal(summary.min, 80);
+assert.equal(summary.max, 120);
+assert.equal(summary.daily.length, PRICE_HISTORY_DAYS);
+assert.deepEqual(summary.daily, [null, 80, null, null, 120, null, 100]);
+
+// Only an old sale: last sale is known but nothing falls inside the window
+const stale = summarizeSales([daysAgo(30, 50)], now);
+assert.equal(stale.lastSale.price, 50);
+assert.equal(stale.volume, 0);
+assert.equal(stale.average, null);
+
+// Suggested price is the recent median, then the last sale, then nothing
+assert.equal(getSuggestedPrice([daysAgo(1, 10), daysAgo(2, 12), daysAgo(3, 500)], now), 12);
+assert.equal(getSuggestedPrice([daysAgo(1, 10), daysAgo(2, 13)], now), 12);
+assert.equal(getSuggestedPrice([daysAgo(30, 50)], now), 50);
+assert.equal(getSuggestedPrice([], now), null);
+
+// Sparklines scale from the lowest to the highest day
+assert.equal(formatSparkline([80, null, 120]), '▁·█');
+assert.equal(formatSparkline([5, 5]), '▄▄');
+assert.equal(formatSparkline([null, null]), '');
+
+console.log('✅ All priceHistory tests passed');
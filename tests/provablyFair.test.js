@@ -0,0 +1,50 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import {
+    generateServerSeed,
+    hashServerSeed,
+    generateFloats,
+    coinflipResult,
+    verifyCoinflip
+} from '../src/utils/provablyFair.js';
+
+console.log('Running provablyFair tests');
+
+const serverSeed = 'a'.repeat(64);
+const clientSeed = 'lucky';
+
+// The published hash is plain SHA-256 of the server seed
+assert.equal(hashServerSeed(serverSeed), crypto.createHash('sha256').update(serverSeed).digest('hex'));
+assert.notEqual(generateServerSeed(), generateServerSeed());
+
+// Rolls are HMAC-SHA256(serverSeed, "clientSeed:nonce:round") read 4 bytes at a time
+const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:7:0`).digest();
+const expected = digest[0] / 256 + digest[1] / 256 ** 2 + digest[2] / 256 ** 3 + digest[3] / 256 ** 4;
+assert.equal(generateFloats(serverSeed, clientSeed, 7)[0], expected);
+
+// Same inputs always give the same rolls; different nonces give different rolls
+assert.deepEqual(generateFloats(serverSeed, clientSeed, 1, 3), generateFloats(serverSeed, clientSeed, 1, 3));
+assert.notEqual(generateFloats(serverSeed, clientSeed, 1)[0], generateFloats(serverSeed, clientSeed, 2)[0]);
+
+// More than 8 floats spill into the next HMAC round
+const many = generateFloats(serverSeed, clientSeed, 0, 12);
+assert.equal(many.length, 12);
+assert.deepEqual(many.slice(0, 8), generateFloats(serverSeed, clientSeed, 0, 8));
+assert.ok(many.every(float => float >= 0 && float < 1));
+
+// Coinflips come out close to even over many nonces
+let heads = 0;
+for (let nonce = 0; nonce < 2000; nonce++) {
+    if (coinflipResult(generateFloats(serverSeed, clientSeed, nonce)[0]) === 'heads') heads++;
+}
+assert.ok(heads > 900 && heads < 1100, `unbalanced coin: ${heads} heads`);
+
+// Verification recomputes the flip and checks the commitment
+const verified = verifyCoinflip({ serverSeed, serverSeedHash: hashServerSeed(serverSeed).toUpperCase(), clientSeed, nonce: 7 });
+assert.equal(verified.hashMatches, true);
+assert.equal(verified.roll, expected);
+assert.equal(verified.result, coinflipResult(expected));
+assert.equal(verifyCoinflip({ serverSeed, serverSeedHash: 'f'.repeat(64), clientSeed, nonce: 7 }).hashMatches, false);
+assert.equal(verifyCoinflip({ serverSeed, clientSeed, nonce: 7 }).hashMatches, null);
+
+console.log('✅ All provablyFair tests passed');
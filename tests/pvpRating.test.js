@@ -0,0 +1,48 @@
+import assert from 'assert';
+import {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    getRatingState,
+    expectedScore,
+    rateDecidedMatch,
+    applyInactivity,
+    softResetRating,
+    RATING_PERIOD_MS
+} from '../src/utils/pvpRating.js';
+
+console.log('Running pvpRating tests');
+
+// New players start at the defaults
+const fresh = getRatingState({});
+assert.equal(fresh.rating, DEFAULT_RATING);
+assert.equal(fresh.ratingDeviation, DEFAULT_DEVIATION);
+
+// Evenly matched players have even odds and move symmetrically
+const even = rateDecidedMatch(fresh, fresh);
+assert.equal(expectedScore(fresh, fresh), 0.5);
+assert.ok(even.winner.rating > DEFAULT_RATING);
+assert.equal(even.winner.rating - DEFAULT_RATING, DEFAULT_RATING - even.loser.rating);
+assert.ok(even.winner.ratingDeviation < DEFAULT_DEVIATION);
+
+// Upsets move ratings more than expected wins
+const strong = { rating: 1600, ratingDeviation: 80, volatility: 0.06 };
+const weak = { rating: 1200, ratingDeviation: 80, volatility: 0.06 };
+const expectedWin = rateDecidedMatch(strong, weak);
+const upset = rateDecidedMatch(weak, strong);
+assert.ok(expectedScore(strong, weak) > 0.8);
+assert.ok(upset.winner.rating - weak.rating > expectedWin.winner.rating - strong.rating);
+assert.ok(strong.rating - upset.loser.rating > weak.rating - expectedWin.loser.rating);
+
+// Inactivity grows deviation but never past a new player's
+const idle = applyInactivity({ ...strong, lastMatchAt: new Date(Date.now() - 3 * RATING_PERIOD_MS) });
+assert.ok(idle.ratingDeviation > strong.ratingDeviation);
+assert.ok(idle.ratingDeviation <= DEFAULT_DEVIATION);
+assert.equal(applyInactivity({ ...strong, lastMatchAt: new Date() }).ratingDeviation, strong.ratingDeviation);
+
+// Season soft reset pulls halfway back to the default
+const reset = softResetRating(strong);
+assert.equal(reset.rating, 1300);
+assert.equal(reset.ratingDeviation, 200);
+assert.equal(softResetRating(weak).rating, 1100);
+
+console.log('✅ All pvpRating tests passed');
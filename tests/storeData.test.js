@@ -0,0 +1,71 @@
+import assert from 'assert';
+import {
+    STAPLE_POTIONS,
+    ROTATING_SLOTS,
+    DIVISION_RARITY_WEIGHTS,
+    STORE_SLOT_LIMITS,
+    getRefreshDate,
+    getStorePrice,
+    rollStoreSlots,
+    createStoreItem
+} from '../src/data/storeData.js';
+
+console.log('Running storeData tests');
+
+const slotCount = STAPLE_POTIONS.length + ROTATING_SLOTS.reduce((sum, slot) => sum + slot.count, 0);
+
+// Every division rolls a full, duplicate-free set of slots that resolve to real items
+for (const division of Object.keys(DIVISION_RARITY_WEIGHTS)) {
+    for (let run = 0; run < 20; run++) {
+        const slots = rollStoreSlots(division);
+        assert.equal(slots.length, slotCount);
+        assert.deepEqual(slots.map(slot => slot.slotNumber), slots.map((slot, index) => index + 1));
+        assert.equal(new Set(slots.map(slot => slot.itemId)).size, slots.length);
+
+        for (const slot of slots) {
+            const storeItem = createStoreItem(slot.itemType, slot.itemId);
+            assert.ok(storeItem, `${slot.itemType}/${slot.itemId} should resolve`);
+            assert.equal(storeItem.category, slot.itemType);
+            assert.equal(storeItem.item.id, slot.itemId);
+            assert.ok(slot.goldValue > 0);
+        }
+    }
+}
+
+// Staple potions come first, are plain data and never run out
+const [healthPotion, ...rotation] = rollStoreSlots('gold');
+assert.equal(healthPotion.itemType, 'consumables');
+assert.equal(healthPotion.itemId, 'health_potion_medium');
+assert.equal(healthPotion.stock, null);
+assert.equal(healthPotion.perPlayerLimit, null);
+assert.equal(typeof createStoreItem('consumables', 'health_potion_medium').item.use, 'undefined');
+
+// Rotating slots carry the stock and cap of their rarity
+for (const slot of rotation.filter(slot => slot.itemType !== 'consumables')) {
+    assert.equal(slot.stock, STORE_SLOT_LIMITS[slot.rarity].stock);
+    assert.equal(slot.perPlayerLimit, STORE_SLOT_LIMITS[slot.rarity].perPlayer);
+    assert.ok(slot.perPlayerLimit <= slot.stock);
+}
+
+// Rotations stay within the division's rarities when the pool allows it
+const weaponRarities = new Set();
+for (let run = 0; run < 50; run++) {
+    rollStoreSlots('gold').filter(slot => slot.itemType === 'weapons').forEach(slot => weaponRarities.add(slot.rarity));
+}
+assert.ok([...weaponRarities].every(rarity => DIVISION_RARITY_WEIGHTS.gold[rarity]));
+
+// Granted items are copies, not the shared definitions
+const first = createStoreItem('armor', 'leather_armor');
+first.item.armor = 99;
+assert.equal(createStoreItem('armor', 'leather_armor').item.armor, 1);
+
+// Categories must match - a shard can't be bought as a scroll
+assert.equal(createStoreItem('scrolls', 'health_shard'), null);
+assert.equal(createStoreItem('weapons', 'no_such_weapon'), null);
+
+// Prices round up and never drop below 1
+assert.equal(getStorePrice(25, 1.5), 38);
+assert.equal(getStorePrice(0.2), 1);
+assert.equal(getRefreshDate(new Date('2026-03-04T23:59:59Z')), '2026-03-04');
+
+console.log('✅ All storeData tests passed');
@@ -0,0 +1,32 @@
+import assert from 'assert';
+import {
+    TREASURY_BUCKETS,
+    DEFAULT_TREASURY_SPLIT,
+    validateSplit,
+    splitFee
+} from '../src/utils/treasury.js';
+
+console.log('Running treasury tests');
+
+// The default split is valid and sends everything to the treasury
+assert.equal(validateSplit(DEFAULT_TREASURY_SPLIT), null);
+assert.deepEqual(splitFee(37), { burn: 0, treasury: 37, prize_pool: 0 });
+
+// Rounding leftovers land in the treasury so every fee is fully accounted for
+const split = { burn: 25, treasury: 50, prize_pool: 25 };
+for (const amount of [1, 3, 7, 10, 99, 1001]) {
+    const shares = splitFee(amount, split);
+    assert.equal(TREASURY_BUCKETS.reduce((sum, bucket) => sum + shares[bucket], 0), amount);
+    assert.ok(TREASURY_BUCKETS.every(bucket => shares[bucket] >= 0));
+}
+assert.deepEqual(splitFee(10, split), { burn: 2, treasury: 6, prize_pool: 2 });
+assert.deepEqual(splitFee(10, { burn: 100, treasury: 0, prize_pool: 0 }), { burn: 10, treasury: 0, prize_pool: 0 });
+
+// Splits must be whole percentages that add up to 100
+assert.equal(validateSplit({ burn: 10, treasury: 80, prize_pool: 10 }), null);
+assert.match(validateSplit({ burn: 10, treasury: 80, prize_pool: 5 }), /add up to 100/);
+assert.match(validateSplit({ burn: 10.5, treasury: 79.5, prize_pool: 10 }), /burn/);
+assert.match(validateSplit({ burn: -10, treasury: 100, prize_pool: 10 }), /burn/);
+assert.match(validateSplit({ burn: 0, treasury: 100 }), /prize_pool/);
+
+console.log('✅ All treasury tests passed');